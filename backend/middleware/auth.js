@@ -27,7 +27,7 @@ const authenticate = async (req, res, next) => {
 
     // Get fresh user data
     const result = await pool.query(
-      'SELECT id, email, name, role, notify_email FROM users WHERE id = $1',
+      'SELECT id, email, name, role, notify_email, telegram_chat_id, is_approver FROM users WHERE id = $1',
       [decoded.id]
     );
 
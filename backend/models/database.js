@@ -2,6 +2,7 @@
 require('dotenv').config();
 
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 // Determine which database to use
 const DATABASE_URL = process.env.DATABASE_URL;
@@ -90,6 +91,65 @@ if (USE_POSTGRES) {
   }
 }
 
+// Announcement lifecycle states. Add new states here; initDatabase rebuilds
+// the CHECK constraint on existing databases to match.
+const ANNOUNCEMENT_STATUSES = ['draft', 'in_review', 'approved', 'scheduled', 'recurring', 'sending', 'sent', 'partial', 'failed', 'unsent'];
+
+const buildCheck = (column, values) => `CHECK(${column} IN (${values.map(v => `'${v}'`).join(', ')}))`;
+const ANNOUNCEMENT_STATUS_CHECK = buildCheck('status', ANNOUNCEMENT_STATUSES);
+
+// Announcements sent or scheduled before the approval workflow count as approved
+const APPROVE_EXISTING_ANNOUNCEMENTS = `UPDATE announcements SET approved_at = created_at
+  WHERE approved_at IS NULL AND status IN ('scheduled', 'recurring', 'sending', 'sent', 'partial', 'failed', 'unsent')`;
+
+// In-app notification types, migrated the same way
+const NOTIFICATION_TYPES = ['ticket_assigned', 'sla_warning', 'urgent_ticket', 'ticket_reply', 'system', 'announcement_review'];
+const NOTIFICATION_TYPE_CHECK = buildCheck('type', NOTIFICATION_TYPES);
+
+// Viewer hashes stored before they were keyed are the base64 of "<ip>-<user agent>",
+// which decodes back to both. Keyed ones are 32 hex characters.
+const LEGACY_VIEWER_HASH = USE_POSTGRES
+  ? "viewer_hash !~ '^[0-9a-f]{32}$'"
+  : "(length(viewer_hash) <> 32 OR viewer_hash GLOB '*[^0-9a-f]*')";
+
+// A legacy viewer hash keyed with a salt that is forgotten after the migration.
+// The same viewer keeps the same hash, so their views stay counted once.
+const rekeyViewerHash = (salt, hash) => crypto.createHmac('sha256', salt).update(hash).digest('hex').substring(0, 32);
+
+// SQLite cannot alter a CHECK constraint in place, so when the stored table
+// definition doesn't match we rebuild the table with the new constraint.
+const migrateSqliteCheck = (table, column, check) => {
+  const tableRow = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  if (!tableRow || tableRow.sql.includes(check)) return false;
+
+  const checkPattern = new RegExp(`CHECK\\s*\\(\\s*${column}\\s+IN\\s*\\([^)]*\\)\\s*\\)`, 'i');
+  const tempTable = `${table}_rebuild`;
+  const createSql = tableRow.sql
+    .replace(checkPattern, check)
+    .replace(new RegExp(`^CREATE TABLE\\s+"?${table}"?`, 'i'), `CREATE TABLE ${tempTable}`);
+  const indexes = db.prepare(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL"
+  ).all(table);
+
+  // Dropping the old table with foreign keys enabled would cascade deletes
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(createSql);
+      db.exec(`INSERT INTO ${tempTable} SELECT * FROM ${table}`);
+      db.exec(`DROP TABLE ${table}`);
+      db.exec(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+      for (const index of indexes) {
+        db.exec(index.sql);
+      }
+    })();
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+  return true;
+};
+
 // Database query wrapper that works with both PostgreSQL and SQLite
 const query = async (sql, params = []) => {
   if (USE_POSTGRES && pool) {
@@ -145,7 +205,9 @@ const initDatabase = async () => {
             role TEXT DEFAULT 'admin' CHECK(role IN ('admin', 'marketing', 'support')),
             notify_email INTEGER DEFAULT 1,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            last_login TIMESTAMP
+            last_login TIMESTAMP,
+            telegram_chat_id TEXT,
+            is_approver INTEGER DEFAULT 0
           );
 
           CREATE TABLE IF NOT EXISTS channels (
@@ -156,7 +218,10 @@ const initDatabase = async () => {
             member_count INTEGER DEFAULT 0,
             is_active INTEGER DEFAULT 1,
             added_by INTEGER REFERENCES users(id),
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            timezone TEXT DEFAULT 'UTC',
+            tags TEXT DEFAULT '[]',
+            locale TEXT
           );
 
           CREATE TABLE IF NOT EXISTS campaigns (
@@ -164,7 +229,8 @@ const initDatabase = async () => {
             name TEXT NOT NULL,
             description TEXT,
             created_by INTEGER REFERENCES users(id),
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            utm_template TEXT
           );
 
           CREATE TABLE IF NOT EXISTS announcements (
@@ -174,11 +240,28 @@ const initDatabase = async () => {
             content TEXT NOT NULL,
             image_url TEXT,
             buttons TEXT,
-            status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'scheduled', 'sent', 'failed')),
+            status TEXT DEFAULT 'draft' ${ANNOUNCEMENT_STATUS_CHECK},
             scheduled_at TIMESTAMP,
             sent_at TIMESTAMP,
             created_by INTEGER REFERENCES users(id),
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            parent_id INTEGER REFERENCES announcements(id) ON DELETE SET NULL,
+            occurrence_at TIMESTAMP,
+            local_scheduled_at TEXT,
+            approved_by INTEGER REFERENCES users(id),
+            approved_at TIMESTAMP,
+            audiences_resolved_at TIMESTAMP,
+            pin_message INTEGER DEFAULT 0,
+            pin_notify INTEGER DEFAULT 0,
+            expires_at TIMESTAMP,
+            expire_action TEXT CHECK(expire_action IN ('unpin', 'delete')),
+            disable_notification INTEGER DEFAULT 0,
+            protect_content INTEGER DEFAULT 0,
+            disable_link_preview INTEGER DEFAULT 0,
+            link_preview_url TEXT,
+            default_locale TEXT,
+            template_id INTEGER,
+            template_variables TEXT
           );
 
           CREATE TABLE IF NOT EXISTS announcement_targets (
@@ -188,7 +271,20 @@ const initDatabase = async () => {
             telegram_message_id TEXT,
             views INTEGER DEFAULT 0,
             sent_at TIMESTAMP,
-            error TEXT
+            error TEXT,
+            edited_at TIMESTAMP,
+            deleted_at TIMESTAMP,
+            scheduled_at TIMESTAMP,
+            telegram_message_ids TEXT,
+            variant TEXT,
+            group_id INTEGER,
+            segment_id INTEGER,
+            pinned_at TIMESTAMP,
+            expired_at TIMESTAMP,
+            telegram_views INTEGER,
+            telegram_forwards INTEGER,
+            views_collected_at TIMESTAMP,
+            locale TEXT
           );
 
           CREATE TABLE IF NOT EXISTS tracked_links (
@@ -199,7 +295,14 @@ const initDatabase = async () => {
             utm_source TEXT,
             utm_medium TEXT,
             utm_campaign TEXT,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            is_test INTEGER DEFAULT 0,
+            variant TEXT,
+            locale TEXT,
+            channel_id INTEGER REFERENCES channels(id),
+            utm_term TEXT,
+            utm_content TEXT,
+            extra_params TEXT
           );
 
           CREATE TABLE IF NOT EXISTS link_clicks (
@@ -212,7 +315,14 @@ const initDatabase = async () => {
             city TEXT,
             device_type TEXT,
             browser TEXT,
-            clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            is_suspicious INTEGER DEFAULT 0,
+            suspicious_reason TEXT,
+            region TEXT,
+            asn INTEGER,
+            isp TEXT,
+            is_anonymized INTEGER DEFAULT 0,
+            ip_hash TEXT
           );
 
           CREATE TABLE IF NOT EXISTS activity_log (
@@ -234,7 +344,13 @@ const initDatabase = async () => {
             city TEXT,
             device_type TEXT,
             browser TEXT,
-            viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            is_suspicious INTEGER DEFAULT 0,
+            suspicious_reason TEXT,
+            region TEXT,
+            asn INTEGER,
+            isp TEXT,
+            is_anonymized INTEGER DEFAULT 0
           );
 
           CREATE TABLE IF NOT EXISTS button_clicks (
@@ -365,7 +481,7 @@ const initDatabase = async () => {
           CREATE TABLE IF NOT EXISTS notifications (
             id SERIAL PRIMARY KEY,
             user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-            type TEXT NOT NULL CHECK(type IN ('ticket_assigned', 'sla_warning', 'urgent_ticket', 'ticket_reply', 'system')),
+            type TEXT NOT NULL ${NOTIFICATION_TYPE_CHECK},
             title TEXT NOT NULL,
             message TEXT NOT NULL,
             link TEXT,
@@ -375,6 +491,234 @@ const initDatabase = async () => {
 
           CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id);
           CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(is_read);
+
+          -- Outbound Telegram delivery queue (one job per announcement target)
+          CREATE TABLE IF NOT EXISTS send_queue (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            target_id INTEGER REFERENCES announcement_targets(id) ON DELETE CASCADE,
+            channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+            status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'sent', 'failed')),
+            attempts INTEGER DEFAULT 0,
+            max_attempts INTEGER DEFAULT 5,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_error TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE TABLE IF NOT EXISTS send_attempts (
+            id SERIAL PRIMARY KEY,
+            job_id INTEGER REFERENCES send_queue(id) ON DELETE CASCADE,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+            attempt INTEGER NOT NULL,
+            outcome TEXT NOT NULL CHECK(outcome IN ('sent', 'retry', 'failed')),
+            error TEXT,
+            error_code TEXT,
+            retry_after INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_send_queue_status ON send_queue(status, next_attempt_at);
+          CREATE INDEX IF NOT EXISTS idx_send_queue_announcement ON send_queue(announcement_id);
+          CREATE INDEX IF NOT EXISTS idx_send_attempts_job ON send_attempts(job_id);
+
+          -- Snapshots of the announcement, recorded on every save and on publish, live edit and unsend
+          CREATE TABLE IF NOT EXISTS announcement_revisions (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            action TEXT NOT NULL,
+            title TEXT,
+            content TEXT,
+            image_url TEXT,
+            buttons TEXT,
+            media TEXT,
+            details TEXT,
+            created_by INTEGER REFERENCES users(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            translations TEXT,
+            template_variables TEXT
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_announcement_revisions_announcement ON announcement_revisions(announcement_id);
+
+          -- Approval workflow: submissions, comments and review decisions
+          CREATE TABLE IF NOT EXISTS announcement_reviews (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            action TEXT NOT NULL CHECK(action IN ('submitted', 'comment', 'approved', 'changes_requested')),
+            comment TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_announcement_reviews_announcement ON announcement_reviews(announcement_id);
+
+          -- A/B tests: alternative content for an announcement (the announcement itself is variant A)
+          CREATE TABLE IF NOT EXISTS announcement_variants (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            label TEXT NOT NULL,
+            content TEXT NOT NULL,
+            buttons TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(announcement_id, label)
+          );
+
+          CREATE TABLE IF NOT EXISTS ab_tests (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER UNIQUE REFERENCES announcements(id) ON DELETE CASCADE,
+            test_share INTEGER DEFAULT 50,
+            window_hours INTEGER DEFAULT 24,
+            status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'running', 'completed', 'skipped')),
+            started_at TIMESTAMP,
+            ends_at TIMESTAMP,
+            winner TEXT,
+            p_value REAL,
+            results TEXT,
+            decided_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          -- Named channel groups, picked as a whole when targeting an announcement
+          CREATE TABLE IF NOT EXISTS channel_groups (
+            id SERIAL PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE TABLE IF NOT EXISTS channel_group_members (
+            group_id INTEGER REFERENCES channel_groups(id) ON DELETE CASCADE,
+            channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+            PRIMARY KEY (group_id, channel_id)
+          );
+
+          -- Dynamic segments: every active channel matching the rules at send time
+          CREATE TABLE IF NOT EXISTS channel_segments (
+            id SERIAL PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT,
+            channel_types TEXT,
+            min_members INTEGER,
+            max_members INTEGER,
+            tag TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          -- Groups and segments an announcement targets besides its own channels
+          CREATE TABLE IF NOT EXISTS announcement_audiences (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            group_id INTEGER REFERENCES channel_groups(id) ON DELETE CASCADE,
+            segment_id INTEGER REFERENCES channel_segments(id) ON DELETE CASCADE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_announcement_audiences_announcement ON announcement_audiences(announcement_id);
+
+          -- Translations of an announcement's content, buttons and image, one per locale
+          CREATE TABLE IF NOT EXISTS announcement_translations (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            locale TEXT NOT NULL,
+            content TEXT NOT NULL,
+            buttons TEXT,
+            image_url TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(announcement_id, locale)
+          );
+
+          -- View and forward counts read from Telegram over time, per delivered message
+          CREATE TABLE IF NOT EXISTS target_view_stats (
+            id SERIAL PRIMARY KEY,
+            target_id INTEGER REFERENCES announcement_targets(id) ON DELETE CASCADE,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+            views INTEGER NOT NULL,
+            forwards INTEGER,
+            collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_target_view_stats_announcement ON target_view_stats(announcement_id, collected_at);
+
+          -- Reusable announcement content with {{variable}} placeholders
+          CREATE TABLE IF NOT EXISTS announcement_templates (
+            id SERIAL PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT,
+            content TEXT NOT NULL,
+            buttons TEXT,
+            campaign_id INTEGER REFERENCES campaigns(id),
+            created_by INTEGER REFERENCES users(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          -- Recurring announcement schedules; each occurrence becomes its own announcement
+          CREATE TABLE IF NOT EXISTS recurring_schedules (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER UNIQUE REFERENCES announcements(id) ON DELETE CASCADE,
+            rule_type TEXT NOT NULL CHECK(rule_type IN ('cron', 'rrule')),
+            rule TEXT NOT NULL,
+            timezone TEXT DEFAULT 'UTC',
+            starts_at TIMESTAMP,
+            ends_at TIMESTAMP,
+            max_occurrences INTEGER,
+            occurrence_count INTEGER DEFAULT 0,
+            next_run_at TIMESTAMP,
+            last_run_at TIMESTAMP,
+            is_paused INTEGER DEFAULT 0,
+            created_by INTEGER REFERENCES users(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_recurring_schedules_next ON recurring_schedules(is_paused, next_run_at);
+
+          -- Uploaded files, stored once per content hash and reused across announcements
+          CREATE TABLE IF NOT EXISTS media_assets (
+            id SERIAL PRIMARY KEY,
+            file_hash TEXT UNIQUE NOT NULL,
+            storage_key TEXT NOT NULL,
+            thumbnail_key TEXT,
+            type TEXT NOT NULL CHECK(type IN ('photo', 'video', 'animation', 'document')),
+            file_name TEXT,
+            mime_type TEXT,
+            file_size INTEGER,
+            width INTEGER,
+            height INTEGER,
+            telegram_file_id TEXT,
+            telegram_file_bot TEXT,
+            uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          -- Attachments sent with an announcement, in display order
+          CREATE TABLE IF NOT EXISTS announcement_media (
+            id SERIAL PRIMARY KEY,
+            announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+            position INTEGER DEFAULT 0,
+            asset_id INTEGER REFERENCES media_assets(id) ON DELETE SET NULL,
+            type TEXT NOT NULL CHECK(type IN ('photo', 'video', 'animation', 'document')),
+            url TEXT NOT NULL,
+            file_name TEXT,
+            mime_type TEXT,
+            file_size INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_announcement_media_announcement ON announcement_media(announcement_id);
+
+          -- Salts for hashing visitor addresses in privacy mode; only the newest is used
+          CREATE TABLE IF NOT EXISTS privacy_salts (
+            id SERIAL PRIMARY KEY,
+            salt TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
         `);
 
         // Run migrations to add missing columns
@@ -401,7 +745,97 @@ const initDatabase = async () => {
           // User roles and notifications migrations
           'ALTER TABLE users ADD COLUMN IF NOT EXISTS notify_email INTEGER DEFAULT 1',
           // Migrate existing 'user' role to 'marketing' (or keep as admin)
-          "UPDATE users SET role = 'admin' WHERE role = 'user'"
+          "UPDATE users SET role = 'admin' WHERE role = 'user'",
+          // Live edit / unsend tracking on targets
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP',
+          // Recurring announcement occurrences
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES announcements(id) ON DELETE SET NULL',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS occurrence_at TIMESTAMP',
+          // Per-channel local time scheduling
+          "ALTER TABLE channels ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'UTC'",
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS local_scheduled_at TEXT',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP',
+          // Media attachments (albums send several messages per target)
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS telegram_message_ids TEXT',
+          'ALTER TABLE announcement_revisions ADD COLUMN IF NOT EXISTS media TEXT',
+          // Media library
+          'ALTER TABLE announcement_media ADD COLUMN IF NOT EXISTS asset_id INTEGER REFERENCES media_assets(id) ON DELETE SET NULL',
+          'CREATE INDEX IF NOT EXISTS idx_announcement_media_asset ON announcement_media(asset_id)',
+          // Test sends
+          'ALTER TABLE users ADD COLUMN IF NOT EXISTS telegram_chat_id TEXT',
+          'ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS is_test INTEGER DEFAULT 0',
+          // Approval workflow; announcements already past draft were approved under the old rules
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES users(id)',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP',
+          'ALTER TABLE users ADD COLUMN IF NOT EXISTS is_approver INTEGER DEFAULT 0',
+          APPROVE_EXISTING_ANNOUNCEMENTS,
+          'ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check',
+          `ALTER TABLE notifications ADD CONSTRAINT notifications_type_check ${NOTIFICATION_TYPE_CHECK}`,
+          // A/B test variants
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS variant TEXT',
+          'ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS variant TEXT',
+          // Channel groups and segments as announcement targets
+          "ALTER TABLE channels ADD COLUMN IF NOT EXISTS tags TEXT DEFAULT '[]'",
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS audiences_resolved_at TIMESTAMP',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS group_id INTEGER',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS segment_id INTEGER',
+          // Pinning and expiry of sent messages
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS pin_message INTEGER DEFAULT 0',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS pin_notify INTEGER DEFAULT 0',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP',
+          "ALTER TABLE announcements ADD COLUMN IF NOT EXISTS expire_action TEXT CHECK(expire_action IN ('unpin', 'delete'))",
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP',
+          // Silent sends, protected content and link previews
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS disable_notification INTEGER DEFAULT 0',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS protect_content INTEGER DEFAULT 0',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS disable_link_preview INTEGER DEFAULT 0',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS link_preview_url TEXT',
+          // View and forward counts read from Telegram
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS telegram_views INTEGER',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS telegram_forwards INTEGER',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS views_collected_at TIMESTAMP',
+          // Localized announcements
+          'ALTER TABLE channels ADD COLUMN IF NOT EXISTS locale TEXT',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS default_locale TEXT',
+          'ALTER TABLE announcement_targets ADD COLUMN IF NOT EXISTS locale TEXT',
+          'ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS locale TEXT',
+          // Announcement templates and variables
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS template_id INTEGER',
+          'ALTER TABLE announcements ADD COLUMN IF NOT EXISTS template_variables TEXT',
+          // Revisions of every save
+          'ALTER TABLE announcement_revisions ADD COLUMN IF NOT EXISTS translations TEXT',
+          'ALTER TABLE announcement_revisions ADD COLUMN IF NOT EXISTS template_variables TEXT',
+          // Tracked links per channel
+          'ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS channel_id INTEGER',
+          'CREATE INDEX IF NOT EXISTS idx_tracked_links_announcement_channel ON tracked_links(announcement_id, channel_id)',
+          // UTM templates
+          'ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS utm_template TEXT',
+          'ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS utm_term TEXT',
+          'ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS utm_content TEXT',
+          'ALTER TABLE tracked_links ADD COLUMN IF NOT EXISTS extra_params TEXT',
+          // Bot and crawler filtering
+          'ALTER TABLE link_clicks ADD COLUMN IF NOT EXISTS is_suspicious INTEGER DEFAULT 0',
+          'ALTER TABLE link_clicks ADD COLUMN IF NOT EXISTS suspicious_reason TEXT',
+          'ALTER TABLE pixel_views ADD COLUMN IF NOT EXISTS is_suspicious INTEGER DEFAULT 0',
+          'ALTER TABLE pixel_views ADD COLUMN IF NOT EXISTS suspicious_reason TEXT',
+          'CREATE INDEX IF NOT EXISTS idx_link_clicks_link_ip ON link_clicks(link_id, ip_address, clicked_at)',
+          // Offline GeoIP
+          'ALTER TABLE link_clicks ADD COLUMN IF NOT EXISTS region TEXT',
+          'ALTER TABLE link_clicks ADD COLUMN IF NOT EXISTS asn INTEGER',
+          'ALTER TABLE link_clicks ADD COLUMN IF NOT EXISTS isp TEXT',
+          'ALTER TABLE pixel_views ADD COLUMN IF NOT EXISTS region TEXT',
+          'ALTER TABLE pixel_views ADD COLUMN IF NOT EXISTS asn INTEGER',
+          'ALTER TABLE pixel_views ADD COLUMN IF NOT EXISTS isp TEXT',
+          // Privacy mode
+          'ALTER TABLE link_clicks ADD COLUMN IF NOT EXISTS is_anonymized INTEGER DEFAULT 0',
+          'ALTER TABLE pixel_views ADD COLUMN IF NOT EXISTS is_anonymized INTEGER DEFAULT 0',
+          'ALTER TABLE link_clicks ADD COLUMN IF NOT EXISTS ip_hash TEXT',
+          'CREATE INDEX IF NOT EXISTS idx_link_clicks_link_ip_hash ON link_clicks(link_id, ip_hash, clicked_at)',
+          // Announcement status list changes
+          'ALTER TABLE announcements DROP CONSTRAINT IF EXISTS announcements_status_check',
+          `ALTER TABLE announcements ADD CONSTRAINT announcements_status_check ${ANNOUNCEMENT_STATUS_CHECK}`
         ];
 
         for (const migration of migrations) {
@@ -415,6 +849,23 @@ const initDatabase = async () => {
 
         console.log('Migrations complete.');
 
+        // Migration: Re-key viewer hashes stored before they were keyed
+        try {
+          const salt = crypto.randomBytes(32).toString('hex');
+          const legacy = await client.query(`SELECT DISTINCT viewer_hash FROM pixel_views WHERE ${LEGACY_VIEWER_HASH}`);
+          for (const row of legacy.rows) {
+            await client.query(
+              'UPDATE pixel_views SET viewer_hash = $1 WHERE viewer_hash = $2',
+              [rekeyViewerHash(salt, row.viewer_hash), row.viewer_hash]
+            );
+          }
+          if (legacy.rows.length > 0) {
+            console.log(`Migration applied: ${legacy.rows.length} legacy viewer hashes re-keyed`);
+          }
+        } catch (e) {
+          console.error('Failed to re-key legacy viewer hashes:', e.message);
+        }
+
         // Migration: Update admin email from admin@xbo.com to ido@xbo.com
         try {
           await client.query(
@@ -456,7 +907,9 @@ const initDatabase = async () => {
           role TEXT DEFAULT 'admin' CHECK(role IN ('admin', 'marketing', 'support')),
           notify_email INTEGER DEFAULT 1,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          last_login DATETIME
+          last_login DATETIME,
+          telegram_chat_id TEXT,
+          is_approver INTEGER DEFAULT 0
         );
 
         CREATE TABLE IF NOT EXISTS channels (
@@ -467,7 +920,10 @@ const initDatabase = async () => {
           member_count INTEGER DEFAULT 0,
           is_active INTEGER DEFAULT 1,
           added_by INTEGER REFERENCES users(id),
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          timezone TEXT DEFAULT 'UTC',
+          tags TEXT DEFAULT '[]',
+          locale TEXT
         );
 
         CREATE TABLE IF NOT EXISTS campaigns (
@@ -475,7 +931,8 @@ const initDatabase = async () => {
           name TEXT NOT NULL,
           description TEXT,
           created_by INTEGER REFERENCES users(id),
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          utm_template TEXT
         );
 
         CREATE TABLE IF NOT EXISTS announcements (
@@ -485,11 +942,28 @@ const initDatabase = async () => {
           content TEXT NOT NULL,
           image_url TEXT,
           buttons TEXT,
-          status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'scheduled', 'sent', 'failed')),
+          status TEXT DEFAULT 'draft' ${ANNOUNCEMENT_STATUS_CHECK},
           scheduled_at DATETIME,
           sent_at DATETIME,
           created_by INTEGER REFERENCES users(id),
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          parent_id INTEGER REFERENCES announcements(id) ON DELETE SET NULL,
+          occurrence_at DATETIME,
+          local_scheduled_at TEXT,
+          approved_by INTEGER REFERENCES users(id),
+          approved_at DATETIME,
+          audiences_resolved_at DATETIME,
+          pin_message INTEGER DEFAULT 0,
+          pin_notify INTEGER DEFAULT 0,
+          expires_at DATETIME,
+          expire_action TEXT CHECK(expire_action IN ('unpin', 'delete')),
+          disable_notification INTEGER DEFAULT 0,
+          protect_content INTEGER DEFAULT 0,
+          disable_link_preview INTEGER DEFAULT 0,
+          link_preview_url TEXT,
+          default_locale TEXT,
+          template_id INTEGER,
+          template_variables TEXT
         );
 
         CREATE TABLE IF NOT EXISTS announcement_targets (
@@ -499,7 +973,20 @@ const initDatabase = async () => {
           telegram_message_id TEXT,
           views INTEGER DEFAULT 0,
           sent_at DATETIME,
-          error TEXT
+          error TEXT,
+          edited_at DATETIME,
+          deleted_at DATETIME,
+          scheduled_at DATETIME,
+          telegram_message_ids TEXT,
+          variant TEXT,
+          group_id INTEGER,
+          segment_id INTEGER,
+          pinned_at DATETIME,
+          expired_at DATETIME,
+          telegram_views INTEGER,
+          telegram_forwards INTEGER,
+          views_collected_at DATETIME,
+          locale TEXT
         );
 
         CREATE TABLE IF NOT EXISTS tracked_links (
@@ -510,7 +997,14 @@ const initDatabase = async () => {
           utm_source TEXT,
           utm_medium TEXT,
           utm_campaign TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_test INTEGER DEFAULT 0,
+          variant TEXT,
+          locale TEXT,
+          channel_id INTEGER REFERENCES channels(id),
+          utm_term TEXT,
+          utm_content TEXT,
+          extra_params TEXT
         );
 
         CREATE TABLE IF NOT EXISTS link_clicks (
@@ -523,7 +1017,14 @@ const initDatabase = async () => {
           city TEXT,
           device_type TEXT,
           browser TEXT,
-          clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_suspicious INTEGER DEFAULT 0,
+          suspicious_reason TEXT,
+          region TEXT,
+          asn INTEGER,
+          isp TEXT,
+          is_anonymized INTEGER DEFAULT 0,
+          ip_hash TEXT
         );
 
         CREATE TABLE IF NOT EXISTS activity_log (
@@ -545,7 +1046,13 @@ const initDatabase = async () => {
           city TEXT,
           device_type TEXT,
           browser TEXT,
-          viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_suspicious INTEGER DEFAULT 0,
+          suspicious_reason TEXT,
+          region TEXT,
+          asn INTEGER,
+          isp TEXT,
+          is_anonymized INTEGER DEFAULT 0
         );
 
         CREATE TABLE IF NOT EXISTS button_clicks (
@@ -675,7 +1182,7 @@ const initDatabase = async () => {
         CREATE TABLE IF NOT EXISTS notifications (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-          type TEXT NOT NULL CHECK(type IN ('ticket_assigned', 'sla_warning', 'urgent_ticket', 'ticket_reply', 'system')),
+          type TEXT NOT NULL ${NOTIFICATION_TYPE_CHECK},
           title TEXT NOT NULL,
           message TEXT NOT NULL,
           link TEXT,
@@ -685,6 +1192,234 @@ const initDatabase = async () => {
 
         CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id);
         CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(is_read);
+
+        -- Outbound Telegram delivery queue (one job per announcement target)
+        CREATE TABLE IF NOT EXISTS send_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          target_id INTEGER REFERENCES announcement_targets(id) ON DELETE CASCADE,
+          channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+          status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'sent', 'failed')),
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 5,
+          next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS send_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id INTEGER REFERENCES send_queue(id) ON DELETE CASCADE,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+          attempt INTEGER NOT NULL,
+          outcome TEXT NOT NULL CHECK(outcome IN ('sent', 'retry', 'failed')),
+          error TEXT,
+          error_code TEXT,
+          retry_after INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_send_queue_status ON send_queue(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_send_queue_announcement ON send_queue(announcement_id);
+        CREATE INDEX IF NOT EXISTS idx_send_attempts_job ON send_attempts(job_id);
+
+        -- Snapshots of the announcement, recorded on every save and on publish, live edit and unsend
+        CREATE TABLE IF NOT EXISTS announcement_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          action TEXT NOT NULL,
+          title TEXT,
+          content TEXT,
+          image_url TEXT,
+          buttons TEXT,
+          media TEXT,
+          details TEXT,
+          created_by INTEGER REFERENCES users(id),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          translations TEXT,
+          template_variables TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_announcement_revisions_announcement ON announcement_revisions(announcement_id);
+
+        -- Approval workflow: submissions, comments and review decisions
+        CREATE TABLE IF NOT EXISTS announcement_reviews (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          action TEXT NOT NULL CHECK(action IN ('submitted', 'comment', 'approved', 'changes_requested')),
+          comment TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_announcement_reviews_announcement ON announcement_reviews(announcement_id);
+
+        -- A/B tests: alternative content for an announcement (the announcement itself is variant A)
+        CREATE TABLE IF NOT EXISTS announcement_variants (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          label TEXT NOT NULL,
+          content TEXT NOT NULL,
+          buttons TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(announcement_id, label)
+        );
+
+        CREATE TABLE IF NOT EXISTS ab_tests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER UNIQUE REFERENCES announcements(id) ON DELETE CASCADE,
+          test_share INTEGER DEFAULT 50,
+          window_hours INTEGER DEFAULT 24,
+          status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'running', 'completed', 'skipped')),
+          started_at DATETIME,
+          ends_at DATETIME,
+          winner TEXT,
+          p_value REAL,
+          results TEXT,
+          decided_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Named channel groups, picked as a whole when targeting an announcement
+        CREATE TABLE IF NOT EXISTS channel_groups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS channel_group_members (
+          group_id INTEGER REFERENCES channel_groups(id) ON DELETE CASCADE,
+          channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+          PRIMARY KEY (group_id, channel_id)
+        );
+
+        -- Dynamic segments: every active channel matching the rules at send time
+        CREATE TABLE IF NOT EXISTS channel_segments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT,
+          channel_types TEXT,
+          min_members INTEGER,
+          max_members INTEGER,
+          tag TEXT,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Groups and segments an announcement targets besides its own channels
+        CREATE TABLE IF NOT EXISTS announcement_audiences (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          group_id INTEGER REFERENCES channel_groups(id) ON DELETE CASCADE,
+          segment_id INTEGER REFERENCES channel_segments(id) ON DELETE CASCADE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_announcement_audiences_announcement ON announcement_audiences(announcement_id);
+
+        -- Translations of an announcement's content, buttons and image, one per locale
+        CREATE TABLE IF NOT EXISTS announcement_translations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          locale TEXT NOT NULL,
+          content TEXT NOT NULL,
+          buttons TEXT,
+          image_url TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(announcement_id, locale)
+        );
+
+        -- View and forward counts read from Telegram over time, per delivered message
+        CREATE TABLE IF NOT EXISTS target_view_stats (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          target_id INTEGER REFERENCES announcement_targets(id) ON DELETE CASCADE,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+          views INTEGER NOT NULL,
+          forwards INTEGER,
+          collected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_target_view_stats_announcement ON target_view_stats(announcement_id, collected_at);
+
+        -- Reusable announcement content with {{variable}} placeholders
+        CREATE TABLE IF NOT EXISTS announcement_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT,
+          content TEXT NOT NULL,
+          buttons TEXT,
+          campaign_id INTEGER REFERENCES campaigns(id),
+          created_by INTEGER REFERENCES users(id),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Recurring announcement schedules; each occurrence becomes its own announcement
+        CREATE TABLE IF NOT EXISTS recurring_schedules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER UNIQUE REFERENCES announcements(id) ON DELETE CASCADE,
+          rule_type TEXT NOT NULL CHECK(rule_type IN ('cron', 'rrule')),
+          rule TEXT NOT NULL,
+          timezone TEXT DEFAULT 'UTC',
+          starts_at DATETIME,
+          ends_at DATETIME,
+          max_occurrences INTEGER,
+          occurrence_count INTEGER DEFAULT 0,
+          next_run_at DATETIME,
+          last_run_at DATETIME,
+          is_paused INTEGER DEFAULT 0,
+          created_by INTEGER REFERENCES users(id),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_recurring_schedules_next ON recurring_schedules(is_paused, next_run_at);
+
+        -- Uploaded files, stored once per content hash and reused across announcements
+        CREATE TABLE IF NOT EXISTS media_assets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          file_hash TEXT UNIQUE NOT NULL,
+          storage_key TEXT NOT NULL,
+          thumbnail_key TEXT,
+          type TEXT NOT NULL CHECK(type IN ('photo', 'video', 'animation', 'document')),
+          file_name TEXT,
+          mime_type TEXT,
+          file_size INTEGER,
+          width INTEGER,
+          height INTEGER,
+          telegram_file_id TEXT,
+          telegram_file_bot TEXT,
+          uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Attachments sent with an announcement, in display order
+        CREATE TABLE IF NOT EXISTS announcement_media (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          announcement_id INTEGER REFERENCES announcements(id) ON DELETE CASCADE,
+          position INTEGER DEFAULT 0,
+          asset_id INTEGER REFERENCES media_assets(id) ON DELETE SET NULL,
+          type TEXT NOT NULL CHECK(type IN ('photo', 'video', 'animation', 'document')),
+          url TEXT NOT NULL,
+          file_name TEXT,
+          mime_type TEXT,
+          file_size INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_announcement_media_announcement ON announcement_media(announcement_id);
+
+        -- Salts for hashing visitor addresses in privacy mode; only the newest is used
+        CREATE TABLE IF NOT EXISTS privacy_salts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          salt TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
       `);
 
       // Run migrations to add missing columns to existing tables
@@ -741,8 +1476,361 @@ const initDatabase = async () => {
         // Ignore errors
       }
 
+      // Migration: Add live edit / unsend tracking columns to announcement_targets
+      const targetMigrations = [
+        'ALTER TABLE announcement_targets ADD COLUMN edited_at DATETIME',
+        'ALTER TABLE announcement_targets ADD COLUMN deleted_at DATETIME'
+      ];
+
+      for (const migration of targetMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add recurring occurrence columns to announcements
+      const occurrenceMigrations = [
+        'ALTER TABLE announcements ADD COLUMN parent_id INTEGER REFERENCES announcements(id) ON DELETE SET NULL',
+        'ALTER TABLE announcements ADD COLUMN occurrence_at DATETIME'
+      ];
+
+      for (const migration of occurrenceMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add per-channel local time scheduling columns
+      const localScheduleMigrations = [
+        "ALTER TABLE channels ADD COLUMN timezone TEXT DEFAULT 'UTC'",
+        'ALTER TABLE announcements ADD COLUMN local_scheduled_at TEXT',
+        'ALTER TABLE announcement_targets ADD COLUMN scheduled_at DATETIME'
+      ];
+
+      for (const migration of localScheduleMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add media attachment columns
+      const mediaMigrations = [
+        'ALTER TABLE announcement_targets ADD COLUMN telegram_message_ids TEXT',
+        'ALTER TABLE announcement_revisions ADD COLUMN media TEXT',
+        'ALTER TABLE announcement_media ADD COLUMN asset_id INTEGER REFERENCES media_assets(id) ON DELETE SET NULL',
+        'CREATE INDEX IF NOT EXISTS idx_announcement_media_asset ON announcement_media(asset_id)'
+      ];
+
+      for (const migration of mediaMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add test send columns
+      const testSendMigrations = [
+        'ALTER TABLE users ADD COLUMN telegram_chat_id TEXT',
+        'ALTER TABLE tracked_links ADD COLUMN is_test INTEGER DEFAULT 0'
+      ];
+
+      for (const migration of testSendMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add approval workflow columns
+      const approvalMigrations = [
+        'ALTER TABLE announcements ADD COLUMN approved_by INTEGER REFERENCES users(id)',
+        'ALTER TABLE announcements ADD COLUMN approved_at DATETIME',
+        'ALTER TABLE users ADD COLUMN is_approver INTEGER DEFAULT 0'
+      ];
+
+      for (const migration of approvalMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      try {
+        db.exec(APPROVE_EXISTING_ANNOUNCEMENTS);
+      } catch (e) {
+        console.error('Failed to approve existing announcements:', e.message);
+      }
+
+      // Migration: Add A/B test variant columns
+      const variantMigrations = [
+        'ALTER TABLE announcement_targets ADD COLUMN variant TEXT',
+        'ALTER TABLE tracked_links ADD COLUMN variant TEXT'
+      ];
+
+      for (const migration of variantMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add channel group and segment targeting columns
+      const audienceMigrations = [
+        "ALTER TABLE channels ADD COLUMN tags TEXT DEFAULT '[]'",
+        'ALTER TABLE announcements ADD COLUMN audiences_resolved_at DATETIME',
+        'ALTER TABLE announcement_targets ADD COLUMN group_id INTEGER',
+        'ALTER TABLE announcement_targets ADD COLUMN segment_id INTEGER'
+      ];
+
+      for (const migration of audienceMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add pinning and expiry columns
+      const expiryMigrations = [
+        'ALTER TABLE announcements ADD COLUMN pin_message INTEGER DEFAULT 0',
+        'ALTER TABLE announcements ADD COLUMN pin_notify INTEGER DEFAULT 0',
+        'ALTER TABLE announcements ADD COLUMN expires_at DATETIME',
+        "ALTER TABLE announcements ADD COLUMN expire_action TEXT CHECK(expire_action IN ('unpin', 'delete'))",
+        'ALTER TABLE announcement_targets ADD COLUMN pinned_at DATETIME',
+        'ALTER TABLE announcement_targets ADD COLUMN expired_at DATETIME'
+      ];
+
+      for (const migration of expiryMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add silent send, protected content and link preview columns
+      const messageOptionMigrations = [
+        'ALTER TABLE announcements ADD COLUMN disable_notification INTEGER DEFAULT 0',
+        'ALTER TABLE announcements ADD COLUMN protect_content INTEGER DEFAULT 0',
+        'ALTER TABLE announcements ADD COLUMN disable_link_preview INTEGER DEFAULT 0',
+        'ALTER TABLE announcements ADD COLUMN link_preview_url TEXT'
+      ];
+
+      for (const migration of messageOptionMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add view and forward counts read from Telegram
+      const telegramViewMigrations = [
+        'ALTER TABLE announcement_targets ADD COLUMN telegram_views INTEGER',
+        'ALTER TABLE announcement_targets ADD COLUMN telegram_forwards INTEGER',
+        'ALTER TABLE announcement_targets ADD COLUMN views_collected_at DATETIME'
+      ];
+
+      for (const migration of telegramViewMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add locales for localized announcements
+      const localeMigrations = [
+        'ALTER TABLE channels ADD COLUMN locale TEXT',
+        'ALTER TABLE announcements ADD COLUMN default_locale TEXT',
+        'ALTER TABLE announcement_targets ADD COLUMN locale TEXT',
+        'ALTER TABLE tracked_links ADD COLUMN locale TEXT'
+      ];
+
+      for (const migration of localeMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Add template variables to announcements
+      const templateMigrations = [
+        'ALTER TABLE announcements ADD COLUMN template_id INTEGER',
+        'ALTER TABLE announcements ADD COLUMN template_variables TEXT'
+      ];
+
+      for (const migration of templateMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Snapshot translations and variables in revisions
+      const revisionMigrations = [
+        'ALTER TABLE announcement_revisions ADD COLUMN translations TEXT',
+        'ALTER TABLE announcement_revisions ADD COLUMN template_variables TEXT'
+      ];
+
+      for (const migration of revisionMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Tracked links per channel
+      const trackedLinkChannelMigrations = [
+        'ALTER TABLE tracked_links ADD COLUMN channel_id INTEGER',
+        'CREATE INDEX IF NOT EXISTS idx_tracked_links_announcement_channel ON tracked_links(announcement_id, channel_id)'
+      ];
+
+      for (const migration of trackedLinkChannelMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: UTM templates on campaigns and all UTM fields on links
+      const utmMigrations = [
+        'ALTER TABLE campaigns ADD COLUMN utm_template TEXT',
+        'ALTER TABLE tracked_links ADD COLUMN utm_term TEXT',
+        'ALTER TABLE tracked_links ADD COLUMN utm_content TEXT',
+        'ALTER TABLE tracked_links ADD COLUMN extra_params TEXT'
+      ];
+
+      for (const migration of utmMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Flag clicks and views from bots and crawlers
+      const botFilterMigrations = [
+        'ALTER TABLE link_clicks ADD COLUMN is_suspicious INTEGER DEFAULT 0',
+        'ALTER TABLE link_clicks ADD COLUMN suspicious_reason TEXT',
+        'ALTER TABLE pixel_views ADD COLUMN is_suspicious INTEGER DEFAULT 0',
+        'ALTER TABLE pixel_views ADD COLUMN suspicious_reason TEXT',
+        'CREATE INDEX IF NOT EXISTS idx_link_clicks_link_ip ON link_clicks(link_id, ip_address, clicked_at)'
+      ];
+
+      for (const migration of botFilterMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Region, ASN and ISP from the GeoIP databases
+      const geoipMigrations = [
+        'ALTER TABLE link_clicks ADD COLUMN region TEXT',
+        'ALTER TABLE link_clicks ADD COLUMN asn INTEGER',
+        'ALTER TABLE link_clicks ADD COLUMN isp TEXT',
+        'ALTER TABLE pixel_views ADD COLUMN region TEXT',
+        'ALTER TABLE pixel_views ADD COLUMN asn INTEGER',
+        'ALTER TABLE pixel_views ADD COLUMN isp TEXT'
+      ];
+
+      for (const migration of geoipMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Mark clicks and views whose addresses have been anonymized, and
+      // keep a keyed hash of the full address to spot repeated clicks
+      const privacyMigrations = [
+        'ALTER TABLE link_clicks ADD COLUMN is_anonymized INTEGER DEFAULT 0',
+        'ALTER TABLE pixel_views ADD COLUMN is_anonymized INTEGER DEFAULT 0',
+        'ALTER TABLE link_clicks ADD COLUMN ip_hash TEXT',
+        'CREATE INDEX IF NOT EXISTS idx_link_clicks_link_ip_hash ON link_clicks(link_id, ip_hash, clicked_at)'
+      ];
+
+      for (const migration of privacyMigrations) {
+        try {
+          db.exec(migration);
+          console.log('Migration applied:', migration);
+        } catch (e) {
+          // Column already exists, ignore
+        }
+      }
+
+      // Migration: Rebuild announcements when the status list has changed
+      try {
+        if (migrateSqliteCheck('announcements', 'status', ANNOUNCEMENT_STATUS_CHECK)) {
+          console.log('Migration applied: announcements status constraint rebuilt');
+        }
+      } catch (e) {
+        console.error('Failed to migrate announcements status constraint:', e.message);
+      }
+
+      // Migration: Rebuild notifications when the type list has changed
+      try {
+        if (migrateSqliteCheck('notifications', 'type', NOTIFICATION_TYPE_CHECK)) {
+          console.log('Migration applied: notifications type constraint rebuilt');
+        }
+      } catch (e) {
+        console.error('Failed to migrate notifications type constraint:', e.message);
+      }
+
       console.log('Migrations complete.');
 
+      // Migration: Re-key viewer hashes stored before they were keyed
+      try {
+        const salt = crypto.randomBytes(32).toString('hex');
+        const legacy = db.prepare(`SELECT DISTINCT viewer_hash FROM pixel_views WHERE ${LEGACY_VIEWER_HASH}`).all();
+        const rekey = db.prepare('UPDATE pixel_views SET viewer_hash = ? WHERE viewer_hash = ?');
+        db.transaction(() => {
+          for (const row of legacy) {
+            rekey.run(rekeyViewerHash(salt, row.viewer_hash), row.viewer_hash);
+          }
+        })();
+        if (legacy.length > 0) {
+          console.log(`Migration applied: ${legacy.length} legacy viewer hashes re-keyed`);
+        }
+      } catch (e) {
+        console.error('Failed to re-key legacy viewer hashes:', e.message);
+      }
+
       // Migration: Update admin email from admin@xbo.com to ido@xbo.com
       try {
         db.prepare('UPDATE users SET email = ? WHERE email = ?').run('ido@xbo.com', 'admin@xbo.com');
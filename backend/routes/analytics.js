@@ -1,9 +1,23 @@
 const express = require('express');
 const { pool, USE_POSTGRES } = require('../models/database');
 const { authenticate, logActivity } = require('../middleware/auth');
+const { normalizeUtmTemplate, parseUtmTemplate } = require('../utils/utm');
+const { genuineOnly, describeReason } = require('../utils/botFilter');
+const { getPrivacyMode, getPrivacySettings, displayIp, clickVisitor } = require('../utils/privacy');
 
 const router = express.Router();
 
+// Clicks and views flagged as bots or crawlers are left out unless the request
+// asks for them with ?include_suspicious=true
+const includesSuspicious = (req) => req.query.include_suspicious === 'true';
+
+// Flagged views to add to announcement_targets.views, which only counts genuine
+// ones, so views and CTR take in the same traffic as the clicks. condition picks
+// the pixel_views (aliased pv) that belong to the row.
+const flaggedViews = (includeSuspicious, condition) => (includeSuspicious
+  ? `(SELECT COUNT(*) FROM pixel_views pv WHERE ${condition} AND COALESCE(pv.is_suspicious, 0) = 1)`
+  : '0');
+
 // ==================== CAMPAIGNS ====================
 
 // Get all campaigns
@@ -14,20 +28,22 @@ router.get('/campaigns', authenticate, async (req, res) => {
         c.*,
         u.name as created_by_name,
         (SELECT COUNT(*) FROM announcements WHERE campaign_id = c.id) as announcement_count,
-        (SELECT COUNT(*) FROM announcements WHERE campaign_id = c.id AND status = 'sent') as sent_count
+        (SELECT COUNT(*) FROM announcements WHERE campaign_id = c.id AND status IN ('sent', 'partial', 'unsent')) as sent_count
       FROM campaigns c
       LEFT JOIN users u ON c.created_by = u.id
       ORDER BY c.created_at DESC
     `);
 
-    res.json({ campaigns: result.rows });
+    const campaigns = result.rows.map(c => ({ ...c, utm_template: parseUtmTemplate(c.utm_template) }));
+
+    res.json({ campaigns });
   } catch (error) {
     console.error('Error fetching campaigns:', error);
     res.status(500).json({ error: 'Failed to fetch campaigns' });
   }
 });
 
-// Create campaign
+// Create campaign. utm_template sets the UTM fields and extra params of its links.
 router.post('/campaigns', authenticate, async (req, res) => {
   try {
     const { name, description } = req.body;
@@ -36,16 +52,23 @@ router.post('/campaigns', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Campaign name required' });
     }
 
+    let utmTemplate;
+    try {
+      utmTemplate = normalizeUtmTemplate(req.body.utm_template);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
     const result = await pool.query(
-      'INSERT INTO campaigns (name, description, created_by) VALUES ($1, $2, $3) RETURNING id',
-      [name, description || null, req.user.id]
+      'INSERT INTO campaigns (name, description, created_by, utm_template) VALUES ($1, $2, $3, $4) RETURNING id',
+      [name, description || null, req.user.id, utmTemplate]
     );
 
     await logActivity(req.user.id, 'campaign_created', { campaign_id: result.rows[0].id, name });
 
     res.status(201).json({
       message: 'Campaign created',
-      campaign: { id: result.rows[0].id, name, description }
+      campaign: { id: result.rows[0].id, name, description, utm_template: parseUtmTemplate(utmTemplate) }
     });
   } catch (error) {
     console.error('Error creating campaign:', error);
@@ -66,9 +89,19 @@ router.put('/campaigns/:id', authenticate, async (req, res) => {
 
     const campaign = campaignResult.rows[0];
 
+    // Links already created keep the UTM values they were made with
+    let utmTemplate = campaign.utm_template;
+    if (req.body.utm_template !== undefined) {
+      try {
+        utmTemplate = normalizeUtmTemplate(req.body.utm_template);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
     await pool.query(
-      'UPDATE campaigns SET name = $1, description = $2 WHERE id = $3',
-      [name || campaign.name, description !== undefined ? description : campaign.description, id]
+      'UPDATE campaigns SET name = $1, description = $2, utm_template = $3 WHERE id = $4',
+      [name || campaign.name, description !== undefined ? description : campaign.description, utmTemplate, id]
     );
 
     res.json({ message: 'Campaign updated' });
@@ -83,8 +116,9 @@ router.delete('/campaigns/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Set announcements to no campaign
+    // Set announcements and templates to no campaign
     await pool.query('UPDATE announcements SET campaign_id = NULL WHERE campaign_id = $1', [id]);
+    await pool.query('UPDATE announcement_templates SET campaign_id = NULL WHERE campaign_id = $1', [id]);
     await pool.query('DELETE FROM campaigns WHERE id = $1', [id]);
 
     res.json({ message: 'Campaign deleted' });
@@ -99,12 +133,25 @@ router.delete('/campaigns/:id', authenticate, async (req, res) => {
 // Dashboard overview
 router.get('/analytics/overview', authenticate, async (req, res) => {
   try {
+    const includeSuspicious = includesSuspicious(req);
+    const clickFilter = genuineOnly('lc', includeSuspicious);
     const totalAnnouncements = await pool.query('SELECT COUNT(*) as count FROM announcements');
-    const sentAnnouncements = await pool.query('SELECT COUNT(*) as count FROM announcements WHERE status = $1', ['sent']);
+    const sentAnnouncements = await pool.query("SELECT COUNT(*) as count FROM announcements WHERE status IN ('sent', 'partial', 'unsent')");
     const scheduledAnnouncements = await pool.query('SELECT COUNT(*) as count FROM announcements WHERE status = $1', ['scheduled']);
     const totalChannels = await pool.query('SELECT COUNT(*) as count FROM channels WHERE is_active = 1');
-    const totalClicks = await pool.query('SELECT COUNT(*) as count FROM link_clicks');
-    const totalViews = await pool.query('SELECT COALESCE(SUM(views), 0) as sum FROM announcement_targets');
+    const totalClicks = await pool.query(`SELECT COUNT(*) as count FROM link_clicks lc WHERE ${clickFilter}`);
+    // Clicks and views flagged as bots or crawlers, whether or not they're counted
+    const suspicious = await pool.query(`
+      SELECT (SELECT COUNT(*) FROM link_clicks WHERE is_suspicious = 1) as clicks,
+             (SELECT COUNT(*) FROM pixel_views WHERE is_suspicious = 1) as views
+    `);
+    const totalViews = await pool.query(
+      `SELECT (SELECT COALESCE(SUM(views), 0) FROM announcement_targets) + ${flaggedViews(includeSuspicious, '1 = 1')} as sum`
+    );
+    // Views and forwards counted by Telegram itself, where they have been collected
+    const telegramViews = await pool.query(
+      'SELECT COALESCE(SUM(telegram_views), 0) as views, COALESCE(SUM(telegram_forwards), 0) as forwards FROM announcement_targets'
+    );
 
     const stats = {
       total_announcements: parseInt(totalAnnouncements.rows[0].count) || 0,
@@ -112,16 +159,21 @@ router.get('/analytics/overview', authenticate, async (req, res) => {
       scheduled_announcements: parseInt(scheduledAnnouncements.rows[0].count) || 0,
       total_channels: parseInt(totalChannels.rows[0].count) || 0,
       total_clicks: parseInt(totalClicks.rows[0].count) || 0,
-      total_views: parseInt(totalViews.rows[0].sum) || 0
+      total_views: parseInt(totalViews.rows[0].sum) || 0,
+      total_telegram_views: parseInt(telegramViews.rows[0].views) || 0,
+      total_forwards: parseInt(telegramViews.rows[0].forwards) || 0,
+      suspicious_clicks: parseInt(suspicious.rows[0].clicks) || 0,
+      suspicious_views: parseInt(suspicious.rows[0].views) || 0
     };
 
     // Recent activity
     const recentResult = await pool.query(`
       SELECT a.id, a.title, a.status, a.sent_at, a.created_at,
-             (SELECT COALESCE(SUM(views), 0) FROM announcement_targets WHERE announcement_id = a.id) as views,
+             (SELECT COALESCE(SUM(views), 0) FROM announcement_targets WHERE announcement_id = a.id)
+               + ${flaggedViews(includeSuspicious, 'pv.announcement_id = a.id')} as views,
              (SELECT COUNT(*) FROM link_clicks lc
               JOIN tracked_links tl ON lc.link_id = tl.id
-              WHERE tl.announcement_id = a.id) as clicks
+              WHERE tl.announcement_id = a.id AND ${clickFilter}) as clicks
       FROM announcements a
       ORDER BY COALESCE(a.sent_at, a.created_at) DESC
       LIMIT 5
@@ -139,8 +191,8 @@ router.get('/analytics/overview', authenticate, async (req, res) => {
     if (USE_POSTGRES) {
       clicksTimelineQuery = `
         SELECT DATE(clicked_at) as date, COUNT(*) as clicks
-        FROM link_clicks
-        WHERE clicked_at >= CURRENT_DATE - INTERVAL '7 days'
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= CURRENT_DATE - INTERVAL '7 days'
         GROUP BY DATE(clicked_at)
         ORDER BY date
       `;
@@ -148,8 +200,8 @@ router.get('/analytics/overview', authenticate, async (req, res) => {
       // SQLite syntax
       clicksTimelineQuery = `
         SELECT DATE(clicked_at) as date, COUNT(*) as clicks
-        FROM link_clicks
-        WHERE clicked_at >= date('now', '-7 days')
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= date('now', '-7 days')
         GROUP BY DATE(clicked_at)
         ORDER BY date
       `;
@@ -167,13 +219,13 @@ router.get('/analytics/overview', authenticate, async (req, res) => {
     const topResult = await pool.query(`
       SELECT
         a.id, a.title,
-        COALESCE(SUM(at.views), 0) as views,
+        COALESCE(SUM(at.views), 0) + ${flaggedViews(includeSuspicious, 'pv.announcement_id = a.id')} as views,
         (SELECT COUNT(*) FROM link_clicks lc
          JOIN tracked_links tl ON lc.link_id = tl.id
-         WHERE tl.announcement_id = a.id) as clicks
+         WHERE tl.announcement_id = a.id AND ${clickFilter}) as clicks
       FROM announcements a
       LEFT JOIN announcement_targets at ON a.id = at.announcement_id
-      WHERE a.status = 'sent'
+      WHERE a.status IN ('sent', 'partial', 'unsent')
       GROUP BY a.id
       ORDER BY clicks DESC
       LIMIT 5
@@ -201,23 +253,27 @@ router.get('/analytics/overview', authenticate, async (req, res) => {
 // Detailed analytics for date range
 router.get('/analytics/detailed', authenticate, async (req, res) => {
   try {
+    const includeSuspicious = includesSuspicious(req);
+    const clickFilter = genuineOnly('lc', includeSuspicious);
     const { start_date, end_date, campaign_id } = req.query;
 
     let query = `
       SELECT
         a.id, a.title, a.sent_at,
         c.name as campaign_name,
-        COALESCE(SUM(at.views), 0) as views,
+        COALESCE(SUM(at.views), 0) + ${flaggedViews(includeSuspicious, 'pv.announcement_id = a.id')} as views,
+        SUM(at.telegram_views) as telegram_views,
+        SUM(at.telegram_forwards) as forwards,
         (SELECT COUNT(*) FROM link_clicks lc
          JOIN tracked_links tl ON lc.link_id = tl.id
-         WHERE tl.announcement_id = a.id) as clicks,
-        (SELECT COUNT(DISTINCT lc.ip_address) FROM link_clicks lc
+         WHERE tl.announcement_id = a.id AND ${clickFilter}) as clicks,
+        (SELECT COUNT(DISTINCT ${clickVisitor('lc')}) FROM link_clicks lc
          JOIN tracked_links tl ON lc.link_id = tl.id
-         WHERE tl.announcement_id = a.id) as unique_clicks
+         WHERE tl.announcement_id = a.id AND ${clickFilter}) as unique_clicks
       FROM announcements a
       LEFT JOIN announcement_targets at ON a.id = at.announcement_id
       LEFT JOIN campaigns c ON a.campaign_id = c.id
-      WHERE a.status = 'sent'
+      WHERE a.status IN ('sent', 'partial', 'unsent')
     `;
 
     const params = [];
@@ -252,20 +308,76 @@ router.get('/analytics/detailed', authenticate, async (req, res) => {
     const announcementsWithCTR = announcementsResult.rows.map(a => ({
       ...a,
       views: parseInt(a.views) || 0,
+      telegram_views: a.telegram_views === null ? null : parseInt(a.telegram_views) || 0,
+      forwards: a.forwards === null ? null : parseInt(a.forwards) || 0,
       clicks: parseInt(a.clicks) || 0,
       unique_clicks: parseInt(a.unique_clicks) || 0,
       ctr: parseInt(a.views) > 0 ? ((parseInt(a.clicks) / parseInt(a.views)) * 100).toFixed(2) : 0
     }));
 
+    // Performance per locale, across the same announcements. Channels that got
+    // an announcement itself count towards its default locale.
+    const locales = new Map();
+    const localeEntry = (locale) => {
+      const key = locale || 'default';
+      if (!locales.has(key)) {
+        locales.set(key, { locale: key, channels: 0, views: 0, telegram_views: 0, clicks: 0 });
+      }
+      return locales.get(key);
+    };
+
+    const announcementIds = announcementsResult.rows.map(a => a.id);
+    if (announcementIds.length > 0) {
+      const placeholders = announcementIds.map((_, i) => `$${i + 1}`).join(', ');
+
+      const localeTargetsResult = await pool.query(`
+        SELECT COALESCE(at.locale, a.default_locale) as locale, COUNT(*) as channels,
+               COALESCE(SUM(at.views + ${flaggedViews(includeSuspicious, 'pv.announcement_id = at.announcement_id AND pv.channel_id = at.channel_id')}), 0) as views,
+               COALESCE(SUM(at.telegram_views), 0) as telegram_views
+        FROM announcement_targets at
+        JOIN announcements a ON at.announcement_id = a.id
+        WHERE at.announcement_id IN (${placeholders}) AND at.telegram_message_id IS NOT NULL
+        GROUP BY COALESCE(at.locale, a.default_locale)
+      `, announcementIds);
+
+      const localeClicksResult = await pool.query(`
+        SELECT COALESCE(tl.locale, a.default_locale) as locale, COUNT(lc.id) as clicks
+        FROM tracked_links tl
+        JOIN announcements a ON tl.announcement_id = a.id
+        JOIN link_clicks lc ON lc.link_id = tl.id
+        WHERE tl.announcement_id IN (${placeholders}) AND COALESCE(tl.is_test, 0) = 0 AND ${clickFilter}
+        GROUP BY COALESCE(tl.locale, a.default_locale)
+      `, announcementIds);
+
+      for (const row of localeTargetsResult.rows) {
+        Object.assign(localeEntry(row.locale), {
+          channels: parseInt(row.channels) || 0,
+          views: parseInt(row.views) || 0,
+          telegram_views: parseInt(row.telegram_views) || 0
+        });
+      }
+      for (const row of localeClicksResult.rows) {
+        localeEntry(row.locale).clicks = parseInt(row.clicks) || 0;
+      }
+    }
+
+    const localesWithCTR = [...locales.values()]
+      .map(l => ({ ...l, ctr: l.views > 0 ? ((l.clicks / l.views) * 100).toFixed(2) : 0 }))
+      .sort((a, b) => b.views - a.views || a.locale.localeCompare(b.locale));
+
     // Channel performance
     const channelsResult = await pool.query(`
       SELECT
         ch.id, ch.title, ch.member_count,
         COUNT(DISTINCT at.announcement_id) as announcements_received,
-        COALESCE(SUM(at.views), 0) as total_views
+        COALESCE(SUM(at.views), 0) + ${flaggedViews(includeSuspicious, 'pv.channel_id = ch.id')} as total_views,
+        COALESCE(SUM(at.telegram_views), 0) as total_telegram_views,
+        (SELECT COUNT(*) FROM link_clicks lc
+         JOIN tracked_links tl ON lc.link_id = tl.id
+         WHERE tl.channel_id = ch.id AND COALESCE(tl.is_test, 0) = 0 AND ${clickFilter}) as link_clicks
       FROM channels ch
       LEFT JOIN announcement_targets at ON ch.id = at.channel_id
-      LEFT JOIN announcements a ON at.announcement_id = a.id AND a.status = 'sent'
+      LEFT JOIN announcements a ON at.announcement_id = a.id AND a.status IN ('sent', 'partial', 'unsent')
       WHERE ch.is_active = 1
       GROUP BY ch.id
       ORDER BY total_views DESC
@@ -276,10 +388,13 @@ router.get('/analytics/detailed', authenticate, async (req, res) => {
       ...ch,
       member_count: parseInt(ch.member_count) || 0,
       announcements_received: parseInt(ch.announcements_received) || 0,
-      total_views: parseInt(ch.total_views) || 0
+      total_views: parseInt(ch.total_views) || 0,
+      total_telegram_views: parseInt(ch.total_telegram_views) || 0,
+      link_clicks: parseInt(ch.link_clicks) || 0,
+      ctr: parseInt(ch.total_views) > 0 ? ((parseInt(ch.link_clicks) / parseInt(ch.total_views)) * 100).toFixed(2) : 0
     }));
 
-    res.json({ announcements: announcementsWithCTR, channels: channelsWithNumbers });
+    res.json({ announcements: announcementsWithCTR, channels: channelsWithNumbers, locales: localesWithCTR });
   } catch (error) {
     console.error('Error fetching detailed analytics:', error);
     res.status(500).json({ error: 'Failed to fetch analytics' });
@@ -314,6 +429,7 @@ router.get('/analytics/activity', authenticate, async (req, res) => {
 // Get detailed click data
 router.get('/analytics/clicks', authenticate, async (req, res) => {
   try {
+    const clickFilter = genuineOnly('lc', includesSuspicious(req));
     const { announcement_id, start_date, end_date, limit = 100, offset = 0 } = req.query;
 
     let query = `
@@ -321,10 +437,16 @@ router.get('/analytics/clicks', authenticate, async (req, res) => {
         lc.id,
         lc.ip_address,
         lc.country,
+        lc.region,
         lc.city,
+        lc.isp,
+        lc.asn,
         lc.device_type,
         lc.browser,
         lc.clicked_at,
+        lc.is_suspicious,
+        lc.suspicious_reason,
+        lc.is_anonymized,
         tl.original_url,
         tl.short_code,
         a.title as announcement_title,
@@ -332,7 +454,7 @@ router.get('/analytics/clicks', authenticate, async (req, res) => {
       FROM link_clicks lc
       JOIN tracked_links tl ON lc.link_id = tl.id
       LEFT JOIN announcements a ON tl.announcement_id = a.id
-      WHERE 1=1
+      WHERE ${clickFilter}
     `;
 
     const params = [];
@@ -365,7 +487,7 @@ router.get('/analytics/clicks', authenticate, async (req, res) => {
       SELECT COUNT(*) as total
       FROM link_clicks lc
       JOIN tracked_links tl ON lc.link_id = tl.id
-      WHERE 1=1
+      WHERE ${clickFilter}
     `;
     const countParams = [];
     let countParamIndex = 1;
@@ -390,10 +512,11 @@ router.get('/analytics/clicks', authenticate, async (req, res) => {
     const countResult = await pool.query(countQuery, countParams);
 
     res.json({
-      clicks: result.rows,
+      clicks: result.rows.map(c => ({ ...c, ip_address: displayIp(c), suspicious_label: describeReason(c.suspicious_reason) })),
       total: parseInt(countResult.rows[0].total) || 0,
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      privacy: getPrivacySettings()
     });
   } catch (error) {
     console.error('Error fetching click details:', error);
@@ -404,6 +527,7 @@ router.get('/analytics/clicks', authenticate, async (req, res) => {
 // Get pixel view details
 router.get('/analytics/views', authenticate, async (req, res) => {
   try {
+    const viewFilter = genuineOnly('pv', includesSuspicious(req));
     const { announcement_id, start_date, end_date, limit = 100, offset = 0 } = req.query;
 
     let query = `
@@ -411,17 +535,23 @@ router.get('/analytics/views', authenticate, async (req, res) => {
         pv.id,
         pv.ip_address,
         pv.country,
+        pv.region,
         pv.city,
+        pv.isp,
+        pv.asn,
         pv.device_type,
         pv.browser,
         pv.viewed_at,
+        pv.is_suspicious,
+        pv.suspicious_reason,
+        pv.is_anonymized,
         a.title as announcement_title,
         a.id as announcement_id,
         ch.title as channel_title
       FROM pixel_views pv
       LEFT JOIN announcements a ON pv.announcement_id = a.id
       LEFT JOIN channels ch ON pv.channel_id = ch.id
-      WHERE 1=1
+      WHERE ${viewFilter}
     `;
 
     const params = [];
@@ -450,7 +580,7 @@ router.get('/analytics/views', authenticate, async (req, res) => {
     const result = await pool.query(query, params);
 
     // Get total count
-    let countQuery = `SELECT COUNT(*) as total FROM pixel_views pv WHERE 1=1`;
+    let countQuery = `SELECT COUNT(*) as total FROM pixel_views pv WHERE ${viewFilter}`;
     const countParams = [];
     let countParamIndex = 1;
 
@@ -474,10 +604,11 @@ router.get('/analytics/views', authenticate, async (req, res) => {
     const countResult = await pool.query(countQuery, countParams);
 
     res.json({
-      views: result.rows,
+      views: result.rows.map(v => ({ ...v, ip_address: displayIp(v), suspicious_label: describeReason(v.suspicious_reason) })),
       total: parseInt(countResult.rows[0].total) || 0,
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      privacy: getPrivacySettings()
     });
   } catch (error) {
     console.error('Error fetching view details:', error);
@@ -572,8 +703,9 @@ router.get('/analytics/aggregated', authenticate, async (req, res) => {
     const { start_date, end_date } = req.query;
 
     // Build date filter for each query
-    let dateFilter = '';
-    let dateFilterViews = '';
+    const includeSuspicious = includesSuspicious(req);
+    let dateFilter = ` AND ${genuineOnly('lc', includeSuspicious)}`;
+    let dateFilterViews = ` AND ${genuineOnly('pv', includeSuspicious)}`;
     const params = [];
     let paramIndex = 1;
 
@@ -690,22 +822,28 @@ router.get('/analytics/aggregated', authenticate, async (req, res) => {
 // Export clicks to CSV
 router.get('/analytics/export/clicks', authenticate, async (req, res) => {
   try {
+    const clickFilter = genuineOnly('lc', includesSuspicious(req));
     const { start_date, end_date, announcement_id } = req.query;
 
     let query = `
       SELECT
         lc.ip_address,
         lc.country,
+        lc.region,
         lc.city,
+        lc.isp,
+        lc.asn,
         lc.device_type,
         lc.browser,
         lc.clicked_at,
+        lc.suspicious_reason,
+        lc.is_anonymized,
         tl.original_url,
         a.title as announcement_title
       FROM link_clicks lc
       JOIN tracked_links tl ON lc.link_id = tl.id
       LEFT JOIN announcements a ON tl.announcement_id = a.id
-      WHERE 1=1
+      WHERE ${clickFilter}
     `;
 
     const params = [];
@@ -732,17 +870,22 @@ router.get('/analytics/export/clicks', authenticate, async (req, res) => {
 
     const result = await pool.query(query, params);
 
-    // Build CSV
-    const headers = ['IP Address', 'Country', 'City', 'Device', 'Browser', 'Time', 'URL', 'Announcement'];
+    // Build CSV. In privacy mode addresses are only exported anonymized.
+    const ipHeader = getPrivacyMode() === 'off' ? 'IP Address' : 'IP Address (anonymized)';
+    const headers = [ipHeader, 'Country', 'Region', 'City', 'ISP', 'ASN', 'Device', 'Browser', 'Time', 'URL', 'Announcement', 'Flagged As'];
     const rows = result.rows.map(r => [
-      r.ip_address || '',
+      displayIp(r) || '',
       r.country || '',
+      r.region || '',
       r.city || '',
+      r.isp || '',
+      r.asn || '',
       r.device_type || '',
       r.browser || '',
       r.clicked_at ? new Date(r.clicked_at).toISOString() : '',
       r.original_url || '',
-      r.announcement_title || ''
+      r.announcement_title || '',
+      describeReason(r.suspicious_reason) || ''
     ]);
 
     const csv = [headers.join(','), ...rows.map(r => r.map(v => `"${String(v).replace(/"/g, '""')}"`).join(','))].join('\n');
@@ -763,6 +906,7 @@ router.get('/analytics/export/clicks', authenticate, async (req, res) => {
 // Get best time to send analysis
 router.get('/analytics/insights/best-time', authenticate, async (req, res) => {
   try {
+    const clickFilter = genuineOnly('lc', includesSuspicious(req));
     // Get clicks by day of week and hour
     let heatmapQuery;
     if (USE_POSTGRES) {
@@ -771,8 +915,8 @@ router.get('/analytics/insights/best-time', authenticate, async (req, res) => {
           EXTRACT(DOW FROM clicked_at) as day_of_week,
           EXTRACT(HOUR FROM clicked_at) as hour,
           COUNT(*) as count
-        FROM link_clicks
-        WHERE clicked_at >= CURRENT_DATE - INTERVAL '30 days'
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= CURRENT_DATE - INTERVAL '30 days'
         GROUP BY EXTRACT(DOW FROM clicked_at), EXTRACT(HOUR FROM clicked_at)
         ORDER BY day_of_week, hour
       `;
@@ -782,8 +926,8 @@ router.get('/analytics/insights/best-time', authenticate, async (req, res) => {
           strftime('%w', clicked_at) as day_of_week,
           strftime('%H', clicked_at) as hour,
           COUNT(*) as count
-        FROM link_clicks
-        WHERE clicked_at >= date('now', '-30 days')
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= date('now', '-30 days')
         GROUP BY strftime('%w', clicked_at), strftime('%H', clicked_at)
         ORDER BY day_of_week, hour
       `;
@@ -879,22 +1023,27 @@ router.get('/analytics/insights/best-time', authenticate, async (req, res) => {
 // Get campaign performance comparison
 router.get('/analytics/insights/campaigns', authenticate, async (req, res) => {
   try {
+    const includeSuspicious = includesSuspicious(req);
+    const clickFilter = genuineOnly('lc', includeSuspicious);
     const campaignsQuery = `
       SELECT
         c.id,
         c.name,
         COUNT(DISTINCT a.id) as total_announcements,
-        COALESCE(SUM(at.views), 0) as total_views,
+        COALESCE(SUM(at.views), 0) + ${flaggedViews(includeSuspicious, `pv.announcement_id IN (
+          SELECT ann.id FROM announcements ann
+          WHERE ann.campaign_id = c.id AND ann.status IN ('sent', 'partial', 'unsent')
+        )`)} as total_views,
         (SELECT COUNT(*) FROM link_clicks lc
          JOIN tracked_links tl ON lc.link_id = tl.id
          JOIN announcements ann ON tl.announcement_id = ann.id
-         WHERE ann.campaign_id = c.id) as total_clicks,
-        (SELECT COUNT(DISTINCT lc.ip_address) FROM link_clicks lc
+         WHERE ann.campaign_id = c.id AND ${clickFilter}) as total_clicks,
+        (SELECT COUNT(DISTINCT ${clickVisitor('lc')}) FROM link_clicks lc
          JOIN tracked_links tl ON lc.link_id = tl.id
          JOIN announcements ann ON tl.announcement_id = ann.id
-         WHERE ann.campaign_id = c.id) as unique_users
+         WHERE ann.campaign_id = c.id AND ${clickFilter}) as unique_users
       FROM campaigns c
-      LEFT JOIN announcements a ON c.id = a.campaign_id AND a.status = 'sent'
+      LEFT JOIN announcements a ON c.id = a.campaign_id AND a.status IN ('sent', 'partial', 'unsent')
       LEFT JOIN announcement_targets at ON a.id = at.announcement_id
       GROUP BY c.id, c.name
       ORDER BY total_clicks DESC
@@ -928,36 +1077,50 @@ router.get('/analytics/insights/campaigns', authenticate, async (req, res) => {
 // Get channel insights
 router.get('/analytics/insights/channels', authenticate, async (req, res) => {
   try {
+    const includeSuspicious = includesSuspicious(req);
+    const clickFilter = genuineOnly('lc', includeSuspicious);
     const channelsQuery = `
       SELECT
         ch.id,
         ch.title,
         ch.member_count,
         COUNT(DISTINCT at.announcement_id) as total_announcements,
-        COALESCE(SUM(at.views), 0) as total_views,
+        COALESCE(SUM(at.views), 0) + ${flaggedViews(includeSuspicious, 'pv.channel_id = ch.id')} as total_views,
         (SELECT COUNT(*) FROM button_clicks bc WHERE bc.channel_id = ch.id) as total_button_clicks,
-        (SELECT COUNT(DISTINCT bc.telegram_user_id) FROM button_clicks bc WHERE bc.channel_id = ch.id) as unique_users
+        (SELECT COUNT(DISTINCT bc.telegram_user_id) FROM button_clicks bc WHERE bc.channel_id = ch.id) as unique_users,
+        (SELECT COUNT(*) FROM link_clicks lc
+         JOIN tracked_links tl ON lc.link_id = tl.id
+         WHERE tl.channel_id = ch.id AND COALESCE(tl.is_test, 0) = 0 AND ${clickFilter}) as total_link_clicks
       FROM channels ch
       LEFT JOIN announcement_targets at ON ch.id = at.channel_id
-      LEFT JOIN announcements a ON at.announcement_id = a.id AND a.status = 'sent'
+      LEFT JOIN announcements a ON at.announcement_id = a.id AND a.status IN ('sent', 'partial', 'unsent')
       WHERE ch.is_active = 1
       GROUP BY ch.id, ch.title, ch.member_count
       ORDER BY total_button_clicks DESC
     `;
     const channelsResult = await pool.query(channelsQuery);
 
-    const channels = channelsResult.rows.map(c => ({
-      id: c.id,
-      title: c.title,
-      member_count: parseInt(c.member_count) || 0,
-      total_announcements: parseInt(c.total_announcements) || 0,
-      total_views: parseInt(c.total_views) || 0,
-      total_button_clicks: parseInt(c.total_button_clicks) || 0,
-      unique_users: parseInt(c.unique_users) || 0,
-      engagement_rate: parseInt(c.member_count) > 0
-        ? ((parseInt(c.unique_users) / parseInt(c.member_count)) * 100).toFixed(2)
-        : '0.00'
-    }));
+    // Link clicks count towards the channel whose tracked link was clicked
+    const channels = channelsResult.rows.map(c => {
+      const totalClicks = (parseInt(c.total_link_clicks) || 0) + (parseInt(c.total_button_clicks) || 0);
+      return {
+        id: c.id,
+        title: c.title,
+        member_count: parseInt(c.member_count) || 0,
+        total_announcements: parseInt(c.total_announcements) || 0,
+        total_views: parseInt(c.total_views) || 0,
+        total_link_clicks: parseInt(c.total_link_clicks) || 0,
+        total_button_clicks: parseInt(c.total_button_clicks) || 0,
+        total_clicks: totalClicks,
+        unique_users: parseInt(c.unique_users) || 0,
+        ctr: parseInt(c.total_views) > 0
+          ? ((totalClicks / parseInt(c.total_views)) * 100).toFixed(2)
+          : '0.00',
+        engagement_rate: parseInt(c.member_count) > 0
+          ? ((parseInt(c.unique_users) / parseInt(c.member_count)) * 100).toFixed(2)
+          : '0.00'
+      };
+    });
 
     // Rank by engagement
     const rankedChannels = [...channels].sort((a, b) =>
@@ -1038,6 +1201,7 @@ router.get('/analytics/user/:telegramUserId', authenticate, async (req, res) =>
 // Get smart recommendations
 router.get('/analytics/insights/recommendations', authenticate, async (req, res) => {
   try {
+    const clickFilter = genuineOnly('lc', includesSuspicious(req));
     const recommendations = [];
 
     // Best time recommendation
@@ -1048,8 +1212,8 @@ router.get('/analytics/insights/recommendations', authenticate, async (req, res)
           EXTRACT(DOW FROM clicked_at) as day_of_week,
           EXTRACT(HOUR FROM clicked_at) as hour,
           COUNT(*) as count
-        FROM link_clicks
-        WHERE clicked_at >= CURRENT_DATE - INTERVAL '30 days'
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= CURRENT_DATE - INTERVAL '30 days'
         GROUP BY EXTRACT(DOW FROM clicked_at), EXTRACT(HOUR FROM clicked_at)
         ORDER BY count DESC
         LIMIT 1
@@ -1060,8 +1224,8 @@ router.get('/analytics/insights/recommendations', authenticate, async (req, res)
           strftime('%w', clicked_at) as day_of_week,
           strftime('%H', clicked_at) as hour,
           COUNT(*) as count
-        FROM link_clicks
-        WHERE clicked_at >= date('now', '-30 days')
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= date('now', '-30 days')
         GROUP BY strftime('%w', clicked_at), strftime('%H', clicked_at)
         ORDER BY count DESC
         LIMIT 1
@@ -1084,8 +1248,8 @@ router.get('/analytics/insights/recommendations', authenticate, async (req, res)
     // Country comparison
     const countryQuery = `
       SELECT country, COUNT(*) as count
-      FROM link_clicks
-      WHERE country IS NOT NULL AND country != 'Unknown'
+      FROM link_clicks lc
+      WHERE ${clickFilter} AND country IS NOT NULL AND country != 'Unknown'
       GROUP BY country
       ORDER BY count DESC
       LIMIT 5
@@ -1108,8 +1272,8 @@ router.get('/analytics/insights/recommendations', authenticate, async (req, res)
     // Device comparison
     const deviceQuery = `
       SELECT device_type, COUNT(*) as count
-      FROM link_clicks
-      WHERE device_type IS NOT NULL
+      FROM link_clicks lc
+      WHERE ${clickFilter} AND device_type IS NOT NULL
       GROUP BY device_type
       ORDER BY count DESC
     `;
@@ -1176,8 +1340,8 @@ router.get('/analytics/insights/recommendations', authenticate, async (req, res)
         SELECT
           DATE(clicked_at) as date,
           COUNT(*) as count
-        FROM link_clicks
-        WHERE clicked_at >= CURRENT_DATE - INTERVAL '14 days'
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= CURRENT_DATE - INTERVAL '14 days'
         GROUP BY DATE(clicked_at)
         ORDER BY date
       `;
@@ -1186,8 +1350,8 @@ router.get('/analytics/insights/recommendations', authenticate, async (req, res)
         SELECT
           DATE(clicked_at) as date,
           COUNT(*) as count
-        FROM link_clicks
-        WHERE clicked_at >= date('now', '-14 days')
+        FROM link_clicks lc
+        WHERE ${clickFilter} AND clicked_at >= date('now', '-14 days')
         GROUP BY DATE(clicked_at)
         ORDER BY date
       `;
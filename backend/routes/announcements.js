@@ -1,15 +1,178 @@
 const express = require('express');
 const { pool } = require('../models/database');
-const { authenticate, logActivity } = require('../middleware/auth');
-const { sendAnnouncement } = require('../utils/telegram');
-const { processContentLinks, getLinkStats, getClickTimeline } = require('../utils/linkTracker');
+const { authenticate, logActivity, requirePermission } = require('../middleware/auth');
+const { getLinkStats, getClickTimeline } = require('../utils/linkTracker');
+const { dispatchAnnouncement, getPendingTargets, scheduleTargetsLocally, sendTestCopy } = require('../utils/dispatcher');
+const { getDeliveryHistory } = require('../utils/sendQueue');
+const { parseLocalDateTime } = require('../utils/timezone');
+const { editLiveAnnouncement, unsendAnnouncement, normalizeExpiry } = require('../utils/liveMessages');
+const { recordRevision, getRevisions, getRevision } = require('../utils/revisions');
+const { buildPreview } = require('../utils/preview');
+const { normalizeRecurrence, saveSchedule, getSchedule, setSchedulePaused } = require('../utils/recurrence');
+const { parseButtons } = require('../utils/buttons');
+const { genuineOnly } = require('../utils/botFilter');
+const { normalizeMessageOptions } = require('../utils/messageOptions');
+const { collectTelegramViews, getViewTimeline } = require('../utils/viewCollector');
+const {
+  normalizeLocale,
+  normalizeTranslations,
+  applyTranslation,
+  getTranslations,
+  saveTranslations,
+  copyTranslations,
+  getLocaleResults
+} = require('../utils/translations');
+const { createNotification } = require('./notifications');
+const {
+  REVIEW_ACTIONS,
+  isApprover,
+  approveAnnouncement,
+  addReview,
+  getReviews,
+  notifyApprovers
+} = require('../utils/approvals');
+const { normalizeAbTest, getAbTest, saveAbTest, deleteAbTest, copyAbTest } = require('../utils/abTests');
+const { parseVariables, normalizeVariables, renderVariables, getSampleChannel } = require('../utils/templates');
+const {
+  normalizeAudienceIds,
+  getAudienceChannels,
+  getAudiences,
+  saveAudiences,
+  copyAudiences,
+  resolveAudiences,
+  resetAudiences
+} = require('../utils/audiences');
+const {
+  getAnnouncementMedia,
+  saveAnnouncementMedia,
+  copyAnnouncementMedia,
+  getMessageMedia,
+  normalizeMedia,
+  getMessageError,
+  getLiveEditError,
+  isSameMedia
+} = require('../utils/media');
 
 const router = express.Router();
 
+// Check an A/B test from a create or update request against the announcement it
+// varies. Returns { abTest } or { error } with a message for a 400 response.
+const validateAbTest = (input, { image_url, media, channelCount, recurring }) => {
+  let abTest;
+  try {
+    abTest = normalizeAbTest(input);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  if (recurring) {
+    return { error: "Recurring announcements can't be A/B tested" };
+  }
+
+  const variantCount = abTest.variants.length + 1;
+  if (channelCount < variantCount + 1) {
+    return { error: `Testing ${variantCount} variants needs at least ${variantCount + 1} channels: one per variant and one for the winner` };
+  }
+
+  for (const variant of abTest.variants) {
+    const messageError = getMessageError({ content: variant.content, image_url, media, buttons: variant.buttons });
+    if (messageError) {
+      return { error: `Variant ${variant.label}: ${messageError}` };
+    }
+  }
+
+  return { abTest };
+};
+
+// Check translations from a create or update request against the announcement
+// they translate ({ content, image_url, media, buttons }). A/B tests and
+// translations don't mix. Returns { translations } or { error } with a message
+// for a 400 response.
+const validateTranslations = (input, { announcement, defaultLocale, abTested }) => {
+  let translations;
+  try {
+    translations = normalizeTranslations(input, defaultLocale);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  if (translations.length > 0 && abTested) {
+    return { error: "A/B tested announcements can't be translated, each channel gets a single variant" };
+  }
+
+  for (const translation of translations) {
+    const messageError = getMessageError(applyTranslation(announcement, translation));
+    if (messageError) {
+      return { error: `${translation.locale} translation: ${messageError}` };
+    }
+  }
+
+  return { translations };
+};
+
+// Check the values for the template variables used by the announcement
+// ({ content, image_url, media, buttons }), its translations and its A/B test
+// variants. Returns { variables } (JSON to store, or null) or { error } with a
+// message for a 400 response.
+const validateVariables = (input, { announcement, translations = [], abTest = null }) => {
+  let variables;
+  try {
+    variables = normalizeVariables(input, [announcement, ...translations, ...(abTest ? abTest.variants : [])]);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // Filled in values can bring their own formatting
+  if (variables) {
+    const messageError = getMessageError(renderVariables({ ...announcement, template_variables: variables }));
+    if (messageError) {
+      return { error: messageError };
+    }
+  }
+
+  return { variables };
+};
+
+// The template an announcement was made from, checked to exist. Returns
+// { templateId } or { error } with a message for a 400 response.
+const validateTemplateId = async (templateId) => {
+  if (!templateId) {
+    return { templateId: null };
+  }
+  const result = await pool.query('SELECT id FROM announcement_templates WHERE id = $1', [templateId]);
+  if (result.rows.length === 0) {
+    return { error: 'Template not found' };
+  }
+  return { templateId: result.rows[0].id };
+};
+
+// The revision an update restores, from restored_from in the body, when it's one of
+// the announcement's. Returns its id, or null.
+const getRestoredFrom = async (announcementId, body) => {
+  if (!body.restored_from) return null;
+  const revision = await getRevision(announcementId, body.restored_from);
+  return revision ? revision.id : null;
+};
+
+// Pin and expiry options from an update request, the stored ones where omitted
+const expiryInputFrom = (body, announcement) => ({
+  pin_message: body.pin_message !== undefined ? body.pin_message : Number(announcement.pin_message) === 1,
+  pin_notify: body.pin_notify !== undefined ? body.pin_notify : Number(announcement.pin_notify) === 1,
+  expires_at: body.expires_at !== undefined ? body.expires_at : announcement.expires_at,
+  expire_action: body.expire_action !== undefined ? body.expire_action : announcement.expire_action
+});
+
+// How many channels an announcement reaches: its own channels plus the ones its
+// groups and segments resolve to right now
+const countReach = async (channelIds, audiences) => {
+  const resolved = await getAudienceChannels(audiences);
+  return new Set([...channelIds.map(Number), ...resolved.keys()]).size;
+};
+
 // Get all announcements
 router.get('/', authenticate, async (req, res) => {
   try {
-    const { status, campaign_id, limit = 50, offset = 0 } = req.query;
+    const { status, campaign_id, parent_id, limit = 50, offset = 0 } = req.query;
 
     let query = `
       SELECT
@@ -17,19 +180,37 @@ router.get('/', authenticate, async (req, res) => {
         u.name as created_by_name,
         c.name as campaign_name,
         (SELECT COUNT(*) FROM announcement_targets WHERE announcement_id = a.id) as target_count,
+        (SELECT COUNT(*) FROM announcement_audiences WHERE announcement_id = a.id) as audience_count,
         (SELECT COALESCE(SUM(views), 0) FROM announcement_targets WHERE announcement_id = a.id) as total_views,
+        (SELECT SUM(telegram_views) FROM announcement_targets WHERE announcement_id = a.id) as total_telegram_views,
         (SELECT COUNT(*) FROM link_clicks lc
          JOIN tracked_links tl ON lc.link_id = tl.id
-         WHERE tl.announcement_id = a.id) as total_clicks,
-        (SELECT error FROM announcement_targets WHERE announcement_id = a.id AND error IS NOT NULL LIMIT 1) as last_error
+         WHERE tl.announcement_id = a.id AND ${genuineOnly('lc')}) as total_clicks,
+        (SELECT error FROM announcement_targets WHERE announcement_id = a.id AND error IS NOT NULL LIMIT 1) as last_error,
+        rs.rule_type as recurrence_rule_type,
+        rs.rule as recurrence_rule,
+        rs.timezone as recurrence_timezone,
+        rs.next_run_at as recurrence_next_run_at,
+        rs.is_paused as recurrence_paused,
+        rs.occurrence_count as recurrence_occurrence_count,
+        rs.max_occurrences as recurrence_max_occurrences
       FROM announcements a
       LEFT JOIN users u ON a.created_by = u.id
       LEFT JOIN campaigns c ON a.campaign_id = c.id
+      LEFT JOIN recurring_schedules rs ON rs.announcement_id = a.id
       WHERE 1=1
     `;
     const params = [];
     let paramIndex = 1;
 
+    // Occurrences of recurring announcements are listed under their template
+    if (parent_id) {
+      query += ` AND a.parent_id = $${paramIndex++}`;
+      params.push(parent_id);
+    } else {
+      query += ' AND a.parent_id IS NULL';
+    }
+
     if (status) {
       query += ` AND a.status = $${paramIndex++}`;
       params.push(status);
@@ -50,6 +231,13 @@ router.get('/', authenticate, async (req, res) => {
     const countParams = [];
     let countIndex = 1;
 
+    if (parent_id) {
+      countQuery += ` AND parent_id = $${countIndex++}`;
+      countParams.push(parent_id);
+    } else {
+      countQuery += ' AND parent_id IS NULL';
+    }
+
     if (status) {
       countQuery += ` AND status = $${countIndex++}`;
       countParams.push(status);
@@ -77,10 +265,16 @@ router.get('/:id', authenticate, async (req, res) => {
       SELECT
         a.*,
         u.name as created_by_name,
-        c.name as campaign_name
+        ap.name as approved_by_name,
+        c.name as campaign_name,
+        p.title as parent_title,
+        t.name as template_name
       FROM announcements a
       LEFT JOIN users u ON a.created_by = u.id
+      LEFT JOIN users ap ON a.approved_by = ap.id
       LEFT JOIN campaigns c ON a.campaign_id = c.id
+      LEFT JOIN announcements p ON a.parent_id = p.id
+      LEFT JOIN announcement_templates t ON a.template_id = t.id
       WHERE a.id = $1
     `, [id]);
 
@@ -88,28 +282,93 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Announcement not found' });
     }
 
+    // Get attachments
+    const media = await getAnnouncementMedia(id);
+
     // Get targets
     const targetsResult = await pool.query(`
       SELECT
         at.*,
         ch.title as channel_title,
-        ch.telegram_id
+        ch.telegram_id,
+        ch.timezone as channel_timezone,
+        g.name as group_name,
+        s.name as segment_name,
+        (SELECT COUNT(*) FROM link_clicks lc
+         JOIN tracked_links tl ON lc.link_id = tl.id
+         WHERE tl.announcement_id = at.announcement_id AND tl.channel_id = at.channel_id
+           AND COALESCE(tl.is_test, 0) = 0 AND ${genuineOnly('lc')}) as link_clicks,
+        (SELECT COUNT(*) FROM button_clicks bc
+         WHERE bc.announcement_id = at.announcement_id AND bc.channel_id = at.channel_id) as button_clicks
       FROM announcement_targets at
       JOIN channels ch ON at.channel_id = ch.id
+      LEFT JOIN channel_groups g ON at.group_id = g.id
+      LEFT JOIN channel_segments s ON at.segment_id = s.id
       WHERE at.announcement_id = $1
     `, [id]);
 
+    // Get the groups and segments it targets
+    const audiences = await getAudiences(id);
+
     // Get link stats
     const linkStats = await getLinkStats(id);
 
     // Get click timeline
     const clickTimeline = await getClickTimeline(id);
 
+    // Get Telegram's own view and forward counts over time
+    const viewTimeline = await getViewTimeline(id);
+
+    // Get send queue jobs with their attempt history
+    const deliveries = await getDeliveryHistory(id);
+
+    // Get what was live in the channels over time
+    const revisions = await getRevisions(id);
+
+    // Get the approval history
+    const reviews = await getReviews(id);
+
+    // Get the A/B test, with live results while it runs
+    const abTest = await getAbTest(id);
+
+    // Get the translations, and how each locale it was sent in performed
+    const translations = await getTranslations(id);
+    const localeResults = await getLocaleResults(id);
+
+    // Get the recurring schedule and the occurrences it has sent, each with its own stats
+    const schedule = await getSchedule(id);
+    let occurrences = [];
+    if (schedule) {
+      const occurrencesResult = await pool.query(`
+        SELECT
+          a.id, a.status, a.occurrence_at, a.sent_at,
+          (SELECT COUNT(*) FROM announcement_targets WHERE announcement_id = a.id) as target_count,
+          (SELECT COALESCE(SUM(views), 0) FROM announcement_targets WHERE announcement_id = a.id) as total_views,
+          (SELECT COUNT(*) FROM link_clicks lc
+           JOIN tracked_links tl ON lc.link_id = tl.id
+           WHERE tl.announcement_id = a.id AND ${genuineOnly('lc')}) as total_clicks
+        FROM announcements a
+        WHERE a.parent_id = $1
+        ORDER BY a.occurrence_at DESC, a.id DESC
+      `, [id]);
+      occurrences = occurrencesResult.rows;
+    }
+
     res.json({
-      announcement: announcementResult.rows[0],
+      announcement: { ...announcementResult.rows[0], media },
       targets: targetsResult.rows,
+      audiences,
       linkStats,
-      clickTimeline
+      clickTimeline,
+      viewTimeline,
+      deliveries,
+      revisions,
+      reviews,
+      abTest,
+      translations,
+      localeResults,
+      schedule,
+      occurrences
     });
   } catch (error) {
     console.error('Error fetching announcement:', error);
@@ -117,24 +376,155 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Read the current Telegram view and forward counts of a sent announcement
+router.post('/:id/views/refresh', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const announcementResult = await pool.query('SELECT id FROM announcements WHERE id = $1', [id]);
+    if (announcementResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const result = await collectTelegramViews({ announcementId: id });
+    if (!result) {
+      return res.status(400).json({ error: 'Reading Telegram views is not set up, see TELEGRAM_VIEWS_ADAPTER' });
+    }
+
+    res.json({
+      message: `Views updated for ${result.messages} post${result.messages === 1 ? '' : 's'}`
+        + (result.failed ? `, ${result.failed} failed` : ''),
+      ...result
+    });
+  } catch (error) {
+    console.error('Error refreshing Telegram views:', error);
+    res.status(500).json({ error: 'Failed to refresh Telegram views' });
+  }
+});
+
 // Create announcement
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('announcements'), async (req, res) => {
   try {
-    const { title, content, image_url, buttons, campaign_id, channel_ids, scheduled_at } = req.body;
+    const { title, content, image_url, buttons, campaign_id, scheduled_at, local_scheduled_at, recurrence, ab_test } = req.body;
+    const channel_ids = req.body.channel_ids || [];
 
     if (!title || !content) {
       return res.status(400).json({ error: 'Title and content required' });
     }
 
-    if (!channel_ids || channel_ids.length === 0) {
-      return res.status(400).json({ error: 'At least one channel required' });
+    let audiences;
+    try {
+      audiences = await normalizeAudienceIds(req.body.group_ids || [], req.body.segment_ids || []);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
 
-    const status = scheduled_at ? 'scheduled' : 'draft';
+    if (channel_ids.length === 0 && audiences.groupIds.length === 0 && audiences.segmentIds.length === 0) {
+      return res.status(400).json({ error: 'At least one channel, group or segment required' });
+    }
+
+    let media = [];
+    try {
+      media = normalizeMedia(req.body.media || []);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const messageError = getMessageError({
+      content,
+      image_url,
+      media,
+      buttons: buttons ? JSON.stringify(buttons) : null
+    });
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
+    }
+
+    let schedule = null;
+    if (recurrence) {
+      try {
+        schedule = normalizeRecurrence(recurrence);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
+    // local_scheduled_at is a wall-clock time applied in each channel's own timezone
+    const localScheduledAt = schedule ? null : local_scheduled_at || null;
+    if (localScheduledAt && !parseLocalDateTime(localScheduledAt)) {
+      return res.status(400).json({ error: 'Invalid local send time, expected YYYY-MM-DDTHH:mm' });
+    }
+
+    let expiry;
+    try {
+      expiry = normalizeExpiry(req.body, { sendAt: schedule ? null : scheduled_at });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (schedule && expiry.expires_at) {
+      return res.status(400).json({ error: "Recurring announcements can't expire at a fixed time" });
+    }
+
+    let messageOptions;
+    try {
+      messageOptions = normalizeMessageOptions(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    let abTest = null;
+    if (ab_test) {
+      const validation = validateAbTest(ab_test, {
+        image_url,
+        media,
+        channelCount: await countReach(channel_ids, audiences),
+        recurring: Boolean(schedule)
+      });
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+      abTest = validation.abTest;
+    }
+
+    let defaultLocale;
+    try {
+      defaultLocale = normalizeLocale(req.body.default_locale);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const translationValidation = validateTranslations(req.body.translations || [], {
+      announcement: { content, image_url, media, buttons: buttons ? JSON.stringify(buttons) : null },
+      defaultLocale,
+      abTested: Boolean(abTest)
+    });
+    if (translationValidation.error) {
+      return res.status(400).json({ error: translationValidation.error });
+    }
+
+    const variableValidation = validateVariables(req.body.template_variables, {
+      announcement: { content, image_url, media, buttons: buttons ? JSON.stringify(buttons) : null },
+      translations: translationValidation.translations,
+      abTest
+    });
+    if (variableValidation.error) {
+      return res.status(400).json({ error: variableValidation.error });
+    }
+
+    const templateValidation = await validateTemplateId(req.body.template_id);
+    if (templateValidation.error) {
+      return res.status(400).json({ error: templateValidation.error });
+    }
+
+    // New announcements start as drafts; the schedule applies once they're approved
+    const status = 'draft';
 
     const result = await pool.query(
-      `INSERT INTO announcements (title, content, image_url, buttons, campaign_id, status, scheduled_at, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      `INSERT INTO announcements (title, content, image_url, buttons, campaign_id, status, scheduled_at, local_scheduled_at, created_by,
+                                  pin_message, pin_notify, expires_at, expire_action,
+                                  disable_notification, protect_content, disable_link_preview, link_preview_url, default_locale,
+                                  template_id, template_variables)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20) RETURNING id`,
       [
         title,
         content,
@@ -142,13 +532,38 @@ router.post('/', authenticate, async (req, res) => {
         buttons ? JSON.stringify(buttons) : null,
         campaign_id || null,
         status,
-        scheduled_at || null,
-        req.user.id
+        schedule ? null : scheduled_at || null,
+        localScheduledAt,
+        req.user.id,
+        expiry.pin_message,
+        expiry.pin_notify,
+        expiry.expires_at,
+        expiry.expire_action,
+        messageOptions.disable_notification,
+        messageOptions.protect_content,
+        messageOptions.disable_link_preview,
+        messageOptions.link_preview_url,
+        defaultLocale,
+        templateValidation.templateId,
+        variableValidation.variables
       ]
     );
 
     const announcementId = result.rows[0].id;
 
+    await saveAnnouncementMedia(announcementId, media);
+    await saveTranslations(announcementId, translationValidation.translations);
+
+    if (schedule) {
+      await saveSchedule(announcementId, schedule, req.user.id);
+    }
+
+    if (abTest) {
+      await saveAbTest(announcementId, abTest);
+    }
+
+    await saveAudiences(announcementId, audiences);
+
     // Add targets
     for (const channelId of channel_ids) {
       await pool.query(
@@ -157,6 +572,22 @@ router.post('/', authenticate, async (req, res) => {
       );
     }
 
+    if (localScheduledAt) {
+      const firstSendAt = await scheduleTargetsLocally(announcementId, localScheduledAt);
+      await pool.query('UPDATE announcements SET scheduled_at = $1 WHERE id = $2', [firstSendAt, announcementId]);
+    }
+
+    await recordRevision({
+      id: announcementId,
+      title,
+      content,
+      image_url: image_url || null,
+      buttons: buttons ? JSON.stringify(buttons) : null,
+      media,
+      translations: translationValidation.translations,
+      template_variables: variableValidation.variables
+    }, 'created', req.user.id);
+
     await logActivity(req.user.id, 'announcement_created', { announcement_id: announcementId, title });
 
     res.status(201).json({
@@ -169,11 +600,42 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
+// Preview an announcement as Telegram will show it, without saving or sending.
+// Links get placeholder tracked URLs until the announcement is sent.
+router.post('/preview', authenticate, async (req, res) => {
+  try {
+    const { id, title, content, image_url, buttons, media, template_variables, campaign_id, channel_id } = req.body;
+
+    // channel_id: fill in the channel variables and UTM values as that channel would get them
+    let channel = null;
+    if (channel_id) {
+      const channelResult = await pool.query('SELECT id, title, member_count FROM channels WHERE id = $1', [channel_id]);
+      channel = channelResult.rows[0] || null;
+    }
+
+    const preview = await buildPreview({
+      id: id ? parseInt(id) : null,
+      title: title || '',
+      content,
+      image_url,
+      buttons,
+      media: Array.isArray(media) ? media : [],
+      template_variables,
+      campaign_id: campaign_id || null
+    }, channel);
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error building preview:', error);
+    res.status(500).json({ error: 'Failed to build preview' });
+  }
+});
+
 // Update announcement
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('announcements'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, content, image_url, buttons, campaign_id, channel_ids, scheduled_at } = req.body;
+    const { title, content, image_url, buttons, campaign_id, channel_ids, scheduled_at, local_scheduled_at, recurrence, ab_test } = req.body;
 
     const announcementResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [id]);
     if (announcementResult.rows.length === 0) {
@@ -182,28 +644,413 @@ router.put('/:id', authenticate, async (req, res) => {
 
     const announcement = announcementResult.rows[0];
 
-    if (announcement.status === 'sent') {
-      return res.status(400).json({ error: 'Cannot edit sent announcement' });
+    if (announcement.status === 'sending') {
+      return res.status(409).json({ error: 'Announcement is being sent, try again when delivery finishes' });
+    }
+
+    if (announcement.status === 'unsent') {
+      return res.status(400).json({ error: 'Cannot edit unsent announcement' });
+    }
+
+    // media: list to replace the attachments, omitted to keep them
+    const currentMedia = await getAnnouncementMedia(id);
+    let media = currentMedia;
+    if (req.body.media !== undefined) {
+      try {
+        media = normalizeMedia(req.body.media || []);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
+    const messageError = getMessageError({
+      content: content || announcement.content,
+      image_url: image_url !== undefined ? image_url : announcement.image_url,
+      media,
+      buttons: buttons ? JSON.stringify(buttons) : announcement.buttons
+    });
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
+    }
+
+    let messageOptions;
+    try {
+      messageOptions = normalizeMessageOptions(req.body, announcement);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const currentAbTest = await getAbTest(id);
+
+    // Sent announcements are edited in place in every channel they were delivered to.
+    // Channels and schedule stay as they were. The change goes out without a new
+    // review, so only approvers can make it.
+    if (['sent', 'partial'].includes(announcement.status)) {
+      if (!isApprover(req.user)) {
+        return res.status(403).json({ error: 'Only approvers can edit a sent announcement, the change goes out to every channel right away' });
+      }
+      if (currentAbTest && ['running', 'completed'].includes(currentAbTest.status)) {
+        return res.status(400).json({ error: "A/B tested announcements can't be edited live, each channel got its own variant" });
+      }
+
+      const updated = {
+        ...announcement,
+        title: title || announcement.title,
+        content: content || announcement.content,
+        image_url: image_url !== undefined ? (image_url || null) : announcement.image_url,
+        buttons: buttons ? JSON.stringify(buttons) : announcement.buttons,
+        // Delivered messages can't become silent or protected, but their link preview can change
+        disable_link_preview: messageOptions.disable_link_preview,
+        link_preview_url: messageOptions.link_preview_url,
+        media
+      };
+      const previous = { ...announcement, media: currentMedia };
+
+      // Telegram can't turn a text message into a media message, or rebuild an album
+      const liveEditError = getLiveEditError(getMessageMedia(previous), getMessageMedia(updated));
+      if (liveEditError) {
+        return res.status(400).json({ error: liveEditError });
+      }
+
+      // translations: list to replace them, omitted to keep them
+      const currentTranslations = await getTranslations(id);
+      let translations = currentTranslations;
+      if (req.body.translations !== undefined) {
+        const validation = validateTranslations(req.body.translations || [], {
+          announcement: updated,
+          defaultLocale: announcement.default_locale,
+          abTested: Boolean(currentAbTest)
+        });
+        if (validation.error) {
+          return res.status(400).json({ error: validation.error });
+        }
+        translations = validation.translations;
+      }
+
+      // Channels that got a translation have to be editable in their locale too
+      const translationIn = (list, locale) => list.find(t => t.locale === locale) || null;
+      for (const locale of new Set([...currentTranslations, ...translations].map(t => t.locale))) {
+        const translationEditError = getLiveEditError(
+          getMessageMedia(applyTranslation(previous, translationIn(currentTranslations, locale))),
+          getMessageMedia(applyTranslation(updated, translationIn(translations, locale)))
+        );
+        if (translationEditError) {
+          return res.status(400).json({ error: `${locale} translation: ${translationEditError}` });
+        }
+      }
+      updated.translations = translations;
+      previous.translations = currentTranslations;
+
+      // template_variables: values to replace them, omitted to keep them
+      const variableValidation = validateVariables(
+        req.body.template_variables !== undefined ? req.body.template_variables : parseVariables(announcement.template_variables),
+        { announcement: updated, translations }
+      );
+      if (variableValidation.error) {
+        return res.status(400).json({ error: variableValidation.error });
+      }
+      updated.template_variables = variableValidation.variables;
+
+      // The expiry can still be set or moved; pinning already happened on delivery
+      let expiry;
+      try {
+        expiry = normalizeExpiry(
+          { ...expiryInputFrom(req.body, announcement), pin_message: Number(announcement.pin_message) === 1 },
+          { current: announcement }
+        );
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      await pool.query(
+        `UPDATE announcements SET title = $1, content = $2, image_url = $3, buttons = $4, expires_at = $5, expire_action = $6,
+           disable_link_preview = $7, link_preview_url = $8, template_variables = $9
+         WHERE id = $10`,
+        [
+          updated.title,
+          updated.content,
+          updated.image_url,
+          updated.buttons,
+          expiry.expires_at,
+          expiry.expire_action,
+          updated.disable_link_preview,
+          updated.link_preview_url,
+          updated.template_variables,
+          id
+        ]
+      );
+
+      // A moved expiry applies again to every channel still showing it
+      const expiryTime = (value) => (value ? new Date(value).getTime() : null);
+      if (expiryTime(expiry.expires_at) !== expiryTime(announcement.expires_at)) {
+        await pool.query(
+          'UPDATE announcement_targets SET expired_at = NULL WHERE announcement_id = $1 AND deleted_at IS NULL',
+          [id]
+        );
+      }
+      await saveAnnouncementMedia(id, media);
+      await saveTranslations(id, translations);
+
+      const restoredFrom = await getRestoredFrom(id, req.body);
+      const results = await editLiveAnnouncement(updated, previous, req.user.id, restoredFrom ? { restored_from: restoredFrom } : {});
+      const failed = results.filter(r => !r.success).length;
+
+      await logActivity(req.user.id, 'announcement_edited_live', {
+        announcement_id: id,
+        updated: results.length - failed,
+        failed
+      });
+
+      return res.json({
+        message: failed
+          ? `Updated in ${results.length - failed} of ${results.length} channels`
+          : `Updated in ${results.length} channel${results.length === 1 ? '' : 's'}`,
+        results
+      });
     }
 
-    const status = scheduled_at ? 'scheduled' : 'draft';
+    // Local time scheduling may already have delivered it to channels in earlier timezones
+    if (announcement.status === 'scheduled') {
+      const deliveredResult = await pool.query(
+        'SELECT COUNT(*) as count FROM announcement_targets WHERE announcement_id = $1 AND telegram_message_id IS NOT NULL',
+        [id]
+      );
+      if (parseInt(deliveredResult.rows[0].count) > 0) {
+        return res.status(400).json({ error: 'Already delivered to some channels, wait until every channel has received it' });
+      }
+    }
+
+    // recurrence: object to set the schedule, null to remove it, omitted to keep it
+    let schedule = null;
+    if (recurrence) {
+      try {
+        schedule = normalizeRecurrence(recurrence);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
+    const existingSchedule = await getSchedule(id);
+    const recurring = Boolean(schedule) || (recurrence === undefined && Boolean(existingSchedule));
+
+    const localScheduledAt = recurring ? null : local_scheduled_at || null;
+    if (localScheduledAt && !parseLocalDateTime(localScheduledAt)) {
+      return res.status(400).json({ error: 'Invalid local send time, expected YYYY-MM-DDTHH:mm' });
+    }
+
+    let expiry;
+    try {
+      expiry = normalizeExpiry(expiryInputFrom(req.body, announcement), {
+        current: announcement,
+        sendAt: recurring ? null : scheduled_at
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (recurring && expiry.expires_at) {
+      return res.status(400).json({ error: "Recurring announcements can't expire at a fixed time" });
+    }
+
+    // Channels picked directly; targets from groups and segments come and go with them
+    const currentTargets = await pool.query(
+      'SELECT channel_id FROM announcement_targets WHERE announcement_id = $1 AND group_id IS NULL AND segment_id IS NULL',
+      [id]
+    );
+    const currentChannelIds = currentTargets.rows.map(t => Number(t.channel_id)).sort((a, b) => a - b);
+
+    // group_ids, segment_ids: lists to replace the groups and segments, omitted to keep them
+    const currentAudiences = await getAudiences(id);
+    let audiences;
+    try {
+      audiences = await normalizeAudienceIds(
+        req.body.group_ids !== undefined ? req.body.group_ids || [] : currentAudiences.group_ids,
+        req.body.segment_ids !== undefined ? req.body.segment_ids || [] : currentAudiences.segment_ids
+      );
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const channelIds = channel_ids ? channel_ids.map(Number) : currentChannelIds;
+    if (channelIds.length === 0 && audiences.groupIds.length === 0 && audiences.segmentIds.length === 0) {
+      return res.status(400).json({ error: 'At least one channel, group or segment required' });
+    }
+
+    // ab_test: object to set the A/B test, null to remove it, omitted to keep it
+    if (ab_test !== undefined && currentAbTest && currentAbTest.status !== 'draft') {
+      return res.status(400).json({ error: 'The A/B test has already started' });
+    }
+    let abTest = null;
+    if (ab_test) {
+      const validation = validateAbTest(ab_test, {
+        image_url: image_url !== undefined ? image_url : announcement.image_url,
+        media,
+        channelCount: await countReach(channelIds, audiences),
+        recurring
+      });
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+      abTest = validation.abTest;
+    } else if (ab_test === undefined && recurring && currentAbTest && currentAbTest.status === 'draft') {
+      return res.status(400).json({ error: "Recurring announcements can't be A/B tested" });
+    }
+
+    const updated = {
+      title: title || announcement.title,
+      content: content || announcement.content,
+      image_url: image_url !== undefined ? (image_url || null) : announcement.image_url,
+      buttons: buttons ? JSON.stringify(buttons) : announcement.buttons
+    };
+
+    // default_locale, translations: omitted to keep them
+    let defaultLocale = announcement.default_locale || null;
+    if (req.body.default_locale !== undefined) {
+      try {
+        defaultLocale = normalizeLocale(req.body.default_locale);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
+    const currentTranslations = await getTranslations(id);
+    const translationValidation = validateTranslations(
+      req.body.translations !== undefined ? req.body.translations || [] : currentTranslations,
+      {
+        announcement: { ...updated, media },
+        defaultLocale,
+        abTested: Boolean(abTest) || (ab_test === undefined && Boolean(currentAbTest))
+      }
+    );
+    if (translationValidation.error) {
+      return res.status(400).json({ error: translationValidation.error });
+    }
+    const translations = translationValidation.translations;
+
+    // template_id, template_variables: omitted to keep them
+    const variableValidation = validateVariables(
+      req.body.template_variables !== undefined ? req.body.template_variables : parseVariables(announcement.template_variables),
+      {
+        announcement: { ...updated, media },
+        translations,
+        abTest: abTest || (ab_test === undefined ? currentAbTest : null)
+      }
+    );
+    if (variableValidation.error) {
+      return res.status(400).json({ error: variableValidation.error });
+    }
+    const variables = variableValidation.variables;
+
+    const templateValidation = req.body.template_id !== undefined
+      ? await validateTemplateId(req.body.template_id)
+      : { templateId: announcement.template_id || null };
+    if (templateValidation.error) {
+      return res.status(400).json({ error: templateValidation.error });
+    }
+
+    // Anything that changes what gets sent, where, how or how often needs a fresh
+    // approval. Only moving an approved announcement's send time doesn't.
+    const audiencesChanged = JSON.stringify([audiences.groupIds, audiences.segmentIds])
+      !== JSON.stringify([currentAudiences.group_ids, currentAudiences.segment_ids]);
+    const channelsChanged = audiencesChanged
+      || JSON.stringify([...channelIds].sort((a, b) => a - b)) !== JSON.stringify(currentChannelIds);
+    const variantsOf = (test) => (test
+      ? JSON.stringify([test.test_share, test.window_hours, test.variants.map(v => [v.content, parseButtons(v.buttons)])])
+      : null);
+    const abTestChanged = ab_test !== undefined && variantsOf(abTest) !== variantsOf(currentAbTest);
+    const translationsOf = (list) => JSON.stringify(list.map(t => [t.locale, t.content, parseButtons(t.buttons), t.image_url || null]));
+    const translationsChanged = translationsOf(translations) !== translationsOf(currentTranslations);
+    const flagChanged = (field, next) => Number(next[field] || 0) !== Number(announcement[field] || 0);
+    const timeOf = (value) => (value ? new Date(value).getTime() : null);
+    const campaignChanged = campaign_id !== undefined && String(campaign_id || '') !== String(announcement.campaign_id || '');
+    const linkPreviewChanged = flagChanged('disable_link_preview', messageOptions)
+      || (messageOptions.link_preview_url || null) !== (announcement.link_preview_url || null);
+    const pinChanged = flagChanged('pin_message', expiry) || flagChanged('pin_notify', expiry);
+    const expiryChanged = timeOf(expiry.expires_at) !== timeOf(announcement.expires_at)
+      || (expiry.expire_action || null) !== (announcement.expire_action || null);
+    // How often and how many times it goes out; the start of the schedule is its send time
+    const repeatsOf = (rule) => (rule
+      ? JSON.stringify([rule.rule_type, rule.rule, rule.timezone, timeOf(rule.ends_at), Number(rule.max_occurrences) || null])
+      : null);
+    const recurrenceChanged = recurrence !== undefined && repeatsOf(schedule) !== repeatsOf(existingSchedule);
+    const changedFields = [
+      updated.title !== announcement.title && 'title',
+      updated.content !== announcement.content && 'content',
+      ((updated.image_url || null) !== (announcement.image_url || null) || !isSameMedia(currentMedia, media)) && 'media',
+      JSON.stringify(parseButtons(updated.buttons)) !== JSON.stringify(parseButtons(announcement.buttons)) && 'buttons',
+      translationsChanged && 'translations',
+      variables !== (announcement.template_variables || null) && 'variables',
+      channelsChanged && 'channels',
+      abTestChanged && 'ab_test',
+      campaignChanged && 'campaign',
+      linkPreviewChanged && 'link_preview',
+      flagChanged('protect_content', messageOptions) && 'protect_content',
+      flagChanged('disable_notification', messageOptions) && 'silent',
+      pinChanged && 'pin',
+      expiryChanged && 'expiry',
+      recurrenceChanged && 'recurrence'
+    ].filter(Boolean);
+    const messageChanged = changedFields.length > 0;
+
+    const approved = Boolean(announcement.approved_at) && !messageChanged;
+    let status = announcement.status === 'in_review' && !messageChanged ? 'in_review' : 'draft';
+    if (approved) {
+      status = 'approved';
+      if (recurring) {
+        status = 'recurring';
+      } else if (scheduled_at || localScheduledAt) {
+        status = 'scheduled';
+      }
+    }
 
     await pool.query(
       `UPDATE announcements
-       SET title = $1, content = $2, image_url = $3, buttons = $4, campaign_id = $5, status = $6, scheduled_at = $7
-       WHERE id = $8`,
+       SET title = $1, content = $2, image_url = $3, buttons = $4, campaign_id = $5, status = $6, scheduled_at = $7,
+           local_scheduled_at = $8, approved_by = $9, approved_at = $10, pin_message = $11, pin_notify = $12,
+           expires_at = $13, expire_action = $14, disable_notification = $15, protect_content = $16,
+           disable_link_preview = $17, link_preview_url = $18, default_locale = $19, template_id = $20,
+           template_variables = $21
+       WHERE id = $22`,
       [
-        title || announcement.title,
-        content || announcement.content,
-        image_url !== undefined ? image_url : announcement.image_url,
-        buttons ? JSON.stringify(buttons) : announcement.buttons,
+        updated.title,
+        updated.content,
+        updated.image_url,
+        updated.buttons,
         campaign_id !== undefined ? campaign_id : announcement.campaign_id,
         status,
-        scheduled_at || null,
+        recurring ? null : scheduled_at || null,
+        localScheduledAt,
+        approved ? announcement.approved_by : null,
+        approved ? announcement.approved_at : null,
+        expiry.pin_message,
+        expiry.pin_notify,
+        expiry.expires_at,
+        expiry.expire_action,
+        messageOptions.disable_notification,
+        messageOptions.protect_content,
+        messageOptions.disable_link_preview,
+        messageOptions.link_preview_url,
+        defaultLocale,
+        templateValidation.templateId,
+        variables,
         id
       ]
     );
 
+    await saveAnnouncementMedia(id, media);
+    await saveTranslations(id, translations);
+
+    if (schedule) {
+      await saveSchedule(id, schedule, req.user.id);
+    } else if (!recurring) {
+      await pool.query('DELETE FROM recurring_schedules WHERE announcement_id = $1', [id]);
+    }
+
+    if (abTest) {
+      await saveAbTest(id, abTest);
+    } else if (ab_test === null) {
+      await deleteAbTest(id);
+    }
+
     // Update targets if provided
     if (channel_ids) {
       await pool.query('DELETE FROM announcement_targets WHERE announcement_id = $1', [id]);
@@ -216,17 +1063,301 @@ router.put('/:id', authenticate, async (req, res) => {
       }
     }
 
-    await logActivity(req.user.id, 'announcement_updated', { announcement_id: id });
+    // Groups and segments resolve again on the next dispatch
+    if (audiencesChanged) {
+      await saveAudiences(id, audiences);
+    }
+    if (channel_ids || audiencesChanged) {
+      await resetAudiences(id);
+    }
+
+    // Work out each channel's send time (or clear them)
+    const firstSendAt = await scheduleTargetsLocally(id, localScheduledAt);
+    if (firstSendAt) {
+      await pool.query('UPDATE announcements SET scheduled_at = $1 WHERE id = $2', [firstSendAt, id]);
+    }
+
+    // Every save is kept, with what it changed
+    const restoredFrom = await getRestoredFrom(id, req.body);
+    await recordRevision(
+      { ...updated, id, media, translations, template_variables: variables },
+      'saved',
+      req.user.id,
+      restoredFrom ? { changed: changedFields, restored_from: restoredFrom } : { changed: changedFields }
+    );
+
+    await logActivity(req.user.id, 'announcement_updated', { announcement_id: id, changed: changedFields });
 
-    res.json({ message: 'Announcement updated' });
+    if (messageChanged && (announcement.approved_at || announcement.status === 'in_review')) {
+      await logActivity(req.user.id, 'announcement_approval_revoked', {
+        announcement_id: id,
+        previous_status: announcement.status
+      });
+    }
+
+    res.json({ message: 'Announcement updated', status });
   } catch (error) {
     console.error('Error updating announcement:', error);
     res.status(500).json({ error: 'Failed to update announcement' });
   }
 });
 
+// Where test copies go: the user's linked Telegram account, or the shared test
+// chat from TELEGRAM_TEST_CHAT_ID. Returns null when neither is set up.
+const getTestChat = (user, destination) => {
+  const account = user.telegram_chat_id
+    ? { telegram_id: user.telegram_chat_id, title: 'your Telegram account' }
+    : null;
+  const testChat = process.env.TELEGRAM_TEST_CHAT_ID
+    ? { telegram_id: process.env.TELEGRAM_TEST_CHAT_ID, title: 'the test chat' }
+    : null;
+
+  if (destination === 'account') return account;
+  if (destination === 'test_chat') return testChat;
+  return account || testChat;
+};
+
+// Send a test copy to a private test chat. Targets, views and clicks are left untouched.
+// content, buttons, media and message options in the body replace the saved ones, so unsaved
+// edits can be checked before they go out.
+router.post('/:id/test', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, buttons } = req.body;
+
+    const announcementResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [id]);
+    if (announcementResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const chat = getTestChat(req.user, req.body.destination);
+    if (!chat) {
+      return res.status(400).json({
+        error: req.body.destination === 'test_chat'
+          ? 'No test chat configured, set TELEGRAM_TEST_CHAT_ID'
+          : 'Link your Telegram account in Settings or set TELEGRAM_TEST_CHAT_ID to send tests'
+      });
+    }
+
+    const announcement = announcementResult.rows[0];
+    if (content !== undefined) {
+      announcement.content = content;
+    }
+    try {
+      Object.assign(announcement, normalizeMessageOptions(req.body, announcement));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (buttons !== undefined) {
+      announcement.buttons = buttons ? JSON.stringify(buttons) : null;
+    }
+    if (req.body.template_variables !== undefined) {
+      announcement.template_variables = req.body.template_variables;
+    }
+    if (req.body.media !== undefined) {
+      try {
+        announcement.media = normalizeMedia(req.body.media || []);
+        announcement.image_url = null;
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    } else {
+      announcement.media = await getAnnouncementMedia(announcement.id);
+    }
+
+    if (!announcement.content) {
+      return res.status(400).json({ error: 'Content required' });
+    }
+
+    // locale: test the translation for that locale, from translations in the body or the saved ones
+    let testAnnouncement = announcement;
+    if (req.body.locale) {
+      let translations;
+      try {
+        translations = req.body.translations !== undefined
+          ? normalizeTranslations(req.body.translations || [], announcement.default_locale)
+          : await getTranslations(id);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+      const translation = translations.find(t => t.locale === req.body.locale);
+      if (!translation) {
+        return res.status(400).json({ error: `There is no ${req.body.locale} translation` });
+      }
+      testAnnouncement = applyTranslation(announcement, translation);
+    }
+
+    // Variables are filled in as the first of the announcement's channels would get them
+    testAnnouncement = renderVariables(testAnnouncement, await getSampleChannel(id));
+
+    const messageError = getMessageError(testAnnouncement);
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
+    }
+
+    try {
+      await sendTestCopy(testAnnouncement, chat);
+    } catch (e) {
+      return res.status(400).json({ error: `Test send failed: ${e.message}` });
+    }
+
+    await logActivity(req.user.id, 'announcement_test_sent', { announcement_id: id, chat_id: chat.telegram_id });
+
+    res.json({ message: `Test sent to ${chat.title}` });
+  } catch (error) {
+    console.error('Error sending test announcement:', error);
+    res.status(500).json({ error: 'Failed to send test announcement' });
+  }
+});
+
+// Submit a draft for review
+router.post('/:id/submit', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const comment = req.body.comment ? String(req.body.comment).trim() : null;
+
+    const announcementResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [id]);
+    if (announcementResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const announcement = announcementResult.rows[0];
+
+    if (announcement.status !== 'draft') {
+      return res.status(400).json({ error: 'Only drafts can be submitted for review' });
+    }
+
+    await pool.query("UPDATE announcements SET status = 'in_review' WHERE id = $1", [id]);
+    await addReview(id, req.user.id, 'submitted', comment);
+
+    await notifyApprovers(
+      req.user.id,
+      'Announcement awaiting approval',
+      `${req.user.name} submitted "${announcement.title}" for review`,
+      `/announcements/${id}`
+    );
+
+    await logActivity(req.user.id, 'announcement_submitted', { announcement_id: id, title: announcement.title });
+
+    res.json({ message: 'Submitted for review', status: 'in_review' });
+  } catch (error) {
+    console.error('Error submitting announcement:', error);
+    res.status(500).json({ error: 'Failed to submit announcement' });
+  }
+});
+
+// Get the review history
+router.get('/:id/reviews', authenticate, async (req, res) => {
+  try {
+    const reviews = await getReviews(req.params.id);
+    res.json({ reviews });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Comment on, approve or request changes to an announcement.
+// action: comment | approve | request_changes
+router.post('/:id/reviews', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action } = req.body;
+    const comment = req.body.comment ? String(req.body.comment).trim() : '';
+
+    if (!REVIEW_ACTIONS[action]) {
+      return res.status(400).json({ error: 'Action must be comment, approve or request_changes' });
+    }
+
+    if (action !== 'approve' && !comment) {
+      return res.status(400).json({ error: 'Comment required' });
+    }
+
+    const announcementResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [id]);
+    if (announcementResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const announcement = announcementResult.rows[0];
+    const link = `/announcements/${id}`;
+
+    if (action === 'comment') {
+      await addReview(id, req.user.id, 'comment', comment);
+
+      if (announcement.created_by && announcement.created_by !== req.user.id) {
+        await createNotification(
+          announcement.created_by,
+          'announcement_review',
+          'New review comment',
+          `${req.user.name} commented on "${announcement.title}"`,
+          link
+        );
+      } else {
+        await notifyApprovers(
+          req.user.id,
+          'New review comment',
+          `${req.user.name} commented on "${announcement.title}"`,
+          link
+        );
+      }
+
+      await logActivity(req.user.id, 'announcement_review_comment', { announcement_id: id });
+
+      return res.status(201).json({ message: 'Comment added', status: announcement.status });
+    }
+
+    if (!isApprover(req.user)) {
+      return res.status(403).json({ error: 'Only admins and approvers can review announcements' });
+    }
+
+    if (announcement.status !== 'in_review') {
+      return res.status(400).json({ error: 'Announcement is not awaiting review' });
+    }
+
+    // Approvers other than admins can't sign off their own work
+    if (action === 'approve' && req.user.role !== 'admin' && announcement.created_by === req.user.id) {
+      return res.status(403).json({ error: 'You cannot approve your own announcement' });
+    }
+
+    let status = 'draft';
+    if (action === 'approve') {
+      status = await approveAnnouncement(announcement, req.user.id);
+    } else {
+      await pool.query("UPDATE announcements SET status = 'draft' WHERE id = $1", [id]);
+    }
+
+    await addReview(id, req.user.id, REVIEW_ACTIONS[action], comment);
+
+    if (announcement.created_by && announcement.created_by !== req.user.id) {
+      await createNotification(
+        announcement.created_by,
+        'announcement_review',
+        action === 'approve' ? 'Announcement approved' : 'Changes requested',
+        action === 'approve'
+          ? `${req.user.name} approved "${announcement.title}"`
+          : `${req.user.name} requested changes to "${announcement.title}": ${comment}`,
+        link
+      );
+    }
+
+    await logActivity(req.user.id, action === 'approve' ? 'announcement_approved' : 'announcement_changes_requested', {
+      announcement_id: id,
+      title: announcement.title,
+      status
+    });
+
+    res.json({
+      message: action === 'approve' ? 'Announcement approved' : 'Changes requested',
+      status
+    });
+  } catch (error) {
+    console.error('Error reviewing announcement:', error);
+    res.status(500).json({ error: 'Failed to review announcement' });
+  }
+});
+
 // Send announcement now
-router.post('/:id/send', authenticate, async (req, res) => {
+router.post('/:id/send', authenticate, requirePermission('announcements'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -241,88 +1372,132 @@ router.post('/:id/send', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Announcement already sent' });
     }
 
-    // Get targets
-    const targetsResult = await pool.query(`
-      SELECT at.*, c.telegram_id, c.title as channel_title
-      FROM announcement_targets at
-      JOIN channels c ON at.channel_id = c.id
-      WHERE at.announcement_id = $1 AND c.is_active = 1
-    `, [id]);
+    if (announcement.status === 'sending') {
+      return res.status(409).json({ error: 'Announcement is already being sent' });
+    }
+
+    if (announcement.status === 'unsent') {
+      return res.status(400).json({ error: 'Announcement was unsent, duplicate it to send again' });
+    }
 
-    const targets = targetsResult.rows;
+    if (announcement.status === 'recurring') {
+      return res.status(400).json({ error: 'Recurring announcements are sent by their schedule' });
+    }
+
+    if (!announcement.approved_at) {
+      return res.status(400).json({ error: 'Announcement must be approved before it can be sent' });
+    }
+
+    // Groups and segments become channels now, unless an earlier send already resolved them.
+    // Partially sent announcements only go to the channels that haven't received them.
+    await resolveAudiences(announcement);
+    const targets = await getPendingTargets(id);
 
     if (targets.length === 0) {
       return res.status(400).json({ error: 'No active channels to send to' });
     }
 
-    // Get campaign name for UTM
-    let campaignName = null;
-    if (announcement.campaign_id) {
-      const campaignResult = await pool.query('SELECT name FROM campaigns WHERE id = $1', [announcement.campaign_id]);
-      campaignName = campaignResult.rows[0]?.name;
+    const outcome = await dispatchAnnouncement(announcement);
+    if (!outcome) {
+      return res.status(409).json({ error: 'Announcement is already being sent' });
     }
 
-    // Process links in content and buttons
-    const trackedLinks = await processContentLinks(announcement.content, id, campaignName);
+    await logActivity(req.user.id, 'announcement_sent', { announcement_id: id, queued: outcome.queued });
 
-    // Also process button URLs
-    if (announcement.buttons) {
-      try {
-        const buttons = JSON.parse(announcement.buttons);
-        for (const btn of buttons) {
-          if (btn.url && !trackedLinks.find(l => l.original_url === btn.url)) {
-            const tracked = await processContentLinks(btn.url, id, campaignName);
-            trackedLinks.push(...tracked);
-          }
-        }
-      } catch (e) {}
+    res.status(202).json({
+      message: `Announcement queued for ${outcome.queued} channel${outcome.queued === 1 ? '' : 's'}`,
+      status: outcome.status,
+      queued: outcome.queued
+    });
+  } catch (error) {
+    console.error('Error sending announcement:', error);
+    res.status(500).json({ error: 'Failed to send announcement' });
+  }
+});
+
+// Pause a recurring announcement's schedule
+router.post('/:id/recurrence/pause', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const schedule = await setSchedulePaused(id, true);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
     }
 
-    const results = [];
+    await logActivity(req.user.id, 'recurrence_paused', { announcement_id: id });
 
-    // Send to each channel
-    for (const target of targets) {
-      try {
-        const message = await sendAnnouncement(target.channel_id, announcement, trackedLinks);
+    res.json({ message: 'Schedule paused', schedule });
+  } catch (error) {
+    console.error('Error pausing schedule:', error);
+    res.status(500).json({ error: 'Failed to pause schedule' });
+  }
+});
 
-        await pool.query(
-          `UPDATE announcement_targets
-           SET telegram_message_id = $1, sent_at = CURRENT_TIMESTAMP
-           WHERE id = $2`,
-          [message.message_id.toString(), target.id]
-        );
+// Resume a paused schedule (occurrences missed while paused are skipped)
+router.post('/:id/recurrence/resume', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-        results.push({ channel: target.channel_title, success: true, message_id: message.message_id });
-      } catch (error) {
-        console.error(`Failed to send to ${target.channel_title}:`, error);
+    const schedule = await setSchedulePaused(id, false);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Recurring schedule not found' });
+    }
 
-        await pool.query(
-          'UPDATE announcement_targets SET error = $1 WHERE id = $2',
-          [error.message, target.id]
-        );
+    await logActivity(req.user.id, 'recurrence_resumed', { announcement_id: id });
 
-        results.push({ channel: target.channel_title, success: false, error: error.message });
-      }
+    res.json({ message: 'Schedule resumed', schedule });
+  } catch (error) {
+    console.error('Error resuming schedule:', error);
+    res.status(500).json({ error: 'Failed to resume schedule' });
+  }
+});
+
+// Unsend announcement (delete it from every channel it was sent to)
+router.post('/:id/unsend', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const announcementResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [id]);
+    if (announcementResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Announcement not found' });
     }
 
-    // Update announcement status
-    const allFailed = results.every(r => !r.success);
-    await pool.query(
-      'UPDATE announcements SET status = $1, sent_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [allFailed ? 'failed' : 'sent', id]
-    );
+    const announcement = announcementResult.rows[0];
+
+    if (announcement.status === 'sending') {
+      return res.status(409).json({ error: 'Announcement is being sent, try again when delivery finishes' });
+    }
+
+    if (!['sent', 'partial'].includes(announcement.status)) {
+      return res.status(400).json({ error: 'Announcement has not been sent' });
+    }
 
-    await logActivity(req.user.id, 'announcement_sent', { announcement_id: id, results });
+    announcement.media = await getAnnouncementMedia(id);
+    const { status, results } = await unsendAnnouncement(announcement, req.user.id);
+    const failed = results.filter(r => !r.success).length;
 
-    res.json({ message: 'Announcement sent', results });
+    await logActivity(req.user.id, 'announcement_unsent', {
+      announcement_id: id,
+      deleted: results.length - failed,
+      failed
+    });
+
+    res.json({
+      message: failed
+        ? `Deleted from ${results.length - failed} of ${results.length} channels`
+        : `Deleted from ${results.length} channel${results.length === 1 ? '' : 's'}`,
+      status,
+      results
+    });
   } catch (error) {
-    console.error('Error sending announcement:', error);
-    res.status(500).json({ error: 'Failed to send announcement' });
+    console.error('Error unsending announcement:', error);
+    res.status(500).json({ error: 'Failed to unsend announcement' });
   }
 });
 
 // Delete announcement
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('announcements'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -344,7 +1519,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 });
 
 // Duplicate announcement
-router.post('/:id/duplicate', authenticate, async (req, res) => {
+router.post('/:id/duplicate', authenticate, requirePermission('announcements'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -356,23 +1531,46 @@ router.post('/:id/duplicate', authenticate, async (req, res) => {
     const announcement = announcementResult.rows[0];
 
     const result = await pool.query(
-      `INSERT INTO announcements (title, content, image_url, buttons, campaign_id, status, created_by)
-       VALUES ($1, $2, $3, $4, $5, 'draft', $6) RETURNING id`,
+      `INSERT INTO announcements (title, content, image_url, buttons, campaign_id, status, created_by, pin_message, pin_notify,
+                                  disable_notification, protect_content, disable_link_preview, link_preview_url, default_locale,
+                                  template_id, template_variables)
+       VALUES ($1, $2, $3, $4, $5, 'draft', $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING id`,
       [
         `${announcement.title} (Copy)`,
         announcement.content,
         announcement.image_url,
         announcement.buttons,
         announcement.campaign_id,
-        req.user.id
+        req.user.id,
+        announcement.pin_message || 0,
+        announcement.pin_notify || 0,
+        announcement.disable_notification || 0,
+        announcement.protect_content || 0,
+        announcement.disable_link_preview || 0,
+        announcement.link_preview_url,
+        announcement.default_locale,
+        announcement.template_id,
+        announcement.template_variables
       ]
     );
 
     const newId = result.rows[0].id;
 
-    // Copy targets
+    await copyAnnouncementMedia(id, newId);
+    await copyAbTest(id, newId);
+    await copyTranslations(id, newId);
+    await copyAudiences(id, newId);
+
+    await recordRevision({
+      ...announcement,
+      id: newId,
+      title: `${announcement.title} (Copy)`,
+      media: await getAnnouncementMedia(newId)
+    }, 'created', req.user.id, { duplicated_from: Number(id) });
+
+    // Copy the channels picked directly; the copy resolves its groups and segments when sent
     const targetsResult = await pool.query(
-      'SELECT channel_id FROM announcement_targets WHERE announcement_id = $1',
+      'SELECT channel_id FROM announcement_targets WHERE announcement_id = $1 AND group_id IS NULL AND segment_id IS NULL',
       [id]
     );
 
@@ -38,6 +38,8 @@ router.post('/login', async (req, res) => {
         name: user.name,
         role: user.role,
         notify_email: user.notify_email,
+        telegram_chat_id: user.telegram_chat_id,
+        is_approver: user.is_approver,
         permissions: ROLE_PERMISSIONS[user.role] || []
       }
     });
@@ -102,7 +104,7 @@ router.post('/register', authenticate, adminOnly, async (req, res) => {
 router.get('/users', authenticate, adminOnly, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT id, email, name, role, notify_email, created_at, last_login
+      SELECT id, email, name, role, notify_email, is_approver, created_at, last_login
       FROM users
       ORDER BY created_at DESC
     `);
@@ -118,7 +120,7 @@ router.get('/users', authenticate, adminOnly, async (req, res) => {
 router.put('/users/:id', authenticate, adminOnly, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, role, password } = req.body;
+    const { name, role, password, is_approver } = req.body;
 
     // Validate role if provided
     if (role) {
@@ -156,6 +158,11 @@ router.put('/users/:id', authenticate, adminOnly, async (req, res) => {
       );
     }
 
+    // Approvers can sign off announcements (admins always can)
+    if (is_approver !== undefined) {
+      await pool.query('UPDATE users SET is_approver = $1 WHERE id = $2', [is_approver ? 1 : 0, id]);
+    }
+
     await logActivity(req.user.id, 'user_updated', { target_user_id: id });
 
     res.json({ message: 'User updated' });
@@ -228,4 +235,25 @@ router.put('/password', authenticate, async (req, res) => {
   }
 });
 
+// Link or unlink own Telegram account for test sends.
+// The chat ID is what the bot replies with to /start.
+router.put('/telegram', authenticate, async (req, res) => {
+  try {
+    const chatId = req.body.telegram_chat_id ? String(req.body.telegram_chat_id).trim() : null;
+
+    if (chatId && !/^\d+$/.test(chatId)) {
+      return res.status(400).json({ error: 'Telegram chat ID must be a number, send /start to the bot to get yours' });
+    }
+
+    await pool.query('UPDATE users SET telegram_chat_id = $1 WHERE id = $2', [chatId, req.user.id]);
+
+    await logActivity(req.user.id, chatId ? 'telegram_linked' : 'telegram_unlinked');
+
+    res.json({ message: chatId ? 'Telegram account linked' : 'Telegram account unlinked', telegram_chat_id: chatId });
+  } catch (error) {
+    console.error('Error linking Telegram account:', error);
+    res.status(500).json({ error: 'Failed to update Telegram account' });
+  }
+});
+
 module.exports = router;
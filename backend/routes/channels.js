@@ -2,9 +2,295 @@ const express = require('express');
 const { pool } = require('../models/database');
 const { authenticate, logActivity } = require('../middleware/auth');
 const { updateChannelStats } = require('../utils/telegram');
+const { scheduleTargetsLocally } = require('../utils/dispatcher');
+const { isValidTimezone } = require('../utils/timezone');
+const { normalizeLocale } = require('../utils/translations');
+const { normalizeTags, normalizeSegment, getSegmentChannels } = require('../utils/audiences');
 
 const router = express.Router();
 
+// Statuses of announcements that haven't been sent yet, whose groups and segments still matter
+const UNSENT_STATUSES = ['draft', 'in_review', 'approved', 'scheduled', 'recurring'];
+
+// How many unsent announcements target a group or segment (column is group_id or segment_id)
+const countPendingAudienceUses = async (column, id) => {
+  const result = await pool.query(`
+    SELECT COUNT(DISTINCT a.id) as count
+    FROM announcement_audiences aa
+    JOIN announcements a ON aa.announcement_id = a.id
+    WHERE aa.${column} = $1 AND a.audiences_resolved_at IS NULL
+      AND a.status IN (${UNSENT_STATUSES.map(status => `'${status}'`).join(', ')})
+  `, [id]);
+  return parseInt(result.rows[0].count) || 0;
+};
+
+// Replace a group's channels with the given ones that exist
+const saveGroupMembers = async (groupId, channelIds) => {
+  await pool.query('DELETE FROM channel_group_members WHERE group_id = $1', [groupId]);
+
+  for (const channelId of [...new Set(channelIds.map(Number))]) {
+    const channelResult = await pool.query('SELECT id FROM channels WHERE id = $1', [channelId]);
+    if (channelResult.rows.length === 0) continue;
+    await pool.query(
+      'INSERT INTO channel_group_members (group_id, channel_id) VALUES ($1, $2)',
+      [groupId, channelId]
+    );
+  }
+};
+
+// Get channel groups with their channels
+router.get('/groups', authenticate, async (req, res) => {
+  try {
+    const groupsResult = await pool.query(`
+      SELECT g.*, u.name as created_by_name
+      FROM channel_groups g
+      LEFT JOIN users u ON g.created_by = u.id
+      ORDER BY g.name
+    `);
+    const membersResult = await pool.query('SELECT group_id, channel_id FROM channel_group_members');
+
+    const groups = groupsResult.rows.map(group => ({
+      ...group,
+      channel_ids: membersResult.rows
+        .filter(m => Number(m.group_id) === Number(group.id))
+        .map(m => Number(m.channel_id))
+    }));
+
+    res.json({ groups });
+  } catch (error) {
+    console.error('Error fetching channel groups:', error);
+    res.status(500).json({ error: 'Failed to fetch channel groups' });
+  }
+});
+
+// Create channel group
+router.post('/groups', authenticate, async (req, res) => {
+  try {
+    const { description, channel_ids = [] } = req.body;
+    const name = String(req.body.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({ error: 'Group name required' });
+    }
+
+    const existing = await pool.query('SELECT id FROM channel_groups WHERE name = $1', [name]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: `A group named "${name}" already exists` });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO channel_groups (name, description, created_by) VALUES ($1, $2, $3) RETURNING id',
+      [name, description || null, req.user.id]
+    );
+    const groupId = result.rows[0].id;
+
+    await saveGroupMembers(groupId, channel_ids);
+    await logActivity(req.user.id, 'channel_group_created', { group_id: groupId, name });
+
+    res.status(201).json({ message: 'Group created', group: { id: groupId, name } });
+  } catch (error) {
+    console.error('Error creating channel group:', error);
+    res.status(500).json({ error: 'Failed to create channel group' });
+  }
+});
+
+// Update channel group
+router.put('/groups/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description, channel_ids } = req.body;
+
+    const groupResult = await pool.query('SELECT * FROM channel_groups WHERE id = $1', [id]);
+    if (groupResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const group = groupResult.rows[0];
+
+    const name = req.body.name !== undefined ? String(req.body.name || '').trim() : group.name;
+    if (!name) {
+      return res.status(400).json({ error: 'Group name required' });
+    }
+
+    const existing = await pool.query('SELECT id FROM channel_groups WHERE name = $1 AND id != $2', [name, id]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: `A group named "${name}" already exists` });
+    }
+
+    await pool.query(
+      'UPDATE channel_groups SET name = $1, description = $2 WHERE id = $3',
+      [name, description !== undefined ? description || null : group.description, id]
+    );
+
+    if (channel_ids) {
+      await saveGroupMembers(id, channel_ids);
+    }
+
+    await logActivity(req.user.id, 'channel_group_updated', { group_id: id });
+
+    res.json({ message: 'Group updated' });
+  } catch (error) {
+    console.error('Error updating channel group:', error);
+    res.status(500).json({ error: 'Failed to update channel group' });
+  }
+});
+
+// Delete channel group
+router.delete('/groups/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const groupResult = await pool.query('SELECT * FROM channel_groups WHERE id = $1', [id]);
+    if (groupResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const pendingUses = await countPendingAudienceUses('group_id', id);
+    if (pendingUses > 0) {
+      return res.status(400).json({
+        error: `Used by ${pendingUses} announcement${pendingUses === 1 ? " that hasn't" : "s that haven't"} been sent yet`
+      });
+    }
+
+    await pool.query('DELETE FROM announcement_audiences WHERE group_id = $1', [id]);
+    await pool.query('DELETE FROM channel_group_members WHERE group_id = $1', [id]);
+    await pool.query('DELETE FROM channel_groups WHERE id = $1', [id]);
+    await logActivity(req.user.id, 'channel_group_deleted', { name: groupResult.rows[0].name });
+
+    res.json({ message: 'Group deleted' });
+  } catch (error) {
+    console.error('Error deleting channel group:', error);
+    res.status(500).json({ error: 'Failed to delete channel group' });
+  }
+});
+
+// Get segments with the active channels they currently match
+router.get('/segments', authenticate, async (req, res) => {
+  try {
+    const segmentsResult = await pool.query(`
+      SELECT s.*, u.name as created_by_name
+      FROM channel_segments s
+      LEFT JOIN users u ON s.created_by = u.id
+      ORDER BY s.name
+    `);
+
+    const segments = [];
+    for (const segment of segmentsResult.rows) {
+      const channels = await getSegmentChannels(segment);
+      segments.push({ ...segment, channel_ids: channels.map(c => Number(c.id)) });
+    }
+
+    res.json({ segments });
+  } catch (error) {
+    console.error('Error fetching segments:', error);
+    res.status(500).json({ error: 'Failed to fetch segments' });
+  }
+});
+
+// Create segment
+router.post('/segments', authenticate, async (req, res) => {
+  try {
+    let segment;
+    try {
+      segment = normalizeSegment(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const existing = await pool.query('SELECT id FROM channel_segments WHERE name = $1', [segment.name]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: `A segment named "${segment.name}" already exists` });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO channel_segments (name, description, channel_types, min_members, max_members, tag, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      [
+        segment.name,
+        segment.description,
+        segment.channel_types,
+        segment.min_members,
+        segment.max_members,
+        segment.tag,
+        req.user.id
+      ]
+    );
+    const segmentId = result.rows[0].id;
+
+    await logActivity(req.user.id, 'channel_segment_created', { segment_id: segmentId, name: segment.name });
+
+    res.status(201).json({ message: 'Segment created', segment: { id: segmentId, name: segment.name } });
+  } catch (error) {
+    console.error('Error creating segment:', error);
+    res.status(500).json({ error: 'Failed to create segment' });
+  }
+});
+
+// Update segment
+router.put('/segments/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const segmentResult = await pool.query('SELECT id FROM channel_segments WHERE id = $1', [id]);
+    if (segmentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    let segment;
+    try {
+      segment = normalizeSegment(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const existing = await pool.query('SELECT id FROM channel_segments WHERE name = $1 AND id != $2', [segment.name, id]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: `A segment named "${segment.name}" already exists` });
+    }
+
+    await pool.query(
+      `UPDATE channel_segments
+       SET name = $1, description = $2, channel_types = $3, min_members = $4, max_members = $5, tag = $6
+       WHERE id = $7`,
+      [segment.name, segment.description, segment.channel_types, segment.min_members, segment.max_members, segment.tag, id]
+    );
+
+    await logActivity(req.user.id, 'channel_segment_updated', { segment_id: id });
+
+    res.json({ message: 'Segment updated' });
+  } catch (error) {
+    console.error('Error updating segment:', error);
+    res.status(500).json({ error: 'Failed to update segment' });
+  }
+});
+
+// Delete segment
+router.delete('/segments/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const segmentResult = await pool.query('SELECT * FROM channel_segments WHERE id = $1', [id]);
+    if (segmentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const pendingUses = await countPendingAudienceUses('segment_id', id);
+    if (pendingUses > 0) {
+      return res.status(400).json({
+        error: `Used by ${pendingUses} announcement${pendingUses === 1 ? " that hasn't" : "s that haven't"} been sent yet`
+      });
+    }
+
+    await pool.query('DELETE FROM announcement_audiences WHERE segment_id = $1', [id]);
+    await pool.query('DELETE FROM channel_segments WHERE id = $1', [id]);
+    await logActivity(req.user.id, 'channel_segment_deleted', { name: segmentResult.rows[0].name });
+
+    res.json({ message: 'Segment deleted' });
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    res.status(500).json({ error: 'Failed to delete segment' });
+  }
+});
+
 // Get all channels
 router.get('/', authenticate, async (req, res) => {
   try {
@@ -65,12 +351,25 @@ router.get('/:id', authenticate, async (req, res) => {
 // Add channel manually
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { telegram_id, title, type = 'channel' } = req.body;
+    const { telegram_id, title, type = 'channel', timezone = 'UTC' } = req.body;
 
     if (!telegram_id || !title) {
       return res.status(400).json({ error: 'Telegram ID and title required' });
     }
 
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+
+    let tags = [];
+    let locale;
+    try {
+      tags = normalizeTags(req.body.tags || []);
+      locale = normalizeLocale(req.body.locale);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
     // Check if already exists
     const existing = await pool.query('SELECT id FROM channels WHERE telegram_id = $1', [telegram_id]);
     if (existing.rows.length > 0) {
@@ -78,15 +377,15 @@ router.post('/', authenticate, async (req, res) => {
     }
 
     const result = await pool.query(
-      'INSERT INTO channels (telegram_id, title, type, added_by) VALUES ($1, $2, $3, $4) RETURNING id',
-      [telegram_id, title, type, req.user.id]
+      'INSERT INTO channels (telegram_id, title, type, timezone, tags, locale, added_by) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+      [telegram_id, title, type, timezone, JSON.stringify(tags), locale, req.user.id]
     );
 
     await logActivity(req.user.id, 'channel_added', { channel_id: result.rows[0].id, title });
 
     res.status(201).json({
       message: 'Channel added',
-      channel: { id: result.rows[0].id, telegram_id, title, type }
+      channel: { id: result.rows[0].id, telegram_id, title, type, timezone, tags: JSON.stringify(tags), locale }
     });
   } catch (error) {
     console.error('Error adding channel:', error);
@@ -98,7 +397,31 @@ router.post('/', authenticate, async (req, res) => {
 router.put('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, is_active } = req.body;
+    const { title, is_active, timezone } = req.body;
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+
+    // tags: list to replace the channel's tags, omitted to keep them
+    let tags;
+    if (req.body.tags !== undefined) {
+      try {
+        tags = JSON.stringify(normalizeTags(req.body.tags || []));
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
+    // locale: the language the channel gets announcements in, empty for the default
+    let locale;
+    if (req.body.locale !== undefined) {
+      try {
+        locale = normalizeLocale(req.body.locale);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
 
     const channelResult = await pool.query('SELECT * FROM channels WHERE id = $1', [id]);
     if (channelResult.rows.length === 0) {
@@ -108,14 +431,37 @@ router.put('/:id', authenticate, async (req, res) => {
     const channel = channelResult.rows[0];
 
     await pool.query(
-      'UPDATE channels SET title = $1, is_active = $2 WHERE id = $3',
+      'UPDATE channels SET title = $1, is_active = $2, timezone = $3, tags = $4, locale = $5 WHERE id = $6',
       [
         title !== undefined ? title : channel.title,
         is_active !== undefined ? (is_active ? 1 : 0) : channel.is_active,
+        timezone !== undefined ? timezone : channel.timezone,
+        tags !== undefined ? tags : channel.tags,
+        locale !== undefined ? locale : channel.locale,
         id
       ]
     );
 
+    // Move pending local time sends for this channel to its new timezone. Groups and
+    // segments that haven't resolved yet may include it too.
+    if (timezone !== undefined && timezone !== channel.timezone) {
+      const scheduledResult = await pool.query(`
+        SELECT a.id, a.local_scheduled_at
+        FROM announcements a
+        WHERE a.status = 'scheduled' AND a.local_scheduled_at IS NOT NULL
+          AND (
+            EXISTS (SELECT 1 FROM announcement_targets at WHERE at.announcement_id = a.id AND at.channel_id = $1)
+            OR (a.audiences_resolved_at IS NULL
+              AND EXISTS (SELECT 1 FROM announcement_audiences aa WHERE aa.announcement_id = a.id))
+          )
+      `, [id]);
+
+      for (const announcement of scheduledResult.rows) {
+        const firstSendAt = await scheduleTargetsLocally(announcement.id, announcement.local_scheduled_at);
+        await pool.query('UPDATE announcements SET scheduled_at = $1 WHERE id = $2', [firstSendAt, announcement.id]);
+      }
+    }
+
     await logActivity(req.user.id, 'channel_updated', { channel_id: id });
 
     res.json({ message: 'Channel updated' });
@@ -139,6 +485,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 
     // Delete related announcement_targets first (foreign key constraint)
     await pool.query('DELETE FROM announcement_targets WHERE channel_id = $1', [id]);
+    await pool.query('DELETE FROM channel_group_members WHERE channel_id = $1', [id]);
 
     // Now delete the channel
     await pool.query('DELETE FROM channels WHERE id = $1', [id]);
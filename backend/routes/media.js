@@ -0,0 +1,103 @@
+const express = require('express');
+const os = require('os');
+const multer = require('multer');
+const { authenticate, logActivity, requirePermission } = require('../middleware/auth');
+const { storeUpload, getAsset, listAssets, getAssetUsage, deleteAsset } = require('../utils/mediaLibrary');
+const { getUploadError } = require('../utils/media');
+
+const router = express.Router();
+
+// Telegram bots can upload files up to 50MB
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+// Files land in a temp dir first; the library moves them to storage once hashed
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_UPLOAD_SIZE },
+  fileFilter: (req, file, cb) => {
+    const error = getUploadError(file);
+    cb(error ? new Error(error) : null, !error);
+  }
+});
+
+// List the media library
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { type, search, limit } = req.query;
+    const assets = await listAssets({ type, search, limit });
+    res.json({ assets });
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
+// Upload a file to the library. Files already in the library are reused.
+router.post('/upload', authenticate, requirePermission('announcements'), (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      const error = err.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large, Telegram accepts up to 50MB'
+        : err.message;
+      return res.status(400).json({ error });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+      const { asset, duplicate } = await storeUpload(req.file, req.user.id);
+
+      if (!duplicate) {
+        await logActivity(req.user.id, 'media_uploaded', { asset_id: asset.id, file_name: asset.file_name });
+      }
+
+      res.status(duplicate ? 200 : 201).json({ media: asset, duplicate });
+    } catch (error) {
+      console.error('Error uploading media:', error);
+      res.status(500).json({ error: 'Failed to upload media' });
+    }
+  });
+});
+
+// Get an asset with the announcements that use it
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const asset = await getAsset(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const usage = await getAssetUsage(asset.id);
+    res.json({ asset, usage });
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
+// Delete an asset that no announcement uses
+router.delete('/:id', authenticate, requirePermission('announcements'), async (req, res) => {
+  try {
+    const asset = await getAsset(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    try {
+      await deleteAsset(asset);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    await logActivity(req.user.id, 'media_deleted', { asset_id: asset.id, file_name: asset.file_name });
+
+    res.json({ message: 'Media deleted' });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({ error: 'Failed to delete media' });
+  }
+});
+
+module.exports = router;
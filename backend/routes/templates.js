@@ -0,0 +1,140 @@
+const express = require('express');
+const { pool } = require('../models/database');
+const { authenticate, logActivity } = require('../middleware/auth');
+const { normalizeTemplate, getTemplate, listTemplates } = require('../utils/templates');
+
+const router = express.Router();
+
+// Check a template's campaign exists. Returns a message for a 400 response, or null.
+const getCampaignError = async (campaignId) => {
+  if (!campaignId) return null;
+  const result = await pool.query('SELECT id FROM campaigns WHERE id = $1', [campaignId]);
+  return result.rows.length === 0 ? 'Campaign not found' : null;
+};
+
+// Get all templates with the variables they ask for
+router.get('/', authenticate, async (req, res) => {
+  try {
+    res.json({ templates: await listTemplates() });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+// Get template
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ template });
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// Create template
+router.post('/', authenticate, async (req, res) => {
+  try {
+    let template;
+    try {
+      template = normalizeTemplate(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const campaignError = await getCampaignError(template.campaign_id);
+    if (campaignError) {
+      return res.status(400).json({ error: campaignError });
+    }
+
+    const existing = await pool.query('SELECT id FROM announcement_templates WHERE name = $1', [template.name]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: `A template named "${template.name}" already exists` });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO announcement_templates (name, description, content, buttons, campaign_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [template.name, template.description, template.content, template.buttons, template.campaign_id, req.user.id]
+    );
+    const templateId = result.rows[0].id;
+
+    await logActivity(req.user.id, 'template_created', { template_id: templateId, name: template.name });
+
+    res.status(201).json({ message: 'Template created', template: await getTemplate(templateId) });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+// Update template. Announcements already made from it keep their content.
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const current = await getTemplate(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    let template;
+    try {
+      template = normalizeTemplate(req.body, current);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const campaignError = await getCampaignError(template.campaign_id);
+    if (campaignError) {
+      return res.status(400).json({ error: campaignError });
+    }
+
+    const existing = await pool.query('SELECT id FROM announcement_templates WHERE name = $1 AND id != $2', [template.name, id]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: `A template named "${template.name}" already exists` });
+    }
+
+    await pool.query(
+      `UPDATE announcement_templates
+       SET name = $1, description = $2, content = $3, buttons = $4, campaign_id = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6`,
+      [template.name, template.description, template.content, template.buttons, template.campaign_id, id]
+    );
+
+    await logActivity(req.user.id, 'template_updated', { template_id: id });
+
+    res.json({ message: 'Template updated', template: await getTemplate(id) });
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Delete template. Announcements made from it are kept.
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const template = await getTemplate(id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await pool.query('UPDATE announcements SET template_id = NULL WHERE template_id = $1', [id]);
+    await pool.query('DELETE FROM announcement_templates WHERE id = $1', [id]);
+    await logActivity(req.user.id, 'template_deleted', { name: template.name });
+
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+module.exports = router;
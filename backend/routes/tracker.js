@@ -1,7 +1,10 @@
 const express = require('express');
 const { pool } = require('../models/database');
 const { recordClick } = require('../utils/linkTracker');
+const { applyUtmParams } = require('../utils/utm');
 const { getTrackingData } = require('../utils/geoip');
+const { getSuspiciousReason } = require('../utils/botFilter');
+const { getPrivacyMode, anonymizeIp, getViewerHash } = require('../utils/privacy');
 
 const router = express.Router();
 
@@ -14,7 +17,7 @@ const TRANSPARENT_GIF = Buffer.from(
 // Pixel tracking endpoint for view counting
 router.get('/pixel/:announcementId/:channelId', async (req, res) => {
   const { announcementId, channelId } = req.params;
-  console.log(`[PIXEL] View request: announcement=${announcementId}, channel=${channelId}, ip=${req.headers['x-forwarded-for'] || req.ip}`);
+  console.log(`[PIXEL] View request: announcement=${announcementId}, channel=${channelId}`);
 
   // Return GIF immediately for fast response
   res.set({
@@ -34,7 +37,7 @@ router.get('/pixel/:announcementId/:channelId', async (req, res) => {
       const userAgent = req.headers['user-agent'] || 'unknown';
 
       // Create a unique identifier for this viewer
-      const viewerHash = Buffer.from(`${ip}-${userAgent}`).toString('base64').substring(0, 32);
+      const viewerHash = await getViewerHash(ip, userAgent);
 
       // Check if this viewer already viewed this announcement on this channel
       const existingView = await pool.query(
@@ -46,14 +49,23 @@ router.get('/pixel/:announcementId/:channelId', async (req, res) => {
       if (existingView.rows.length === 0) {
         // Get geolocation and device data
         const trackingData = await getTrackingData(ip, userAgent);
+        const suspiciousReason = getSuspiciousReason({ ip, userAgent, asn: trackingData.asn });
 
         // Record new unique view with extended data
         await pool.query(
-          `INSERT INTO pixel_views (announcement_id, channel_id, viewer_hash, ip_address, user_agent, country, city, device_type, browser)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-          [announcementId, channelId, viewerHash, ip, userAgent, trackingData.country, trackingData.city, trackingData.deviceType, trackingData.browser]
+          `INSERT INTO pixel_views (announcement_id, channel_id, viewer_hash, ip_address, user_agent, country, city, device_type, browser,
+                                    is_suspicious, suspicious_reason, region, asn, isp, is_anonymized)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+          [announcementId, channelId, viewerHash, await anonymizeIp(ip), userAgent, trackingData.country, trackingData.city, trackingData.deviceType, trackingData.browser,
+            suspiciousReason ? 1 : 0, suspiciousReason, trackingData.region, trackingData.asn, trackingData.isp, getPrivacyMode() !== 'off' ? 1 : 0]
         );
 
+        // Views from preview bots and crawlers are kept but not counted
+        if (suspiciousReason) {
+          console.log(`Pixel view flagged: announcement=${announcementId}, channel=${channelId}, reason=${suspiciousReason}`);
+          return;
+        }
+
         // Update view count in announcement_targets
         await pool.query(
           `UPDATE announcement_targets
@@ -88,28 +100,8 @@ router.get('/:code', async (req, res) => {
     const link = linkResult.rows[0];
     console.log(`[TRACKER] Found link: ${link.original_url}`);
 
-    // Build redirect URL with UTM params if not already present
-    let redirectUrl = link.original_url;
-
-    try {
-      const url = new URL(redirectUrl);
-
-      // Add UTM params if they don't exist
-      if (link.utm_source && !url.searchParams.has('utm_source')) {
-        url.searchParams.set('utm_source', link.utm_source);
-      }
-      if (link.utm_medium && !url.searchParams.has('utm_medium')) {
-        url.searchParams.set('utm_medium', link.utm_medium);
-      }
-      if (link.utm_campaign && !url.searchParams.has('utm_campaign')) {
-        url.searchParams.set('utm_campaign', link.utm_campaign);
-      }
-
-      redirectUrl = url.toString();
-    } catch (e) {
-      // If URL parsing fails, just use original
-      console.log(`[TRACKER] URL parsing failed, using original: ${redirectUrl}`);
-    }
+    // Add the link's UTM fields and extra params where the URL doesn't set them
+    const redirectUrl = applyUtmParams(link.original_url, link);
 
     // Redirect FIRST, then track asynchronously (don't block redirect)
     res.redirect(302, redirectUrl);
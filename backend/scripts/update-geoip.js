@@ -0,0 +1,17 @@
+// Download fresh GeoIP databases from MaxMind: npm run geoip:update
+// Needs MAXMIND_ACCOUNT_ID and MAXMIND_LICENSE_KEY (a free GeoLite2 account will do).
+
+require('dotenv').config();
+const { GEOIP_DIR, updateGeoDatabases } = require('../utils/geoip');
+
+updateGeoDatabases()
+  .then((updated) => {
+    for (const { edition, built_at } of updated) {
+      console.log(`Updated ${edition} (built ${built_at})`);
+    }
+    console.log(`GeoIP databases are in ${GEOIP_DIR}`);
+  })
+  .catch((error) => {
+    console.error('GeoIP update failed:', error.message);
+    process.exit(1);
+  });
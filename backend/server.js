@@ -20,6 +20,13 @@ const { pool, initDatabase, USE_POSTGRES } = require('./models/database');
 
 // Initialize Telegram bot
 const { initBot, processUpdate, stopBot, getBotStatus } = require('./utils/telegram');
+const { dispatchDueAnnouncements } = require('./utils/dispatcher');
+const { dispatchDueRecurrences } = require('./utils/recurrence');
+const { expireDueAnnouncements } = require('./utils/liveMessages');
+const { collectTelegramViews } = require('./utils/viewCollector');
+const { recoverQueue, startQueueWorker, stopQueueWorker } = require('./utils/sendQueue');
+const { updateGeoDatabases } = require('./utils/geoip');
+const { purgeExpiredTrackingData } = require('./utils/privacy');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -31,6 +38,10 @@ const supportRoutes = require('./routes/support');
 const ticketRoutes = require('./routes/tickets');
 const logsRoutes = require('./routes/logs');
 const notificationsRoutes = require('./routes/notifications');
+const mediaRoutes = require('./routes/media');
+const templateRoutes = require('./routes/templates');
+const { UPLOAD_DIR } = require('./utils/storage');
+const { isInlineUpload } = require('./utils/media');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -83,6 +94,18 @@ app.use('/api/support', supportRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/logs', logsRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/templates', templateRoutes);
+
+// Uploaded announcement attachments. Only images and videos open in the browser,
+// other files are downloaded so they can't run as part of the dashboard.
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  setHeaders: (res, filePath) => {
+    if (!isInlineUpload(filePath)) {
+      res.setHeader('Content-Disposition', 'attachment');
+    }
+  }
+}));
 
 // Link tracker (short URLs)
 app.use('/t', trackerRoutes);
@@ -142,39 +165,77 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(staticPath));
 
   app.get('*', (req, res) => {
-    if (!req.path.startsWith('/api') && !req.path.startsWith('/t/') && !req.path.startsWith('/bot')) {
+    if (!req.path.startsWith('/api') && !req.path.startsWith('/t/') && !req.path.startsWith('/bot') && !req.path.startsWith('/uploads/')) {
       res.sendFile(path.join(staticPath, 'index.html'));
     }
   });
 }
 
-// Scheduled announcements cron job (runs every minute)
+// Scheduled, recurring and expiring announcements cron job (runs every minute)
+let dispatchRunning = false;
+
 cron.schedule('* * * * *', async () => {
-  if (!dbConnected) return;
+  // Skip the tick if the previous run is still sending
+  if (!dbConnected || dispatchRunning) return;
 
+  dispatchRunning = true;
   try {
-    // Use database-specific date function
-    const dateFunc = USE_POSTGRES ? 'NOW()' : "datetime('now')";
-    const result = await pool.query(`
-      SELECT a.*
-      FROM announcements a
-      WHERE a.status = 'scheduled'
-        AND a.scheduled_at <= ${dateFunc}
-    `);
+    await dispatchDueAnnouncements();
+    await dispatchDueRecurrences();
+    await expireDueAnnouncements();
+  } catch (error) {
+    console.error('Cron job error:', error.message);
+  } finally {
+    dispatchRunning = false;
+  }
+});
 
-    for (const announcement of result.rows) {
-      console.log(`Processing scheduled announcement: ${announcement.title}`);
+// Telegram view counts cron job (runs every 15 minutes)
+let viewCollectionRunning = false;
 
-      await pool.query(
-        `UPDATE announcements SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = $1`,
-        [announcement.id]
-      );
+cron.schedule('*/15 * * * *', async () => {
+  if (!dbConnected || viewCollectionRunning) return;
+
+  viewCollectionRunning = true;
+  try {
+    const result = await collectTelegramViews();
+    if (result && (result.messages || result.failed)) {
+      console.log(`Telegram views collected for ${result.messages} messages, ${result.failed} failed`);
     }
   } catch (error) {
-    console.error('Cron job error:', error.message);
+    console.error('View collection error:', error.message);
+  } finally {
+    viewCollectionRunning = false;
   }
 });
 
+// GeoIP databases refresh (weekly, when a MaxMind license key is set)
+if (process.env.MAXMIND_LICENSE_KEY) {
+  cron.schedule('0 4 * * 3', async () => {
+    try {
+      const updated = await updateGeoDatabases();
+      console.log('GeoIP databases updated:', updated.map(u => u.edition).join(', '));
+    } catch (error) {
+      console.error('GeoIP update error:', error.message);
+    }
+  });
+}
+
+// Retention policy for click and view data (daily, when PRIVACY_RETENTION_DAYS is set)
+if (process.env.PRIVACY_RETENTION_DAYS) {
+  cron.schedule('30 3 * * *', async () => {
+    if (!dbConnected) return;
+    try {
+      const purged = await purgeExpiredTrackingData();
+      if (purged && (purged.clicks || purged.views)) {
+        console.log(`Retention policy applied to ${purged.clicks} clicks and ${purged.views} views`);
+      }
+    } catch (error) {
+      console.error('Retention purge error:', error.message);
+    }
+  });
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('=== Server Error ===');
@@ -188,12 +249,14 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopQueueWorker();
   stopBot();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  stopQueueWorker();
   stopBot();
   process.exit(0);
 });
@@ -226,6 +289,16 @@ const startServer = async () => {
     dbConnected = false;
   }
 
+  // Resume the send queue, requeueing jobs a previous process was still sending
+  if (dbConnected) {
+    try {
+      await recoverQueue();
+      startQueueWorker();
+    } catch (error) {
+      console.error('Failed to start send queue:', error.message);
+    }
+  }
+
   // Initialize Telegram bot
   try {
     bot = initBot();
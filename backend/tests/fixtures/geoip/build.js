@@ -0,0 +1,123 @@
+// Builds the tiny GeoIP databases the tests read, in the MaxMind DB format
+// (IPv4 search tree, 24-bit records). Run `node tests/fixtures/geoip/build.js`
+// after changing the networks below and commit the .mmdb files.
+
+const fs = require('fs');
+const path = require('path');
+
+// Control bytes of a field: type and payload size
+const control = (type, size) => {
+  const extra = size >= 29 ? [size - 29] : [];
+  const head = Math.min(size, 29);
+  return Buffer.from(type <= 7 ? [(type << 5) | head, ...extra] : [head, type - 7, ...extra]);
+};
+
+const TYPES = { string: 2, double: 3, uint16: 5, uint32: 6, map: 7, uint64: 9, array: 11 };
+
+const encodeUint = (type, value) => {
+  const bytes = [];
+  for (let v = BigInt(value); v > 0n; v >>= 8n) bytes.unshift(Number(v & 255n));
+  return Buffer.concat([control(type, bytes.length), Buffer.from(bytes)]);
+};
+
+// Numbers are uint32 unless wrapped as { type, value }
+const encode = (value) => {
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([control(TYPES.string, bytes.length), bytes]);
+  }
+  if (typeof value === 'number') return encodeUint(TYPES.uint32, value);
+  if (Array.isArray(value)) return Buffer.concat([control(TYPES.array, value.length), ...value.map(encode)]);
+  if (value.type) return encodeUint(TYPES[value.type], value.value);
+  const keys = Object.keys(value);
+  return Buffer.concat([control(TYPES.map, keys.length), ...keys.flatMap(key => [encode(key), encode(value[key])])]);
+};
+
+// A database answering with record for every address in each [network, bits, record]
+const buildDatabase = (databaseType, networks) => {
+  const nodes = [[null, null]];
+  const data = [];
+  let dataLength = 0;
+
+  for (const [network, bits, record] of networks) {
+    const address = network.split('.').reduce((n, part) => n * 256 + Number(part), 0);
+    const bytes = encode(record);
+    const offset = dataLength;
+    data.push(bytes);
+    dataLength += bytes.length;
+
+    let node = 0;
+    for (let i = 0; i < bits; i++) {
+      const bit = Math.floor(address / 2 ** (31 - i)) % 2;
+      if (i === bits - 1) {
+        nodes[node][bit] = { offset };
+      } else {
+        if (nodes[node][bit] === null) {
+          nodes.push([null, null]);
+          nodes[node][bit] = nodes.length - 1;
+        }
+        node = nodes[node][bit];
+      }
+    }
+  }
+
+  // Empty branches point at the node count, data at count + 16 + its offset
+  const count = nodes.length;
+  const pointer = (branch) => (branch === null ? count : typeof branch === 'number' ? branch : count + 16 + branch.offset);
+  const tree = Buffer.alloc(count * 6);
+  nodes.forEach(([left, right], i) => {
+    tree.writeUIntBE(pointer(left), i * 6, 3);
+    tree.writeUIntBE(pointer(right), i * 6 + 3, 3);
+  });
+
+  const metadata = encode({
+    node_count: { type: 'uint32', value: count },
+    record_size: { type: 'uint16', value: 24 },
+    ip_version: { type: 'uint16', value: 4 },
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: { type: 'uint16', value: 2 },
+    binary_format_minor_version: { type: 'uint16', value: 0 },
+    build_epoch: { type: 'uint64', value: 1760000000 },
+    description: { en: `${databaseType} test fixture` }
+  });
+
+  return Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    ...data,
+    Buffer.from([0xab, 0xcd, 0xef]),
+    Buffer.from('MaxMind.com'),
+    metadata
+  ]);
+};
+
+const london = {
+  city: { names: { en: 'London' } },
+  country: { iso_code: 'GB', names: { en: 'United Kingdom' } },
+  subdivisions: [{ iso_code: 'ENG', names: { en: 'England' } }]
+};
+
+const FIXTURES = {
+  'GeoLite2-City.mmdb': buildDatabase('GeoLite2-City', [
+    ['81.2.69.0', 24, london],
+    ['89.160.20.0', 24, { registered_country: { iso_code: 'SE', names: { en: 'Sweden' } } }]
+  ]),
+  // The same network a newer build moved to Manchester, for the reload test
+  'GeoLite2-City-updated.mmdb': buildDatabase('GeoLite2-City', [
+    ['81.2.69.0', 24, { ...london, city: { names: { en: 'Manchester' } } }]
+  ]),
+  'GeoLite2-ASN.mmdb': buildDatabase('GeoLite2-ASN', [
+    ['81.2.69.0', 24, { autonomous_system_number: 20712, autonomous_system_organization: 'Andrews & Arnold Ltd' }],
+    ['52.0.0.0', 8, { autonomous_system_number: 16509, autonomous_system_organization: 'AMAZON-02' }]
+  ])
+};
+
+if (require.main === module) {
+  for (const [file, database] of Object.entries(FIXTURES)) {
+    fs.writeFileSync(path.join(__dirname, file), database);
+    console.log(`Wrote ${file} (${database.length} bytes)`);
+  }
+}
+
+module.exports = { buildDatabase };
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { convertMarkdownToTelegramHTML, getFormattingError, findUrls } = require('../utils/formatting');
+
+test('converts inline Markdown to Telegram HTML', () => {
+  assert.strictEqual(
+    convertMarkdownToTelegramHTML('**bold** _italic_ __under__ ~~gone~~ ||secret|| `a<b`'),
+    '<b>bold</b> <i>italic</i> <u>under</u> <s>gone</s> <tg-spoiler>secret</tg-spoiler> <code>a&lt;b</code>'
+  );
+});
+
+test('escapes HTML Telegram does not support and honours backslashes', () => {
+  assert.strictEqual(convertMarkdownToTelegramHTML('1 < 2 & \\*not bold\\*'), '1 &lt; 2 &amp; *not bold*');
+});
+
+test('converts Markdown links', () => {
+  assert.strictEqual(
+    convertMarkdownToTelegramHTML('Read [the **post**](https://example.com/a?b=1&c=2) now'),
+    'Read <a href="https://example.com/a?b=1&amp;c=2">the <b>post</b></a> now'
+  );
+});
+
+test('keeps balanced parentheses in link URLs', () => {
+  assert.strictEqual(
+    convertMarkdownToTelegramHTML('[site](https://x.com/a_(b))'),
+    '<a href="https://x.com/a_(b)">site</a>'
+  );
+  assert.strictEqual(
+    convertMarkdownToTelegramHTML('See [Mercury](https://en.wikipedia.org/wiki/Mercury_(planet)) (the planet)'),
+    'See <a href="https://en.wikipedia.org/wiki/Mercury_(planet)">Mercury</a> (the planet)'
+  );
+  assert.strictEqual(getFormattingError('[site](https://x.com/a_(b))'), null);
+  assert.deepStrictEqual(findUrls('[site](https://x.com/a_(b))'), ['https://x.com/a_(b)']);
+});
+
+test('leaves links with unbalanced or spaced URLs as text', () => {
+  assert.strictEqual(convertMarkdownToTelegramHTML('[a](https://x.com/(open)'), '[a](https://x.com/(open)');
+  assert.strictEqual(convertMarkdownToTelegramHTML('[a](https://x.com/a b)'), '[a](https://x.com/a b)');
+});
+
+test('reports links without a full URL', () => {
+  assert.strictEqual(
+    getFormattingError('[a](example.com)'),
+    'Link "a" needs a full URL starting with https://, got "example.com"'
+  );
+});
+
+test('leaves underscores in bare URLs alone', () => {
+  assert.strictEqual(
+    convertMarkdownToTelegramHTML('(see https://x.com/a_b_c)'),
+    '(see https://x.com/a_b_c)'
+  );
+});
+
+test('converts quotes and fenced code blocks', () => {
+  assert.strictEqual(
+    convertMarkdownToTelegramHTML('> one\n> **two**\n```js\nconst a = 1 < 2;\n```'),
+    '<blockquote>one\n<b>two</b></blockquote>\n<pre><code class="language-js">const a = 1 &lt; 2;</code></pre>'
+  );
+});
+
+test('reports HTML tags that do not nest', () => {
+  assert.strictEqual(
+    getFormattingError('<b><i>x</b></i>'),
+    '<i> is closed by </b>, close tags in the order they were opened'
+  );
+});
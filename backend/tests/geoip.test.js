@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures/geoip');
+const GEOIP_MODULE = require.resolve('../utils/geoip');
+
+const tempDirs = [];
+
+// A directory with copies of the named fixtures, and the geoip module loaded
+// fresh to read from it
+const loadGeoip = (files = ['GeoLite2-City.mmdb', 'GeoLite2-ASN.mmdb']) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-test-'));
+  tempDirs.push(dir);
+  for (const file of files) {
+    fs.copyFileSync(path.join(FIXTURES, file), path.join(dir, file));
+  }
+  process.env.GEOIP_DIR = dir;
+  delete require.cache[GEOIP_MODULE];
+  return { dir, geoip: require(GEOIP_MODULE) };
+};
+
+test.afterEach(() => {
+  delete process.env.GEOIP_DIR;
+  delete require.cache[GEOIP_MODULE];
+  for (const dir of tempDirs.splice(0)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('looks up the location and network of a known address', async () => {
+  const { geoip } = loadGeoip();
+
+  assert.deepStrictEqual(await geoip.getGeoData('81.2.69.160'), {
+    country: 'United Kingdom',
+    region: 'England',
+    city: 'London',
+    asn: 20712,
+    isp: 'Andrews & Arnold Ltd'
+  });
+});
+
+test('reads IPv4-mapped IPv6 addresses as IPv4', async () => {
+  const { geoip } = loadGeoip();
+
+  const result = await geoip.getGeoData('::ffff:81.2.69.160');
+  assert.strictEqual(result.city, 'London');
+  assert.strictEqual(result.asn, 20712);
+});
+
+test('falls back to the registered country and leaves out what the databases lack', async () => {
+  const { geoip } = loadGeoip();
+
+  assert.deepStrictEqual(await geoip.getGeoData('89.160.20.1'), {
+    country: 'Sweden',
+    region: null,
+    city: 'Unknown',
+    asn: null,
+    isp: null
+  });
+  const cloud = await geoip.getGeoData('52.1.2.3');
+  assert.strictEqual(cloud.country, 'Unknown');
+  assert.strictEqual(cloud.asn, 16509);
+  assert.strictEqual(cloud.isp, 'AMAZON-02');
+});
+
+test('private and missing addresses are Local', async () => {
+  const { geoip } = loadGeoip();
+
+  for (const ip of ['127.0.0.1', '::1', '10.1.2.3', '192.168.0.10', '172.16.0.1', '172.31.255.255', '::ffff:10.0.0.1', 'unknown', '', null]) {
+    const result = await geoip.getGeoData(ip);
+    assert.strictEqual(result.country, 'Local', `${ip} should be Local`);
+    assert.strictEqual(result.city, 'Local');
+  }
+});
+
+test('addresses outside the databases and invalid ones are Unknown', async () => {
+  const { geoip } = loadGeoip();
+
+  for (const ip of ['8.8.8.8', '172.217.16.46', '172.64.1.1', 'not-an-ip']) {
+    assert.deepStrictEqual(await geoip.getGeoData(ip), {
+      country: 'Unknown',
+      region: null,
+      city: 'Unknown',
+      asn: null,
+      isp: null
+    });
+  }
+});
+
+test('a missing database file gives Unknown instead of failing', async () => {
+  const { geoip } = loadGeoip(['GeoLite2-ASN.mmdb']);
+
+  const result = await geoip.getGeoData('81.2.69.160');
+  assert.strictEqual(result.country, 'Unknown');
+  assert.strictEqual(result.city, 'Unknown');
+  // The ASN database is still used
+  assert.strictEqual(result.asn, 20712);
+
+  const { geoip: empty } = loadGeoip([]);
+  assert.strictEqual((await empty.getGeoData('81.2.69.160')).country, 'Unknown');
+});
+
+test('getTrackingData adds the device and browser', async () => {
+  const { geoip } = loadGeoip();
+
+  const result = await geoip.getTrackingData('81.2.69.160', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Mobile Safari/604.1');
+  assert.strictEqual(result.city, 'London');
+  assert.strictEqual(result.deviceType, 'mobile');
+  assert.strictEqual(result.browser, 'Safari');
+});
+
+test('a replaced database file is loaded again once its mtime changes', async (t) => {
+  const { dir, geoip } = loadGeoip();
+  const cityFile = path.join(dir, 'GeoLite2-City.mmdb');
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  assert.strictEqual((await geoip.getGeoData('81.2.69.160')).city, 'London');
+
+  fs.copyFileSync(path.join(FIXTURES, 'GeoLite2-City-updated.mmdb'), cityFile);
+  const later = new Date(fs.statSync(cityFile).mtimeMs + 5000);
+  fs.utimesSync(cityFile, later, later);
+
+  // Files are only checked once a minute
+  now += 30 * 1000;
+  assert.strictEqual((await geoip.getGeoData('81.2.69.160')).city, 'London');
+
+  now += 31 * 1000;
+  assert.strictEqual((await geoip.getGeoData('81.2.69.160')).city, 'Manchester');
+
+  // A removed file stops being used, and comes back when it's restored
+  fs.unlinkSync(cityFile);
+  now += 61 * 1000;
+  assert.strictEqual((await geoip.getGeoData('81.2.69.160')).city, 'Unknown');
+
+  fs.copyFileSync(path.join(FIXTURES, 'GeoLite2-City.mmdb'), cityFile);
+  now += 61 * 1000;
+  assert.strictEqual((await geoip.getGeoData('81.2.69.160')).city, 'London');
+});
@@ -0,0 +1,316 @@
+// A/B tests of announcement variants.
+//
+// The announcement's own content and buttons are variant A; the alternatives
+// (B, C, ...) are stored in announcement_variants. When the announcement is first
+// dispatched, test_share percent of its channels are split between the variants
+// and sent right away, and the rest are held back for window_hours. The variant
+// with the best click-through rate is then sent to the held-back channels.
+// Each variant has its own tracked links so clicks can be told apart.
+
+const { pool } = require('../models/database');
+const { parseButtons } = require('./buttons');
+const { logSystemEvent } = require('./logger');
+const { genuineOnly } = require('./botFilter');
+
+const VARIANT_LABELS = ['A', 'B', 'C', 'D', 'E'];
+const MIN_TEST_SHARE = 10;
+const MAX_TEST_SHARE = 90;
+const MAX_WINDOW_HOURS = 168;
+
+// p-value below which the leader's CTR is treated as a real difference
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Check an A/B test from the API and label its variants B, C, ...
+// Throws with a message suitable for a 400 response.
+const normalizeAbTest = (abTest) => {
+  const variants = Array.isArray(abTest.variants) ? abTest.variants : [];
+  if (variants.length === 0) {
+    throw new Error('An A/B test needs at least one variant besides the original');
+  }
+  if (variants.length > VARIANT_LABELS.length - 1) {
+    throw new Error(`An A/B test can have at most ${VARIANT_LABELS.length - 1} variants besides the original`);
+  }
+
+  const testShare = abTest.test_share === undefined || abTest.test_share === null ? 50 : parseInt(abTest.test_share);
+  if (!(testShare >= MIN_TEST_SHARE && testShare <= MAX_TEST_SHARE)) {
+    throw new Error(`Test share must be between ${MIN_TEST_SHARE}% and ${MAX_TEST_SHARE}% of the channels`);
+  }
+
+  const windowHours = abTest.window_hours === undefined || abTest.window_hours === null ? 24 : parseInt(abTest.window_hours);
+  if (!(windowHours >= 1 && windowHours <= MAX_WINDOW_HOURS)) {
+    throw new Error(`Test window must be between 1 and ${MAX_WINDOW_HOURS} hours`);
+  }
+
+  return {
+    test_share: testShare,
+    window_hours: windowHours,
+    variants: variants.map((variant, index) => {
+      const label = VARIANT_LABELS[index + 1];
+      if (!variant || !String(variant.content || '').trim()) {
+        throw new Error(`Variant ${label} needs content`);
+      }
+      const buttons = parseButtons(variant.buttons);
+      return {
+        label,
+        content: String(variant.content),
+        buttons: buttons.length > 0 ? JSON.stringify(buttons) : null
+      };
+    })
+  };
+};
+
+// The test and its variants, or null when the announcement isn't A/B tested
+const getAbTest = async (announcementId) => {
+  const testResult = await pool.query('SELECT * FROM ab_tests WHERE announcement_id = $1', [announcementId]);
+  const test = testResult.rows[0];
+  if (!test) return null;
+
+  const variantsResult = await pool.query(
+    'SELECT label, content, buttons FROM announcement_variants WHERE announcement_id = $1 ORDER BY label',
+    [announcementId]
+  );
+
+  let results = null;
+  if (test.results) {
+    try {
+      results = JSON.parse(test.results);
+    } catch (e) {
+      results = null;
+    }
+  } else if (test.status === 'running') {
+    results = await getVariantResults(announcementId);
+  }
+
+  return { ...test, variants: variantsResult.rows, results };
+};
+
+// Replace the test settings and variants. Only tests that haven't started can change.
+const saveAbTest = async (announcementId, abTest) => {
+  await pool.query(
+    `DELETE FROM ab_tests WHERE announcement_id = $1 AND status = 'draft'`,
+    [announcementId]
+  );
+  await pool.query('DELETE FROM announcement_variants WHERE announcement_id = $1', [announcementId]);
+
+  await pool.query(
+    'INSERT INTO ab_tests (announcement_id, test_share, window_hours) VALUES ($1, $2, $3)',
+    [announcementId, abTest.test_share, abTest.window_hours]
+  );
+
+  for (const variant of abTest.variants) {
+    await pool.query(
+      'INSERT INTO announcement_variants (announcement_id, label, content, buttons) VALUES ($1, $2, $3, $4)',
+      [announcementId, variant.label, variant.content, variant.buttons]
+    );
+  }
+};
+
+const deleteAbTest = async (announcementId) => {
+  await pool.query('DELETE FROM ab_tests WHERE announcement_id = $1', [announcementId]);
+  await pool.query('DELETE FROM announcement_variants WHERE announcement_id = $1', [announcementId]);
+};
+
+// Give a duplicated announcement the same test, not yet started
+const copyAbTest = async (fromAnnouncementId, toAnnouncementId) => {
+  const test = await getAbTest(fromAnnouncementId);
+  if (!test) return;
+
+  await saveAbTest(toAnnouncementId, {
+    test_share: test.test_share,
+    window_hours: test.window_hours,
+    variants: test.variants
+  });
+};
+
+// The announcement as a variant sends it: variant A is the announcement itself
+const applyVariant = async (announcement, label) => {
+  if (!label || label === VARIANT_LABELS[0]) return announcement;
+
+  const result = await pool.query(
+    'SELECT content, buttons FROM announcement_variants WHERE announcement_id = $1 AND label = $2',
+    [announcement.id, label]
+  );
+  const variant = result.rows[0];
+  if (!variant) return announcement;
+
+  return { ...announcement, content: variant.content, buttons: variant.buttons };
+};
+
+const shuffle = (list) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Split the pending targets between the variants and hold the rest back until
+// the test window ends. Returns the targets to send now, each with its variant.
+// Every variant needs a channel and at least one channel must be held back,
+// otherwise the test is skipped and everything goes out as variant A.
+const startAbTest = async (announcement, targets) => {
+  const test = await getAbTest(announcement.id);
+  const labels = [VARIANT_LABELS[0], ...test.variants.map(v => v.label)];
+
+  if (targets.length < labels.length + 1) {
+    await pool.query(`UPDATE ab_tests SET status = 'skipped' WHERE id = $1`, [test.id]);
+    await logSystemEvent(
+      `A/B test for "${announcement.title}" skipped: ${labels.length} variants need at least ${labels.length + 1} channels`,
+      { announcement_id: announcement.id, channels: targets.length }
+    );
+    return targets;
+  }
+
+  const testCount = Math.min(
+    targets.length - 1,
+    Math.max(labels.length, Math.round(targets.length * test.test_share / 100))
+  );
+  const shuffled = shuffle(targets);
+  const testTargets = shuffled.slice(0, testCount).map((target, index) => ({
+    ...target,
+    variant: labels[index % labels.length]
+  }));
+  const heldBack = shuffled.slice(testCount);
+
+  const endsAt = new Date(Date.now() + test.window_hours * 60 * 60 * 1000).toISOString();
+
+  for (const target of testTargets) {
+    await pool.query('UPDATE announcement_targets SET variant = $1 WHERE id = $2', [target.variant, target.id]);
+  }
+  for (const target of heldBack) {
+    await pool.query('UPDATE announcement_targets SET scheduled_at = $1 WHERE id = $2', [endsAt, target.id]);
+  }
+
+  await pool.query(
+    `UPDATE ab_tests SET status = 'running', started_at = CURRENT_TIMESTAMP, ends_at = $1 WHERE id = $2`,
+    [endsAt, test.id]
+  );
+
+  await logSystemEvent(
+    `A/B test for "${announcement.title}" started: ${testTargets.length} test channels, ${heldBack.length} held back`,
+    { announcement_id: announcement.id, variants: labels, ends_at: endsAt }
+  );
+
+  return testTargets;
+};
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-sided p-value of a two-proportion z-test, or null when there's no data
+const twoProportionPValue = (clicksA, viewsA, clicksB, viewsB) => {
+  if (viewsA === 0 || viewsB === 0) return null;
+
+  const pooled = (clicksA + clicksB) / (viewsA + viewsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / viewsA + 1 / viewsB));
+  if (standardError === 0) return null;
+
+  const z = (clicksA / viewsA - clicksB / viewsB) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+};
+
+// Views, clicks (links and callback buttons) and CTR for each variant's test
+// channels, with the leader and how confident we can be that it beats the runner-up
+const getVariantResults = async (announcementId) => {
+  const targetsResult = await pool.query(`
+    SELECT variant, COUNT(*) as channels, COALESCE(SUM(views), 0) as views
+    FROM announcement_targets
+    WHERE announcement_id = $1 AND variant IS NOT NULL
+    GROUP BY variant
+  `, [announcementId]);
+
+  const linkClicksResult = await pool.query(`
+    SELECT tl.variant, COUNT(lc.id) as clicks
+    FROM tracked_links tl
+    JOIN link_clicks lc ON lc.link_id = tl.id
+    WHERE tl.announcement_id = $1 AND tl.variant IS NOT NULL AND COALESCE(tl.is_test, 0) = 0 AND ${genuineOnly('lc')}
+    GROUP BY tl.variant
+  `, [announcementId]);
+
+  const buttonClicksResult = await pool.query(`
+    SELECT at.variant, COUNT(bc.id) as clicks
+    FROM button_clicks bc
+    JOIN announcement_targets at ON at.announcement_id = bc.announcement_id AND at.channel_id = bc.channel_id
+    WHERE bc.announcement_id = $1 AND at.variant IS NOT NULL
+    GROUP BY at.variant
+  `, [announcementId]);
+
+  const countFor = (rows, label) => parseInt(rows.find(r => r.variant === label)?.clicks) || 0;
+
+  const variants = targetsResult.rows
+    .map((row) => {
+      const clicks = countFor(linkClicksResult.rows, row.variant) + countFor(buttonClicksResult.rows, row.variant);
+      const views = parseInt(row.views) || 0;
+      return {
+        label: row.variant,
+        channels: parseInt(row.channels) || 0,
+        views,
+        clicks,
+        ctr: views > 0 ? clicks / views : 0
+      };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  // Ties go to the earlier variant, so the original wins when nothing stands out
+  const ranked = [...variants].sort((a, b) => b.ctr - a.ctr || a.label.localeCompare(b.label));
+  const [leader, runnerUp] = ranked;
+
+  const pValue = leader && runnerUp
+    ? twoProportionPValue(leader.clicks, leader.views, runnerUp.clicks, runnerUp.views)
+    : null;
+
+  return {
+    variants,
+    leader: leader ? leader.label : null,
+    p_value: pValue,
+    significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+// End a running test: pick the variant with the best CTR and assign it to the
+// held-back channels. Returns the results, or null when the test isn't running.
+const completeAbTest = async (announcementId) => {
+  const claim = await pool.query(
+    `UPDATE ab_tests SET status = 'completed', decided_at = CURRENT_TIMESTAMP
+     WHERE announcement_id = $1 AND status = 'running'`,
+    [announcementId]
+  );
+  if (!claim.rowCount) return null;
+
+  const results = await getVariantResults(announcementId);
+  const winner = results.leader || VARIANT_LABELS[0];
+
+  await pool.query(
+    'UPDATE ab_tests SET winner = $1, p_value = $2, results = $3 WHERE announcement_id = $4',
+    [winner, results.p_value, JSON.stringify(results), announcementId]
+  );
+  await pool.query(
+    'UPDATE announcement_targets SET variant = $1 WHERE announcement_id = $2 AND variant IS NULL',
+    [winner, announcementId]
+  );
+
+  await logSystemEvent(
+    `A/B test for announcement ${announcementId} picked variant ${winner}${results.significant ? '' : ' (not significant)'}`,
+    { announcement_id: announcementId, winner, p_value: results.p_value }
+  );
+
+  return { ...results, winner };
+};
+
+module.exports = {
+  normalizeAbTest,
+  getAbTest,
+  saveAbTest,
+  deleteAbTest,
+  copyAbTest,
+  applyVariant,
+  startAbTest,
+  getVariantResults,
+  completeAbTest
+};
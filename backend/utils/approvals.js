@@ -0,0 +1,80 @@
+const { pool } = require('../models/database');
+const { createNotification } = require('../routes/notifications');
+const { getSchedule, setSchedulePaused } = require('./recurrence');
+
+// Approval workflow: draft -> in_review -> approved -> scheduled/recurring/sent.
+// Admins and users flagged as approvers can approve; anything else that changes
+// the message sends it back to draft.
+
+const REVIEW_ACTIONS = {
+  comment: 'comment',
+  approve: 'approved',
+  request_changes: 'changes_requested'
+};
+
+const isApprover = (user) => Boolean(user) && (user.role === 'admin' || Number(user.is_approver) === 1);
+
+// Approve the announcement and move it on to its schedule: recurring, scheduled,
+// or approved and ready to send now. A recurring schedule skips occurrences that
+// passed while it waited for review.
+const approveAnnouncement = async (announcement, userId) => {
+  const schedule = await getSchedule(announcement.id);
+  let status = 'approved';
+  if (schedule) {
+    status = 'recurring';
+  } else if (announcement.scheduled_at || announcement.local_scheduled_at) {
+    status = 'scheduled';
+  }
+
+  await pool.query(
+    'UPDATE announcements SET status = $1, approved_by = $2, approved_at = CURRENT_TIMESTAMP WHERE id = $3',
+    [status, userId, announcement.id]
+  );
+
+  if (schedule && !schedule.is_paused) {
+    await setSchedulePaused(announcement.id, false);
+  }
+
+  return status;
+};
+
+const addReview = async (announcementId, userId, action, comment = null) => {
+  const result = await pool.query(
+    `INSERT INTO announcement_reviews (announcement_id, user_id, action, comment)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [announcementId, userId, action, comment || null]
+  );
+  return result.rows[0].id;
+};
+
+// Review history for an announcement, oldest first
+const getReviews = async (announcementId) => {
+  const result = await pool.query(`
+    SELECT r.*, u.name as user_name
+    FROM announcement_reviews r
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE r.announcement_id = $1
+    ORDER BY r.id ASC
+  `, [announcementId]);
+  return result.rows;
+};
+
+// Notify everyone who can approve, except the user who triggered it
+const notifyApprovers = async (excludeUserId, title, message, link) => {
+  const result = await pool.query(
+    "SELECT id FROM users WHERE (role = 'admin' OR is_approver = 1) AND id != $1",
+    [excludeUserId]
+  );
+  for (const user of result.rows) {
+    await createNotification(user.id, 'announcement_review', title, message, link);
+  }
+};
+
+module.exports = {
+  REVIEW_ACTIONS,
+  isApprover,
+  approveAnnouncement,
+  addReview,
+  getReviews,
+  notifyApprovers
+};
@@ -0,0 +1,308 @@
+// Channel groups and audience segments as announcement targets.
+//
+// A group is a named, hand-picked list of channels. A segment is a set of rules
+// (channel type, member count, tag) matched against the active channels. An
+// announcement targets groups and segments through announcement_audiences; they
+// resolve to channels when it is first dispatched, and each resulting target
+// records the group or segment it came from. Channels picked directly always
+// win over a group or segment that also contains them.
+
+const { pool } = require('../models/database');
+const { logSystemEvent } = require('./logger');
+
+const CHANNEL_TYPES = ['channel', 'group', 'supergroup', 'private'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Tags as stored on a channel (a JSON list), tolerating old or bad values
+const parseTags = (value) => {
+  if (!value) return [];
+  try {
+    const tags = JSON.parse(value);
+    return Array.isArray(tags) ? tags : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Check tags from the API: trimmed, without duplicates (ignoring case).
+// Throws with a message suitable for a 400 response.
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    throw new Error('Tags must be a list');
+  }
+
+  const normalized = [];
+  for (const tag of tags) {
+    const value = String(tag || '').trim();
+    if (!value) continue;
+    if (value.length > MAX_TAG_LENGTH) {
+      throw new Error(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (!normalized.some(t => t.toLowerCase() === value.toLowerCase())) {
+      normalized.push(value);
+    }
+  }
+
+  if (normalized.length > MAX_TAGS) {
+    throw new Error(`A channel can have at most ${MAX_TAGS} tags`);
+  }
+  return normalized;
+};
+
+const parseMemberCount = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${label} must be a whole number of members`);
+  }
+  return count;
+};
+
+// Check a segment from the API. Throws with a message suitable for a 400 response.
+const normalizeSegment = (input) => {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new Error('Segment name required');
+  }
+
+  const channelTypes = Array.isArray(input.channel_types) ? [...new Set(input.channel_types)] : [];
+  const unknownType = channelTypes.find(type => !CHANNEL_TYPES.includes(type));
+  if (unknownType) {
+    throw new Error(`Unknown channel type "${unknownType}"`);
+  }
+
+  const minMembers = parseMemberCount(input.min_members, 'Minimum members');
+  const maxMembers = parseMemberCount(input.max_members, 'Maximum members');
+  if (minMembers !== null && maxMembers !== null && minMembers > maxMembers) {
+    throw new Error('Minimum members must not be above the maximum');
+  }
+
+  const tag = String(input.tag || '').trim() || null;
+
+  if (channelTypes.length === 0 && minMembers === null && maxMembers === null && !tag) {
+    throw new Error('A segment needs at least one rule: channel type, member count or tag');
+  }
+
+  return {
+    name,
+    description: input.description || null,
+    channel_types: channelTypes.length > 0 ? JSON.stringify(channelTypes) : null,
+    min_members: minMembers,
+    max_members: maxMembers,
+    tag
+  };
+};
+
+// Whether a channel matches every rule of a segment. Tags match ignoring case.
+const matchesSegment = (channel, segment) => {
+  const channelTypes = segment.channel_types ? JSON.parse(segment.channel_types) : [];
+  if (channelTypes.length > 0 && !channelTypes.includes(channel.type)) return false;
+
+  const members = parseInt(channel.member_count) || 0;
+  if (segment.min_members !== null && segment.min_members !== undefined && members < segment.min_members) return false;
+  if (segment.max_members !== null && segment.max_members !== undefined && members > segment.max_members) return false;
+
+  if (segment.tag) {
+    const tag = segment.tag.toLowerCase();
+    if (!parseTags(channel.tags).some(t => t.toLowerCase() === tag)) return false;
+  }
+
+  return true;
+};
+
+const getActiveChannels = async () => {
+  const result = await pool.query('SELECT * FROM channels WHERE is_active = 1 ORDER BY id');
+  return result.rows;
+};
+
+// Active channels a segment currently matches
+const getSegmentChannels = async (segment, channels = null) => {
+  return (channels || await getActiveChannels()).filter(channel => matchesSegment(channel, segment));
+};
+
+// Check that the groups and segments exist. Throws with a message suitable for a 400 response.
+const normalizeAudienceIds = async (groupIds = [], segmentIds = []) => {
+  if (!Array.isArray(groupIds) || !Array.isArray(segmentIds)) {
+    throw new Error('Groups and segments must be lists');
+  }
+
+  const groups = [...new Set(groupIds.map(Number))];
+  const segments = [...new Set(segmentIds.map(Number))];
+
+  for (const groupId of groups) {
+    const result = await pool.query('SELECT id FROM channel_groups WHERE id = $1', [groupId]);
+    if (result.rows.length === 0) {
+      throw new Error(`Channel group ${groupId} not found`);
+    }
+  }
+  for (const segmentId of segments) {
+    const result = await pool.query('SELECT id FROM channel_segments WHERE id = $1', [segmentId]);
+    if (result.rows.length === 0) {
+      throw new Error(`Segment ${segmentId} not found`);
+    }
+  }
+
+  return { groupIds: groups.sort((a, b) => a - b), segmentIds: segments.sort((a, b) => a - b) };
+};
+
+// The active channels the groups and segments resolve to right now, each with
+// the group or segment it comes from. Groups come first, then segments, each in
+// id order; a channel in several of them is credited to the first.
+const getAudienceChannels = async ({ groupIds = [], segmentIds = [] }) => {
+  const resolved = new Map();
+  if (groupIds.length === 0 && segmentIds.length === 0) return resolved;
+
+  const channels = await getActiveChannels();
+
+  for (const groupId of groupIds) {
+    const membersResult = await pool.query(
+      'SELECT channel_id FROM channel_group_members WHERE group_id = $1',
+      [groupId]
+    );
+    const memberIds = new Set(membersResult.rows.map(m => Number(m.channel_id)));
+    for (const channel of channels) {
+      if (memberIds.has(Number(channel.id)) && !resolved.has(Number(channel.id))) {
+        resolved.set(Number(channel.id), { channel, group_id: groupId, segment_id: null });
+      }
+    }
+  }
+
+  for (const segmentId of segmentIds) {
+    const segmentResult = await pool.query('SELECT * FROM channel_segments WHERE id = $1', [segmentId]);
+    const segment = segmentResult.rows[0];
+    if (!segment) continue;
+    for (const channel of await getSegmentChannels(segment, channels)) {
+      if (!resolved.has(Number(channel.id))) {
+        resolved.set(Number(channel.id), { channel, group_id: null, segment_id: segmentId });
+      }
+    }
+  }
+
+  return resolved;
+};
+
+// The groups and segments an announcement targets
+const getAudiences = async (announcementId) => {
+  const result = await pool.query(`
+    SELECT aa.group_id, aa.segment_id, g.name as group_name, s.name as segment_name
+    FROM announcement_audiences aa
+    LEFT JOIN channel_groups g ON aa.group_id = g.id
+    LEFT JOIN channel_segments s ON aa.segment_id = s.id
+    WHERE aa.announcement_id = $1
+    ORDER BY aa.id
+  `, [announcementId]);
+
+  const groups = result.rows.filter(r => r.group_id && r.group_name);
+  const segments = result.rows.filter(r => r.segment_id && r.segment_name);
+
+  return {
+    group_ids: groups.map(r => Number(r.group_id)).sort((a, b) => a - b),
+    segment_ids: segments.map(r => Number(r.segment_id)).sort((a, b) => a - b),
+    groups: groups.map(r => ({ id: r.group_id, name: r.group_name })),
+    segments: segments.map(r => ({ id: r.segment_id, name: r.segment_name }))
+  };
+};
+
+// Replace the groups and segments an announcement targets
+const saveAudiences = async (announcementId, { groupIds, segmentIds }) => {
+  await pool.query('DELETE FROM announcement_audiences WHERE announcement_id = $1', [announcementId]);
+
+  for (const groupId of groupIds) {
+    await pool.query(
+      'INSERT INTO announcement_audiences (announcement_id, group_id) VALUES ($1, $2)',
+      [announcementId, groupId]
+    );
+  }
+  for (const segmentId of segmentIds) {
+    await pool.query(
+      'INSERT INTO announcement_audiences (announcement_id, segment_id) VALUES ($1, $2)',
+      [announcementId, segmentId]
+    );
+  }
+};
+
+// Give a duplicated announcement or a recurring occurrence the same groups and segments
+const copyAudiences = async (fromAnnouncementId, toAnnouncementId) => {
+  const audiences = await getAudiences(fromAnnouncementId);
+  await saveAudiences(toAnnouncementId, { groupIds: audiences.group_ids, segmentIds: audiences.segment_ids });
+};
+
+// Add a target for every channel the announcement's groups and segments resolve
+// to, once, on its first dispatch. Returns the number of targets added.
+const resolveAudiences = async (announcement) => {
+  const claim = await pool.query(
+    'UPDATE announcements SET audiences_resolved_at = CURRENT_TIMESTAMP WHERE id = $1 AND audiences_resolved_at IS NULL',
+    [announcement.id]
+  );
+  if (!claim.rowCount) return 0;
+
+  const audiences = await getAudiences(announcement.id);
+  const resolved = await getAudienceChannels({ groupIds: audiences.group_ids, segmentIds: audiences.segment_ids });
+  if (resolved.size === 0) return 0;
+
+  const existingResult = await pool.query(
+    'SELECT channel_id FROM announcement_targets WHERE announcement_id = $1',
+    [announcement.id]
+  );
+  const existing = new Set(existingResult.rows.map(t => Number(t.channel_id)));
+
+  let added = 0;
+  for (const [channelId, source] of resolved) {
+    if (existing.has(channelId)) continue;
+    await pool.query(
+      'INSERT INTO announcement_targets (announcement_id, channel_id, group_id, segment_id) VALUES ($1, $2, $3, $4)',
+      [announcement.id, channelId, source.group_id, source.segment_id]
+    );
+    added++;
+  }
+
+  await logSystemEvent(
+    `Groups and segments of "${announcement.title}" resolved to ${added} more channel${added === 1 ? '' : 's'}`,
+    { announcement_id: announcement.id, group_ids: audiences.group_ids, segment_ids: audiences.segment_ids }
+  );
+
+  return added;
+};
+
+// Channels the announcement's groups and segments would resolve to if it were
+// dispatched now, or none once they've been resolved
+const getUnresolvedAudienceChannels = async (announcementId) => {
+  const announcementResult = await pool.query(
+    'SELECT audiences_resolved_at FROM announcements WHERE id = $1',
+    [announcementId]
+  );
+  if (!announcementResult.rows[0] || announcementResult.rows[0].audiences_resolved_at) return [];
+
+  const audiences = await getAudiences(announcementId);
+  const resolved = await getAudienceChannels({ groupIds: audiences.group_ids, segmentIds: audiences.segment_ids });
+  return [...resolved.values()].map(source => source.channel);
+};
+
+// Forget a resolution so the groups and segments resolve again on the next
+// dispatch, dropping the targets they produced that haven't been sent
+const resetAudiences = async (announcementId) => {
+  await pool.query(
+    `DELETE FROM announcement_targets
+     WHERE announcement_id = $1 AND telegram_message_id IS NULL AND (group_id IS NOT NULL OR segment_id IS NOT NULL)`,
+    [announcementId]
+  );
+  await pool.query('UPDATE announcements SET audiences_resolved_at = NULL WHERE id = $1', [announcementId]);
+};
+
+module.exports = {
+  CHANNEL_TYPES,
+  parseTags,
+  normalizeTags,
+  normalizeSegment,
+  matchesSegment,
+  getSegmentChannels,
+  normalizeAudienceIds,
+  getAudienceChannels,
+  getAudiences,
+  saveAudiences,
+  copyAudiences,
+  resolveAudiences,
+  getUnresolvedAudienceChannels,
+  resetAudiences
+};
@@ -0,0 +1,173 @@
+// Bot and link-preview crawler filtering for click and view analytics.
+//
+// Telegram, WhatsApp, Slack and the like fetch every link in a message to build
+// its preview, and scrapers and uptime checkers follow them too. Clicks and views
+// that look automated are still recorded but flagged (is_suspicious, with the
+// reason in suspicious_reason) and left out of the counts unless analytics asks
+// for them. A request is flagged when:
+//   - its user agent matches one of BOT_SIGNATURES, or it has none at all
+//   - it comes from a datacenter: Telegram's own servers (DATACENTER_RANGES) or
+//     a cloud or hosting network (DATACENTER_ASNS, from the GeoIP ASN lookup)
+//   - the same address already clicked the same link a moment ago (a duplicate),
+//     or has clicked many links in a short burst
+
+const { pool, USE_POSTGRES } = require('../models/database');
+const { inRange } = require('./ipRanges');
+
+// Known crawlers, preview fetchers and HTTP clients. Keep this list up to date
+// when a new preview bot shows up in the click log.
+const BOT_SIGNATURES = [
+  // Link previews in messengers and social networks
+  { name: 'Telegram', pattern: /TelegramBot/i },
+  { name: 'Twitter', pattern: /Twitterbot/i },
+  { name: 'Facebook', pattern: /facebookexternalhit|facebookcatalog|meta-externalagent/i },
+  { name: 'WhatsApp', pattern: /WhatsApp/i },
+  { name: 'Slack', pattern: /Slackbot|Slack-ImgProxy/i },
+  { name: 'Discord', pattern: /Discordbot/i },
+  { name: 'LinkedIn', pattern: /LinkedInBot/i },
+  { name: 'Skype', pattern: /SkypeUriPreview/i },
+  { name: 'Pinterest', pattern: /Pinterestbot|Pinterest\/0\./i },
+  { name: 'Embedly', pattern: /Embedly|Iframely|redditbot/i },
+  // Search engines
+  { name: 'Google', pattern: /Googlebot|Google-InspectionTool|AdsBot-Google|Mediapartners-Google|Google-Read-Aloud/i },
+  { name: 'Bing', pattern: /bingbot|BingPreview|msnbot/i },
+  { name: 'Yandex', pattern: /YandexBot|YandexMobileBot|YandexImages/i },
+  { name: 'Baidu', pattern: /Baiduspider/i },
+  { name: 'DuckDuckGo', pattern: /DuckDuckBot|DuckDuckGo-Favicons-Bot/i },
+  { name: 'Apple', pattern: /Applebot/i },
+  // Headless browsers and HTTP clients
+  { name: 'Headless browser', pattern: /HeadlessChrome|PhantomJS|Puppeteer|Playwright|Selenium/i },
+  { name: 'HTTP client', pattern: /^(curl|Wget|python-requests|Python-urllib|aiohttp|Go-http-client|okhttp|Java|libwww-perl|node-fetch|axios|undici|Apache-HttpClient|Scrapy)\b/i },
+  // Anything else that says what it is
+  { name: 'Crawler', pattern: /\bbot\b|[a-z]bot\/|crawler|spider|scraper|\bpreview\b|uptime/i }
+];
+
+// Telegram's server ranges (https://core.telegram.org/resources/cidr.txt); its
+// link previews are fetched from here
+const DATACENTER_RANGES = [
+  '91.108.4.0/22',
+  '91.108.8.0/22',
+  '91.108.12.0/22',
+  '91.108.16.0/22',
+  '91.108.20.0/22',
+  '91.108.56.0/22',
+  '95.161.64.0/20',
+  '149.154.160.0/20',
+  '185.76.151.0/24',
+  '2001:b28:f23c::/48',
+  '2001:b28:f23d::/48',
+  '2001:b28:f23f::/48',
+  '2001:67c:4e8::/48',
+  '2a0a:f280::/32'
+];
+
+// Networks of Telegram and the big cloud and hosting providers, by AS number
+const DATACENTER_ASNS = [
+  62041, 62014, 59930, 44907, 211157, // Telegram
+  16509, 14618, // Amazon
+  15169, 396982, // Google
+  8075, // Microsoft
+  14061, // DigitalOcean
+  16276, // OVH
+  24940, // Hetzner
+  63949, // Linode
+  20473, // Vultr
+  51167, // Contabo
+  12876, // Scaleway
+  31898, // Oracle
+  45102, // Alibaba
+  132203, // Tencent
+  60781, // Leaseweb
+  9009 // M247
+];
+
+// Clicks on the same link from the same address within this many seconds are duplicates
+const DUPLICATE_WINDOW_SECONDS = 30;
+// More than this many clicks from one address within BURST_WINDOW_SECONDS is a burst
+const BURST_WINDOW_SECONDS = 60;
+const BURST_MAX_CLICKS = 10;
+
+const REASON_LABELS = {
+  no_user_agent: 'No user agent',
+  datacenter_ip: 'Datacenter address',
+  duplicate_click: 'Repeated click',
+  click_burst: 'Burst of clicks'
+};
+
+const cleanIp = (ip) => String(ip || '').trim().replace(/^::ffff:/, '');
+
+const isDatacenterIp = (ip) => {
+  const address = cleanIp(ip);
+  return !!address && DATACENTER_RANGES.some(range => inRange(address, range));
+};
+
+// The signature a user agent matches, or null
+const matchBotSignature = (userAgent) => {
+  const signature = BOT_SIGNATURES.find(({ pattern }) => pattern.test(userAgent));
+  return signature ? signature.name : null;
+};
+
+// Why a request looks automated from its user agent and address alone, or null.
+// asn is the address's network, from the GeoIP lookup.
+const getSuspiciousReason = ({ ip, userAgent, asn = null } = {}) => {
+  if (!userAgent || userAgent === 'unknown') return 'no_user_agent';
+  const signature = matchBotSignature(userAgent);
+  if (signature) return `bot:${signature}`;
+  if (isDatacenterIp(ip) || DATACENTER_ASNS.includes(Number(asn))) return 'datacenter_ip';
+  return null;
+};
+
+// Condition for clicks made within the last seconds
+const clickedWithin = (seconds) => (USE_POSTGRES
+  ? `clicked_at >= NOW() - INTERVAL '${seconds} seconds'`
+  : `datetime(clicked_at) >= datetime('now', '-${seconds} seconds')`);
+
+// Why a click on a tracked link looks automated, or null. On top of
+// getSuspiciousReason, catches repeats of the same click and bursts of clicks
+// from one address. ipHash is the address's hash as stored with clicks (see
+// getIpHash in privacy.js).
+const getClickSuspicion = async (linkId, requestInfo = {}, ipHash = null) => {
+  const reason = getSuspiciousReason(requestInfo);
+  if (reason || !ipHash) return reason;
+
+  const duplicates = await pool.query(
+    `SELECT COUNT(*) as count FROM link_clicks
+     WHERE link_id = $1 AND ip_hash = $2 AND ${clickedWithin(DUPLICATE_WINDOW_SECONDS)}`,
+    [linkId, ipHash]
+  );
+  if (parseInt(duplicates.rows[0].count) > 0) return 'duplicate_click';
+
+  const recent = await pool.query(
+    `SELECT COUNT(*) as count FROM link_clicks
+     WHERE ip_hash = $1 AND ${clickedWithin(BURST_WINDOW_SECONDS)}`,
+    [ipHash]
+  );
+  if (parseInt(recent.rows[0].count) >= BURST_MAX_CLICKS) return 'click_burst';
+
+  return null;
+};
+
+// Readable form of a stored reason, like "Telegram bot"
+const describeReason = (reason) => {
+  if (!reason) return null;
+  if (reason.startsWith('bot:')) return `${reason.slice(4)} bot`;
+  return REASON_LABELS[reason] || reason;
+};
+
+// SQL condition that leaves out flagged rows of the table aliased as alias
+// (link_clicks or pixel_views), or always true when they're wanted
+const genuineOnly = (alias, includeSuspicious = false) => (includeSuspicious
+  ? '1 = 1'
+  : `COALESCE(${alias}.is_suspicious, 0) = 0`);
+
+module.exports = {
+  BOT_SIGNATURES,
+  DATACENTER_RANGES,
+  DATACENTER_ASNS,
+  isDatacenterIp,
+  matchBotSignature,
+  getSuspiciousReason,
+  getClickSuspicion,
+  describeReason,
+  genuineOnly
+};
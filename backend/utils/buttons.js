@@ -0,0 +1,167 @@
+// Announcement inline buttons.
+//
+// Buttons are stored as JSON rows: [[button, button], [button]]. A button is
+//   { text, url }                                   opens a link (tracked on send)
+//   { text, type: 'callback', answer, show_alert }  records a click and answers
+//                                                   with a toast, or an alert with show_alert
+// Older announcements store a flat list of { text, url }, one button per row.
+
+// Telegram's keyboard limits
+const MAX_BUTTONS_PER_ROW = 8;
+const MAX_BUTTONS = 100;
+const CALLBACK_ANSWER_LIMIT = 200;
+
+const DEFAULT_CALLBACK_ANSWER = 'Thanks for your interest!';
+
+// Callback data for a button: track_<announcementId>_<channelId>_<row>_<column>.
+// Test sends use "test" as the channel so their clicks aren't recorded.
+const CALLBACK_DATA_PATTERN = /^track_(\d+)_(\d+|test)?(?:_(\d+)_(\d+))?$/;
+
+const isCallbackButton = (btn) => Boolean(btn) && btn.type === 'callback';
+
+const getButtonText = (btn) => (btn && btn.text ? String(btn.text).trim() : '');
+const getButtonUrl = (btn) => (btn && btn.url ? String(btn.url).trim() : '');
+
+const isValidButtonUrl = (url) => url.startsWith('http://') || url.startsWith('https://');
+
+// A button that will be sent: it has text, and a URL unless it's a callback button
+const isValidButton = (btn) => getButtonText(btn).length > 0
+  && (isCallbackButton(btn) || isValidButtonUrl(getButtonUrl(btn)));
+
+// Rows of buttons from the stored JSON, an array of rows or a legacy flat list
+const parseButtons = (value) => {
+  let buttons = value;
+  if (typeof value === 'string') {
+    try {
+      buttons = JSON.parse(value);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!Array.isArray(buttons)) return [];
+
+  return buttons
+    .map(row => (Array.isArray(row) ? row : [row]))
+    .map(row => row.filter(btn => btn && typeof btn === 'object'))
+    .filter(row => row.length > 0);
+};
+
+// Every link button with a valid URL
+const getUrlButtons = (value) => parseButtons(value)
+  .flat()
+  .filter(btn => !isCallbackButton(btn) && isValidButtonUrl(getButtonUrl(btn)));
+
+// Every URL button, for creating tracked links
+const getButtonUrls = (value) => getUrlButtons(value).map(getButtonUrl);
+
+const hasValidButtons = (value) => parseButtons(value).flat().some(isValidButton);
+
+// Problems Telegram would reject the whole message for.
+// Returns a readable error message, or null when the buttons are fine.
+const getButtonError = (value) => {
+  const rows = parseButtons(value).map(row => row.filter(isValidButton)).filter(row => row.length > 0);
+
+  const wideRow = rows.findIndex(row => row.length > MAX_BUTTONS_PER_ROW);
+  if (wideRow !== -1) {
+    return `Row ${wideRow + 1} has ${rows[wideRow].length} buttons, Telegram allows ${MAX_BUTTONS_PER_ROW} per row`;
+  }
+
+  const total = rows.flat().length;
+  if (total > MAX_BUTTONS) {
+    return `Announcements can have at most ${MAX_BUTTONS} buttons`;
+  }
+
+  const longAnswer = rows.flat().find(btn => isCallbackButton(btn) && String(btn.answer || '').length > CALLBACK_ANSWER_LIMIT);
+  if (longAnswer) {
+    return `The reply to "${getButtonText(longAnswer)}" is longer than ${CALLBACK_ANSWER_LIMIT} characters`;
+  }
+
+  return null;
+};
+
+// Buttons the send pipeline silently drops, as readable warnings
+const getButtonWarnings = (value) => {
+  const warnings = [];
+  parseButtons(value).forEach((row, rowIndex) => {
+    row.forEach((btn, index) => {
+      const text = getButtonText(btn);
+      const url = getButtonUrl(btn);
+      const label = text ? `Button "${text}"` : `Button ${index + 1} in row ${rowIndex + 1}`;
+
+      if (!text && !url && !isCallbackButton(btn)) return;
+      if (!text) {
+        warnings.push(`${label} has no text and won't be shown`);
+      } else if (isCallbackButton(btn)) {
+        return;
+      } else if (!url) {
+        warnings.push(`${label} has no URL and won't be shown`);
+      } else if (!isValidButtonUrl(url)) {
+        warnings.push(`${label} URL must start with http:// or https://, it won't be shown`);
+      }
+    });
+  });
+  return warnings;
+};
+
+// Telegram inline_keyboard for the announcement, or null when no button is valid.
+// URL buttons point at their tracked links; callback buttons carry their position.
+const buildInlineKeyboard = (value, trackedLinks = [], { announcementId = null, channelId = null } = {}) => {
+  const keyboard = parseButtons(value)
+    .map((row, rowIndex) => row
+      .map((btn, index) => ({ btn, index }))
+      .filter(({ btn }) => isValidButton(btn))
+      .map(({ btn, index }) => {
+        const text = getButtonText(btn);
+
+        if (isCallbackButton(btn)) {
+          return {
+            text,
+            callback_data: `track_${announcementId || 0}_${channelId || 'test'}_${rowIndex}_${index}`
+          };
+        }
+
+        const url = getButtonUrl(btn);
+        const trackedLink = trackedLinks.find(l => l.original_url === url);
+        return { text, url: trackedLink ? trackedLink.tracked_url : url };
+      }))
+    .filter(row => row.length > 0);
+
+  return keyboard.length > 0 ? keyboard : null;
+};
+
+// Read callback data from a button press, or null when it isn't ours
+const parseCallbackData = (data) => {
+  const match = CALLBACK_DATA_PATTERN.exec(data || '');
+  if (!match) return null;
+
+  const [, announcementId, channelId, row, column] = match;
+  return {
+    announcementId: parseInt(announcementId),
+    channelId: channelId && channelId !== 'test' ? parseInt(channelId) : null,
+    test: channelId === 'test',
+    row: row !== undefined ? parseInt(row) : null,
+    column: column !== undefined ? parseInt(column) : null
+  };
+};
+
+// The callback button at a position, or null
+const getCallbackButton = (value, row, column) => {
+  if (row === null || column === null) return null;
+  const btn = parseButtons(value)[row]?.[column];
+  return isCallbackButton(btn) ? btn : null;
+};
+
+module.exports = {
+  DEFAULT_CALLBACK_ANSWER,
+  parseButtons,
+  getUrlButtons,
+  getButtonUrls,
+  hasValidButtons,
+  getButtonError,
+  getButtonWarnings,
+  buildInlineKeyboard,
+  parseCallbackData,
+  getCallbackButton,
+  getButtonText,
+  getButtonUrl
+};
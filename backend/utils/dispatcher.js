@@ -0,0 +1,250 @@
+const { pool, USE_POSTGRES } = require('../models/database');
+const { processContentLinks, getAnnouncementLinks } = require('./linkTracker');
+const { enqueueTargets, finalizeAnnouncementStatus } = require('./sendQueue');
+const { sendTestAnnouncement } = require('./telegram');
+const { getUrlButtons, getButtonText, getButtonUrl } = require('./buttons');
+const { logSystemEvent } = require('./logger');
+const { parseLocalDateTime, zonedTimeToUtc } = require('./timezone');
+const { getAbTest, startAbTest, completeAbTest, applyVariant } = require('./abTests');
+const { resolveAudiences, getUnresolvedAudienceChannels } = require('./audiences');
+const { applyTranslation, getTranslation, assignTargetLocales } = require('./translations');
+const { renderVariables } = require('./templates');
+const { renderUtm, getCampaignUtm } = require('./utm');
+
+// A target is due at its own scheduled_at (local time scheduling) or else the announcement's
+const targetDueCondition = USE_POSTGRES
+  ? 'COALESCE(at.scheduled_at, a.scheduled_at) <= NOW()'
+  : "datetime(COALESCE(at.scheduled_at, a.scheduled_at)) <= datetime('now')";
+
+const announcementDueCondition = USE_POSTGRES
+  ? 'a.scheduled_at <= NOW()'
+  : "datetime(a.scheduled_at) <= datetime('now')";
+
+// Create tracked links for every URL in the content and buttons and return
+// all of the announcement's links.
+// Links from earlier sends are reused so that retries after a partial send and
+// live edits keep a channel's clicks on the same short codes.
+// With test, the announcement's separate test links are used instead. channelId,
+// variant and locale pick the links of the channel, with the A/B test variant and
+// translation it gets.
+// New links get the UTM fields of the campaign's template, filled in for the
+// channel and, for buttons, the button's text.
+const prepareTrackedLinks = async (announcement, { test = false, variant = null, locale = null, channelId = null } = {}) => {
+  const existingLinks = await getAnnouncementLinks(announcement.id, { test, variant, locale, channelId });
+
+  const campaign = await getCampaignUtm(announcement.campaign_id);
+  let channel = null;
+  if (channelId) {
+    const channelResult = await pool.query('SELECT id, title FROM channels WHERE id = $1', [channelId]);
+    channel = channelResult.rows[0] || null;
+  }
+  const utmFor = (buttonText) => renderUtm(campaign && campaign.utm_template, {
+    announcement, campaign, channel, button_text: buttonText, variant, locale
+  });
+  const options = { test, variant, locale, channelId };
+
+  const trackedLinks = [
+    ...existingLinks,
+    ...await processContentLinks(announcement.content, announcement.id, utmFor(''), existingLinks, options)
+  ];
+
+  // Also process button URLs
+  for (const btn of getUrlButtons(announcement.buttons)) {
+    const tracked = await processContentLinks(getButtonUrl(btn), announcement.id, utmFor(getButtonText(btn)), trackedLinks, options);
+    trackedLinks.push(...tracked);
+  }
+
+  return trackedLinks;
+};
+
+// Get active targets that haven't received the announcement and aren't queued.
+// With dueOnly, targets whose send time hasn't come yet are left out.
+const getPendingTargets = async (announcementId, { dueOnly = false } = {}) => {
+  const result = await pool.query(`
+    SELECT at.*, c.telegram_id, c.title as channel_title, c.locale as channel_locale, c.member_count
+    FROM announcement_targets at
+    JOIN channels c ON at.channel_id = c.id
+    JOIN announcements a ON at.announcement_id = a.id
+    WHERE at.announcement_id = $1 AND c.is_active = 1 AND at.telegram_message_id IS NULL
+      ${dueOnly ? `AND ${targetDueCondition}` : ''}
+      AND NOT EXISTS (
+        SELECT 1 FROM send_queue q
+        WHERE q.target_id = at.id AND q.status IN ('pending', 'processing')
+      )
+  `, [announcementId]);
+  return result.rows;
+};
+
+// Give every target of an announcement its own send time: the wall-clock time
+// localScheduledAt in the target channel's timezone. Returns the earliest
+// send time, which becomes the announcement's scheduled_at. Channels that the
+// announcement's groups and segments have yet to resolve to count towards it, so
+// the first dispatch comes in time to resolve them.
+// A null localScheduledAt clears the per-target times.
+const scheduleTargetsLocally = async (announcementId, localScheduledAt) => {
+  if (!localScheduledAt) {
+    await pool.query('UPDATE announcement_targets SET scheduled_at = NULL WHERE announcement_id = $1', [announcementId]);
+    return null;
+  }
+
+  const parts = parseLocalDateTime(localScheduledAt);
+  const targetsResult = await pool.query(`
+    SELECT at.id, c.timezone
+    FROM announcement_targets at
+    JOIN channels c ON at.channel_id = c.id
+    WHERE at.announcement_id = $1
+  `, [announcementId]);
+
+  let earliest = null;
+  for (const target of targetsResult.rows) {
+    const sendAt = zonedTimeToUtc(parts, target.timezone || 'UTC');
+    await pool.query(
+      'UPDATE announcement_targets SET scheduled_at = $1 WHERE id = $2',
+      [sendAt.toISOString(), target.id]
+    );
+    if (!earliest || sendAt < earliest) {
+      earliest = sendAt;
+    }
+  }
+
+  for (const channel of await getUnresolvedAudienceChannels(announcementId)) {
+    const sendAt = zonedTimeToUtc(parts, channel.timezone || 'UTC');
+    if (!earliest || sendAt < earliest) {
+      earliest = sendAt;
+    }
+  }
+
+  return earliest ? earliest.toISOString() : null;
+};
+
+// Queue an announcement for delivery to its pending targets.
+// With dueOnly (the scheduler), only targets whose send time has come are queued;
+// otherwise everything goes out now.
+// Returns null when another dispatch already claimed the announcement.
+const dispatchAnnouncement = async (announcement, { dueOnly = false } = {}) => {
+  // Claim the announcement so an overlapping cron run or a double click can't queue it twice
+  const claim = await pool.query(
+    `UPDATE announcements SET status = 'sending' WHERE id = $1 AND status = $2`,
+    [announcement.id, announcement.status]
+  );
+  if (!claim.rowCount) {
+    return null;
+  }
+
+  try {
+    // Groups and segments become channels on the first dispatch
+    const added = await resolveAudiences(announcement);
+    if (added > 0 && announcement.local_scheduled_at) {
+      await scheduleTargetsLocally(announcement.id, announcement.local_scheduled_at);
+    }
+
+    // A running A/B test ends when its held-back channels come due, or early when sent now
+    const abTest = await getAbTest(announcement.id);
+    if (abTest && abTest.status === 'running' && (!dueOnly || new Date(abTest.ends_at) <= new Date())) {
+      await completeAbTest(announcement.id);
+    }
+
+    // Sending now overrides any per-channel send times
+    if (!dueOnly) {
+      await pool.query(
+        'UPDATE announcement_targets SET scheduled_at = NULL WHERE announcement_id = $1 AND telegram_message_id IS NULL',
+        [announcement.id]
+      );
+    }
+
+    let targets = await getPendingTargets(announcement.id, { dueOnly });
+
+    if (targets.length === 0) {
+      const status = await finalizeAnnouncementStatus(announcement.id);
+      return { status, queued: 0 };
+    }
+
+    // The first dispatch of an A/B test sends the test channels (together, even
+    // when some aren't due yet) and holds the rest back
+    if (abTest && abTest.status === 'draft') {
+      targets = await startAbTest(announcement, await getPendingTargets(announcement.id));
+    }
+
+    // Each channel gets the translation for its locale, if there is one
+    targets = await assignTargetLocales(announcement.id, targets);
+
+    // Every channel has its own tracked links, made from the variant and
+    // translation it gets with the variables filled in for it
+    const versions = new Map();
+    for (const target of targets) {
+      const variant = target.variant || null;
+      const key = `${variant}|${target.locale}`;
+      if (!versions.has(key)) {
+        versions.set(key, applyTranslation(await applyVariant(announcement, variant), await getTranslation(announcement.id, target.locale)));
+      }
+      await prepareTrackedLinks(
+        renderVariables(versions.get(key), { title: target.channel_title, member_count: target.member_count }),
+        { variant, locale: target.locale, channelId: target.channel_id }
+      );
+    }
+
+    await enqueueTargets(announcement.id, targets);
+
+    return { status: 'sending', queued: targets.length };
+  } catch (error) {
+    // Never leave the announcement stuck in 'sending' without queued jobs
+    await finalizeAnnouncementStatus(announcement.id);
+    throw error;
+  }
+};
+
+// Send a test copy of the announcement (with its media loaded) straight to a
+// chat given as { telegram_id, title }. Links go through test tracked links so
+// clicks stay out of the analytics.
+const sendTestCopy = async (announcement, chat) => {
+  const trackedLinks = await prepareTrackedLinks(announcement, { test: true });
+  return sendTestAnnouncement(chat, announcement, trackedLinks);
+};
+
+// Queue every scheduled announcement with targets that are due, or with groups
+// and segments still to resolve once it's due (called by the server cron)
+const dispatchDueAnnouncements = async () => {
+  const result = await pool.query(`
+    SELECT a.*
+    FROM announcements a
+    WHERE a.status = 'scheduled' AND a.approved_at IS NOT NULL
+      AND (
+        EXISTS (
+          SELECT 1 FROM announcement_targets at
+          JOIN channels c ON at.channel_id = c.id
+          WHERE at.announcement_id = a.id AND c.is_active = 1
+            AND at.telegram_message_id IS NULL AND ${targetDueCondition}
+        )
+        OR (
+          a.audiences_resolved_at IS NULL AND ${announcementDueCondition}
+          AND EXISTS (SELECT 1 FROM announcement_audiences aa WHERE aa.announcement_id = a.id)
+        )
+      )
+    ORDER BY a.scheduled_at
+  `);
+
+  for (const announcement of result.rows) {
+    console.log(`Processing scheduled announcement: ${announcement.title}`);
+
+    try {
+      const outcome = await dispatchAnnouncement(announcement, { dueOnly: true });
+      if (!outcome) continue;
+
+      await logSystemEvent(
+        `Scheduled announcement "${announcement.title}" queued for ${outcome.queued} channels`,
+        { announcement_id: announcement.id, status: outcome.status, queued: outcome.queued }
+      );
+    } catch (error) {
+      console.error(`Scheduled announcement ${announcement.id} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  dispatchAnnouncement,
+  dispatchDueAnnouncements,
+  getPendingTargets,
+  prepareTrackedLinks,
+  scheduleTargetsLocally,
+  sendTestCopy
+};
@@ -0,0 +1,354 @@
+// Announcement text formatting for Telegram.
+//
+// Announcements are written in Markdown and sent with parse_mode HTML:
+//   **bold**  _italic_  __underline__  ~~strikethrough~~  ||spoiler||
+//   `code`  ```lang fenced pre blocks```  [text](https://link)  > quote lines
+// A backslash escapes the next character (\* \_ \| ...). Everything else is
+// escaped, except the HTML tags Telegram supports, so older announcements
+// written in HTML keep working.
+
+// Telegram's limits on visible text (after HTML entities are parsed)
+const MESSAGE_TEXT_LIMIT = 4096;
+const CAPTION_LIMIT = 1024;
+
+// Tracked links look like `${BASE_URL}/t/abc123` once the announcement is sent
+const TRACKED_URL_LENGTH = (process.env.BASE_URL || 'http://localhost:3001').length + '/t/'.length + 6;
+
+const URL_PATTERN = /https?:\/\/[^\s<>"{}|\\^`\[\]]+/g;
+
+// A URL's closing parenthesis usually belongs to the text around it:
+// "(see https://example.com)" or a Markdown link [text](https://example.com)
+const trimUrl = (url) => {
+  while (url.endsWith(')') && url.split(')').length > url.split('(').length) {
+    url = url.slice(0, -1);
+  }
+  return url;
+};
+
+// Every http(s) URL in the text, in order
+const findUrls = (text) => (text.match(URL_PATTERN) || []).map(trimUrl);
+
+// The URL starting at the beginning of text, or null
+const matchUrlAt = (text) => {
+  const match = /^https?:\/\/[^\s<>"{}|\\^`\[\]]+/.exec(text);
+  return match ? trimUrl(match[0]) : null;
+};
+
+// Inline markers, longest first so ** wins over a single *
+const INLINE_MARKERS = [
+  { marker: '**', tag: 'b' },
+  { marker: '__', tag: 'u' },
+  { marker: '~~', tag: 's' },
+  { marker: '||', tag: 'tg-spoiler' },
+  { marker: '_', tag: 'i' }
+];
+
+// HTML Telegram accepts, passed through as written
+const ALLOWED_TAG_PATTERN = new RegExp(
+  '^(?:' + [
+    '</?(?:b|strong|i|em|u|ins|s|strike|del|code|pre|tg-spoiler|blockquote)>',
+    '<blockquote expandable>',
+    '<a href="(?:https?://|tg://|mailto:)[^"<>]*">',
+    '</a>',
+    '<span class="tg-spoiler">',
+    '</span>',
+    '<code class="language-[\\w+-]+">'
+  ].join('|') + ')'
+);
+const ENTITY_PATTERN = /^&(?:lt|gt|amp|quot|#\d+|#x[0-9a-fA-F]+);/;
+
+const escapeHTML = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttribute = (text) => escapeHTML(text).replace(/"/g, '&quot;');
+
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+const isSpace = (char) => !char || /\s/.test(char);
+
+// Find the [text](url) link starting at position i, or null. The URL can hold
+// balanced parentheses, like https://en.wikipedia.org/wiki/Mercury_(planet)
+const matchLink = (text, i) => {
+  const match = /^\[([^\]\n]+)\]\(/.exec(text.slice(i));
+  if (!match) return null;
+
+  const start = i + match[0].length;
+  let depth = 0;
+  for (let end = start; end < text.length && !/\s/.test(text[end]); end++) {
+    if (text[end] === '(') {
+      depth++;
+    } else if (text[end] === ')') {
+      if (depth === 0) {
+        return end > start
+          ? { label: match[1], url: text.slice(start, end), length: end + 1 - i }
+          : null;
+      }
+      depth--;
+    }
+  }
+  return null;
+};
+
+// Convert one line's worth of inline Markdown. problems collects readable errors.
+const convertInline = (text, problems) => {
+  const out = [];
+  const open = [];
+
+  // Unclosed markers turn back into the literal characters
+  const revert = (entry) => {
+    out[entry.index] = escapeHTML(entry.marker);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Backslash escapes
+    if (char === '\\' && /[\\`*_~|\[\]()>#+\-.!]/.test(text[i + 1] || '')) {
+      out.push(escapeHTML(text[i + 1]));
+      i += 2;
+      continue;
+    }
+
+    // Bare URLs are left alone so underscores in them aren't read as italics
+    const url = matchUrlAt(rest);
+    if (url && (i === 0 || !isWordChar(text[i - 1]))) {
+      out.push(escapeHTML(url));
+      i += url.length;
+      continue;
+    }
+
+    if (char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        out.push(`<code>${escapeHTML(text.slice(i + 1, end))}</code>`);
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        if (/^(https?:\/\/|tg:\/\/|mailto:)/.test(link.url)) {
+          out.push(`<a href="${escapeAttribute(link.url)}">${convertInline(link.label, problems)}</a>`);
+        } else {
+          problems.push(`Link "${link.label}" needs a full URL starting with https://, got "${link.url}"`);
+          out.push(escapeHTML(text.slice(i, i + link.length)));
+        }
+        i += link.length;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const tag = ALLOWED_TAG_PATTERN.exec(rest);
+      if (tag) {
+        out.push(tag[0]);
+        i += tag[0].length;
+        continue;
+      }
+    }
+
+    if (char === '&') {
+      const entity = ENTITY_PATTERN.exec(rest);
+      if (entity) {
+        out.push(entity[0]);
+        i += entity[0].length;
+        continue;
+      }
+    }
+
+    const inline = INLINE_MARKERS.find(m => rest.startsWith(m.marker));
+    if (inline) {
+      const before = text[i - 1];
+      const after = text[i + inline.marker.length];
+      const openIndex = open.map(entry => entry.marker).lastIndexOf(inline.marker);
+
+      // Closing: the marker is open and touches the text it wraps
+      const canClose = openIndex !== -1 && !isSpace(before)
+        && (inline.marker !== '_' || !isWordChar(after));
+      // Opening: followed by text, and for _ not inside a word (snake_case)
+      const canOpen = !isSpace(after)
+        && (inline.marker !== '_' || !isWordChar(before));
+
+      if (canClose) {
+        // Anything opened inside and never closed is literal text
+        open.splice(openIndex + 1).forEach(revert);
+        const entry = open.pop();
+        out[entry.index] = `<${inline.tag}>`;
+        out.push(`</${inline.tag}>`);
+        i += inline.marker.length;
+        continue;
+      }
+
+      if (canOpen) {
+        open.push({ marker: inline.marker, index: out.length });
+        out.push(null);
+        i += inline.marker.length;
+        continue;
+      }
+    }
+
+    out.push(escapeHTML(char));
+    i++;
+  }
+
+  open.forEach(revert);
+  return out.join('');
+};
+
+// Telegram rejects the whole message when tags don't nest. Converted Markdown
+// always nests, so this catches HTML typed into the announcement.
+const checkTagNesting = (html) => {
+  const stack = [];
+  const tagPattern = /<(\/?)([a-z-]+)[^>]*>/g;
+  let match;
+
+  while ((match = tagPattern.exec(html))) {
+    const [, closing, name] = match;
+    if (!closing) {
+      stack.push(name);
+    } else if (stack[stack.length - 1] === name) {
+      stack.pop();
+    } else {
+      return stack.length > 0
+        ? `<${stack[stack.length - 1]}> is closed by </${name}>, close tags in the order they were opened`
+        : `</${name}> has no matching <${name}>`;
+    }
+  }
+
+  return stack.length > 0 ? `<${stack[stack.length - 1]}> is never closed` : null;
+};
+
+// Convert an announcement's Markdown to Telegram HTML.
+// Returns the HTML and a list of readable problems found on the way.
+const parseMarkdown = (text) => {
+  const problems = [];
+  if (!text) return { html: text, problems };
+
+  const lines = text.split('\n');
+  const blocks = [];
+  let quote = null;
+
+  const flushQuote = () => {
+    if (quote) {
+      blocks.push(`<blockquote>${quote.join('\n')}</blockquote>`);
+      quote = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // ```lang fenced code blocks keep their content verbatim
+    const fence = /^\s*```\s*([\w+-]*)\s*$/.exec(line);
+    if (fence) {
+      const end = lines.findIndex((l, j) => j > i && /^\s*```\s*$/.test(l));
+      if (end === -1) {
+        problems.push(`Code block opened on line ${i + 1} is never closed with \`\`\``);
+        flushQuote();
+        blocks.push(convertInline(line, problems));
+        continue;
+      }
+
+      flushQuote();
+      const code = escapeHTML(lines.slice(i + 1, end).join('\n'));
+      blocks.push(fence[1]
+        ? `<pre><code class="language-${fence[1]}">${code}</code></pre>`
+        : `<pre>${code}</pre>`);
+      i = end;
+      continue;
+    }
+
+    // Consecutive "> " lines form one blockquote
+    const quoted = /^>\s?(.*)$/.exec(line);
+    if (quoted) {
+      quote = quote || [];
+      quote.push(convertInline(quoted[1], problems));
+      continue;
+    }
+
+    flushQuote();
+    blocks.push(convertInline(line, problems));
+  }
+  flushQuote();
+
+  const html = blocks.join('\n');
+  const tagProblem = checkTagNesting(html);
+  if (tagProblem) {
+    problems.push(tagProblem);
+  }
+
+  return { html, problems };
+};
+
+// Plain text made safe to put into Markdown content: formatting characters get a
+// backslash, and characters that could start a tag or an entity become entities
+const escapeMarkdown = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/[\\*_~|`\[\]>]/g, '\\$&');
+
+// Convert markdown formatting to Telegram HTML
+const convertMarkdownToTelegramHTML = (text) => parseMarkdown(text).html;
+
+// Visible length of Telegram HTML: tags don't count, entities count as one character
+const getHTMLTextLength = (html) => {
+  if (!html) return 0;
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(lt|gt|amp|quot|#\d+|#x[0-9a-fA-F]+);/g, '_')
+    .length;
+};
+
+// Length of the text Telegram will count for the announcement content,
+// with every URL swapped for the tracked link that replaces it on send
+const getTelegramTextLength = (content) => {
+  if (!content) return 0;
+
+  const trackedUrl = 'https://' + 'x'.repeat(TRACKED_URL_LENGTH - 'https://'.length);
+  let withTrackedUrls = content;
+  for (const url of new Set(findUrls(content))) {
+    withTrackedUrls = withTrackedUrls.split(url).join(trackedUrl);
+  }
+
+  return getHTMLTextLength(convertMarkdownToTelegramHTML(withTrackedUrls));
+};
+
+// Readable error when text of the given length is too long, or null
+const getLengthError = (length, { hasMedia = false } = {}) => {
+  if (hasMedia && length > CAPTION_LIMIT) {
+    return `Caption is ${length} characters, Telegram allows ${CAPTION_LIMIT} with attachments (tracked links included)`;
+  }
+  if (!hasMedia && length > MESSAGE_TEXT_LIMIT) {
+    return `Message is ${length} characters, Telegram allows ${MESSAGE_TEXT_LIMIT} (tracked links included)`;
+  }
+  return null;
+};
+
+// Check that content will be accepted by Telegram.
+// Returns a readable error message, or null when it is fine.
+const getFormattingError = (content, { hasMedia = false } = {}) => {
+  const { problems } = parseMarkdown(content);
+  if (problems.length > 0) {
+    return problems[0];
+  }
+
+  return getLengthError(getTelegramTextLength(content), { hasMedia });
+};
+
+module.exports = {
+  MESSAGE_TEXT_LIMIT,
+  CAPTION_LIMIT,
+  escapeHTML,
+  escapeMarkdown,
+  findUrls,
+  convertMarkdownToTelegramHTML,
+  getHTMLTextLength,
+  getTelegramTextLength,
+  getLengthError,
+  getFormattingError
+};
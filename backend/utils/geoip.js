@@ -1,8 +1,87 @@
-// IP Geolocation utility using ip-api.com (free, no API key required)
-// Rate limit: 45 requests per minute for free tier
+// IP geolocation from local MaxMind databases (.mmdb), so visitor addresses
+// never leave the server and lookups have no rate limit.
+//
+// Databases are read from GEOIP_DIR (next to the SQLite database: /data/geoip in
+// production, backend/data/geoip otherwise), one file per edition:
+//   GEOIP_CITY_EDITION  country, region and city (default GeoLite2-City)
+//   GEOIP_ASN_EDITION   ASN and the network's organization (default GeoLite2-ASN)
+//   GEOIP_ISP_EDITION   optional ISP database, like GeoIP2-ISP, for ISP names
+// `npm run geoip:update` downloads fresh copies with MAXMIND_ACCOUNT_ID and
+// MAXMIND_LICENSE_KEY. A running server picks up replaced files within a minute.
+// Without a database, lookups come back as 'Unknown'.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Reader } = require('maxmind');
+const { inRange } = require('./ipRanges');
+
+const GEOIP_DIR = process.env.GEOIP_DIR
+  || (process.env.NODE_ENV === 'production' ? '/data/geoip' : path.join(__dirname, '../data/geoip'));
+
+const EDITIONS = {
+  city: process.env.GEOIP_CITY_EDITION || 'GeoLite2-City',
+  asn: process.env.GEOIP_ASN_EDITION || 'GeoLite2-ASN',
+  isp: process.env.GEOIP_ISP_EDITION || null
+};
+
+const DOWNLOAD_URL = 'https://download.maxmind.com/geoip/databases';
+// How often to check whether a database file has been replaced
+const RELOAD_CHECK_INTERVAL = 60000;
+
+const UNKNOWN = { country: 'Unknown', region: null, city: 'Unknown', asn: null, isp: null };
+const LOCAL = { country: 'Local', region: null, city: 'Local', asn: null, isp: null };
+
+const editionPath = (edition) => path.join(GEOIP_DIR, `${edition}.mmdb`);
+
+// Loaded readers by edition: { reader, mtimeMs, checkedAt }
+const readers = new Map();
+
+// Reader for an edition, loading it again when the file has changed, or null
+// when the file isn't there
+const getReader = (edition) => {
+  if (!edition) return null;
+
+  let entry = readers.get(edition);
+  if (!entry) {
+    entry = { reader: null, mtimeMs: 0, checkedAt: 0 };
+    readers.set(edition, entry);
+  }
+  if (Date.now() - entry.checkedAt < RELOAD_CHECK_INTERVAL) return entry.reader;
+  entry.checkedAt = Date.now();
 
-const cache = new Map();
-const CACHE_TTL = 3600000; // 1 hour
+  const file = editionPath(edition);
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs !== entry.mtimeMs) {
+      entry.reader = new Reader(fs.readFileSync(file));
+      entry.mtimeMs = mtimeMs;
+      console.log(`GeoIP database loaded: ${file}`);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      if (entry.mtimeMs === 0) console.warn(`GeoIP database not found: ${file} (run npm run geoip:update)`);
+      entry.mtimeMs = -1;
+      entry.reader = null;
+    } else {
+      console.error(`GeoIP database error (${file}):`, error.message);
+    }
+  }
+  return entry.reader;
+};
+
+const lookup = (edition, ip) => {
+  const reader = getReader(edition);
+  if (!reader) return null;
+  try {
+    return reader.get(ip);
+  } catch (error) {
+    // Not an IP address
+    return null;
+  }
+};
+
+const englishName = (record) => (record && record.names && record.names.en) || null;
 
 // Parse user agent to extract device type and browser
 const parseUserAgent = (userAgent) => {
@@ -41,57 +120,34 @@ const parseUserAgent = (userAgent) => {
   return { deviceType, browser };
 };
 
-// Get geolocation data for an IP address
-const getGeoData = async (ip) => {
-  // Skip private/local IPs
-  if (!ip || ip === 'unknown' || ip === '127.0.0.1' || ip === '::1' || ip.startsWith('192.168.') || ip.startsWith('10.') || ip.startsWith('172.')) {
-    return { country: 'Local', city: 'Local' };
-  }
+// Private networks, located as Local
+const PRIVATE_RANGES = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'];
 
+// Get geolocation data for an IP address: country, region, city, asn and isp
+const getGeoData = async (ip) => {
   // Clean IP (remove IPv6 prefix if present)
-  const cleanIp = ip.replace(/^::ffff:/, '');
+  const cleanIp = (ip || '').replace(/^::ffff:/, '');
 
-  // Check cache
-  const cached = cache.get(cleanIp);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
+  // Skip private/local IPs
+  if (!cleanIp || cleanIp === 'unknown' || cleanIp === '127.0.0.1' || cleanIp === '::1'
+    || PRIVATE_RANGES.some(range => inRange(cleanIp, range))) {
+    return { ...LOCAL };
   }
 
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 3000);
-
-    const response = await fetch(`http://ip-api.com/json/${cleanIp}?fields=status,country,city`, {
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      return { country: 'Unknown', city: 'Unknown' };
-    }
-
-    const data = await response.json();
-
-    if (data.status === 'success') {
-      const result = {
-        country: data.country || 'Unknown',
-        city: data.city || 'Unknown'
-      };
-
-      // Cache the result
-      cache.set(cleanIp, { data: result, timestamp: Date.now() });
+  const city = lookup(EDITIONS.city, cleanIp);
+  const network = lookup(EDITIONS.asn, cleanIp);
+  const isp = lookup(EDITIONS.isp, cleanIp);
 
-      return result;
-    }
-
-    return { country: 'Unknown', city: 'Unknown' };
-  } catch (error) {
-    // Don't log abort errors (timeout)
-    if (error.name !== 'AbortError') {
-      console.error('Geolocation error:', error.message);
-    }
-    return { country: 'Unknown', city: 'Unknown' };
+  const result = { ...UNKNOWN };
+  if (city) {
+    result.country = englishName(city.country) || englishName(city.registered_country) || 'Unknown';
+    result.region = city.subdivisions && city.subdivisions.length > 0 ? englishName(city.subdivisions[0]) : null;
+    result.city = englishName(city.city) || 'Unknown';
   }
+  result.asn = (isp && isp.autonomous_system_number) || (network && network.autonomous_system_number) || null;
+  result.isp = (isp && (isp.isp || isp.organization)) || (network && network.autonomous_system_organization) || null;
+
+  return result;
 };
 
 // Get full tracking data (geolocation + device/browser)
@@ -107,18 +163,67 @@ const getTrackingData = async (ip, userAgent) => {
   };
 };
 
-// Clean old cache entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of cache.entries()) {
-    if (now - value.timestamp > CACHE_TTL) {
-      cache.delete(key);
+// The contents of the file in a .tar.gz whose name ends with suffix, or null
+const extractFromTarGz = (archive, suffix) => {
+  const tar = zlib.gunzipSync(archive);
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    if (!name) break;
+    const size = parseInt(header.toString('utf8', 124, 136).replace(/\0.*$/s, '').trim() || '0', 8);
+    const start = offset + 512;
+    if (name.endsWith(suffix)) {
+      return tar.subarray(start, start + size);
     }
+    offset = start + Math.ceil(size / 512) * 512;
   }
-}, 300000); // Clean every 5 minutes
+  return null;
+};
+
+// Download the configured editions from MaxMind into GEOIP_DIR. Each file is
+// checked before it replaces the old one. Returns the editions and their build dates.
+const updateGeoDatabases = async () => {
+  const accountId = process.env.MAXMIND_ACCOUNT_ID;
+  const licenseKey = process.env.MAXMIND_LICENSE_KEY;
+  if (!accountId || !licenseKey) {
+    throw new Error('Set MAXMIND_ACCOUNT_ID and MAXMIND_LICENSE_KEY to download GeoIP databases');
+  }
+
+  fs.mkdirSync(GEOIP_DIR, { recursive: true });
+  const auth = Buffer.from(`${accountId}:${licenseKey}`).toString('base64');
+  const updated = [];
+
+  for (const edition of Object.values(EDITIONS).filter(Boolean)) {
+    const response = await fetch(`${DOWNLOAD_URL}/${edition}/download?suffix=tar.gz`, {
+      headers: { Authorization: `Basic ${auth}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to download ${edition}: HTTP ${response.status}`);
+    }
+
+    const database = extractFromTarGz(Buffer.from(await response.arrayBuffer()), `${edition}.mmdb`);
+    if (!database) {
+      throw new Error(`${edition}.mmdb is missing from the download`);
+    }
+    const { metadata } = new Reader(database);
+
+    const file = editionPath(edition);
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, database);
+    fs.renameSync(tmpFile, file);
+    readers.delete(edition);
+
+    updated.push({ edition, built_at: metadata.buildEpoch.toISOString() });
+  }
+
+  return updated;
+};
 
 module.exports = {
+  GEOIP_DIR,
   parseUserAgent,
   getGeoData,
-  getTrackingData
+  getTrackingData,
+  updateGeoDatabases
 };
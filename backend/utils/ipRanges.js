@@ -0,0 +1,52 @@
+// CIDR range checks for IPv4 and IPv6 addresses.
+
+const ipv4ToNumber = (ip) => {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    const n = Number(part);
+    if (!/^\d+$/.test(part) || n > 255) return null;
+    value = value * 256 + n;
+  }
+  return value;
+};
+
+// IPv6 address as its eight 16-bit groups, or null
+const ipv6ToGroups = (ip) => {
+  if (!ip.includes(':')) return null;
+  const [head, tail = null, ...rest] = ip.toLowerCase().split('::');
+  if (rest.length > 0) return null;
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (missing < 0 || (tail === null && missing !== 0)) return null;
+  const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups].map(g => parseInt(g, 16));
+  return groups.some(g => Number.isNaN(g) || g > 0xffff) ? null : groups;
+};
+
+// Whether ip is inside the CIDR range
+const inRange = (ip, range) => {
+  const [base, bitsText] = range.split('/');
+  const bits = Number(bitsText);
+
+  const ipv4 = ipv4ToNumber(ip);
+  const baseV4 = ipv4ToNumber(base);
+  if (ipv4 !== null && baseV4 !== null) {
+    const block = 2 ** (32 - bits);
+    return Math.floor(ipv4 / block) === Math.floor(baseV4 / block);
+  }
+
+  const ipv6 = ipv6ToGroups(ip);
+  const baseV6 = ipv6ToGroups(base);
+  if (!ipv6 || !baseV6) return false;
+  for (let i = 0, left = bits; left > 0; i++, left -= 16) {
+    const mask = left >= 16 ? 0xffff : (0xffff << (16 - left)) & 0xffff;
+    if ((ipv6[i] & mask) !== (baseV6[i] & mask)) return false;
+  }
+  return true;
+};
+
+module.exports = {
+  inRange
+};
@@ -1,25 +1,40 @@
 const { customAlphabet } = require('nanoid');
 const { pool, USE_POSTGRES } = require('../models/database');
 const { getTrackingData } = require('./geoip');
+const { getClickSuspicion, genuineOnly } = require('./botFilter');
+const { getPrivacyMode, anonymizeIp, getViewerHash, getIpHash, clickVisitor } = require('./privacy');
+const { findUrls } = require('./formatting');
 
 // Generate short codes (6 chars, URL-safe)
 const generateShortCode = customAlphabet('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789', 6);
 
 // Create a tracked link
-const createTrackedLink = async (originalUrl, announcementId, utmParams = {}) => {
+// utmParams are the UTM fields and extra params the redirect adds (see renderUtm).
+// Test links (from test sends) redirect like any other, with utm_medium=test, but
+// never record clicks. Links sent to a channel carry its channelId so clicks are credited to it.
+const createTrackedLink = async (originalUrl, announcementId, utmParams = {}, { test = false, variant = null, locale = null, channelId = null } = {}) => {
   const shortCode = generateShortCode();
   const baseUrl = process.env.BASE_URL || 'http://localhost:3001';
+  const extraParams = utmParams.params && Object.keys(utmParams.params).length > 0 ? utmParams.params : null;
 
   await pool.query(
-    `INSERT INTO tracked_links (short_code, original_url, announcement_id, utm_source, utm_medium, utm_campaign)
-     VALUES ($1, $2, $3, $4, $5, $6)`,
+    `INSERT INTO tracked_links (short_code, original_url, announcement_id, utm_source, utm_medium, utm_campaign, is_test, variant, locale, channel_id,
+                                utm_term, utm_content, extra_params)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
     [
       shortCode,
       originalUrl,
       announcementId,
       utmParams.utm_source || 'telegram',
-      utmParams.utm_medium || 'announcement',
-      utmParams.utm_campaign || null
+      test ? 'test' : utmParams.utm_medium || 'announcement',
+      utmParams.utm_campaign || null,
+      test ? 1 : 0,
+      variant,
+      locale,
+      channelId,
+      utmParams.utm_term || null,
+      utmParams.utm_content || null,
+      extraParams ? JSON.stringify(extraParams) : null
     ]
   );
 
@@ -30,10 +45,10 @@ const createTrackedLink = async (originalUrl, announcementId, utmParams = {}) =>
   };
 };
 
-// Process content and create tracked links for all URLs
-const processContentLinks = async (content, announcementId, campaignName = null) => {
-  const urlRegex = /(https?:\/\/[^\s<>"{}|\\^`\[\]]+)/g;
-  const urls = content.match(urlRegex) || [];
+// Process content and create tracked links for all URLs, with utmParams
+// URLs in existingLinks are skipped so edits only create links for new URLs
+const processContentLinks = async (content, announcementId, utmParams = {}, existingLinks = [], { test = false, variant = null, locale = null, channelId = null } = {}) => {
+  const urls = findUrls(content);
 
   const trackedLinks = [];
 
@@ -42,23 +57,47 @@ const processContentLinks = async (content, announcementId, campaignName = null)
     const baseUrl = process.env.BASE_URL || 'http://localhost:3001';
     if (url.startsWith(baseUrl)) continue;
 
-    const tracked = await createTrackedLink(url, announcementId, {
-      utm_campaign: campaignName
-    });
+    if (existingLinks.some(l => l.original_url === url) || trackedLinks.some(l => l.original_url === url)) continue;
+
+    const tracked = await createTrackedLink(url, announcementId, utmParams, { test, variant, locale, channelId });
     trackedLinks.push(tracked);
   }
 
   return trackedLinks;
 };
 
+// Get tracked links already created for an announcement, or its test links with test.
+// Every channel has its own set of links (with the variant and locale it got), and
+// announcements sent before links were per channel share one set per variant and locale.
+const getAnnouncementLinks = async (announcementId, { test = false, variant = null, locale = null, channelId = null } = {}) => {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3001';
+  const result = await pool.query(
+    `SELECT short_code, original_url, utm_source, utm_medium, utm_campaign, utm_term, utm_content, extra_params
+     FROM tracked_links
+     WHERE announcement_id = $1 AND COALESCE(is_test, 0) = $2 AND COALESCE(variant, '') = $3 AND COALESCE(locale, '') = $4
+       AND COALESCE(channel_id, 0) = $5
+     ORDER BY id`,
+    [announcementId, test ? 1 : 0, variant || '', locale || '', channelId || 0]
+  );
+
+  return result.rows.map(link => ({
+    ...link,
+    tracked_url: `${baseUrl}/t/${link.short_code}`
+  }));
+};
+
 // Record a click with geolocation and device data
 // Also records a view since link click = user saw the message
 const recordClick = async (shortCode, requestInfo = {}) => {
   try {
-    // Get link with announcement info
+    // Get link with announcement info. Links shared by every channel (sent before
+    // links were per channel) are credited to the first channel that got them.
     const linkResult = await pool.query(
-      `SELECT tl.id, tl.announcement_id,
-              (SELECT at.channel_id FROM announcement_targets at WHERE at.announcement_id = tl.announcement_id LIMIT 1) as channel_id
+      `SELECT tl.id, tl.announcement_id, tl.is_test,
+              COALESCE(tl.channel_id, (SELECT at.channel_id FROM announcement_targets at
+               WHERE at.announcement_id = tl.announcement_id AND (tl.variant IS NULL OR at.variant = tl.variant)
+                 AND COALESCE(at.locale, '') = COALESCE(tl.locale, '')
+               LIMIT 1)) as channel_id
        FROM tracked_links tl WHERE tl.short_code = $1`,
       [shortCode]
     );
@@ -70,33 +109,58 @@ const recordClick = async (shortCode, requestInfo = {}) => {
 
     const link = linkResult.rows[0];
 
+    // Test sends don't count in analytics
+    if (link.is_test) {
+      console.log(`[recordClick] Skipping test link: ${shortCode}`);
+      return null;
+    }
+
     // Get geolocation and device data (with timeout protection)
-    let trackingData = { country: 'Unknown', city: 'Unknown', deviceType: 'unknown', browser: 'unknown' };
+    let trackingData = { country: 'Unknown', region: null, city: 'Unknown', asn: null, isp: null, deviceType: 'unknown', browser: 'unknown' };
     try {
       trackingData = await getTrackingData(requestInfo.ip, requestInfo.userAgent);
     } catch (geoError) {
       console.error(`[recordClick] Geolocation error (using defaults):`, geoError.message);
     }
 
+    // The address as privacy mode keeps it, and a hash of the full address to
+    // compare clicks by
+    const storedIp = await anonymizeIp(requestInfo.ip);
+    const isAnonymized = getPrivacyMode() !== 'off' ? 1 : 0;
+    const ipHash = await getIpHash(requestInfo.ip);
+
+    // Clicks from preview bots, crawlers and datacenters, and repeated clicks,
+    // are kept but flagged so analytics can leave them out
+    const suspiciousReason = await getClickSuspicion(link.id, { ...requestInfo, asn: trackingData.asn }, ipHash);
+
     // Record the click
     await pool.query(
-      `INSERT INTO link_clicks (link_id, ip_address, user_agent, referer, country, city, device_type, browser)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      `INSERT INTO link_clicks (link_id, ip_address, user_agent, referer, country, city, device_type, browser,
+                                is_suspicious, suspicious_reason, region, asn, isp, is_anonymized, ip_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
       [
         link.id,
-        requestInfo.ip || null,
+        storedIp,
         requestInfo.userAgent || null,
         requestInfo.referer || null,
         trackingData.country,
         trackingData.city,
         trackingData.deviceType,
-        trackingData.browser
+        trackingData.browser,
+        suspiciousReason ? 1 : 0,
+        suspiciousReason,
+        trackingData.region,
+        trackingData.asn,
+        trackingData.isp,
+        isAnonymized,
+        ipHash
       ]
     );
 
-    // Also record as a view (link click = user definitely saw the message)
+    // Also record as a view (link click = user definitely saw the message). A
+    // flagged click's view is flagged too, so views and clicks stay comparable.
     if (link.announcement_id) {
-      const viewerHash = Buffer.from(`${requestInfo.ip || 'unknown'}-${requestInfo.userAgent || 'unknown'}`).toString('base64').substring(0, 32);
+      const viewerHash = await getViewerHash(requestInfo.ip, requestInfo.userAgent);
       const channelId = link.channel_id || null;
 
       // Check if view already exists
@@ -107,23 +171,30 @@ const recordClick = async (shortCode, requestInfo = {}) => {
 
       if (existingView.rows.length === 0) {
         await pool.query(
-          `INSERT INTO pixel_views (announcement_id, channel_id, viewer_hash, ip_address, user_agent, country, city, device_type, browser)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          `INSERT INTO pixel_views (announcement_id, channel_id, viewer_hash, ip_address, user_agent, country, city, device_type, browser,
+                                    region, asn, isp, is_anonymized, is_suspicious, suspicious_reason)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
           [
             link.announcement_id,
             channelId,
             viewerHash,
-            requestInfo.ip || null,
+            storedIp,
             requestInfo.userAgent || null,
             trackingData.country,
             trackingData.city,
             trackingData.deviceType,
-            trackingData.browser
+            trackingData.browser,
+            trackingData.region,
+            trackingData.asn,
+            trackingData.isp,
+            isAnonymized,
+            suspiciousReason ? 1 : 0,
+            suspiciousReason
           ]
         );
 
         // Update view count in announcement_targets
-        if (channelId) {
+        if (channelId && !suspiciousReason) {
           await pool.query(
             `UPDATE announcement_targets SET views = views + 1 WHERE announcement_id = $1 AND channel_id = $2`,
             [link.announcement_id, channelId]
@@ -134,6 +205,11 @@ const recordClick = async (shortCode, requestInfo = {}) => {
       }
     }
 
+    if (suspiciousReason) {
+      console.log(`[recordClick] Flagged click on link_id ${link.id}: ${suspiciousReason}`);
+      return { ...link, suspicious_reason: suspiciousReason };
+    }
+
     console.log(`[recordClick] Click recorded for link_id: ${link.id}`);
     return link;
   } catch (error) {
@@ -142,19 +218,25 @@ const recordClick = async (shortCode, requestInfo = {}) => {
   }
 };
 
-// Get link statistics
+// Get link statistics. Clicks flagged as bots or crawlers are counted apart.
 const getLinkStats = async (announcementId) => {
   const result = await pool.query(
     `SELECT
       tl.id,
       tl.short_code,
       tl.original_url,
-      COUNT(lc.id) as click_count,
-      COUNT(DISTINCT lc.ip_address) as unique_clicks
+      tl.variant,
+      tl.locale,
+      tl.channel_id,
+      ch.title as channel_title,
+      COUNT(CASE WHEN ${genuineOnly('lc')} THEN lc.id END) as click_count,
+      COUNT(DISTINCT CASE WHEN ${genuineOnly('lc')} THEN ${clickVisitor('lc')} END) as unique_clicks,
+      COUNT(CASE WHEN lc.is_suspicious = 1 THEN lc.id END) as suspicious_clicks
     FROM tracked_links tl
+    LEFT JOIN channels ch ON tl.channel_id = ch.id
     LEFT JOIN link_clicks lc ON tl.id = lc.link_id
-    WHERE tl.announcement_id = $1
-    GROUP BY tl.id`,
+    WHERE tl.announcement_id = $1 AND COALESCE(tl.is_test, 0) = 0
+    GROUP BY tl.id, ch.title`,
     [announcementId]
   );
   return result.rows;
@@ -169,7 +251,7 @@ const getClickTimeline = async (announcementId, days = 7) => {
       COUNT(*) as clicks
     FROM link_clicks lc
     JOIN tracked_links tl ON lc.link_id = tl.id
-    WHERE tl.announcement_id = $1
+    WHERE tl.announcement_id = $1 AND ${genuineOnly('lc')}
       AND lc.clicked_at >= CURRENT_TIMESTAMP - INTERVAL '${days} days'
     GROUP BY DATE(lc.clicked_at)
     ORDER BY date`;
@@ -180,7 +262,7 @@ const getClickTimeline = async (announcementId, days = 7) => {
       COUNT(*) as clicks
     FROM link_clicks lc
     JOIN tracked_links tl ON lc.link_id = tl.id
-    WHERE tl.announcement_id = $1
+    WHERE tl.announcement_id = $1 AND ${genuineOnly('lc')}
       AND lc.clicked_at >= datetime('now', '-${days} days')
     GROUP BY DATE(lc.clicked_at)
     ORDER BY date`;
@@ -193,6 +275,7 @@ const getClickTimeline = async (announcementId, days = 7) => {
 module.exports = {
   createTrackedLink,
   processContentLinks,
+  getAnnouncementLinks,
   recordClick,
   getLinkStats,
   getClickTimeline
@@ -0,0 +1,251 @@
+// Edit, delete and expire announcements that are already live in Telegram channels.
+// Every change is written to announcement_revisions so we can tell what was
+// live in the channels at any point in time.
+
+const { pool, USE_POSTGRES } = require('../models/database');
+const {
+  editAnnouncementMessage,
+  deleteAnnouncementMessage,
+  unpinAnnouncementMessage
+} = require('./telegram');
+const { prepareTrackedLinks } = require('./dispatcher');
+const { recordRevision } = require('./revisions');
+const { getMessageMedia, isSameMedia, getAnnouncementMedia } = require('./media');
+const { applyTranslation } = require('./translations');
+const { renderVariables } = require('./templates');
+const { logSystemEvent } = require('./logger');
+
+// What happens to a sent announcement at its expiry time
+const EXPIRE_ACTIONS = ['unpin', 'delete'];
+
+const expiryDueCondition = USE_POSTGRES
+  ? 'a.expires_at <= NOW()'
+  : "datetime(a.expires_at) <= datetime('now')";
+
+// Targets that currently show the announcement
+const getLiveTargets = async (announcementId) => {
+  const result = await pool.query(`
+    SELECT at.*, c.title as channel_title, c.member_count
+    FROM announcement_targets at
+    JOIN channels c ON at.channel_id = c.id
+    WHERE at.announcement_id = $1 AND at.telegram_message_id IS NOT NULL AND at.deleted_at IS NULL
+    ORDER BY at.id
+  `, [announcementId]);
+  return result.rows;
+};
+
+// Push the announcement's current content to every channel it was sent to, in
+// the locale each channel got, with its variables filled in for the channel.
+// previous is the announcement (with media) before the edit, used to detect a
+// swapped attachment. Both carry their translations. details are kept with the revision.
+const editLiveAnnouncement = async (announcement, previous, userId, details = {}) => {
+  const targets = await getLiveTargets(announcement.id);
+  const translationFor = (version, locale) => (version.translations || []).find(t => t.locale === locale) || null;
+
+  // The edited message for each locale
+  const versions = new Map();
+  const getVersion = (locale) => {
+    if (!versions.has(locale)) {
+      const localized = applyTranslation(announcement, translationFor(announcement, locale));
+      const before = applyTranslation(previous, translationFor(previous, locale));
+      versions.set(locale, {
+        localized,
+        replaceMedia: !isSameMedia(getMessageMedia(before), getMessageMedia(localized))
+      });
+    }
+    return versions.get(locale);
+  };
+
+  const results = [];
+
+  for (const target of targets) {
+    try {
+      const locale = target.locale || null;
+      const { localized, replaceMedia } = getVersion(locale);
+      const rendered = renderVariables(localized, { title: target.channel_title, member_count: target.member_count });
+      // Each channel keeps its own links. Ones sent to before links were per channel get theirs now.
+      const trackedLinks = await prepareTrackedLinks(rendered, { locale, channelId: target.channel_id });
+      await editAnnouncementMessage(
+        target.channel_id,
+        target.telegram_message_id,
+        rendered,
+        trackedLinks,
+        { replaceMedia }
+      );
+      await pool.query(
+        'UPDATE announcement_targets SET edited_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [target.id]
+      );
+      results.push({ channel_id: target.channel_id, channel_title: target.channel_title, success: true });
+    } catch (error) {
+      results.push({ channel_id: target.channel_id, channel_title: target.channel_title, success: false, error: error.message });
+    }
+  }
+
+  await recordRevision(announcement, 'edited', userId, { ...details, channels: results });
+
+  return results;
+};
+
+// Delete the announcement from every channel it is live in.
+// The announcement becomes 'unsent' once no channel shows it any more.
+const unsendAnnouncement = async (announcement, userId) => {
+  const targets = await getLiveTargets(announcement.id);
+  const results = [];
+
+  for (const target of targets) {
+    try {
+      const messageIds = target.telegram_message_ids
+        ? JSON.parse(target.telegram_message_ids)
+        : [target.telegram_message_id];
+      await deleteAnnouncementMessage(target.channel_id, messageIds, announcement.id);
+      await pool.query(
+        'UPDATE announcement_targets SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [target.id]
+      );
+      results.push({ channel_id: target.channel_id, channel_title: target.channel_title, success: true });
+    } catch (error) {
+      results.push({ channel_id: target.channel_id, channel_title: target.channel_title, success: false, error: error.message });
+    }
+  }
+
+  const status = await markUnsentIfGone(announcement, 'Announcement unsent');
+
+  await recordRevision(announcement, 'unsent', userId, { channels: results });
+
+  return { status, results };
+};
+
+// The announcement becomes 'unsent' once no channel shows it any more.
+// Returns its status.
+const markUnsentIfGone = async (announcement, reason) => {
+  const remaining = await getLiveTargets(announcement.id);
+  if (remaining.length > 0) return announcement.status;
+
+  // Drop queued deliveries so a pending retry can't repost it
+  await pool.query(
+    `UPDATE send_queue SET status = 'failed', last_error = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE announcement_id = $2 AND status = 'pending'`,
+    [reason, announcement.id]
+  );
+  await pool.query(`UPDATE announcements SET status = 'unsent' WHERE id = $1`, [announcement.id]);
+  return 'unsent';
+};
+
+// Check pin and expiry options from a create or update request. current is the
+// stored announcement, whose expiry is left alone when unchanged; sendAt is when
+// it goes out, which the expiry has to come after.
+// Throws with a message suitable for a 400 response.
+const normalizeExpiry = (input, { current = null, sendAt = null } = {}) => {
+  const pinMessage = Boolean(input.pin_message);
+  const expiresAt = input.expires_at ? new Date(input.expires_at) : null;
+
+  if (expiresAt && isNaN(expiresAt)) {
+    throw new Error('Invalid expiry time');
+  }
+
+  const expireAction = expiresAt ? input.expire_action || 'delete' : null;
+  if (expireAction && !EXPIRE_ACTIONS.includes(expireAction)) {
+    throw new Error(`Expiry action must be one of: ${EXPIRE_ACTIONS.join(', ')}`);
+  }
+  if (expireAction === 'unpin' && !pinMessage) {
+    throw new Error('Only pinned announcements can be unpinned when they expire');
+  }
+
+  const unchanged = expiresAt && current?.expires_at
+    && new Date(current.expires_at).getTime() === expiresAt.getTime();
+  if (expiresAt && !unchanged) {
+    if (expiresAt <= new Date()) {
+      throw new Error('Expiry time must be in the future');
+    }
+    if (sendAt && expiresAt <= new Date(sendAt)) {
+      throw new Error('Expiry time must be after the send time');
+    }
+  }
+
+  return {
+    pin_message: pinMessage ? 1 : 0,
+    pin_notify: pinMessage && input.pin_notify ? 1 : 0,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    expire_action: expireAction
+  };
+};
+
+// Unpin or delete the announcement in every channel it's live in and hasn't
+// expired yet. Each channel is tried once; failures are in the system log.
+const expireAnnouncement = async (announcement) => {
+  const targets = (await getLiveTargets(announcement.id)).filter(t => !t.expired_at);
+  const results = [];
+
+  for (const target of targets) {
+    await pool.query('UPDATE announcement_targets SET expired_at = CURRENT_TIMESTAMP WHERE id = $1', [target.id]);
+
+    // Nothing to unpin where pinning failed
+    if (announcement.expire_action === 'unpin' && !target.pinned_at) continue;
+
+    try {
+      if (announcement.expire_action === 'delete') {
+        const messageIds = target.telegram_message_ids
+          ? JSON.parse(target.telegram_message_ids)
+          : [target.telegram_message_id];
+        await deleteAnnouncementMessage(target.channel_id, messageIds, announcement.id);
+        await pool.query(
+          'UPDATE announcement_targets SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [target.id]
+        );
+      } else {
+        await unpinAnnouncementMessage(target.channel_id, target.telegram_message_id, announcement.id);
+      }
+      results.push({ channel_id: target.channel_id, channel_title: target.channel_title, success: true });
+    } catch (error) {
+      results.push({ channel_id: target.channel_id, channel_title: target.channel_title, success: false, error: error.message });
+    }
+  }
+
+  let status = announcement.status;
+  if (announcement.expire_action === 'delete') {
+    status = await markUnsentIfGone(announcement, 'Announcement expired');
+    announcement.media = await getAnnouncementMedia(announcement.id);
+    await recordRevision(announcement, 'expired', null, { channels: results });
+  }
+
+  const failed = results.filter(r => !r.success).length;
+  await logSystemEvent(
+    `Announcement "${announcement.title}" expired: ${announcement.expire_action === 'delete' ? 'deleted' : 'unpinned'} in ${results.length - failed} of ${results.length} channels`,
+    { announcement_id: announcement.id, action: announcement.expire_action, failed }
+  );
+
+  return { status, results };
+};
+
+// Expire every sent announcement whose expiry time has passed (called by the server cron)
+const expireDueAnnouncements = async () => {
+  const result = await pool.query(`
+    SELECT a.*
+    FROM announcements a
+    WHERE a.expires_at IS NOT NULL AND a.expire_action IS NOT NULL AND ${expiryDueCondition}
+      AND EXISTS (
+        SELECT 1 FROM announcement_targets at
+        WHERE at.announcement_id = a.id AND at.telegram_message_id IS NOT NULL
+          AND at.deleted_at IS NULL AND at.expired_at IS NULL
+      )
+    ORDER BY a.expires_at
+  `);
+
+  for (const announcement of result.rows) {
+    try {
+      await expireAnnouncement(announcement);
+    } catch (error) {
+      console.error(`Expiring announcement ${announcement.id} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  EXPIRE_ACTIONS,
+  editLiveAnnouncement,
+  unsendAnnouncement,
+  normalizeExpiry,
+  expireAnnouncement,
+  expireDueAnnouncements
+};
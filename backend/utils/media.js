@@ -0,0 +1,258 @@
+// Media attachments for announcements (photos, videos, GIFs and documents).
+// Several attachments are sent as a Telegram media group (album).
+
+const path = require('path');
+const { pool } = require('../models/database');
+const { getFormattingError } = require('./formatting');
+const { hasValidButtons, getButtonError } = require('./buttons');
+const { UPLOAD_DIR, UPLOAD_URL_PREFIX, getStorage } = require('./storage');
+
+const MEDIA_TYPES = ['photo', 'video', 'animation', 'document'];
+const MAX_ALBUM_SIZE = 10;
+
+const isLocalUpload = (url) => typeof url === 'string'
+  && url.startsWith(UPLOAD_URL_PREFIX)
+  && /^[\w.-]+$/.test(url.slice(UPLOAD_URL_PREFIX.length));
+
+// What to hand the Telegram API: a file path for uploads (sent as a file), the URL otherwise
+const resolveMediaSource = (url) => (isLocalUpload(url)
+  ? path.join(UPLOAD_DIR, url.slice(UPLOAD_URL_PREFIX.length))
+  : url);
+
+// file_ids belong to the bot that received them
+const getBotId = () => (process.env.TELEGRAM_BOT_TOKEN || '').split(':')[0];
+
+// What to hand the Telegram API for an attachment: the file_id Telegram gave a
+// library asset on an earlier send (no re-upload), otherwise the file or URL.
+// upload is set when a local file is sent.
+const getMediaSource = (item) => {
+  if (item.telegram_file_id && item.telegram_file_bot === getBotId()) {
+    return { source: item.telegram_file_id, upload: false };
+  }
+  const source = resolveMediaSource(item.url);
+  return { source, upload: source !== item.url };
+};
+
+// Files that can be uploaded, by MIME type, with the extensions they may have:
+// what Telegram sends as photos, videos and GIFs, and PDFs as documents. Uploads
+// are served from the dashboard's origin, so nothing a browser would run is let in.
+const UPLOAD_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'image/gif': ['.gif'],
+  'video/mp4': ['.mp4'],
+  'video/quicktime': ['.mov'],
+  'application/pdf': ['.pdf']
+};
+
+// Readable error when an uploaded file isn't an allowed type or its extension
+// doesn't match its MIME type, or null
+const getUploadError = (file) => {
+  const extensions = UPLOAD_TYPES[file.mimetype];
+  if (!extensions) {
+    return `${file.originalname} can't be uploaded, use a JPEG, PNG, WebP or GIF image, an MP4 or MOV video, or a PDF`;
+  }
+  if (!extensions.includes(path.extname(file.originalname).toLowerCase())) {
+    return `${file.originalname} doesn't match its type ${file.mimetype}, expected a ${extensions.join(' or ')} file`;
+  }
+  return null;
+};
+
+// The extension an upload is stored with, from its checked MIME type
+const getUploadExtension = (mimeType) => (UPLOAD_TYPES[mimeType] || [''])[0];
+
+// Uploads the browser may show inline; anything else, like PDFs or files stored
+// before uploads were checked, is served as a download
+const isInlineUpload = (fileName) => Object.entries(UPLOAD_TYPES)
+  .some(([mimeType, extensions]) => /^(image|video)\//.test(mimeType)
+    && extensions.includes(path.extname(fileName).toLowerCase()));
+
+// Guess the Telegram media type for an uploaded file
+const getMediaTypeForMime = (mimeType = '') => {
+  if (mimeType === 'image/gif') return 'animation';
+  if (mimeType.startsWith('image/')) return 'photo';
+  if (mimeType.startsWith('video/')) return 'video';
+  return 'document';
+};
+
+// Attachments of an announcement in display order, with their library asset's cached file_id
+const getAnnouncementMedia = async (announcementId) => {
+  const result = await pool.query(`
+    SELECT am.*, ma.thumbnail_key, ma.telegram_file_id, ma.telegram_file_bot
+    FROM announcement_media am
+    LEFT JOIN media_assets ma ON am.asset_id = ma.id
+    WHERE am.announcement_id = $1
+    ORDER BY am.position, am.id
+  `, [announcementId]);
+
+  return result.rows.map(({ thumbnail_key, ...item }) => ({
+    ...item,
+    thumbnail_url: thumbnail_key ? getStorage().urlFor(thumbnail_key) : null
+  }));
+};
+
+// Replace an announcement's attachments
+const saveAnnouncementMedia = async (announcementId, media) => {
+  await pool.query('DELETE FROM announcement_media WHERE announcement_id = $1', [announcementId]);
+
+  for (const [position, item] of media.entries()) {
+    // Link uploads to their library asset so usage is tracked
+    let assetId = item.asset_id || null;
+    if (!assetId && isLocalUpload(item.url)) {
+      const assetResult = await pool.query(
+        'SELECT id FROM media_assets WHERE storage_key = $1',
+        [item.url.slice(UPLOAD_URL_PREFIX.length)]
+      );
+      assetId = assetResult.rows[0]?.id || null;
+    }
+
+    await pool.query(
+      `INSERT INTO announcement_media (announcement_id, asset_id, position, type, url, file_name, mime_type, file_size)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [announcementId, assetId, position, item.type, item.url, item.file_name || null, item.mime_type || null, item.file_size || null]
+    );
+  }
+};
+
+const getSentFileId = (message, type) => {
+  if (type === 'photo') {
+    // Telegram returns every size it made, largest last
+    return message.photo?.[message.photo.length - 1]?.file_id;
+  }
+  return (message[type] || message.document)?.file_id;
+};
+
+// Remember the file_id Telegram assigned to library assets so later sends reuse it.
+// messages are the sent messages, in the same order as media.
+const cacheTelegramFileIds = async (media, messages) => {
+  const botId = getBotId();
+
+  for (const [index, item] of media.entries()) {
+    if (!item.asset_id || !messages[index]) continue;
+    if (item.telegram_file_id && item.telegram_file_bot === botId) continue;
+
+    const fileId = getSentFileId(messages[index], item.type);
+    if (!fileId) continue;
+
+    await pool.query(
+      'UPDATE media_assets SET telegram_file_id = $1, telegram_file_bot = $2 WHERE id = $3',
+      [fileId, botId, item.asset_id]
+    );
+    item.telegram_file_id = fileId;
+    item.telegram_file_bot = botId;
+  }
+};
+
+const copyAnnouncementMedia = async (fromAnnouncementId, toAnnouncementId) => {
+  const media = await getAnnouncementMedia(fromAnnouncementId);
+  await saveAnnouncementMedia(toAnnouncementId, media);
+};
+
+// The attachments a message is sent with. Announcements created before
+// attachments existed have a single image_url, which is sent as a photo.
+const getMessageMedia = (announcement) => {
+  if (announcement.media && announcement.media.length > 0) {
+    return announcement.media;
+  }
+  if (announcement.image_url) {
+    return [{ type: 'photo', url: announcement.image_url }];
+  }
+  return [];
+};
+
+// Check attachments from the API and keep only the fields we store.
+// Throws with a message suitable for a 400 response.
+const normalizeMedia = (media) => {
+  if (!Array.isArray(media)) {
+    throw new Error('Media must be a list');
+  }
+
+  return media.map((item, index) => {
+    const label = `Attachment ${index + 1}`;
+    if (!item || !MEDIA_TYPES.includes(item.type)) {
+      throw new Error(`${label}: type must be one of ${MEDIA_TYPES.join(', ')}`);
+    }
+    const url = String(item.url || '').trim();
+    if (!/^https?:\/\//.test(url) && !isLocalUpload(url)) {
+      throw new Error(`${label}: must be an uploaded file or an http(s) URL`);
+    }
+    return {
+      asset_id: item.asset_id ? parseInt(item.asset_id) : null,
+      type: item.type,
+      url,
+      file_name: item.file_name || null,
+      mime_type: item.mime_type || null,
+      file_size: item.file_size ? parseInt(item.file_size) : null
+    };
+  });
+};
+
+// Check that Telegram will accept the announcement as a message.
+// Returns a readable error message, or null when it is fine.
+const getMessageError = (announcement) => {
+  const media = getMessageMedia(announcement);
+
+  if (media.length > 1) {
+    if (media.length > MAX_ALBUM_SIZE) {
+      return `An album can have at most ${MAX_ALBUM_SIZE} attachments`;
+    }
+    if (media.some(m => m.type === 'animation')) {
+      return 'GIFs can\'t be part of an album, send them on their own';
+    }
+    const documents = media.filter(m => m.type === 'document').length;
+    if (documents > 0 && documents < media.length) {
+      return 'Documents can\'t be mixed with photos or videos in an album';
+    }
+
+    if (hasValidButtons(announcement.buttons)) {
+      return 'Telegram doesn\'t allow buttons on albums, remove the buttons or send a single attachment';
+    }
+  }
+
+  const buttonError = getButtonError(announcement.buttons);
+  if (buttonError) {
+    return buttonError;
+  }
+
+  return getFormattingError(announcement.content, { hasMedia: media.length > 0 });
+};
+
+const isSameMedia = (a, b) => a.length === b.length
+  && a.every((item, i) => item.type === b[i].type && item.url === b[i].url);
+
+// What can change on a message that is already live: a single attachment can be
+// swapped, album items can't, and text can't become media or the other way round.
+// Returns a readable error message, or null when the edit is possible.
+const getLiveEditError = (previousMedia, nextMedia) => {
+  if (previousMedia.length === 0 && nextMedia.length > 0) {
+    return 'Attachments can\'t be added to a sent text message';
+  }
+  if (previousMedia.length > 0 && nextMedia.length === 0) {
+    return 'Attachments can\'t be removed from a sent message, replace them instead';
+  }
+  if ((previousMedia.length > 1 || nextMedia.length > 1) && !isSameMedia(previousMedia, nextMedia)) {
+    return 'Album attachments can\'t be changed after sending, only the caption';
+  }
+  return null;
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  isLocalUpload,
+  resolveMediaSource,
+  getMediaSource,
+  getMediaTypeForMime,
+  getUploadError,
+  getUploadExtension,
+  isInlineUpload,
+  getAnnouncementMedia,
+  saveAnnouncementMedia,
+  cacheTelegramFileIds,
+  copyAnnouncementMedia,
+  getMessageMedia,
+  normalizeMedia,
+  getMessageError,
+  isSameMedia,
+  getLiveEditError
+};
@@ -0,0 +1,174 @@
+// Media library: uploaded files are stored once per content hash, get a
+// thumbnail when they are images, and track which announcements use them.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { pool, USE_POSTGRES } = require('../models/database');
+const { getStorage } = require('./storage');
+const { getMediaTypeForMime, getUploadExtension } = require('./media');
+
+const THUMBNAIL_SIZE = 320;
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// The asset as the dashboard and announcement editor use it
+const toMediaItem = (asset) => {
+  const storage = getStorage();
+  return {
+    ...asset,
+    asset_id: asset.id,
+    url: storage.urlFor(asset.storage_key),
+    thumbnail_url: asset.thumbnail_key ? storage.urlFor(asset.thumbnail_key) : null
+  };
+};
+
+// Make a thumbnail for images (GIFs use their first frame).
+// Returns null for other files and images sharp can't read.
+const createThumbnail = async (filePath, type, hash) => {
+  if (!['photo', 'animation'].includes(type)) {
+    return null;
+  }
+
+  const thumbnailPath = `${filePath}.thumb.jpg`;
+  try {
+    const image = sharp(filePath);
+    const { width, height } = await image.metadata();
+    await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toFile(thumbnailPath);
+
+    const thumbnailKey = `${hash}_thumb.jpg`;
+    await getStorage().save(thumbnailKey, thumbnailPath);
+    return { thumbnailKey, width, height };
+  } catch (error) {
+    console.error('Failed to create thumbnail:', error.message);
+    await fs.promises.unlink(thumbnailPath).catch(() => {});
+    return null;
+  }
+};
+
+// Add an uploaded file (multer's req.file) to the library.
+// A file that is already in the library isn't stored again; the existing asset
+// is returned with duplicate set.
+const storeUpload = async (file, userId) => {
+  const hash = await hashFile(file.path);
+
+  const existing = await pool.query('SELECT * FROM media_assets WHERE file_hash = $1', [hash]);
+  if (existing.rows.length > 0) {
+    await fs.promises.unlink(file.path).catch(() => {});
+    return { asset: toMediaItem(existing.rows[0]), duplicate: true };
+  }
+
+  const type = getMediaTypeForMime(file.mimetype);
+  const storageKey = `${hash}${getUploadExtension(file.mimetype)}`;
+
+  const thumbnail = await createThumbnail(file.path, type, hash);
+  await getStorage().save(storageKey, file.path);
+
+  const result = await pool.query(
+    `INSERT INTO media_assets (file_hash, storage_key, thumbnail_key, type, file_name, mime_type, file_size, width, height, uploaded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+    [
+      hash,
+      storageKey,
+      thumbnail?.thumbnailKey || null,
+      type,
+      file.originalname,
+      file.mimetype,
+      file.size,
+      thumbnail?.width || null,
+      thumbnail?.height || null,
+      userId
+    ]
+  );
+
+  const asset = await getAsset(result.rows[0].id);
+  return { asset, duplicate: false };
+};
+
+const getAsset = async (assetId) => {
+  const result = await pool.query(`
+    SELECT ma.*, u.name as uploaded_by_name
+    FROM media_assets ma
+    LEFT JOIN users u ON ma.uploaded_by = u.id
+    WHERE ma.id = $1
+  `, [assetId]);
+  return result.rows[0] ? toMediaItem(result.rows[0]) : null;
+};
+
+// Library listing, newest first, with how many announcements use each asset
+const listAssets = async ({ type, search, limit = 100 } = {}) => {
+  const params = [];
+  let where = 'WHERE 1=1';
+
+  if (type) {
+    params.push(type);
+    where += ` AND ma.type = $${params.length}`;
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    where += USE_POSTGRES
+      ? ` AND ma.file_name ILIKE $${params.length}`
+      : ` AND LOWER(ma.file_name) LIKE LOWER($${params.length})`;
+  }
+  params.push(Math.min(parseInt(limit) || 100, 500));
+
+  const result = await pool.query(`
+    SELECT
+      ma.*,
+      u.name as uploaded_by_name,
+      (SELECT COUNT(DISTINCT announcement_id) FROM announcement_media WHERE asset_id = ma.id) as usage_count
+    FROM media_assets ma
+    LEFT JOIN users u ON ma.uploaded_by = u.id
+    ${where}
+    ORDER BY ma.created_at DESC, ma.id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(toMediaItem);
+};
+
+// Announcements that have the asset attached
+const getAssetUsage = async (assetId) => {
+  const result = await pool.query(`
+    SELECT DISTINCT a.id, a.title, a.status, a.sent_at, a.created_at
+    FROM announcement_media am
+    JOIN announcements a ON am.announcement_id = a.id
+    WHERE am.asset_id = $1
+    ORDER BY a.created_at DESC
+  `, [assetId]);
+  return result.rows;
+};
+
+// Remove an asset and its files. Assets still attached to announcements are kept.
+// Throws with a message suitable for a 400 response.
+const deleteAsset = async (asset) => {
+  const usage = await getAssetUsage(asset.id);
+  if (usage.length > 0) {
+    throw new Error(`Used by ${usage.length} announcement${usage.length === 1 ? '' : 's'}, remove it from them first`);
+  }
+
+  const storage = getStorage();
+  await storage.remove(asset.storage_key);
+  if (asset.thumbnail_key) {
+    await storage.remove(asset.thumbnail_key);
+  }
+  await pool.query('DELETE FROM media_assets WHERE id = $1', [asset.id]);
+};
+
+module.exports = {
+  storeUpload,
+  getAsset,
+  listAssets,
+  getAssetUsage,
+  deleteAsset
+};
@@ -0,0 +1,65 @@
+// Per-announcement delivery settings: silent sends, protected content (no
+// forwarding or saving) and link previews, either turned off or showing a
+// chosen URL instead of the first link in the text.
+
+// Stored as 0/1; the API also takes booleans
+const toFlag = (value) => (value === true || Number(value) === 1 ? 1 : 0);
+
+// Check message options from a create or update request. Options left out of
+// the request keep their value from current (the stored announcement).
+// Throws with a message suitable for a 400 response.
+const normalizeMessageOptions = (input, current = {}) => {
+  const pick = (field) => (input[field] !== undefined ? input[field] : current[field]);
+
+  const disableLinkPreview = toFlag(pick('disable_link_preview'));
+  const linkPreviewUrl = String(pick('link_preview_url') || '').trim() || null;
+
+  if (linkPreviewUrl) {
+    let url;
+    try {
+      url = new URL(linkPreviewUrl);
+    } catch (e) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('Link preview URL must be an http or https link');
+    }
+    if (disableLinkPreview) {
+      throw new Error("A link preview URL can't be set while link previews are turned off");
+    }
+  }
+
+  return {
+    disable_notification: toFlag(pick('disable_notification')),
+    protect_content: toFlag(pick('protect_content')),
+    disable_link_preview: disableLinkPreview,
+    link_preview_url: linkPreviewUrl
+  };
+};
+
+// Telegram send options for the announcement's silent and protected settings
+const getSendOptions = (announcement) => {
+  const options = {};
+  if (toFlag(announcement.disable_notification)) options.disable_notification = true;
+  if (toFlag(announcement.protect_content)) options.protect_content = true;
+  return options;
+};
+
+// Telegram's link_preview_options for a text message, JSON encoded as the bot
+// library sends it as a plain form field. Always set, so an edit can turn a
+// preview back on.
+const getLinkPreviewOptions = (announcement) => {
+  let linkPreview = { is_disabled: false };
+  if (toFlag(announcement.disable_link_preview)) {
+    linkPreview = { is_disabled: true };
+  } else if (announcement.link_preview_url) {
+    linkPreview = { url: announcement.link_preview_url };
+  }
+  return JSON.stringify(linkPreview);
+};
+
+module.exports = {
+  normalizeMessageOptions,
+  getSendOptions,
+  getLinkPreviewOptions
+};
@@ -0,0 +1,70 @@
+// View counter adapter that reads channel posts over MTProto.
+//
+// The Bot API has no way to read a post's view counter, so this logs in as a
+// regular Telegram account (a member of the channels) with a saved session
+// string and asks for the counters without counting a view itself.
+// Needs TELEGRAM_API_ID and TELEGRAM_API_HASH from my.telegram.org and
+// TELEGRAM_SESSION, a gramjs StringSession for that account.
+
+const { TelegramClient, Api } = require('telegram');
+const { StringSession } = require('telegram/sessions');
+const { returnBigInt } = require('telegram/Helpers');
+
+const createMtprotoAdapter = () => {
+  const apiId = parseInt(process.env.TELEGRAM_API_ID);
+  const apiHash = process.env.TELEGRAM_API_HASH;
+  const session = process.env.TELEGRAM_SESSION;
+
+  if (!apiId || !apiHash || !session) {
+    throw new Error('Reading views over MTProto needs TELEGRAM_API_ID, TELEGRAM_API_HASH and TELEGRAM_SESSION');
+  }
+
+  const client = new TelegramClient(new StringSession(session), apiId, apiHash, { connectionRetries: 3 });
+  let connecting = null;
+
+  // Connect once, and load the account's dialogs so channels resolve by id
+  const connect = () => {
+    if (!connecting) {
+      connecting = client.connect()
+        .then(() => client.getDialogs({}))
+        .catch((error) => {
+          connecting = null;
+          throw error;
+        });
+    }
+    return connecting;
+  };
+
+  return {
+    name: 'mtproto',
+
+    // Current view and forward counts of messages in one channel
+    getMessageViews: async (channel, messageIds) => {
+      await connect();
+
+      const result = await client.invoke(new Api.messages.GetMessagesViews({
+        peer: returnBigInt(channel.telegram_id),
+        id: messageIds.map(Number),
+        increment: false
+      }));
+
+      // Counters come back in the order the ids were asked for
+      return result.views.map((counters, index) => ({
+        message_id: String(messageIds[index]),
+        views: counters.views !== undefined ? counters.views : null,
+        forwards: counters.forwards !== undefined ? counters.forwards : null
+      }));
+    },
+
+    disconnect: async () => {
+      if (connecting) {
+        connecting = null;
+        await client.disconnect();
+      }
+    }
+  };
+};
+
+module.exports = {
+  createMtprotoAdapter
+};
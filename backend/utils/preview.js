@@ -0,0 +1,93 @@
+// Render an announcement the way the bot will send it, without sending or
+// creating tracked links.
+
+const { getAnnouncementLinks } = require('./linkTracker');
+const { buildAnnouncementMessage } = require('./telegram');
+const {
+  findUrls,
+  getHTMLTextLength,
+  getFormattingError,
+  MESSAGE_TEXT_LIMIT,
+  CAPTION_LIMIT
+} = require('./formatting');
+const { getMessageMedia, getMessageError } = require('./media');
+const { getUrlButtons, getButtonUrl, getButtonText, getButtonWarnings } = require('./buttons');
+const { renderVariables } = require('./templates');
+const { renderUtm, applyUtmParams, getCampaignUtm } = require('./utm');
+
+// Short codes are 6 characters, so placeholders are as long as the real links
+const PLACEHOLDER_CODE = 'xxxxxx';
+
+// Tracked links for the preview: the channel's real ones where they exist, and
+// same-length placeholders for URLs that don't have one yet, with the UTM values
+// the campaign's template would give them
+const getPreviewLinks = async (announcement, channel = null) => {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3001';
+  const links = announcement.id
+    ? await getAnnouncementLinks(announcement.id, { channelId: channel && channel.id })
+    : [];
+
+  const campaign = await getCampaignUtm(announcement.campaign_id);
+  const utmFor = (buttonText) => renderUtm(campaign && campaign.utm_template, {
+    announcement, campaign, channel, button_text: buttonText
+  });
+
+  const urls = [
+    ...findUrls(announcement.content || '').map(url => ({ url, utm: utmFor('') })),
+    ...getUrlButtons(announcement.buttons).map(btn => ({ url: getButtonUrl(btn), utm: utmFor(getButtonText(btn)) }))
+  ];
+
+  for (const { url, utm } of urls) {
+    if (url.startsWith(baseUrl) || links.some(l => l.original_url === url)) continue;
+    links.push({
+      ...utm,
+      short_code: null,
+      original_url: url,
+      tracked_url: `${baseUrl}/t/${PLACEHOLDER_CODE}`
+    });
+  }
+
+  return links;
+};
+
+// announcement: content, buttons (rows), media, image_url, template_variables, title
+// and campaign_id, plus id when it already exists. With channel ({ id, title, member_count })
+// its channel variables and UTM values are filled in too.
+const buildPreview = async (announcement, channel = null) => {
+  const message = renderVariables({
+    ...announcement,
+    content: announcement.content || '',
+    buttons: JSON.stringify(Array.isArray(announcement.buttons) ? announcement.buttons : [])
+  }, channel);
+  const buttons = JSON.parse(message.buttons);
+
+  const trackedLinks = await getPreviewLinks(message, channel);
+  const { content, options } = buildAnnouncementMessage(message, trackedLinks);
+  const media = getMessageMedia(message);
+
+  // Album problems come first from getMessageError, so check the text on its own too
+  const warnings = [
+    getMessageError(message),
+    getFormattingError(message.content, { hasMedia: media.length > 0 })
+  ].filter((warning, index, all) => warning && all.indexOf(warning) === index);
+  warnings.push(...getButtonWarnings(buttons));
+
+  return {
+    html: content,
+    buttons: media.length > 1 ? [] : options.reply_markup?.inline_keyboard || [],
+    media,
+    length: getHTMLTextLength(content),
+    limit: media.length > 0 ? CAPTION_LIMIT : MESSAGE_TEXT_LIMIT,
+    links: trackedLinks.map((link) => ({
+      original_url: link.original_url,
+      tracked_url: link.tracked_url,
+      final_url: applyUtmParams(link.original_url, link),
+      placeholder: !link.short_code
+    })),
+    warnings
+  };
+};
+
+module.exports = {
+  buildPreview
+};
@@ -0,0 +1,203 @@
+// Privacy mode for click and view tracking.
+//
+// PRIVACY_MODE sets what is kept of a visitor's IP address:
+//   off       the address as is (default)
+//   truncate  the network only: the last octet of IPv4, and all but the first
+//             48 bits of IPv6, are zeroed
+//   hash      a keyed hash. The salt rotates every PRIVACY_SALT_ROTATION_HOURS
+//             (default 24) and the old one is deleted, so hashes can't be linked
+//             across periods or reversed.
+// Viewer hashes, which keep views unique, and the address hashes that spot
+// repeated clicks are always keyed with the current salt.
+// A reader who comes back after the salt rotates gets a new viewer hash and
+// counts as a new unique view, and a visitor who clicks again counts as a new
+// unique click, so unique counts aren't comparable across a rotation. That's
+// accepted so hashes can't link visits over time.
+// In privacy mode, clicks and views are stored anonymized from the start.
+// With PRIVACY_RETENTION_DAYS set, a daily job also anonymizes the addresses of
+// older clicks and views and clears their user agents and referrers.
+// Lists and exports show addresses the way the mode would store them, so rows
+// recorded before it was turned on don't give raw addresses away.
+
+const crypto = require('crypto');
+const { pool, USE_POSTGRES } = require('../models/database');
+
+const PRIVACY_MODES = ['off', 'truncate', 'hash'];
+const PURGE_BATCH_SIZE = 500;
+
+const getPrivacyMode = () => {
+  const mode = (process.env.PRIVACY_MODE || 'off').toLowerCase();
+  return PRIVACY_MODES.includes(mode) ? mode : 'off';
+};
+
+const getRetentionDays = () => parseInt(process.env.PRIVACY_RETENTION_DAYS) || 0;
+
+const getSaltRotationHours = () => parseInt(process.env.PRIVACY_SALT_ROTATION_HOURS) || 24;
+
+// Settings to show in the dashboard
+const getPrivacySettings = () => ({
+  mode: getPrivacyMode(),
+  retention_days: getRetentionDays() || null,
+  salt_rotation_hours: getPrivacyMode() === 'hash' ? getSaltRotationHours() : null
+});
+
+// The current salt is kept in memory and read again after it's due to rotate
+let currentSalt = null;
+
+const saltExpired = (salt) => (getPrivacyMode() !== 'off'
+  && Date.now() - salt.createdAt >= getSaltRotationHours() * 3600000);
+
+// The newest salt, making one when there is none or, in privacy mode, when it's
+// older than the rotation period
+const getSalt = async () => {
+  if (currentSalt && !saltExpired(currentSalt)) return currentSalt.salt;
+
+  const result = await pool.query('SELECT id, salt, created_at FROM privacy_salts ORDER BY id DESC LIMIT 1');
+  const row = result.rows[0];
+  // SQLite timestamps are UTC without a zone
+  const createdAt = row ? new Date(USE_POSTGRES ? row.created_at : `${row.created_at.replace(' ', 'T')}Z`).getTime() : 0;
+
+  if (row && !saltExpired({ createdAt })) {
+    currentSalt = { salt: row.salt, createdAt };
+    return row.salt;
+  }
+
+  const salt = crypto.randomBytes(32).toString('hex');
+  const inserted = await pool.query('INSERT INTO privacy_salts (salt) VALUES ($1) RETURNING id', [salt]);
+  await pool.query('DELETE FROM privacy_salts WHERE id < $1', [inserted.rows[0].id]);
+  currentSalt = { salt, createdAt: Date.now() };
+  console.log('Privacy salt rotated');
+  return salt;
+};
+
+const keyedHash = (salt, value) => crypto.createHmac('sha256', salt).update(value).digest('hex');
+
+// IPv6 address as its eight groups, or null
+const expandIpv6 = (ip) => {
+  const [head, tail = null] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (missing < 0) return null;
+  return [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+};
+
+// The address with its host part zeroed: 203.0.113.0, 2001:db8:85a3::
+const truncateIp = (ip) => {
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(ip)) {
+    return ip.replace(/\.\d+$/, '.0');
+  }
+  const groups = ip.includes(':') ? expandIpv6(ip) : null;
+  return groups ? `${groups.slice(0, 3).map(g => parseInt(g, 16).toString(16)).join(':')}::` : null;
+};
+
+// The address as the privacy mode stores it, with salt for the hash mode
+const anonymizeWith = (ip, mode, salt) => {
+  if (!ip || mode === 'off') return ip || null;
+  const address = String(ip).trim().replace(/^::ffff:/, '');
+  if (mode === 'truncate') return truncateIp(address);
+  return keyedHash(salt, address).substring(0, 16);
+};
+
+// The address to store for a click or view. Raw addresses are only kept when
+// privacy mode is off.
+const anonymizeIp = async (ip) => {
+  const mode = getPrivacyMode();
+  return anonymizeWith(ip, mode, mode === 'hash' ? await getSalt() : null);
+};
+
+// Identifies a viewer of an announcement to keep views unique, without being
+// reversible to their address and browser
+const getViewerHash = async (ip, userAgent) => {
+  const salt = await getSalt();
+  return keyedHash(salt, `${ip || 'unknown'}-${userAgent || 'unknown'}`).substring(0, 32);
+};
+
+// Identifies the address of a click, in full whatever the mode, so repeated clicks
+// can be told apart from other visitors on the same network
+const getIpHash = async (ip) => {
+  if (!ip) return null;
+  const salt = await getSalt();
+  return keyedHash(salt, String(ip).trim().replace(/^::ffff:/, '')).substring(0, 32);
+};
+
+// SQL for the visitor behind a click of the table aliased as alias, to count unique
+// clicks: the hash of the full address, so visitors sharing a truncated network
+// stay apart, or the stored address for clicks without one (recorded before hashes
+// were kept, or purged)
+const clickVisitor = (alias) => `COALESCE(${alias}.ip_hash, ${alias}.ip_address)`;
+
+// A stored click or view's address as it may be shown or exported: as is when
+// privacy mode is off or it's already anonymized, otherwise truncated (a hash
+// can't be worked out again once the row's salt is gone).
+const displayIp = (row) => {
+  if (!row.ip_address || getPrivacyMode() === 'off' || row.is_anonymized) return row.ip_address || null;
+  return truncateIp(String(row.ip_address).replace(/^::ffff:/, ''));
+};
+
+const olderThan = (column, days) => (USE_POSTGRES
+  ? `${column} < NOW() - INTERVAL '${days} days'`
+  : `datetime(${column}) < datetime('now', '-${days} days')`);
+
+// Anonymize one table's rows older than the retention window, a batch at a time,
+// clear their raw fields and re-key their hashed ones. Returns how many rows were changed.
+const purgeTable = async (table, timeColumn, rawColumns, days, hashedColumns = []) => {
+  // A salt of its own, forgotten when the purge is done
+  const salt = crypto.randomBytes(32).toString('hex');
+  const mode = getPrivacyMode() === 'truncate' ? 'truncate' : 'hash';
+  const cleared = rawColumns.map(column => `${column} = NULL`).join(', ');
+  const rekeyed = hashedColumns.map((column, i) => `, ${column} = $${i + 2}`).join('');
+  let purged = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT id, ip_address${hashedColumns.map(column => `, ${column}`).join('')} FROM ${table}
+       WHERE COALESCE(is_anonymized, 0) = 0 AND ${olderThan(timeColumn, days)}
+       ORDER BY id LIMIT ${PURGE_BATCH_SIZE}`
+    );
+    for (const row of result.rows) {
+      await pool.query(
+        `UPDATE ${table} SET ip_address = $1${rekeyed}, ${cleared}, is_anonymized = 1 WHERE id = $${hashedColumns.length + 2}`,
+        [
+          anonymizeWith(row.ip_address, mode, salt),
+          ...hashedColumns.map(column => (row[column] ? keyedHash(salt, row[column]).substring(0, 32) : row[column])),
+          row.id
+        ]
+      );
+    }
+    purged += result.rows.length;
+    if (result.rows.length < PURGE_BATCH_SIZE) break;
+  }
+
+  // Rows stored anonymized still have their user agent until now
+  const rawLeft = rawColumns.map(column => `${column} IS NOT NULL`).join(' OR ');
+  const cleanup = await pool.query(
+    `UPDATE ${table} SET ${cleared} WHERE (${rawLeft}) AND ${olderThan(timeColumn, days)}`
+  );
+
+  return purged + (cleanup.rowCount || 0);
+};
+
+// Scheduled retention job: anonymize the addresses and clear the user agents and
+// referrers of clicks and views older than PRIVACY_RETENTION_DAYS. Their viewer
+// hashes are re-keyed with the purge's salt too.
+const purgeExpiredTrackingData = async () => {
+  const days = getRetentionDays();
+  if (!days) return null;
+
+  const clicks = await purgeTable('link_clicks', 'clicked_at', ['user_agent', 'referer', 'ip_hash'], days);
+  const views = await purgeTable('pixel_views', 'viewed_at', ['user_agent'], days, ['viewer_hash']);
+  return { clicks, views };
+};
+
+module.exports = {
+  PRIVACY_MODES,
+  getPrivacyMode,
+  getPrivacySettings,
+  anonymizeIp,
+  getViewerHash,
+  getIpHash,
+  clickVisitor,
+  displayIp,
+  purgeExpiredTrackingData
+};
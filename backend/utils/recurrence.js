@@ -0,0 +1,362 @@
+// Recurring announcements.
+// A recurring announcement is a template with a cron or RRULE schedule. Each
+// time the schedule fires it is copied into a new announcement (an occurrence)
+// that is dispatched like any other, so every occurrence keeps its own targets,
+// tracked links and stats.
+
+const cronParser = require('cron-parser');
+const { RRule } = require('rrule');
+const { pool, USE_POSTGRES } = require('../models/database');
+const { dispatchAnnouncement } = require('./dispatcher');
+const { logSystemEvent } = require('./logger');
+const { copyAnnouncementMedia } = require('./media');
+const { copyAudiences } = require('./audiences');
+const { copyTranslations } = require('./translations');
+const { isValidTimezone, getZonedParts, zonedTimeToUtc, parseLocalDateTime, formatLocalDateTime } = require('./timezone');
+
+const RULE_TYPES = ['cron', 'rrule'];
+
+// Parse an RRULE ('FREQ=WEEKLY;BYDAY=MO;BYHOUR=9', optionally prefixed with 'RRULE:').
+// DTSTART/TZID are not accepted; the schedule's starts_at and timezone are used instead.
+const parseRRule = (rule, dtstart) => {
+  const text = rule.trim().replace(/^RRULE:/i, '');
+  if (/DTSTART|TZID/i.test(text)) {
+    throw new Error('Set the start date and timezone with the schedule fields, not in the RRULE');
+  }
+
+  const options = RRule.parseString(text);
+  if (options.freq === undefined) {
+    throw new Error('RRULE must include FREQ');
+  }
+
+  return new RRule({ ...options, dtstart });
+};
+
+// rrule works on "floating" times: UTC dates whose fields are the wall clock in
+// the schedule's timezone. These convert between real instants and floating times.
+const toFloating = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+};
+
+const fromFloating = (date, timezone) => zonedTimeToUtc({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth() + 1,
+  day: date.getUTCDate(),
+  hour: date.getUTCHours(),
+  minute: date.getUTCMinutes(),
+  second: date.getUTCSeconds()
+}, timezone);
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// First occurrence strictly after `after`, or null when the schedule has ended
+const getNextOccurrence = (schedule, after = new Date()) => {
+  const timezone = schedule.timezone || 'UTC';
+  const startsAt = toDate(schedule.starts_at);
+  const endsAt = toDate(schedule.ends_at);
+
+  if (schedule.max_occurrences && schedule.occurrence_count >= schedule.max_occurrences) {
+    return null;
+  }
+
+  // Occurrences never fire before the start date
+  let from = after;
+  if (startsAt && startsAt > after) {
+    from = new Date(startsAt.getTime() - 1000);
+  }
+
+  let next = null;
+
+  if (schedule.rule_type === 'cron') {
+    const interval = cronParser.parseExpression(schedule.rule, { currentDate: from, tz: timezone });
+    next = interval.next().toDate();
+  } else {
+    const dtstart = toFloating(startsAt || new Date(), timezone);
+    const rule = parseRRule(schedule.rule, dtstart);
+    const floating = rule.after(toFloating(from, timezone), false);
+    next = floating ? fromFloating(floating, timezone) : null;
+  }
+
+  if (!next || (endsAt && next > endsAt)) {
+    return null;
+  }
+
+  return next;
+};
+
+// Next few occurrences, for previews in the editor
+const getUpcomingOccurrences = (schedule, count = 5) => {
+  const upcoming = [];
+  let cursor = new Date();
+  const state = { ...schedule };
+
+  while (upcoming.length < count) {
+    const next = getNextOccurrence(state, cursor);
+    if (!next) break;
+    upcoming.push(next);
+    state.occurrence_count = (state.occurrence_count || 0) + 1;
+    cursor = next;
+  }
+
+  return upcoming;
+};
+
+// Validate a recurrence from the API and normalise it for storage.
+// starts_at and ends_at are wall-clock times in the schedule's timezone.
+// Throws with a message suitable for a 400 response.
+const normalizeRecurrence = (recurrence) => {
+  const ruleType = recurrence.rule_type || 'cron';
+  const rule = (recurrence.rule || '').trim();
+  const timezone = recurrence.timezone || 'UTC';
+
+  if (!RULE_TYPES.includes(ruleType)) {
+    throw new Error(`Recurrence type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+  if (!rule) {
+    throw new Error('Recurrence rule is required');
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone "${timezone}"`);
+  }
+
+  const toUtc = (value, field) => {
+    if (!value) return null;
+    const parts = parseLocalDateTime(value);
+    if (!parts) {
+      throw new Error(`Invalid ${field}, expected YYYY-MM-DDTHH:mm`);
+    }
+    return zonedTimeToUtc(parts, timezone).toISOString();
+  };
+
+  const maxOccurrences = recurrence.max_occurrences ? parseInt(recurrence.max_occurrences) : null;
+  if (recurrence.max_occurrences && (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+    throw new Error('Max occurrences must be a positive number');
+  }
+
+  const schedule = {
+    rule_type: ruleType,
+    rule,
+    timezone,
+    // Without a start date the schedule starts today; RRULEs take any time of
+    // day they don't specify from the start, so that defaults to midnight
+    starts_at: toUtc(recurrence.starts_at, 'start date') || toUtc(`${formatLocalDateTime(new Date(), timezone).slice(0, 10)}T00:00`, 'start date'),
+    ends_at: toUtc(recurrence.ends_at, 'end date'),
+    max_occurrences: maxOccurrences,
+    occurrence_count: 0
+  };
+
+  if (schedule.starts_at && schedule.ends_at && schedule.ends_at <= schedule.starts_at) {
+    throw new Error('End date must be after the start date');
+  }
+
+  try {
+    schedule.next_run_at = getNextOccurrence(schedule)?.toISOString() || null;
+  } catch (e) {
+    throw new Error(`Invalid ${ruleType === 'cron' ? 'cron expression' : 'RRULE'}: ${e.message}`);
+  }
+
+  if (!schedule.next_run_at) {
+    throw new Error('Schedule has no upcoming occurrences');
+  }
+
+  return schedule;
+};
+
+// Create or replace the schedule of a recurring announcement
+const saveSchedule = async (announcementId, schedule, userId) => {
+  const existing = await pool.query(
+    'SELECT id, occurrence_count FROM recurring_schedules WHERE announcement_id = $1',
+    [announcementId]
+  );
+
+  if (existing.rows.length > 0) {
+    // Occurrences already sent still count towards max_occurrences
+    const occurrenceCount = existing.rows[0].occurrence_count || 0;
+    const nextRunAt = getNextOccurrence({ ...schedule, occurrence_count: occurrenceCount });
+
+    await pool.query(
+      `UPDATE recurring_schedules
+       SET rule_type = $1, rule = $2, timezone = $3, starts_at = $4, ends_at = $5,
+           max_occurrences = $6, next_run_at = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE announcement_id = $8`,
+      [
+        schedule.rule_type,
+        schedule.rule,
+        schedule.timezone,
+        schedule.starts_at,
+        schedule.ends_at,
+        schedule.max_occurrences,
+        nextRunAt ? nextRunAt.toISOString() : null,
+        announcementId
+      ]
+    );
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO recurring_schedules
+     (announcement_id, rule_type, rule, timezone, starts_at, ends_at, max_occurrences, next_run_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+    [
+      announcementId,
+      schedule.rule_type,
+      schedule.rule,
+      schedule.timezone,
+      schedule.starts_at,
+      schedule.ends_at,
+      schedule.max_occurrences,
+      schedule.next_run_at,
+      userId
+    ]
+  );
+};
+
+const getSchedule = async (announcementId) => {
+  const result = await pool.query(
+    'SELECT * FROM recurring_schedules WHERE announcement_id = $1',
+    [announcementId]
+  );
+  const schedule = result.rows[0];
+  if (!schedule) return null;
+
+  // Wall-clock versions for the editor's datetime inputs
+  return {
+    ...schedule,
+    starts_at_local: schedule.starts_at ? formatLocalDateTime(new Date(schedule.starts_at), schedule.timezone) : null,
+    ends_at_local: schedule.ends_at ? formatLocalDateTime(new Date(schedule.ends_at), schedule.timezone) : null,
+    upcoming: schedule.is_paused ? [] : getUpcomingOccurrences(schedule).map(d => d.toISOString())
+  };
+};
+
+// Pause or resume a schedule. Resuming skips occurrences missed while paused.
+const setSchedulePaused = async (announcementId, paused) => {
+  const result = await pool.query('SELECT * FROM recurring_schedules WHERE announcement_id = $1', [announcementId]);
+  const schedule = result.rows[0];
+  if (!schedule) return null;
+
+  const nextRunAt = paused ? schedule.next_run_at : getNextOccurrence(schedule)?.toISOString() || null;
+
+  await pool.query(
+    `UPDATE recurring_schedules SET is_paused = $1, next_run_at = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE announcement_id = $3`,
+    [paused ? 1 : 0, nextRunAt, announcementId]
+  );
+
+  return getSchedule(announcementId);
+};
+
+// Copy the template into a new announcement for one occurrence and queue it
+const spawnOccurrence = async (template, occurrenceAt) => {
+  const result = await pool.query(
+    `INSERT INTO announcements (title, content, image_url, buttons, campaign_id, status, scheduled_at, created_by, parent_id, occurrence_at,
+                                approved_by, approved_at, pin_message, pin_notify, disable_notification, protect_content,
+                                disable_link_preview, link_preview_url, default_locale, template_id, template_variables)
+     VALUES ($1, $2, $3, $4, $5, 'scheduled', $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20) RETURNING id`,
+    [
+      template.title,
+      template.content,
+      template.image_url,
+      template.buttons,
+      template.campaign_id,
+      occurrenceAt,
+      template.created_by,
+      template.id,
+      occurrenceAt,
+      template.approved_by,
+      template.approved_at,
+      template.pin_message || 0,
+      template.pin_notify || 0,
+      template.disable_notification || 0,
+      template.protect_content || 0,
+      template.disable_link_preview || 0,
+      template.link_preview_url,
+      template.default_locale,
+      template.template_id,
+      template.template_variables
+    ]
+  );
+
+  const occurrenceId = result.rows[0].id;
+
+  await copyAnnouncementMedia(template.id, occurrenceId);
+  await copyAudiences(template.id, occurrenceId);
+  await copyTranslations(template.id, occurrenceId);
+
+  // Groups and segments resolve afresh for every occurrence
+  const targetsResult = await pool.query(
+    'SELECT channel_id FROM announcement_targets WHERE announcement_id = $1 AND group_id IS NULL AND segment_id IS NULL',
+    [template.id]
+  );
+
+  for (const target of targetsResult.rows) {
+    await pool.query(
+      'INSERT INTO announcement_targets (announcement_id, channel_id) VALUES ($1, $2)',
+      [occurrenceId, target.channel_id]
+    );
+  }
+
+  const occurrenceResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [occurrenceId]);
+  const outcome = await dispatchAnnouncement(occurrenceResult.rows[0]);
+
+  return { id: occurrenceId, ...outcome };
+};
+
+// Spawn an occurrence for every schedule that is due (called by the server cron).
+// Occurrences missed while the server was down collapse into a single send.
+const dispatchDueRecurrences = async () => {
+  const dueCondition = USE_POSTGRES
+    ? 's.next_run_at <= NOW()'
+    : "datetime(s.next_run_at) <= datetime('now')";
+
+  const result = await pool.query(`
+    SELECT s.*, a.status as announcement_status
+    FROM recurring_schedules s
+    JOIN announcements a ON s.announcement_id = a.id
+    WHERE s.is_paused = 0 AND s.next_run_at IS NOT NULL AND ${dueCondition}
+    ORDER BY s.next_run_at
+  `);
+
+  for (const schedule of result.rows) {
+    if (schedule.announcement_status !== 'recurring') continue;
+
+    const occurrenceAt = new Date(schedule.next_run_at).toISOString();
+    const occurrenceCount = (schedule.occurrence_count || 0) + 1;
+    const next = getNextOccurrence({ ...schedule, occurrence_count: occurrenceCount }, new Date());
+
+    // Advance the schedule first so an overlapping run can't spawn the same occurrence
+    const claim = await pool.query(
+      `UPDATE recurring_schedules
+       SET next_run_at = $1, occurrence_count = $2, last_run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND occurrence_count = $4`,
+      [next ? next.toISOString() : null, occurrenceCount, schedule.id, schedule.occurrence_count || 0]
+    );
+    if (!claim.rowCount) continue;
+
+    try {
+      const templateResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [schedule.announcement_id]);
+      const outcome = await spawnOccurrence(templateResult.rows[0], occurrenceAt);
+
+      await logSystemEvent(
+        `Recurring announcement "${templateResult.rows[0].title}" occurrence #${occurrenceCount} queued for ${outcome.queued || 0} channels`,
+        {
+          announcement_id: schedule.announcement_id,
+          occurrence_id: outcome.id,
+          status: outcome.status,
+          next_run_at: next ? next.toISOString() : null
+        }
+      );
+    } catch (error) {
+      console.error(`Recurring announcement ${schedule.announcement_id} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  normalizeRecurrence,
+  saveSchedule,
+  getSchedule,
+  setSchedulePaused,
+  getNextOccurrence,
+  dispatchDueRecurrences
+};
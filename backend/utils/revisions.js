@@ -0,0 +1,89 @@
+const { pool } = require('../models/database');
+const { getTranslations } = require('./translations');
+
+// Snapshot the announcement's current title, content, image, attachments, buttons,
+// translations and template variables. Translations are read from the database
+// unless the announcement carries them.
+const recordRevision = async (announcement, action, userId = null, details = null) => {
+  const media = announcement.media && announcement.media.length > 0
+    ? announcement.media.map(({ asset_id, type, url, file_name }) => ({ asset_id: asset_id || null, type, url, file_name }))
+    : null;
+
+  const translations = (announcement.translations || await getTranslations(announcement.id))
+    .map(({ locale, content, buttons, image_url }) => ({ locale, content, buttons: buttons || null, image_url: image_url || null }));
+
+  const result = await pool.query(
+    `INSERT INTO announcement_revisions (announcement_id, action, title, content, image_url, buttons, media, details, created_by,
+                                         translations, template_variables)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+    [
+      announcement.id,
+      action,
+      announcement.title,
+      announcement.content,
+      announcement.image_url || null,
+      announcement.buttons || null,
+      media ? JSON.stringify(media) : null,
+      details ? JSON.stringify(details) : null,
+      userId,
+      translations.length > 0 ? JSON.stringify(translations) : null,
+      announcement.template_variables || null
+    ]
+  );
+  return result.rows[0].id;
+};
+
+const parseRevision = (revision) => {
+  const parse = (value) => {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (e) {
+      return null;
+    }
+  };
+  return {
+    ...revision,
+    details: parse(revision.details),
+    media: parse(revision.media),
+    translations: parse(revision.translations) || [],
+    template_variables: parse(revision.template_variables)
+  };
+};
+
+// Revision history for an announcement, newest first
+const getRevisions = async (announcementId) => {
+  const result = await pool.query(`
+    SELECT r.*, u.name as created_by_name
+    FROM announcement_revisions r
+    LEFT JOIN users u ON r.created_by = u.id
+    WHERE r.announcement_id = $1
+    ORDER BY r.id DESC
+  `, [announcementId]);
+
+  return result.rows.map(parseRevision);
+};
+
+// One of the announcement's revisions, or null
+const getRevision = async (announcementId, revisionId) => {
+  const result = await pool.query(
+    'SELECT * FROM announcement_revisions WHERE announcement_id = $1 AND id = $2',
+    [announcementId, revisionId]
+  );
+  return result.rows[0] ? parseRevision(result.rows[0]) : null;
+};
+
+// Whether the announcement has revisions of an action, like 'published'
+const hasRevisions = async (announcementId, action) => {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM announcement_revisions WHERE announcement_id = $1 AND action = $2',
+    [announcementId, action]
+  );
+  return parseInt(result.rows[0].count) > 0;
+};
+
+module.exports = {
+  recordRevision,
+  getRevisions,
+  getRevision,
+  hasRevisions
+};
@@ -0,0 +1,404 @@
+// Durable outbound delivery queue for announcements.
+// Each announcement target becomes a send_queue job that a single in-process
+// worker delivers, pacing sends per chat and globally, honouring Telegram's
+// retry_after on 429 and retrying transient failures with exponential backoff.
+// Every try is recorded in send_attempts for the dashboard.
+
+const { pool, USE_POSTGRES } = require('../models/database');
+const { sendAnnouncement, pinAnnouncementMessage } = require('./telegram');
+const { getAnnouncementLinks } = require('./linkTracker');
+const { recordRevision, hasRevisions } = require('./revisions');
+const { getAnnouncementMedia, cacheTelegramFileIds } = require('./media');
+const { applyVariant } = require('./abTests');
+const { applyTranslation, getTranslation } = require('./translations');
+const { renderVariables } = require('./templates');
+
+const POLL_INTERVAL_MS = 1000;
+const BATCH_SIZE = 200;
+
+// Telegram allows roughly 30 messages/second overall and 20/minute per group
+const GLOBAL_INTERVAL_MS = 50;
+const PER_CHAT_INTERVAL_MS = 3000;
+
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+// Earliest time (ms) each chat may receive its next message
+const chatNextSlot = new Map();
+let globalNextSlot = 0;
+
+let workerTimer = null;
+let workerRunning = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// SQL expression for "now + $n seconds" in the active database
+const secondsFromNow = (paramIndex) => (USE_POSTGRES
+  ? `NOW() + ($${paramIndex}::float * INTERVAL '1 second')`
+  : `datetime('now', '+' || $${paramIndex} || ' seconds')`);
+
+const dueCondition = USE_POSTGRES
+  ? 'q.next_attempt_at <= NOW()'
+  : "datetime(q.next_attempt_at) <= datetime('now')";
+
+// Exponential backoff with up to 20% jitter
+const getBackoffMs = (attempt) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+// Flood waits, Telegram server errors and network failures are worth retrying.
+// Other Telegram API errors (chat not found, forbidden, bad request) and messages
+// Telegram is known to reject are not.
+const isRetryable = (error) => {
+  if (error.permanent) return false;
+  if (error.retryAfter) return true;
+  if (error.telegramErrorCode) return error.telegramErrorCode >= 500;
+  return true;
+};
+
+// Add jobs for the given announcement targets
+const enqueueTargets = async (announcementId, targets) => {
+  for (const target of targets) {
+    await pool.query(
+      `INSERT INTO send_queue (announcement_id, target_id, channel_id)
+       VALUES ($1, $2, $3)`,
+      [announcementId, target.id, target.channel_id]
+    );
+  }
+  wakeWorker();
+};
+
+const waitingCondition = USE_POSTGRES
+  ? 'at.scheduled_at > NOW()'
+  : "datetime(at.scheduled_at) > datetime('now')";
+
+// Derive the announcement status from its delivered targets and store it.
+// Targets delivered by earlier attempts count, so a retry that completes a
+// partial send ends up as 'sent'. Announcements with targets still waiting
+// for their local send time go back to 'scheduled'.
+const finalizeAnnouncementStatus = async (announcementId) => {
+  const summaryResult = await pool.query(`
+    SELECT COUNT(*) as total, COUNT(at.telegram_message_id) as delivered,
+           COUNT(CASE WHEN at.telegram_message_id IS NULL AND ${waitingCondition} THEN 1 END) as waiting
+    FROM announcement_targets at
+    JOIN channels c ON at.channel_id = c.id
+    WHERE at.announcement_id = $1 AND (c.is_active = 1 OR at.telegram_message_id IS NOT NULL)
+  `, [announcementId]);
+
+  const total = parseInt(summaryResult.rows[0].total) || 0;
+  const delivered = parseInt(summaryResult.rows[0].delivered) || 0;
+  const waiting = parseInt(summaryResult.rows[0].waiting) || 0;
+
+  let status = 'sent';
+  if (waiting > 0) {
+    status = 'scheduled';
+  } else if (delivered === 0) {
+    status = 'failed';
+  } else if (delivered < total) {
+    status = 'partial';
+  }
+
+  if (status === 'failed' || delivered === 0) {
+    await pool.query('UPDATE announcements SET status = $1 WHERE id = $2', [status, announcementId]);
+  } else {
+    await pool.query(
+      'UPDATE announcements SET status = $1, sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP) WHERE id = $2',
+      [status, announcementId]
+    );
+  }
+
+  return status;
+};
+
+// Settle the announcement once none of its jobs are still in flight
+const settleIfDone = async (announcementId) => {
+  const activeResult = await pool.query(
+    `SELECT COUNT(*) as count FROM send_queue
+     WHERE announcement_id = $1 AND status IN ('pending', 'processing')`,
+    [announcementId]
+  );
+
+  if (parseInt(activeResult.rows[0].count) > 0) return null;
+
+  const status = await finalizeAnnouncementStatus(announcementId);
+  console.log(`[QUEUE] Announcement ${announcementId} finished sending: ${status}`);
+  return status;
+};
+
+const recordAttempt = (job, outcome, error = null) => pool.query(
+  `INSERT INTO send_attempts (job_id, announcement_id, channel_id, attempt, outcome, error, error_code, retry_after)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+  [
+    job.id,
+    job.announcement_id,
+    job.channel_id,
+    job.attempts,
+    outcome,
+    error ? error.message : null,
+    error ? String(error.telegramErrorCode || error.code || '') || null : null,
+    error?.retryAfter || null
+  ]
+);
+
+// Wait for the global rate limit, then reserve the chat's next slot
+const reserveSlot = async (chatId) => {
+  const wait = globalNextSlot - Date.now();
+  if (wait > 0) {
+    await sleep(wait);
+  }
+
+  const sentAt = Date.now();
+  globalNextSlot = sentAt + GLOBAL_INTERVAL_MS;
+  chatNextSlot.set(chatId, sentAt + PER_CHAT_INTERVAL_MS);
+};
+
+// Deliver a single job
+const processJob = async (job) => {
+  // Claim the job and count the attempt
+  const claim = await pool.query(
+    `UPDATE send_queue SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'pending'`,
+    [job.id]
+  );
+  if (!claim.rowCount) return;
+  job.attempts += 1;
+
+  const announcementResult = await pool.query('SELECT * FROM announcements WHERE id = $1', [job.announcement_id]);
+  const announcement = announcementResult.rows[0];
+
+  if (!announcement) {
+    await pool.query(`UPDATE send_queue SET status = 'failed', last_error = $1 WHERE id = $2`, ['Announcement deleted', job.id]);
+    return;
+  }
+
+  // A time-limited announcement isn't posted once it has expired
+  if (announcement.expires_at && new Date(announcement.expires_at) <= new Date()) {
+    const error = new Error('Announcement expired');
+    await pool.query(
+      `UPDATE send_queue SET status = 'failed', last_error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [error.message, job.id]
+    );
+    await recordAttempt(job, 'failed', error);
+    await pool.query(
+      'UPDATE announcement_targets SET error = $1 WHERE id = $2',
+      ['Expired before it could be sent', job.target_id]
+    );
+    await settleIfDone(job.announcement_id);
+    return;
+  }
+
+  announcement.media = await getAnnouncementMedia(announcement.id);
+
+  await reserveSlot(job.telegram_id);
+
+  try {
+    // A/B tested channels get their variant's content, buttons and links, and
+    // localized ones their translation's. Variables are filled in for the channel.
+    const targetResult = await pool.query(`
+      SELECT at.variant, at.locale, c.title, c.member_count
+      FROM announcement_targets at
+      JOIN channels c ON at.channel_id = c.id
+      WHERE at.id = $1
+    `, [job.target_id]);
+    const target = targetResult.rows[0] || {};
+    const variant = target.variant || null;
+    const locale = target.locale || null;
+
+    // Jobs queued before links were per channel use the shared links
+    let trackedLinks = await getAnnouncementLinks(announcement.id, { variant, locale, channelId: job.channel_id });
+    if (trackedLinks.length === 0) {
+      trackedLinks = await getAnnouncementLinks(announcement.id, { variant, locale });
+    }
+    const version = renderVariables(
+      applyTranslation(await applyVariant(announcement, variant), await getTranslation(announcement.id, locale)),
+      target
+    );
+    const message = await sendAnnouncement(job.channel_id, version, trackedLinks);
+
+    await pool.query(
+      `UPDATE announcement_targets
+       SET telegram_message_id = $1, telegram_message_ids = $2, sent_at = CURRENT_TIMESTAMP, error = NULL
+       WHERE id = $3`,
+      [
+        message.message_id.toString(),
+        message.message_ids ? JSON.stringify(message.message_ids) : null,
+        job.target_id
+      ]
+    );
+    await pool.query(
+      `UPDATE send_queue SET status = 'sent', last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [job.id]
+    );
+    await recordAttempt(job, 'sent');
+
+    // A failed pin doesn't undo the delivery; it's in the system log
+    if (Number(announcement.pin_message) === 1) {
+      try {
+        await pinAnnouncementMessage(job.channel_id, message.message_id, announcement.id, {
+          notify: Number(announcement.pin_notify) === 1
+        });
+        await pool.query('UPDATE announcement_targets SET pinned_at = CURRENT_TIMESTAMP WHERE id = $1', [job.target_id]);
+      } catch (e) {
+        console.error(`[QUEUE] Failed to pin announcement ${announcement.id} in channel ${job.channel_id}:`, e.message);
+      }
+    }
+
+    // Later sends of the same library files reuse Telegram's copy instead of uploading again
+    try {
+      await cacheTelegramFileIds(version.media, message.messages || [message]);
+    } catch (e) {
+      console.error('[QUEUE] Failed to cache Telegram file ids:', e.message);
+    }
+
+    // The first delivery marks the start of the announcement's live history.
+    // Failing here must not retry a message that's already out.
+    try {
+      if (!await hasRevisions(announcement.id, 'published')) {
+        await recordRevision(announcement, 'published');
+      }
+    } catch (e) {
+      console.error(`[QUEUE] Failed to record the published revision of announcement ${announcement.id}:`, e.message);
+    }
+  } catch (error) {
+    console.error(`[QUEUE] Job ${job.id} attempt ${job.attempts} failed:`, error.message);
+
+    const retry = isRetryable(error) && (error.retryAfter || job.attempts < job.max_attempts);
+
+    if (retry) {
+      // Flood waits are always retried, and the whole chat is paused until they pass
+      let delaySeconds;
+      if (error.retryAfter) {
+        delaySeconds = error.retryAfter + 1;
+        chatNextSlot.set(job.telegram_id, Date.now() + delaySeconds * 1000);
+      } else {
+        delaySeconds = getBackoffMs(job.attempts) / 1000;
+      }
+
+      await pool.query(
+        `UPDATE send_queue
+         SET status = 'pending', last_error = $1, next_attempt_at = ${secondsFromNow(2)}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [error.message, delaySeconds, job.id]
+      );
+      await recordAttempt(job, 'retry', error);
+    } else {
+      await pool.query(
+        `UPDATE send_queue SET status = 'failed', last_error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [error.message, job.id]
+      );
+      await recordAttempt(job, 'failed', error);
+    }
+
+    await pool.query(
+      'UPDATE announcement_targets SET error = $1 WHERE id = $2',
+      [error.message, job.target_id]
+    );
+  }
+
+  await settleIfDone(job.announcement_id);
+};
+
+// Process every job that is due
+const processDueJobs = async () => {
+  const result = await pool.query(`
+    SELECT q.*, c.telegram_id
+    FROM send_queue q
+    JOIN channels c ON q.channel_id = c.id
+    WHERE q.status = 'pending' AND ${dueCondition}
+    ORDER BY q.next_attempt_at, q.id
+    LIMIT ${BATCH_SIZE}
+  `);
+
+  for (const job of result.rows) {
+    // Chat is paced or flood-waiting; a later poll picks the job up
+    if ((chatNextSlot.get(job.telegram_id) || 0) > Date.now()) continue;
+
+    try {
+      await processJob(job);
+    } catch (error) {
+      console.error(`[QUEUE] Error processing job ${job.id}:`, error.message);
+    }
+  }
+};
+
+const runWorker = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    await processDueJobs();
+  } catch (error) {
+    console.error('[QUEUE] Worker error:', error.message);
+  } finally {
+    workerRunning = false;
+  }
+};
+
+// Run the worker right away instead of waiting for the next poll
+const wakeWorker = () => {
+  if (workerTimer) {
+    setImmediate(runWorker);
+  }
+};
+
+// Requeue jobs a previous process was still sending and settle announcements
+// whose jobs all finished before a restart.
+// A job that was mid-send when the process died may be delivered twice.
+const recoverQueue = async () => {
+  await pool.query(`UPDATE send_queue SET status = 'pending' WHERE status = 'processing'`);
+
+  const result = await pool.query(`SELECT id FROM announcements WHERE status = 'sending'`);
+  for (const announcement of result.rows) {
+    const status = await settleIfDone(announcement.id);
+    if (status) {
+      console.log(`[QUEUE] Recovered interrupted dispatch for announcement ${announcement.id}: ${status}`);
+    }
+  }
+};
+
+const startQueueWorker = () => {
+  if (workerTimer) return;
+  workerTimer = setInterval(runWorker, POLL_INTERVAL_MS);
+  console.log('Send queue worker started');
+};
+
+const stopQueueWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+// Delivery jobs and their attempt history for an announcement
+const getDeliveryHistory = async (announcementId) => {
+  const jobsResult = await pool.query(`
+    SELECT q.id, q.target_id, q.channel_id, q.status, q.attempts, q.max_attempts,
+           q.next_attempt_at, q.last_error, q.created_at, q.updated_at,
+           ch.title as channel_title
+    FROM send_queue q
+    LEFT JOIN channels ch ON q.channel_id = ch.id
+    WHERE q.announcement_id = $1
+    ORDER BY q.id
+  `, [announcementId]);
+
+  const attemptsResult = await pool.query(`
+    SELECT id, job_id, attempt, outcome, error, error_code, retry_after, created_at
+    FROM send_attempts
+    WHERE announcement_id = $1
+    ORDER BY id
+  `, [announcementId]);
+
+  return jobsResult.rows.map(job => ({
+    ...job,
+    history: attemptsResult.rows.filter(a => a.job_id === job.id)
+  }));
+};
+
+module.exports = {
+  enqueueTargets,
+  finalizeAnnouncementStatus,
+  getDeliveryHistory,
+  recoverQueue,
+  startQueueWorker,
+  stopQueueWorker
+};
@@ -0,0 +1,72 @@
+// Where uploaded media files are kept.
+// The local adapter writes to UPLOAD_DIR and serves files from /uploads.
+// Other backends (S3, GCS, ...) can be added with registerStorageAdapter and
+// picked with the STORAGE_DRIVER env var. An adapter implements:
+//   save(key, sourcePath)  store the file at sourcePath under key (the source may be moved)
+//   remove(key)            delete a stored file, ignoring files that are already gone
+//   urlFor(key)            URL the dashboard and Telegram load the file from
+//   pathFor(key)           optional: local path, so Telegram gets the file uploaded directly
+
+const fs = require('fs');
+const path = require('path');
+
+// Uploaded files live next to the database: the Railway volume in production
+const UPLOAD_DIR = process.env.UPLOAD_DIR
+  || (process.env.NODE_ENV === 'production' ? '/data/uploads' : path.join(__dirname, '../uploads'));
+const UPLOAD_URL_PREFIX = '/uploads/';
+
+const createLocalStorage = () => {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+  return {
+    name: 'local',
+    save: async (key, sourcePath) => {
+      const target = path.join(UPLOAD_DIR, key);
+      try {
+        await fs.promises.rename(sourcePath, target);
+      } catch (e) {
+        // rename can't cross filesystems
+        await fs.promises.copyFile(sourcePath, target);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(path.join(UPLOAD_DIR, key));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    },
+    urlFor: (key) => `${UPLOAD_URL_PREFIX}${key}`,
+    pathFor: (key) => path.join(UPLOAD_DIR, key)
+  };
+};
+
+const adapters = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+const registerStorageAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!adapters[driver]) {
+      throw new Error(`Unknown storage driver "${driver}"`);
+    }
+    storage = adapters[driver]();
+    console.log('Media storage:', storage.name);
+  }
+  return storage;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL_PREFIX,
+  getStorage,
+  registerStorageAdapter
+};
@@ -4,6 +4,11 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const { pool, USE_POSTGRES } = require('../models/database');
 const { logTelegramSuccess, logTelegramError, logChannelRegistered, logChannelError } = require('./logger');
+const { convertMarkdownToTelegramHTML, getHTMLTextLength, getLengthError } = require('./formatting');
+const { getMessageMedia, getMediaSource } = require('./media');
+const { buildInlineKeyboard, parseCallbackData, getCallbackButton, getButtonText, DEFAULT_CALLBACK_ANSWER } = require('./buttons');
+const { getSendOptions, getLinkPreviewOptions } = require('./messageOptions');
+const { applyTranslation } = require('./translations');
 
 let bot = null;
 let botInitialized = false;
@@ -159,8 +164,37 @@ const initBot = () => {
         const message = callbackQuery.message;
 
         // Check if this is a tracking callback
-        if (data && data.startsWith('track_')) {
-          const [, announcementId, channelId] = data.split('_');
+        const callback = parseCallbackData(data);
+        if (callback) {
+          const { announcementId, channelId } = callback;
+
+          // Channels in an A/B test show their variant's buttons, and localized
+          // channels their translation's, as they were sent
+          const announcementResult = await pool.query(`
+            SELECT a.buttons, v.id as variant_id, v.buttons as variant_buttons,
+                   t.locale as translation_locale, t.buttons as translation_buttons
+            FROM announcements a
+            LEFT JOIN announcement_targets at ON at.announcement_id = a.id AND at.channel_id = $1
+            LEFT JOIN announcement_variants v ON v.announcement_id = a.id AND v.label = at.variant
+            LEFT JOIN announcement_translations t ON t.announcement_id = a.id AND t.locale = at.locale
+            WHERE a.id = $2
+          `, [channelId, announcementId]);
+          const row = announcementResult.rows[0];
+          const { buttons } = applyTranslation(
+            { buttons: row?.variant_id ? row.variant_buttons : row?.buttons },
+            row?.translation_locale ? { buttons: row.translation_buttons } : null
+          );
+          const button = getCallbackButton(buttons, callback.row, callback.column);
+          const answer = {
+            text: String(button?.answer || '').trim() || DEFAULT_CALLBACK_ANSWER,
+            show_alert: Boolean(button && button.show_alert)
+          };
+
+          // Presses on test sends get the answer but aren't counted
+          if (callback.test || announcementResult.rows.length === 0) {
+            await bot.answerCallbackQuery(callbackQuery.id, answer);
+            return;
+          }
 
           // Record button click
           await pool.query(
@@ -169,7 +203,7 @@ const initBot = () => {
             [
               announcementId,
               channelId || null,
-              'More Info',
+              button ? getButtonText(button) : 'More Info',
               user.id.toString(),
               user.username || null,
               user.first_name || null
@@ -205,11 +239,8 @@ const initBot = () => {
             console.log(`View recorded from button click: announcement=${announcementId}, user=${user.id}`);
           }
 
-          // Answer the callback query with a notification
-          await bot.answerCallbackQuery(callbackQuery.id, {
-            text: 'Thanks for your interest!',
-            show_alert: false
-          });
+          // Answer with the button's toast or alert
+          await bot.answerCallbackQuery(callbackQuery.id, answer);
         }
       } catch (error) {
         console.error('Callback query error:', error.message);
@@ -423,11 +454,8 @@ const getBotStatus = () => {
   };
 };
 
-// Send announcement to a channel
-const sendAnnouncement = async (channelId, announcement, trackedLinks = []) => {
-  console.log('=== sendAnnouncement called ===');
-  console.log('Bot status:', getBotStatus());
-
+// Look up a channel row, requiring an initialized bot
+const getSendableChannel = async (channelId) => {
   if (!bot) {
     const status = getBotStatus();
     throw new Error(`Telegram bot not initialized. Token: ${status.token}`);
@@ -442,9 +470,12 @@ const sendAnnouncement = async (channelId, announcement, trackedLinks = []) => {
     throw new Error(`Channel not found in database (id: ${channelId})`);
   }
 
-  const channel = channelResult.rows[0];
-  console.log('Sending to channel:', channel.title, 'Telegram ID:', channel.telegram_id);
+  return channelResult.rows[0];
+};
 
+// Build the Telegram HTML text and send options for an announcement.
+// channelId goes into callback buttons so presses are counted per channel.
+const buildAnnouncementMessage = (announcement, trackedLinks = [], { channelId = null } = {}) => {
   // Replace URLs with tracked versions (keeps link click tracking)
   let content = announcement.content;
   trackedLinks.forEach(link => {
@@ -454,71 +485,147 @@ const sendAnnouncement = async (channelId, announcement, trackedLinks = []) => {
   // Convert markdown formatting to Telegram HTML
   content = convertMarkdownToTelegramHTML(content);
 
-  // Parse admin-defined buttons only (no tracking button added)
+  // Admin-defined buttons, laid out in their rows
   let replyMarkup = null;
-  const hasDefinedButtons = announcement.buttons && announcement.buttons !== '[]' && announcement.buttons !== 'null';
-
-  if (hasDefinedButtons) {
-    try {
-      console.log('Raw buttons from DB:', announcement.buttons);
-      const buttons = JSON.parse(announcement.buttons);
-      console.log('Parsed buttons:', JSON.stringify(buttons));
-
-      if (Array.isArray(buttons) && buttons.length > 0) {
-        // Filter out invalid buttons - must have non-empty text AND valid URL
-        const validButtons = buttons.filter(btn => {
-          const text = btn && btn.text ? String(btn.text).trim() : '';
-          const url = btn && btn.url ? String(btn.url).trim() : '';
-          const hasValidText = text.length > 0;
-          const hasValidUrl = url.length > 0 && (url.startsWith('http://') || url.startsWith('https://'));
-          return hasValidText && hasValidUrl;
-        });
-
-        console.log('Valid buttons count:', validButtons.length);
-
-        // Only add reply markup if there are valid buttons
-        if (validButtons.length > 0) {
-          const trackedButtons = validButtons.map(btn => {
-            const trackedLink = trackedLinks.find(l => l.original_url === btn.url);
-            return {
-              text: String(btn.text).trim(),
-              url: trackedLink ? trackedLink.tracked_url : String(btn.url).trim()
-            };
-          });
+  const keyboard = buildInlineKeyboard(announcement.buttons, trackedLinks, {
+    announcementId: announcement.id,
+    channelId
+  });
 
-          replyMarkup = {
-            inline_keyboard: trackedButtons.map(btn => [btn])
-          };
-          console.log('Reply markup:', JSON.stringify(replyMarkup));
-        }
-      }
-    } catch (e) {
-      console.error('Error parsing buttons:', e);
-    }
+  if (keyboard) {
+    replyMarkup = { inline_keyboard: keyboard };
+    console.log('Reply markup:', JSON.stringify(replyMarkup));
   }
 
+  // Silent send and protected content settings of the announcement
   const options = {
     parse_mode: 'HTML',
-    disable_web_page_preview: false
+    ...getSendOptions(announcement)
   };
 
   if (replyMarkup) {
     options.reply_markup = replyMarkup;
   }
 
+  return { content, options };
+};
+
+// Turn a Telegram API error into a readable message plus details for the system log
+const describeTelegramError = (error, channel) => {
+  console.error('Channel:', channel.title, '(', channel.telegram_id, ')');
+  console.error('Error code:', error.code);
+  console.error('Error message:', error.message);
+  console.error('Response:', error.response?.body || 'No response body');
+
+  // Create more helpful error messages
+  let userMessage = error.message;
+  const errorDetails = {
+    error_code: error.code,
+    telegram_id: channel.telegram_id,
+    channel_title: channel.title,
+    original_error: error.message
+  };
+
+  if (error.code === 'ETELEGRAM') {
+    const desc = error.response?.body?.description || error.message;
+    errorDetails.telegram_description = desc;
+    errorDetails.telegram_error_code = error.response?.body?.error_code;
+
+    const retryAfter = error.response?.body?.parameters?.retry_after;
+    if (retryAfter) {
+      errorDetails.retry_after = retryAfter;
+    }
+
+    if (errorDetails.telegram_error_code === 429) {
+      userMessage = `Rate limited by Telegram while sending to "${channel.title}". Retry after ${retryAfter || '?'}s.`;
+    } else if (desc.includes('chat not found')) {
+      userMessage = `Chat not found. Make sure the bot is added to the channel "${channel.title}" as an admin.`;
+    } else if (desc.includes('bot was blocked')) {
+      userMessage = `Bot was blocked by the user/channel "${channel.title}".`;
+    } else if (desc.includes('not enough rights')) {
+      userMessage = `Bot doesn't have permission to post in "${channel.title}". Make sure it's an admin with post rights.`;
+    } else if (desc.includes("can't initiate conversation")) {
+      userMessage = `The bot can't message ${channel.title} until it's started. Open the bot in Telegram and send /start.`;
+    } else if (desc.includes('Forbidden')) {
+      userMessage = `Access forbidden to "${channel.title}". Add the bot as an admin.`;
+    } else if (desc.includes("can't parse entities")) {
+      userMessage = `Telegram couldn't read the message formatting: ${desc.replace(/^Bad Request: can't parse entities: /, '')}`;
+    } else if (desc.includes('message is too long') || desc.includes('caption is too long')) {
+      userMessage = 'The message is longer than Telegram allows. Shorten the text and send again.';
+    } else {
+      userMessage = desc;
+    }
+  }
+
+  return { userMessage, errorDetails };
+};
+
+// Keep Telegram's error code and flood-wait hint so callers can decide whether to retry
+const toSendError = (error, userMessage, errorDetails) => {
+  const sendError = new Error(userMessage);
+  sendError.code = error.code;
+  sendError.telegramErrorCode = errorDetails.telegram_error_code;
+  sendError.retryAfter = errorDetails.retry_after;
+  sendError.permanent = error.permanent;
+  return sendError;
+};
+
+const MEDIA_SEND_METHODS = {
+  photo: 'sendPhoto',
+  video: 'sendVideo',
+  animation: 'sendAnimation',
+  document: 'sendDocument'
+};
+
+// Keep the original file name and type for uploaded files
+const getFileOptions = (item) => ({
+  ...(item.file_name ? { filename: item.file_name } : {}),
+  ...(item.mime_type ? { contentType: item.mime_type } : {})
+});
+
+// Send the announcement to a chat.
+// Albums resolve to the first message, with every message id in message_ids
+// and the messages themselves in messages.
+const deliverAnnouncement = async (channel, announcement, trackedLinks) => {
+  const { content, options } = buildAnnouncementMessage(announcement, trackedLinks, { channelId: channel.id });
+
+  const media = getMessageMedia(announcement);
   let message;
 
   try {
-    // Send with or without image
-    if (announcement.image_url) {
-      console.log('Sending photo to:', channel.telegram_id);
-      message = await bot.sendPhoto(channel.telegram_id, announcement.image_url, {
-        caption: content,
-        ...options
-      });
+    // Tracked links can make the text longer than it was when it was saved
+    const lengthError = getLengthError(getHTMLTextLength(content), { hasMedia: media.length > 0 });
+    if (lengthError) {
+      const error = new Error(lengthError);
+      error.permanent = true;
+      throw error;
+    }
+
+    if (media.length > 1) {
+      // Albums take the caption on the first item and can't carry buttons
+      console.log(`Sending album of ${media.length} to:`, channel.telegram_id);
+      const messages = await bot.sendMediaGroup(channel.telegram_id, media.map((item, index) => ({
+        type: item.type,
+        media: getMediaSource(item).source,
+        fileOptions: getFileOptions(item),
+        ...(index === 0 ? { caption: content, parse_mode: options.parse_mode } : {})
+      })), getSendOptions(announcement));
+      message = { ...messages[0], message_ids: messages.map(m => m.message_id), messages };
+    } else if (media.length === 1) {
+      const [item] = media;
+      console.log(`Sending ${item.type} to:`, channel.telegram_id);
+      message = await bot[MEDIA_SEND_METHODS[item.type]](
+        channel.telegram_id,
+        getMediaSource(item).source,
+        { caption: content, ...options },
+        getFileOptions(item)
+      );
     } else {
       console.log('Sending message to:', channel.telegram_id);
-      message = await bot.sendMessage(channel.telegram_id, content, options);
+      message = await bot.sendMessage(channel.telegram_id, content, {
+        ...options,
+        link_preview_options: getLinkPreviewOptions(announcement)
+      });
     }
     console.log('Message sent successfully, message_id:', message.message_id);
 
@@ -533,37 +640,7 @@ const sendAnnouncement = async (channelId, announcement, trackedLinks = []) => {
     return message;
   } catch (error) {
     console.error('=== Telegram Send Error ===');
-    console.error('Channel:', channel.title, '(', channel.telegram_id, ')');
-    console.error('Error code:', error.code);
-    console.error('Error message:', error.message);
-    console.error('Response:', error.response?.body || 'No response body');
-
-    // Create more helpful error messages
-    let userMessage = error.message;
-    const errorDetails = {
-      error_code: error.code,
-      telegram_id: channel.telegram_id,
-      channel_title: channel.title,
-      original_error: error.message
-    };
-
-    if (error.code === 'ETELEGRAM') {
-      const desc = error.response?.body?.description || error.message;
-      errorDetails.telegram_description = desc;
-      errorDetails.telegram_error_code = error.response?.body?.error_code;
-
-      if (desc.includes('chat not found')) {
-        userMessage = `Chat not found. Make sure the bot is added to the channel "${channel.title}" as an admin.`;
-      } else if (desc.includes('bot was blocked')) {
-        userMessage = `Bot was blocked by the user/channel "${channel.title}".`;
-      } else if (desc.includes('not enough rights')) {
-        userMessage = `Bot doesn't have permission to post in "${channel.title}". Make sure it's an admin with post rights.`;
-      } else if (desc.includes('Forbidden')) {
-        userMessage = `Access forbidden to "${channel.title}". Add the bot as an admin.`;
-      } else {
-        userMessage = desc;
-      }
-    }
+    const { userMessage, errorDetails } = describeTelegramError(error, channel);
 
     // Log error
     await logTelegramError(
@@ -573,7 +650,199 @@ const sendAnnouncement = async (channelId, announcement, trackedLinks = []) => {
       errorDetails
     );
 
-    throw new Error(userMessage);
+    throw toSendError(error, userMessage, errorDetails);
+  }
+};
+
+// Send announcement to a channel
+const sendAnnouncement = async (channelId, announcement, trackedLinks = []) => {
+  console.log('=== sendAnnouncement called ===');
+  console.log('Bot status:', getBotStatus());
+
+  const channel = await getSendableChannel(channelId);
+  console.log('Sending to channel:', channel.title, 'Telegram ID:', channel.telegram_id);
+
+  return deliverAnnouncement(channel, announcement, trackedLinks);
+};
+
+// Send a test copy to a chat that isn't a registered channel (a test group or
+// a user's private chat with the bot), given as { telegram_id, title }.
+// Nothing is stored on the targets.
+const sendTestAnnouncement = async (chat, announcement, trackedLinks = []) => {
+  if (!bot) {
+    const status = getBotStatus();
+    throw new Error(`Telegram bot not initialized. Token: ${status.token}`);
+  }
+
+  console.log('Sending test copy to:', chat.title, 'Telegram ID:', chat.telegram_id);
+  return deliverAnnouncement({ id: null, ...chat }, announcement, trackedLinks);
+};
+
+// Push edited text, caption and buttons to an already sent announcement message.
+// Set replaceMedia when a single attachment changed so the file itself is swapped.
+// For albums messageId is the first message, which holds the caption.
+const editAnnouncementMessage = async (channelId, messageId, announcement, trackedLinks = [], { replaceMedia = false } = {}) => {
+  const channel = await getSendableChannel(channelId);
+  const { content, options } = buildAnnouncementMessage(announcement, trackedLinks, { channelId: channel.id });
+  const media = getMessageMedia(announcement);
+
+  const form = {
+    chat_id: channel.telegram_id,
+    message_id: messageId
+  };
+
+  // An empty keyboard removes buttons that were deleted in the edit (albums have none)
+  if (media.length <= 1) {
+    form.reply_markup = options.reply_markup || { inline_keyboard: [] };
+  }
+
+  try {
+    if (media.length === 1 && replaceMedia) {
+      const [item] = media;
+      const { source, upload } = getMediaSource(item);
+      await bot.editMessageMedia({
+        type: item.type,
+        // Local files have to be attached to the request
+        media: upload ? `attach://${source}` : source,
+        fileOptions: getFileOptions(item),
+        caption: content,
+        parse_mode: options.parse_mode
+      }, form);
+    } else if (media.length > 0) {
+      await bot.editMessageCaption(content, { ...form, parse_mode: options.parse_mode });
+    } else {
+      await bot.editMessageText(content, {
+        ...form,
+        parse_mode: options.parse_mode,
+        link_preview_options: getLinkPreviewOptions(announcement)
+      });
+    }
+
+    await logTelegramSuccess(
+      `Announcement edited in "${channel.title}"`,
+      announcement.id,
+      channel.id,
+      { message_id: messageId, telegram_id: channel.telegram_id }
+    );
+  } catch (error) {
+    // Telegram rejects edits that change nothing; the message already matches
+    if (error.response?.body?.description?.includes('message is not modified')) {
+      return;
+    }
+
+    console.error('=== Telegram Edit Error ===');
+    const { userMessage, errorDetails } = describeTelegramError(error, channel);
+
+    await logTelegramError(
+      `Failed to edit announcement in "${channel.title}": ${userMessage}`,
+      announcement.id,
+      channel.id,
+      errorDetails
+    );
+
+    throw toSendError(error, userMessage, errorDetails);
+  }
+};
+
+// Delete a sent announcement from a channel.
+// messageIds holds every message of an album.
+const deleteAnnouncementMessage = async (channelId, messageIds, announcementId) => {
+  const channel = await getSendableChannel(channelId);
+  const ids = Array.isArray(messageIds) ? messageIds : [messageIds];
+
+  try {
+    for (const messageId of ids) {
+      try {
+        await bot.deleteMessage(channel.telegram_id, messageId);
+      } catch (error) {
+        // Already removed by a channel admin
+        if (!error.response?.body?.description?.includes('message to delete not found')) {
+          throw error;
+        }
+      }
+    }
+
+    await logTelegramSuccess(
+      `Announcement deleted from "${channel.title}"`,
+      announcementId,
+      channel.id,
+      { message_ids: ids, telegram_id: channel.telegram_id }
+    );
+  } catch (error) {
+    console.error('=== Telegram Delete Error ===');
+    const { userMessage, errorDetails } = describeTelegramError(error, channel);
+
+    await logTelegramError(
+      `Failed to delete announcement from "${channel.title}": ${userMessage}`,
+      announcementId,
+      channel.id,
+      errorDetails
+    );
+
+    throw toSendError(error, userMessage, errorDetails);
+  }
+};
+
+// Pin a sent announcement in a channel, notifying members only when notify is set
+const pinAnnouncementMessage = async (channelId, messageId, announcementId, { notify = false } = {}) => {
+  const channel = await getSendableChannel(channelId);
+
+  try {
+    await bot.pinChatMessage(channel.telegram_id, messageId, { disable_notification: !notify });
+
+    await logTelegramSuccess(
+      `Announcement pinned in "${channel.title}"`,
+      announcementId,
+      channel.id,
+      { message_id: messageId, telegram_id: channel.telegram_id, notify }
+    );
+  } catch (error) {
+    console.error('=== Telegram Pin Error ===');
+    const { userMessage, errorDetails } = describeTelegramError(error, channel);
+
+    await logTelegramError(
+      `Failed to pin announcement in "${channel.title}": ${userMessage}`,
+      announcementId,
+      channel.id,
+      errorDetails
+    );
+
+    throw toSendError(error, userMessage, errorDetails);
+  }
+};
+
+// Unpin a sent announcement, leaving any other pinned messages in place
+const unpinAnnouncementMessage = async (channelId, messageId, announcementId) => {
+  const channel = await getSendableChannel(channelId);
+
+  try {
+    try {
+      await bot.unpinChatMessage(channel.telegram_id, { message_id: messageId });
+    } catch (error) {
+      // Already unpinned or deleted by a channel admin
+      if (!error.response?.body?.description?.includes('message to unpin not found')) {
+        throw error;
+      }
+    }
+
+    await logTelegramSuccess(
+      `Announcement unpinned in "${channel.title}"`,
+      announcementId,
+      channel.id,
+      { message_id: messageId, telegram_id: channel.telegram_id }
+    );
+  } catch (error) {
+    console.error('=== Telegram Unpin Error ===');
+    const { userMessage, errorDetails } = describeTelegramError(error, channel);
+
+    await logTelegramError(
+      `Failed to unpin announcement in "${channel.title}": ${userMessage}`,
+      announcementId,
+      channel.id,
+      errorDetails
+    );
+
+    throw toSendError(error, userMessage, errorDetails);
   }
 };
 
@@ -611,24 +880,6 @@ const processUpdate = (update) => {
   }
 };
 
-// Convert markdown formatting to Telegram HTML
-const convertMarkdownToTelegramHTML = (text) => {
-  if (!text) return text;
-
-  // Convert **bold** to <b>bold</b>
-  text = text.replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');
-
-  // Convert _italic_ to <i>italic</i> (but not __underline__)
-  text = text.replace(/(?<![_])_([^_]+)_(?![_])/g, '<i>$1</i>');
-
-  // Convert `code` to <code>code</code>
-  text = text.replace(/`([^`]+)`/g, '<code>$1</code>');
-
-  // Line breaks are preserved as-is (Telegram handles \n)
-
-  return text;
-};
-
 // Stop bot polling (cleanup)
 const stopBot = () => {
   if (bot && botInitialized) {
@@ -670,6 +921,12 @@ module.exports = {
   getBotStatus,
   isBotReady,
   sendAnnouncement,
+  sendTestAnnouncement,
+  buildAnnouncementMessage,
+  editAnnouncementMessage,
+  deleteAnnouncementMessage,
+  pinAnnouncementMessage,
+  unpinAnnouncementMessage,
   sendReplyMessage,
   updateChannelStats,
   processUpdate,
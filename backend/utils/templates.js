@@ -0,0 +1,219 @@
+// Announcement templates and variables.
+//
+// Content and buttons can hold placeholders like {{coin}} or {{date}}. Their
+// values are filled in per announcement and stored in template_variables (a JSON
+// object). Channel variables are filled in for each channel as it's sent to:
+//   {{channel_title}}  the channel's title
+//   {{member_count}}   its member count, like 12,345
+// Announcement variables are rendered before tracked links are created, so they
+// can be used in URLs. Values are inserted as written and may use formatting;
+// channel titles are escaped.
+//
+// Templates (announcement_templates) are named content, buttons and campaign that
+// announcements start from.
+
+const { pool } = require('../models/database');
+const { parseButtons } = require('./buttons');
+const { escapeMarkdown } = require('./formatting');
+const { getMessageError } = require('./media');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+const CHANNEL_VARIABLES = ['channel_title', 'member_count'];
+
+const MAX_VARIABLE_LENGTH = 1000;
+
+// Names of the placeholders in a text, in order of first use
+const findPlaceholders = (text) => [...new Set(
+  [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1])
+)];
+
+// Placeholders in a button's text, link and callback answer
+const findButtonPlaceholders = (buttons) => parseButtons(buttons)
+  .flat()
+  .flatMap(btn => [btn.text, btn.url, btn.answer].flatMap(findPlaceholders));
+
+// Announcement variables used by messages ({ content, buttons } each), the
+// ones that need a value filled in
+const getMessageVariables = (messages) => [...new Set(
+  messages.flatMap(message => [
+    ...findPlaceholders(message.content),
+    ...findButtonPlaceholders(message.buttons)
+  ])
+)].filter(name => !CHANNEL_VARIABLES.includes(name));
+
+// Stored variable values as an object
+const parseVariables = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    const variables = JSON.parse(value);
+    return variables && typeof variables === 'object' && !Array.isArray(variables) ? variables : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+// Check the values given for the announcement variables its messages use and
+// return them as JSON to store, or null when there are none.
+// Throws with a message suitable for a 400 response.
+const normalizeVariables = (input, messages) => {
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    throw new Error('Template variables must be an object of names and values');
+  }
+
+  const values = input || {};
+  const variables = {};
+  for (const name of getMessageVariables(messages)) {
+    const value = values[name] === undefined || values[name] === null ? '' : String(values[name]).trim();
+    if (!value) {
+      throw new Error(`Fill in the {{${name}}} variable`);
+    }
+    if (value.length > MAX_VARIABLE_LENGTH) {
+      throw new Error(`The {{${name}}} variable is longer than ${MAX_VARIABLE_LENGTH} characters`);
+    }
+    variables[name] = value;
+  }
+
+  return Object.keys(variables).length > 0 ? JSON.stringify(variables) : null;
+};
+
+// Values of the channel variables for a channel ({ title, member_count }).
+// With markdown, the title is escaped for announcement content.
+const getChannelValues = (channel, { markdown = false } = {}) => ({
+  channel_title: markdown ? escapeMarkdown(channel.title || '') : channel.title || '',
+  member_count: (parseInt(channel.member_count) || 0).toLocaleString('en-US')
+});
+
+// Fill in the placeholders that have a value; others are left as written
+const renderText = (text, values) => {
+  if (!text) return text;
+  return String(text).replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  ));
+};
+
+const renderButtons = (buttons, values) => {
+  if (!buttons) return buttons;
+  return JSON.stringify(parseButtons(buttons).map(row => row.map(btn => {
+    const rendered = { ...btn, text: renderText(btn.text, values) };
+    if (btn.url) rendered.url = renderText(btn.url, values);
+    if (btn.answer) rendered.answer = renderText(btn.answer, values);
+    return rendered;
+  })));
+};
+
+// The announcement (or a variant or translation of it) with its announcement
+// variables filled in, and with channel its channel variables too. Variables
+// without a value (while editing) are left as written.
+const renderVariables = (announcement, channel = null) => {
+  const variables = parseVariables(announcement.template_variables);
+  const values = {};
+  for (const name of Object.keys(variables)) {
+    const value = variables[name] === undefined || variables[name] === null ? '' : String(variables[name]);
+    if (value && !CHANNEL_VARIABLES.includes(name)) {
+      values[name] = value;
+    }
+  }
+  if (!channel && Object.keys(values).length === 0) return announcement;
+
+  const channelValues = channel ? getChannelValues(channel) : {};
+  const contentChannelValues = channel ? getChannelValues(channel, { markdown: true }) : {};
+  return {
+    ...announcement,
+    content: renderText(announcement.content, { ...values, ...contentChannelValues }),
+    buttons: renderButtons(announcement.buttons, { ...values, ...channelValues })
+  };
+};
+
+// A channel the announcement goes to, for rendering test sends as it would get them
+const getSampleChannel = async (announcementId) => {
+  const result = await pool.query(`
+    SELECT c.title, c.member_count
+    FROM announcement_targets at
+    JOIN channels c ON at.channel_id = c.id
+    WHERE at.announcement_id = $1
+    ORDER BY at.id
+    LIMIT 1
+  `, [announcementId]);
+  return result.rows[0] || null;
+};
+
+// Check a template from the API and keep only the fields we store.
+// current is the stored template when updating, for fields that were omitted.
+// Throws with a message suitable for a 400 response.
+const normalizeTemplate = (input, current = null) => {
+  const name = input.name !== undefined ? String(input.name || '').trim() : current && current.name;
+  if (!name) {
+    throw new Error('Template name required');
+  }
+
+  const content = input.content !== undefined ? String(input.content || '') : current && current.content;
+  if (!content || !content.trim()) {
+    throw new Error('Template content required');
+  }
+
+  let buttons = current ? current.buttons : null;
+  if (input.buttons !== undefined) {
+    const rows = parseButtons(input.buttons);
+    buttons = rows.length > 0 ? JSON.stringify(rows) : null;
+  }
+
+  const messageError = getMessageError({ content, buttons });
+  if (messageError) {
+    throw new Error(messageError);
+  }
+
+  return {
+    name,
+    description: input.description !== undefined ? input.description || null : current && current.description,
+    content,
+    buttons,
+    campaign_id: input.campaign_id !== undefined ? input.campaign_id || null : current && current.campaign_id
+  };
+};
+
+// The template with the announcement variables it asks for
+const withVariables = (template) => ({
+  ...template,
+  variables: getMessageVariables([template])
+});
+
+const getTemplate = async (id) => {
+  const result = await pool.query(`
+    SELECT t.*, c.name as campaign_name, u.name as created_by_name
+    FROM announcement_templates t
+    LEFT JOIN campaigns c ON t.campaign_id = c.id
+    LEFT JOIN users u ON t.created_by = u.id
+    WHERE t.id = $1
+  `, [id]);
+  return result.rows[0] ? withVariables(result.rows[0]) : null;
+};
+
+const listTemplates = async () => {
+  const result = await pool.query(`
+    SELECT t.*, c.name as campaign_name, u.name as created_by_name,
+           (SELECT COUNT(*) FROM announcements WHERE template_id = t.id) as announcement_count
+    FROM announcement_templates t
+    LEFT JOIN campaigns c ON t.campaign_id = c.id
+    LEFT JOIN users u ON t.created_by = u.id
+    ORDER BY t.name
+  `);
+  return result.rows.map(template => withVariables({
+    ...template,
+    announcement_count: parseInt(template.announcement_count) || 0
+  }));
+};
+
+module.exports = {
+  CHANNEL_VARIABLES,
+  findPlaceholders,
+  getMessageVariables,
+  parseVariables,
+  normalizeVariables,
+  renderVariables,
+  getSampleChannel,
+  normalizeTemplate,
+  getTemplate,
+  listTemplates
+};
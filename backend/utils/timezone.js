@@ -0,0 +1,93 @@
+// Timezone helpers built on Intl, so conversions don't depend on the server's TZ
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(date)) {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+// Offset of the timezone from UTC at the given instant, in ms
+const getTimezoneOffset = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the wall clock in the timezone shows the given fields.
+// Times skipped by a DST jump resolve to the moment after the jump.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = asUtc - getTimezoneOffset(new Date(asUtc), timezone);
+  const offset = getTimezoneOffset(new Date(firstGuess), timezone);
+  return new Date(asUtc - offset);
+};
+
+// Parse a 'YYYY-MM-DDTHH:mm[:ss]' wall-clock string (e.g. from a datetime-local input)
+const parseLocalDateTime = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/.exec(value || '');
+  if (!match) return null;
+  return {
+    year: parseInt(match[1]),
+    month: parseInt(match[2]),
+    day: parseInt(match[3]),
+    hour: parseInt(match[4]),
+    minute: parseInt(match[5]),
+    second: match[6] ? parseInt(match[6]) : 0
+  };
+};
+
+// Format an instant as a 'YYYY-MM-DDTHH:mm' wall-clock string in the timezone
+const formatLocalDateTime = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  parseLocalDateTime,
+  formatLocalDateTime
+};
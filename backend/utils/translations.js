@@ -0,0 +1,214 @@
+// Localized announcements: one announcement, a version per language.
+//
+// The announcement's own content, buttons and attachments are written in its
+// default_locale. Translations in announcement_translations replace the content,
+// and optionally the buttons and image, for one locale each. When a channel is
+// sent to, it gets the translation for its own locale ("pt-BR", or "pt" for a
+// "pt-BR" channel), otherwise the announcement itself. The locale a channel got
+// is kept on its target, and each locale has its own tracked links, so stats can
+// be broken down by locale.
+
+const { pool } = require('../models/database');
+const { parseButtons } = require('./buttons');
+const { isLocalUpload } = require('./media');
+const { genuineOnly } = require('./botFilter');
+
+const MAX_TRANSLATIONS = 20;
+
+// Check a locale code like "en" or "pt-BR" and return its canonical form, or
+// null when empty. Throws with a message suitable for a 400 response.
+const normalizeLocale = (value) => {
+  const locale = String(value || '').trim();
+  if (!locale) return null;
+
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(locale);
+  } catch (e) {
+    canonical = null;
+  }
+  if (!canonical || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(canonical)) {
+    throw new Error(`Unknown locale "${locale}", use a code like "en" or "pt-BR"`);
+  }
+  return canonical;
+};
+
+// Check translations from the API and keep only the fields we store.
+// Throws with a message suitable for a 400 response.
+const normalizeTranslations = (translations, defaultLocale = null) => {
+  if (!Array.isArray(translations)) {
+    throw new Error('Translations must be a list');
+  }
+  if (translations.length > MAX_TRANSLATIONS) {
+    throw new Error(`An announcement can have at most ${MAX_TRANSLATIONS} translations`);
+  }
+
+  const seen = new Set();
+  return translations.map((translation, index) => {
+    const locale = normalizeLocale(translation && translation.locale);
+    if (!locale) {
+      throw new Error(`Translation ${index + 1} needs a locale`);
+    }
+    if (locale === defaultLocale) {
+      throw new Error(`The announcement itself is already in ${locale}`);
+    }
+    if (seen.has(locale)) {
+      throw new Error(`There is more than one ${locale} translation`);
+    }
+    seen.add(locale);
+
+    if (!String(translation.content || '').trim()) {
+      throw new Error(`The ${locale} translation needs content`);
+    }
+
+    const imageUrl = String(translation.image_url || '').trim() || null;
+    if (imageUrl && !/^https?:\/\//.test(imageUrl) && !isLocalUpload(imageUrl)) {
+      throw new Error(`The ${locale} image must be an uploaded file or an http(s) URL`);
+    }
+
+    const buttons = parseButtons(translation.buttons);
+    return {
+      locale,
+      content: String(translation.content),
+      buttons: buttons.length > 0 ? JSON.stringify(buttons) : null,
+      image_url: imageUrl
+    };
+  });
+};
+
+// The announcement as it's sent in a translation's locale. Translations without
+// buttons keep the announcement's buttons, and a translated image replaces its attachments.
+const applyTranslation = (announcement, translation) => {
+  if (!translation) return announcement;
+
+  const localized = {
+    ...announcement,
+    content: translation.content,
+    buttons: translation.buttons || announcement.buttons
+  };
+  if (translation.image_url) {
+    localized.image_url = null;
+    localized.media = [{ type: 'photo', url: translation.image_url }];
+  }
+  return localized;
+};
+
+const getTranslations = async (announcementId) => {
+  const result = await pool.query(
+    'SELECT locale, content, buttons, image_url FROM announcement_translations WHERE announcement_id = $1 ORDER BY locale',
+    [announcementId]
+  );
+  return result.rows;
+};
+
+const getTranslation = async (announcementId, locale) => {
+  if (!locale) return null;
+  const result = await pool.query(
+    'SELECT locale, content, buttons, image_url FROM announcement_translations WHERE announcement_id = $1 AND locale = $2',
+    [announcementId, locale]
+  );
+  return result.rows[0] || null;
+};
+
+// Replace an announcement's translations
+const saveTranslations = async (announcementId, translations) => {
+  await pool.query('DELETE FROM announcement_translations WHERE announcement_id = $1', [announcementId]);
+
+  for (const translation of translations) {
+    await pool.query(
+      `INSERT INTO announcement_translations (announcement_id, locale, content, buttons, image_url)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [announcementId, translation.locale, translation.content, translation.buttons, translation.image_url]
+    );
+  }
+};
+
+const copyTranslations = async (fromAnnouncementId, toAnnouncementId) => {
+  await saveTranslations(toAnnouncementId, await getTranslations(fromAnnouncementId));
+};
+
+// Which of the available translation locales a channel in channelLocale gets:
+// the exact locale, else one for the same language. null means the announcement itself.
+const pickLocale = (channelLocale, locales) => {
+  if (!channelLocale) return null;
+  if (locales.includes(channelLocale)) return channelLocale;
+
+  const language = channelLocale.split('-')[0];
+  if (locales.includes(language)) return language;
+  return locales.find(locale => locale.split('-')[0] === language) || null;
+};
+
+// Give each pending target the locale it will be sent in, from its channel's
+// locale (channel_locale) and the announcement's translations. Returns the targets
+// with their locale set.
+const assignTargetLocales = async (announcementId, targets) => {
+  const locales = (await getTranslations(announcementId)).map(t => t.locale);
+
+  const assigned = [];
+  for (const target of targets) {
+    const locale = pickLocale(target.channel_locale, locales);
+    await pool.query('UPDATE announcement_targets SET locale = $1 WHERE id = $2', [locale, target.id]);
+    assigned.push({ ...target, locale });
+  }
+  return assigned;
+};
+
+// Delivery, views and clicks (links and callback buttons) of an announcement for
+// each locale it was sent in. locale is null for channels that got the announcement itself.
+const getLocaleResults = async (announcementId) => {
+  const targetsResult = await pool.query(`
+    SELECT locale, COUNT(*) as channels, COUNT(telegram_message_id) as delivered,
+           COALESCE(SUM(views), 0) as views, SUM(telegram_views) as telegram_views
+    FROM announcement_targets
+    WHERE announcement_id = $1
+    GROUP BY locale
+  `, [announcementId]);
+
+  const linkClicksResult = await pool.query(`
+    SELECT tl.locale, COUNT(lc.id) as clicks
+    FROM tracked_links tl
+    JOIN link_clicks lc ON lc.link_id = tl.id
+    WHERE tl.announcement_id = $1 AND COALESCE(tl.is_test, 0) = 0 AND ${genuineOnly('lc')}
+    GROUP BY tl.locale
+  `, [announcementId]);
+
+  const buttonClicksResult = await pool.query(`
+    SELECT at.locale, COUNT(bc.id) as clicks
+    FROM button_clicks bc
+    JOIN announcement_targets at ON at.announcement_id = bc.announcement_id AND at.channel_id = bc.channel_id
+    WHERE bc.announcement_id = $1
+    GROUP BY at.locale
+  `, [announcementId]);
+
+  const countFor = (rows, locale) => parseInt(rows.find(r => (r.locale || null) === locale)?.clicks) || 0;
+
+  return targetsResult.rows
+    .map((row) => {
+      const locale = row.locale || null;
+      const views = parseInt(row.views) || 0;
+      const clicks = countFor(linkClicksResult.rows, locale) + countFor(buttonClicksResult.rows, locale);
+      return {
+        locale,
+        channels: parseInt(row.channels) || 0,
+        delivered: parseInt(row.delivered) || 0,
+        views,
+        telegram_views: row.telegram_views === null ? null : parseInt(row.telegram_views) || 0,
+        clicks,
+        ctr: views > 0 ? clicks / views : 0
+      };
+    })
+    .sort((a, b) => (a.locale || '').localeCompare(b.locale || ''));
+};
+
+module.exports = {
+  normalizeLocale,
+  normalizeTranslations,
+  applyTranslation,
+  getTranslations,
+  getTranslation,
+  saveTranslations,
+  copyTranslations,
+  pickLocale,
+  assignTargetLocales,
+  getLocaleResults
+};
@@ -0,0 +1,208 @@
+// UTM templates.
+//
+// A campaign's utm_template (JSON) sets the five UTM fields and any extra query
+// parameters for the tracked links of its announcements:
+//   { utm_source, utm_medium, utm_campaign, utm_term, utm_content, params: [{ name, value }] }
+// Values can use these variables:
+//   {announcement_id} {announcement_title} {announcement_slug}
+//   {campaign_id} {campaign_name} {campaign_slug}
+//   {channel_id} {channel_title} {channel_slug}
+//   {button_text} {variant} {locale} {date}
+// They're filled in when a link is created and stored with it; the redirect adds
+// them to the target URL unless it already has that parameter. Without a
+// template, or where a field is left empty, links get utm_source=telegram,
+// utm_medium=announcement and utm_campaign={campaign_name}.
+
+const { pool } = require('../models/database');
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const UTM_VARIABLES = [
+  'announcement_id', 'announcement_title', 'announcement_slug',
+  'campaign_id', 'campaign_name', 'campaign_slug',
+  'channel_id', 'channel_title', 'channel_slug',
+  'button_text', 'variant', 'locale', 'date'
+];
+
+const DEFAULT_UTM = {
+  utm_source: 'telegram',
+  utm_medium: 'announcement',
+  utm_campaign: '{campaign_name}'
+};
+
+const VARIABLE_PATTERN = /\{([a-z_]+)\}/g;
+const PARAM_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const MAX_VALUE_LENGTH = 200;
+const MAX_EXTRA_PARAMS = 20;
+
+// Lowercase words joined by dashes, for URL-friendly values
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Check one template value. Throws with a message suitable for a 400 response.
+const normalizeValue = (value, label) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text.length > MAX_VALUE_LENGTH) {
+    throw new Error(`${label} is longer than ${MAX_VALUE_LENGTH} characters`);
+  }
+  for (const [, name] of text.matchAll(VARIABLE_PATTERN)) {
+    if (!UTM_VARIABLES.includes(name)) {
+      throw new Error(`Unknown variable {${name}} in ${label}`);
+    }
+  }
+  return text;
+};
+
+// Check a UTM template from the API and return it as JSON to store, or null when
+// it sets nothing. Throws with a message suitable for a 400 response.
+const normalizeUtmTemplate = (input) => {
+  if (input === undefined || input === null || input === '') return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('UTM template must be an object of UTM fields and extra parameters');
+  }
+
+  const template = {};
+  for (const field of UTM_FIELDS) {
+    const value = normalizeValue(input[field], field);
+    if (value) template[field] = value;
+  }
+
+  if (input.params !== undefined && input.params !== null && !Array.isArray(input.params)) {
+    throw new Error('Extra parameters must be a list of names and values');
+  }
+  const params = [];
+  for (const param of input.params || []) {
+    const name = param && param.name ? String(param.name).trim() : '';
+    if (!name) {
+      throw new Error('Every extra parameter needs a name');
+    }
+    if (!PARAM_NAME_PATTERN.test(name)) {
+      throw new Error(`Parameter name "${name}" can only use letters, numbers, dots, dashes and underscores`);
+    }
+    if (UTM_FIELDS.includes(name)) {
+      throw new Error(`Set ${name} in its own field rather than as an extra parameter`);
+    }
+    if (params.some(p => p.name === name)) {
+      throw new Error(`The "${name}" parameter is listed twice`);
+    }
+    params.push({ name, value: normalizeValue(param.value, `The "${name}" parameter`) });
+  }
+  if (params.length > MAX_EXTRA_PARAMS) {
+    throw new Error(`A UTM template can have up to ${MAX_EXTRA_PARAMS} extra parameters`);
+  }
+  if (params.length > 0) template.params = params;
+
+  return Object.keys(template).length > 0 ? JSON.stringify(template) : null;
+};
+
+// Stored template as an object, or null
+const parseUtmTemplate = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    const template = JSON.parse(value);
+    return template && typeof template === 'object' && !Array.isArray(template) ? template : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Values of the variables for a link. context is
+// { announcement: { id, title }, campaign: { id, name }, channel: { id, title }, button_text, variant, locale },
+// all optional.
+const getVariableValues = ({ announcement = null, campaign = null, channel = null, button_text = '', variant = null, locale = null } = {}) => ({
+  announcement_id: announcement && announcement.id ? String(announcement.id) : '',
+  announcement_title: (announcement && announcement.title) || '',
+  announcement_slug: slugify(announcement && announcement.title),
+  campaign_id: campaign && campaign.id ? String(campaign.id) : '',
+  campaign_name: (campaign && campaign.name) || '',
+  campaign_slug: slugify(campaign && campaign.name),
+  channel_id: channel && channel.id ? String(channel.id) : '',
+  channel_title: (channel && channel.title) || '',
+  channel_slug: slugify(channel && channel.title),
+  button_text: button_text || '',
+  variant: variant || '',
+  locale: locale || '',
+  date: new Date().toISOString().slice(0, 10)
+});
+
+const renderValue = (value, values) => String(value || '')
+  .replace(VARIABLE_PATTERN, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  ))
+  .trim();
+
+// The UTM fields and extra parameters for a link made with template (stored or
+// parsed, or null for the defaults). Fields that render empty are left out.
+const renderUtm = (template, context = {}) => {
+  const parsed = parseUtmTemplate(template) || {};
+  const values = getVariableValues(context);
+
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    utm[field] = renderValue(parsed[field] || DEFAULT_UTM[field], values) || null;
+  }
+
+  utm.params = {};
+  for (const param of parsed.params || []) {
+    const value = renderValue(param.value, values);
+    if (value) utm.params[param.name] = value;
+  }
+
+  return utm;
+};
+
+// The URL a tracked link redirects to: its target with the link's UTM fields and
+// extra parameters (extra_params as stored JSON or an object) added, keeping any
+// the target already sets. Returns the target as is when it isn't a valid URL.
+const applyUtmParams = (originalUrl, link) => {
+  let url;
+  try {
+    url = new URL(originalUrl);
+  } catch (e) {
+    return originalUrl;
+  }
+
+  let extra = link.extra_params || link.params || {};
+  if (typeof extra === 'string') {
+    try {
+      extra = JSON.parse(extra);
+    } catch (e) {
+      extra = {};
+    }
+  }
+
+  const params = [
+    ...UTM_FIELDS.map(field => [field, link[field]]),
+    ...Object.entries(extra)
+  ];
+  for (const [name, value] of params) {
+    if (value && !url.searchParams.has(name)) {
+      url.searchParams.set(name, value);
+    }
+  }
+
+  return url.toString();
+};
+
+// A campaign's name and UTM template, or null
+const getCampaignUtm = async (campaignId) => {
+  if (!campaignId) return null;
+  const result = await pool.query('SELECT id, name, utm_template FROM campaigns WHERE id = $1', [campaignId]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  UTM_FIELDS,
+  UTM_VARIABLES,
+  slugify,
+  normalizeUtmTemplate,
+  parseUtmTemplate,
+  renderUtm,
+  applyUtmParams,
+  getCampaignUtm
+};
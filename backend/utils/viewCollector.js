@@ -0,0 +1,199 @@
+// Real view and forward counts of sent announcements, read from Telegram.
+//
+// The views column on announcement_targets only counts pixel loads and clicks.
+// Channel posts have their own counters, which the Bot API can't read, so a
+// views adapter fetches them: the built-in MTProto one (see mtprotoViews.js),
+// or a module of your own given by path in TELEGRAM_VIEWS_ADAPTER that exports
+// createViewsAdapter(). An adapter has getMessageViews(channel, messageIds),
+// resolving to [{ message_id, views, forwards }].
+//
+// The server cron collects the counters of recent posts periodically. Each
+// target keeps its latest numbers, and every change is added to
+// target_view_stats so reach can be charted over time.
+
+const path = require('path');
+const { pool, USE_POSTGRES } = require('../models/database');
+const { logTelegramError } = require('./logger');
+const { createMtprotoAdapter } = require('./mtprotoViews');
+
+// How long after sending a post's counters are still collected
+const COLLECTION_DAYS = parseInt(process.env.VIEW_COLLECTION_DAYS) || 7;
+
+// Telegram returns at most this many messages' counters per request
+const MAX_MESSAGES_PER_REQUEST = 100;
+
+const sentSinceCondition = USE_POSTGRES
+  ? 'at.sent_at >= $1'
+  : 'datetime(at.sent_at) >= datetime($1)';
+
+let adapter;
+
+// The configured adapter, created on first use. null when none is set up.
+const getViewsAdapter = () => {
+  if (adapter !== undefined) return adapter;
+
+  const setting = process.env.TELEGRAM_VIEWS_ADAPTER || (process.env.TELEGRAM_SESSION ? 'mtproto' : 'none');
+  adapter = null;
+
+  try {
+    if (setting === 'mtproto') {
+      adapter = createMtprotoAdapter();
+    } else if (setting !== 'none') {
+      adapter = require(path.resolve(setting)).createViewsAdapter();
+    }
+  } catch (error) {
+    console.error('Telegram views adapter unavailable:', error.message);
+  }
+
+  return adapter;
+};
+
+// Use a different adapter, or none with null
+const setViewsAdapter = (viewsAdapter) => {
+  adapter = viewsAdapter;
+};
+
+// Delivered channel posts of one announcement, or of every announcement sent
+// within the collection window
+const getCollectableTargets = async (announcementId = null) => {
+  const params = [];
+  let filter;
+  if (announcementId) {
+    params.push(announcementId);
+    filter = 'at.announcement_id = $1';
+  } else {
+    params.push(new Date(Date.now() - COLLECTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+    filter = sentSinceCondition;
+  }
+
+  // Only channel posts have a view counter
+  const result = await pool.query(`
+    SELECT at.id, at.announcement_id, at.channel_id, at.telegram_message_id, at.telegram_views, at.telegram_forwards,
+           c.telegram_id, c.title as channel_title
+    FROM announcement_targets at
+    JOIN channels c ON at.channel_id = c.id
+    WHERE at.telegram_message_id IS NOT NULL AND at.deleted_at IS NULL
+      AND c.type = 'channel' AND ${filter}
+    ORDER BY at.channel_id, at.id
+  `, params);
+  return result.rows;
+};
+
+const storeCounters = async (target, counters) => {
+  if (counters.views === null || counters.views === undefined) return false;
+
+  const forwards = counters.forwards === undefined ? null : counters.forwards;
+  const changed = target.telegram_views === null
+    || Number(target.telegram_views) !== Number(counters.views)
+    || Number(target.telegram_forwards) !== Number(forwards);
+
+  await pool.query(
+    `UPDATE announcement_targets
+     SET telegram_views = $1, telegram_forwards = $2, views_collected_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [counters.views, forwards, target.id]
+  );
+
+  // The series only grows when something changed
+  if (changed) {
+    await pool.query(
+      `INSERT INTO target_view_stats (target_id, announcement_id, channel_id, views, forwards)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [target.id, target.announcement_id, target.channel_id, counters.views, forwards]
+    );
+  }
+  return true;
+};
+
+// Read the counters of recent posts, or of one announcement's posts however old,
+// and store them. Returns { messages, failed } or null when no adapter is set up.
+const collectTelegramViews = async ({ announcementId = null } = {}) => {
+  const viewsAdapter = getViewsAdapter();
+  if (!viewsAdapter) return null;
+
+  const targets = await getCollectableTargets(announcementId);
+  const byChannel = new Map();
+  for (const target of targets) {
+    if (!byChannel.has(target.channel_id)) byChannel.set(target.channel_id, []);
+    byChannel.get(target.channel_id).push(target);
+  }
+
+  let messages = 0;
+  let failed = 0;
+
+  for (const channelTargets of byChannel.values()) {
+    const channel = {
+      id: channelTargets[0].channel_id,
+      telegram_id: channelTargets[0].telegram_id,
+      title: channelTargets[0].channel_title
+    };
+
+    for (let i = 0; i < channelTargets.length; i += MAX_MESSAGES_PER_REQUEST) {
+      const batch = channelTargets.slice(i, i + MAX_MESSAGES_PER_REQUEST);
+      try {
+        const counters = await viewsAdapter.getMessageViews(channel, batch.map(t => t.telegram_message_id));
+        const byMessage = new Map(counters.map(c => [String(c.message_id), c]));
+
+        for (const target of batch) {
+          const messageCounters = byMessage.get(String(target.telegram_message_id));
+          if (messageCounters && await storeCounters(target, messageCounters)) {
+            messages++;
+          }
+        }
+      } catch (error) {
+        failed += batch.length;
+        console.error(`Reading views in channel ${channel.id} failed:`, error.message);
+        await logTelegramError(
+          `Failed to read view counts in "${channel.title}": ${error.message}`,
+          batch.length === 1 ? batch[0].announcement_id : null,
+          channel.id,
+          { adapter: viewsAdapter.name, message_ids: batch.map(t => t.telegram_message_id) }
+        );
+      }
+    }
+  }
+
+  return { messages, failed };
+};
+
+// An announcement's total Telegram views and forwards after each collection,
+// carrying forward each message's last known numbers
+const getViewTimeline = async (announcementId) => {
+  const result = await pool.query(
+    'SELECT target_id, views, forwards, collected_at FROM target_view_stats WHERE announcement_id = $1 ORDER BY collected_at, id',
+    [announcementId]
+  );
+
+  const latest = new Map();
+  const timeline = [];
+
+  for (const row of result.rows) {
+    latest.set(row.target_id, { views: parseInt(row.views) || 0, forwards: parseInt(row.forwards) || 0 });
+
+    const totals = [...latest.values()].reduce(
+      (sum, counters) => ({ views: sum.views + counters.views, forwards: sum.forwards + counters.forwards }),
+      { views: 0, forwards: 0 }
+    );
+
+    // Rows from the same collection run (the same minute) share a point
+    const minute = String(row.collected_at instanceof Date ? row.collected_at.toISOString() : row.collected_at)
+      .replace(' ', 'T')
+      .slice(0, 16);
+    const last = timeline[timeline.length - 1];
+    if (last && last.minute === minute) {
+      Object.assign(last, totals);
+    } else {
+      timeline.push({ minute, collected_at: row.collected_at, ...totals });
+    }
+  }
+
+  return timeline.map(({ minute, ...point }) => point);
+};
+
+module.exports = {
+  COLLECTION_DAYS,
+  getViewsAdapter,
+  setViewsAdapter,
+  collectTelegramViews,
+  getViewTimeline
+};
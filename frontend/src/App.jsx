@@ -7,6 +7,8 @@ import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Announcements from './pages/Announcements';
 import AnnouncementEditor from './pages/AnnouncementEditor';
+import MediaLibrary from './pages/MediaLibrary';
+import Templates from './pages/Templates';
 import Channels from './pages/Channels';
 import Campaigns from './pages/Campaigns';
 import Analytics from './pages/Analytics';
@@ -79,6 +81,8 @@ function AppRoutes() {
       {/* Marketing routes - require marketing permissions */}
       <Route path="/announcements" element={<ProtectedRoute requiredPermission="announcements"><Announcements /></ProtectedRoute>} />
       <Route path="/announcements/:id" element={<ProtectedRoute requiredPermission="announcements"><AnnouncementEditor /></ProtectedRoute>} />
+      <Route path="/media" element={<ProtectedRoute requiredPermission="announcements"><MediaLibrary /></ProtectedRoute>} />
+      <Route path="/templates" element={<ProtectedRoute requiredPermission="announcements"><Templates /></ProtectedRoute>} />
       <Route path="/channels" element={<ProtectedRoute requiredPermission="channels"><Channels /></ProtectedRoute>} />
       <Route path="/campaigns" element={<ProtectedRoute requiredPermission="campaigns"><Campaigns /></ProtectedRoute>} />
       <Route path="/analytics" element={<ProtectedRoute requiredPermission="analytics"><Analytics /></ProtectedRoute>} />
@@ -0,0 +1,201 @@
+import { Plus, Trash2, Trophy, FlaskConical } from 'lucide-react';
+import { format } from 'date-fns';
+import ButtonBuilder, { toButtonRows } from './ButtonBuilder';
+
+const VARIANT_LABELS = ['A', 'B', 'C', 'D', 'E'];
+
+export const emptyAbTest = () => ({
+  enabled: false,
+  test_share: 50,
+  window_hours: 24,
+  variants: [{ content: '', buttons: [] }],
+});
+
+// Editor state from the announcement's stored test
+export const toAbTestForm = (test) => (test ? {
+  enabled: true,
+  test_share: test.test_share,
+  window_hours: test.window_hours,
+  variants: test.variants.map(v => ({
+    content: v.content,
+    buttons: toButtonRows(v.buttons ? JSON.parse(v.buttons) : []),
+  })),
+} : emptyAbTest());
+
+const formatCtr = (ctr) => `${(ctr * 100).toFixed(1)}%`;
+
+// Plain-language readout of the two-proportion test between the leader and runner-up
+function SignificanceReadout({ results }) {
+  if (results.p_value === null || results.p_value === undefined) {
+    return <p className="text-sm text-dark-400">Not enough views and clicks yet to compare the variants.</p>;
+  }
+
+  const confidence = ((1 - results.p_value) * 100).toFixed(1);
+  return results.significant ? (
+    <p className="text-sm text-green-400">
+      Variant {results.leader} leads with {confidence}% confidence (p = {results.p_value.toFixed(3)}). The difference is significant.
+    </p>
+  ) : (
+    <p className="text-sm text-yellow-400">
+      Variant {results.leader} leads, but only with {confidence}% confidence (p = {results.p_value.toFixed(3)}).
+      The difference isn't significant yet.
+    </p>
+  );
+}
+
+// Results of a running or finished test
+function AbTestResults({ test }) {
+  const results = test.results;
+  const winner = test.status === 'completed' ? test.winner : null;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-dark-400">
+        {test.status === 'running' && `Testing until ${format(new Date(test.ends_at), 'MMM d, h:mm a')}, then the best variant goes to the remaining channels.`}
+        {test.status === 'completed' && `Variant ${winner} was sent to the remaining channels.`}
+        {test.status === 'skipped' && 'Skipped: there weren\'t enough channels to split, so everything got the original.'}
+      </p>
+
+      {results && results.variants.length > 0 && (
+        <>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-dark-500">
+                <th className="py-1">Variant</th>
+                <th className="py-1">Channels</th>
+                <th className="py-1">Views</th>
+                <th className="py-1">Clicks</th>
+                <th className="py-1">CTR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.variants.map((variant) => (
+                <tr key={variant.label} className="border-t border-dark-800 text-dark-200">
+                  <td className="py-2">
+                    {variant.label}
+                    {variant.label === (winner || results.leader) && (
+                      <Trophy className={`w-3.5 h-3.5 inline ml-1 ${winner ? 'text-yellow-400' : 'text-dark-500'}`} />
+                    )}
+                  </td>
+                  <td className="py-2">{variant.channels}</td>
+                  <td className="py-2">{variant.views}</td>
+                  <td className="py-2">{variant.clicks}</td>
+                  <td className="py-2">{formatCtr(variant.ctr)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <SignificanceReadout results={results} />
+        </>
+      )}
+    </div>
+  );
+}
+
+// Variants of the announcement to test against each other. The message above is variant A.
+export default function AbTestPanel({ value, onChange, test = null, disabled = false }) {
+  if (test && test.status !== 'draft') {
+    return <AbTestResults test={test} />;
+  }
+
+  const update = (changes) => onChange({ ...value, ...changes });
+  const updateVariant = (index, changes) => update({
+    variants: value.variants.map((v, i) => (i === index ? { ...v, ...changes } : v)),
+  });
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-center gap-2 text-sm text-dark-300">
+        <input
+          type="checkbox"
+          checked={value.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          disabled={disabled}
+        />
+        Test variants of this message before sending it everywhere
+      </label>
+
+      {value.enabled && (
+        <>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-dark-300 mb-2">Test channels</label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min={10}
+                  max={90}
+                  value={value.test_share}
+                  onChange={(e) => update({ test_share: e.target.value })}
+                  className="input"
+                  disabled={disabled}
+                />
+                <span className="text-sm text-dark-500">%</span>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-dark-300 mb-2">Test window</label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min={1}
+                  max={168}
+                  value={value.window_hours}
+                  onChange={(e) => update({ window_hours: e.target.value })}
+                  className="input"
+                  disabled={disabled}
+                />
+                <span className="text-sm text-dark-500">hours</span>
+              </div>
+            </div>
+          </div>
+          <p className="text-xs text-dark-500">
+            The test channels are split between the variants. After the window, the variant with the best
+            click-through rate is sent to the other channels. The message above is variant A.
+          </p>
+
+          {value.variants.map((variant, index) => (
+            <div key={index} className="p-3 bg-dark-800/30 rounded-lg border border-dark-800 space-y-3">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-dark-200">
+                  <FlaskConical className="w-4 h-4 inline mr-1" />
+                  Variant {VARIANT_LABELS[index + 1]}
+                </span>
+                {!disabled && value.variants.length > 1 && (
+                  <button
+                    onClick={() => update({ variants: value.variants.filter((_, i) => i !== index) })}
+                    className="p-1 text-red-400 hover:bg-red-500/10 rounded"
+                    title="Remove variant"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={variant.content}
+                onChange={(e) => updateVariant(index, { content: e.target.value })}
+                className="input min-h-[120px]"
+                placeholder={`Message for variant ${VARIANT_LABELS[index + 1]}...`}
+                disabled={disabled}
+              />
+              <ButtonBuilder
+                rows={variant.buttons}
+                onChange={(buttons) => updateVariant(index, { buttons })}
+                disabled={disabled}
+              />
+            </div>
+          ))}
+
+          {!disabled && value.variants.length < VARIANT_LABELS.length - 1 && (
+            <button
+              onClick={() => update({ variants: [...value.variants, { content: '', buttons: [] }] })}
+              className="text-sm text-brand-400 hover:text-brand-300"
+            >
+              <Plus className="w-4 h-4 inline" /> Add Variant
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
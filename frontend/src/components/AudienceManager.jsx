@@ -0,0 +1,324 @@
+import { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, Layers, Filter } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  getChannelGroups,
+  createChannelGroup,
+  updateChannelGroup,
+  deleteChannelGroup,
+  getChannelSegments,
+  createChannelSegment,
+  updateChannelSegment,
+  deleteChannelSegment,
+} from '../utils/api';
+
+const CHANNEL_TYPES = ['channel', 'group', 'supergroup', 'private'];
+
+const emptyGroup = { name: '', description: '', channel_ids: [] };
+const emptySegment = { name: '', description: '', channel_types: [], min_members: '', max_members: '', tag: '' };
+
+// Plain-language summary of a segment's rules
+export const describeSegment = (segment) => {
+  const types = segment.channel_types ? JSON.parse(segment.channel_types) : [];
+  const rules = [];
+  if (types.length > 0) rules.push(types.join(' or '));
+  if (segment.min_members !== null && segment.max_members !== null) {
+    rules.push(`${segment.min_members}–${segment.max_members} members`);
+  } else if (segment.min_members !== null) {
+    rules.push(`${segment.min_members}+ members`);
+  } else if (segment.max_members !== null) {
+    rules.push(`up to ${segment.max_members} members`);
+  }
+  if (segment.tag) rules.push(`tagged "${segment.tag}"`);
+  return rules.join(', ');
+};
+
+// Named channel groups and rule-based segments that announcements can target
+export default function AudienceManager({ channels }) {
+  const [groups, setGroups] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [modal, setModal] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [groupForm, setGroupForm] = useState(emptyGroup);
+  const [segmentForm, setSegmentForm] = useState(emptySegment);
+
+  useEffect(() => {
+    loadAudiences();
+  }, [channels]);
+
+  const loadAudiences = async () => {
+    try {
+      const [groupsRes, segmentsRes] = await Promise.all([getChannelGroups(), getChannelSegments()]);
+      setGroups(groupsRes.data.groups);
+      setSegments(segmentsRes.data.segments);
+    } catch (error) {
+      toast.error('Failed to load groups and segments');
+    }
+  };
+
+  const closeModal = () => {
+    setModal(null);
+    setEditingId(null);
+    setGroupForm(emptyGroup);
+    setSegmentForm(emptySegment);
+  };
+
+  const openGroup = (group = null) => {
+    setEditingId(group?.id || null);
+    setGroupForm(group
+      ? { name: group.name, description: group.description || '', channel_ids: group.channel_ids }
+      : emptyGroup);
+    setModal('group');
+  };
+
+  const openSegment = (segment = null) => {
+    setEditingId(segment?.id || null);
+    setSegmentForm(segment ? {
+      name: segment.name,
+      description: segment.description || '',
+      channel_types: segment.channel_types ? JSON.parse(segment.channel_types) : [],
+      min_members: segment.min_members ?? '',
+      max_members: segment.max_members ?? '',
+      tag: segment.tag || '',
+    } : emptySegment);
+    setModal('segment');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (modal === 'group') {
+        await (editingId ? updateChannelGroup(editingId, groupForm) : createChannelGroup(groupForm));
+        toast.success(editingId ? 'Group updated' : 'Group created');
+      } else {
+        await (editingId ? updateChannelSegment(editingId, segmentForm) : createChannelSegment(segmentForm));
+        toast.success(editingId ? 'Segment updated' : 'Segment created');
+      }
+      closeModal();
+      loadAudiences();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save');
+    }
+  };
+
+  const handleDelete = async (kind, item) => {
+    if (!confirm(`Delete the ${kind} "${item.name}"?`)) return;
+    try {
+      await (kind === 'group' ? deleteChannelGroup(item.id) : deleteChannelSegment(item.id));
+      toast.success(kind === 'group' ? 'Group deleted' : 'Segment deleted');
+      loadAudiences();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete');
+    }
+  };
+
+  const toggleListItem = (list, item) => (list.includes(item) ? list.filter(i => i !== item) : [...list, item]);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      {/* Groups */}
+      <div className="card p-5">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-medium text-slate-800 dark:text-white flex items-center gap-2">
+            <Layers className="w-4 h-4 text-brand-400" />
+            Channel Groups
+          </h2>
+          <button onClick={() => openGroup()} className="btn btn-secondary text-sm">
+            <Plus className="w-4 h-4" />
+            New Group
+          </button>
+        </div>
+        {groups.length === 0 ? (
+          <p className="text-sm text-dark-500">Group channels you often send to together, like "EU groups".</p>
+        ) : (
+          <div className="space-y-2">
+            {groups.map((group) => (
+              <div key={group.id} className="flex items-center justify-between gap-2 p-3 bg-dark-800/50 rounded-lg">
+                <div className="min-w-0">
+                  <p className="text-sm text-dark-100 truncate">{group.name}</p>
+                  <p className="text-xs text-dark-500 truncate">
+                    {group.channel_ids.length} channel{group.channel_ids.length !== 1 ? 's' : ''}
+                    {group.description && ` · ${group.description}`}
+                  </p>
+                </div>
+                <div className="flex shrink-0">
+                  <button onClick={() => openGroup(group)} className="p-1.5 hover:bg-dark-700 rounded text-dark-400" title="Edit">
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDelete('group', group)} className="p-1.5 hover:bg-dark-700 rounded text-red-400" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Segments */}
+      <div className="card p-5">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-medium text-slate-800 dark:text-white flex items-center gap-2">
+            <Filter className="w-4 h-4 text-brand-400" />
+            Segments
+          </h2>
+          <button onClick={() => openSegment()} className="btn btn-secondary text-sm">
+            <Plus className="w-4 h-4" />
+            New Segment
+          </button>
+        </div>
+        {segments.length === 0 ? (
+          <p className="text-sm text-dark-500">
+            Segments pick channels by type, member count or tag when an announcement is sent.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {segments.map((segment) => (
+              <div key={segment.id} className="flex items-center justify-between gap-2 p-3 bg-dark-800/50 rounded-lg">
+                <div className="min-w-0">
+                  <p className="text-sm text-dark-100 truncate">{segment.name}</p>
+                  <p className="text-xs text-dark-500 truncate">
+                    {describeSegment(segment)} · matches {segment.channel_ids.length} now
+                  </p>
+                </div>
+                <div className="flex shrink-0">
+                  <button onClick={() => openSegment(segment)} className="p-1.5 hover:bg-dark-700 rounded text-dark-400" title="Edit">
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDelete('segment', segment)} className="p-1.5 hover:bg-dark-700 rounded text-red-400" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Group / segment modal */}
+      {modal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="card p-6 w-full max-w-md animate-slide-up">
+            <h2 className="text-xl font-semibold text-slate-800 dark:text-white mb-4">
+              {editingId ? 'Edit' : 'New'} {modal === 'group' ? 'Group' : 'Segment'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={modal === 'group' ? groupForm.name : segmentForm.name}
+                  onChange={(e) => (modal === 'group'
+                    ? setGroupForm(prev => ({ ...prev, name: e.target.value }))
+                    : setSegmentForm(prev => ({ ...prev, name: e.target.value })))}
+                  className="input"
+                  placeholder={modal === 'group' ? 'EU groups' : 'VIP chats'}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">Description (optional)</label>
+                <input
+                  type="text"
+                  value={modal === 'group' ? groupForm.description : segmentForm.description}
+                  onChange={(e) => (modal === 'group'
+                    ? setGroupForm(prev => ({ ...prev, description: e.target.value }))
+                    : setSegmentForm(prev => ({ ...prev, description: e.target.value })))}
+                  className="input"
+                />
+              </div>
+
+              {modal === 'group' ? (
+                <div>
+                  <label className="block text-sm font-medium text-dark-300 mb-2">Channels</label>
+                  <div className="space-y-1 max-h-56 overflow-y-auto">
+                    {channels.map((channel) => (
+                      <label key={channel.id} className="flex items-center gap-2 p-2 rounded hover:bg-dark-800 text-sm text-dark-200">
+                        <input
+                          type="checkbox"
+                          checked={groupForm.channel_ids.includes(channel.id)}
+                          onChange={() => setGroupForm(prev => ({
+                            ...prev,
+                            channel_ids: toggleListItem(prev.channel_ids, channel.id),
+                          }))}
+                        />
+                        <span className="truncate">{channel.title}</span>
+                        {!channel.is_active && <span className="text-xs text-dark-500">(inactive)</span>}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-dark-300 mb-2">Channel types</label>
+                    <div className="flex flex-wrap gap-3">
+                      {CHANNEL_TYPES.map((type) => (
+                        <label key={type} className="flex items-center gap-2 text-sm text-dark-200">
+                          <input
+                            type="checkbox"
+                            checked={segmentForm.channel_types.includes(type)}
+                            onChange={() => setSegmentForm(prev => ({
+                              ...prev,
+                              channel_types: toggleListItem(prev.channel_types, type),
+                            }))}
+                          />
+                          {type}
+                        </label>
+                      ))}
+                    </div>
+                    <p className="text-xs text-dark-500 mt-1">Leave all unchecked to match any type</p>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-dark-300 mb-2">Min members</label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={segmentForm.min_members}
+                        onChange={(e) => setSegmentForm(prev => ({ ...prev, min_members: e.target.value }))}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-dark-300 mb-2">Max members</label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={segmentForm.max_members}
+                        onChange={(e) => setSegmentForm(prev => ({ ...prev, max_members: e.target.value }))}
+                        className="input"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-dark-300 mb-2">Tag</label>
+                    <input
+                      type="text"
+                      value={segmentForm.tag}
+                      onChange={(e) => setSegmentForm(prev => ({ ...prev, tag: e.target.value }))}
+                      className="input"
+                      placeholder="vip"
+                    />
+                  </div>
+                  <p className="text-xs text-dark-500">
+                    Active channels matching every rule are picked when an announcement is sent.
+                  </p>
+                </>
+              )}
+
+              <div className="flex gap-3 pt-2">
+                <button type="button" onClick={closeModal} className="btn btn-secondary flex-1">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary flex-1">
+                  {editingId ? 'Save' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { Layers, Filter } from 'lucide-react';
+import { describeSegment } from './AudienceManager';
+
+// Groups and segments to send an announcement to, next to its own channels.
+// They resolve to channels when the announcement is sent.
+export default function AudiencePicker({ groups, segments, groupIds, segmentIds, onChange, disabled = false }) {
+  if (groups.length === 0 && segments.length === 0) return null;
+
+  const toggle = (list, id) => (list.includes(id) ? list.filter(i => i !== id) : [...list, id]);
+
+  const option = (key, selected, onToggle, Icon, name, detail) => (
+    <label
+      key={key}
+      className={`flex items-center gap-3 p-3 rounded-lg cursor-pointer transition-colors ${
+        selected ? 'bg-brand-500/10 border border-brand-500/30' : 'bg-dark-800/50 hover:bg-dark-800'
+      } ${disabled ? 'pointer-events-none opacity-60' : ''}`}
+    >
+      <input type="checkbox" checked={selected} onChange={onToggle} className="sr-only" disabled={disabled} />
+      <Icon className={`w-4 h-4 shrink-0 ${selected ? 'text-brand-400' : 'text-dark-500'}`} />
+      <div className="flex-1 min-w-0">
+        <p className="text-sm text-dark-100 truncate">{name}</p>
+        <p className="text-xs text-dark-500 truncate">{detail}</p>
+      </div>
+    </label>
+  );
+
+  return (
+    <div className="space-y-2 mb-4">
+      {groups.map((group) => option(
+        `group-${group.id}`,
+        groupIds.includes(group.id),
+        () => onChange({ group_ids: toggle(groupIds, group.id), segment_ids: segmentIds }),
+        Layers,
+        group.name,
+        `Group · ${group.channel_ids.length} channel${group.channel_ids.length !== 1 ? 's' : ''}`
+      ))}
+      {segments.map((segment) => option(
+        `segment-${segment.id}`,
+        segmentIds.includes(segment.id),
+        () => onChange({ group_ids: groupIds, segment_ids: toggle(segmentIds, segment.id) }),
+        Filter,
+        segment.name,
+        `Segment · ${describeSegment(segment)} · ${segment.channel_ids.length} now`
+      ))}
+      <p className="text-xs text-dark-500">Groups and segments are resolved to channels when it's sent.</p>
+    </div>
+  );
+}
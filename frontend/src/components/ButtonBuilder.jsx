@@ -0,0 +1,185 @@
+import { Plus, Trash2, ChevronUp, ChevronDown, ChevronLeft, ChevronRight } from 'lucide-react';
+
+// Telegram's keyboard limits
+const MAX_BUTTONS_PER_ROW = 8;
+const MAX_BUTTONS = 100;
+const CALLBACK_ANSWER_LIMIT = 200;
+
+const emptyButton = () => ({ text: '', url: '' });
+
+// Rows of buttons from an announcement. Older announcements have a flat list, one button per row.
+export const toButtonRows = (buttons) => {
+  if (!Array.isArray(buttons)) return [];
+  return buttons
+    .map(row => (Array.isArray(row) ? row : [row]))
+    .filter(row => row.length > 0);
+};
+
+const move = (list, index, offset) => {
+  const next = [...list];
+  const [item] = next.splice(index, 1);
+  next.splice(index + offset, 0, item);
+  return next;
+};
+
+// Inline keyboard editor: rows of link buttons and callback buttons that
+// answer with a toast or an alert.
+export default function ButtonBuilder({ rows, onChange, disabled = false }) {
+  const total = rows.reduce((sum, row) => sum + row.length, 0);
+  const canAdd = !disabled && total < MAX_BUTTONS;
+
+  const updateRow = (rowIndex, row) => {
+    onChange(rows
+      .map((r, i) => (i === rowIndex ? row : r))
+      .filter(r => r.length > 0));
+  };
+
+  const updateButton = (rowIndex, index, changes) => {
+    updateRow(rowIndex, rows[rowIndex].map((btn, i) => (i === index ? { ...btn, ...changes } : btn)));
+  };
+
+  const setType = (rowIndex, index, type) => {
+    const { text } = rows[rowIndex][index];
+    updateButton(rowIndex, index, type === 'callback'
+      ? { text, type: 'callback', answer: '', show_alert: false, url: undefined }
+      : { text, type: undefined, url: '', answer: undefined, show_alert: undefined });
+  };
+
+  return (
+    <div className="space-y-3">
+      {rows.map((row, rowIndex) => (
+        <div key={rowIndex} className="p-2 bg-dark-800/30 rounded-lg border border-dark-800">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs text-dark-500">Row {rowIndex + 1}</span>
+            {!disabled && (
+              <div className="flex items-center gap-1">
+                {row.length < MAX_BUTTONS_PER_ROW && canAdd && (
+                  <button
+                    onClick={() => updateRow(rowIndex, [...row, emptyButton()])}
+                    className="text-xs text-brand-400 hover:text-brand-300 mr-2"
+                  >
+                    <Plus className="w-3 h-3 inline" /> Button
+                  </button>
+                )}
+                <button
+                  onClick={() => onChange(move(rows, rowIndex, -1))}
+                  disabled={rowIndex === 0}
+                  className="p-1 text-dark-400 hover:bg-dark-700 rounded disabled:opacity-30"
+                  title="Move row up"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => onChange(move(rows, rowIndex, 1))}
+                  disabled={rowIndex === rows.length - 1}
+                  className="p-1 text-dark-400 hover:bg-dark-700 rounded disabled:opacity-30"
+                  title="Move row down"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {row.map((btn, idx) => {
+              const callback = btn.type === 'callback';
+              return (
+                <div key={idx} className="p-2 bg-dark-800/50 rounded-lg space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={btn.text}
+                      onChange={(e) => updateButton(rowIndex, idx, { text: e.target.value })}
+                      className="input flex-1"
+                      placeholder="Button text"
+                      disabled={disabled}
+                    />
+                    <select
+                      value={callback ? 'callback' : 'url'}
+                      onChange={(e) => setType(rowIndex, idx, e.target.value)}
+                      className="input w-28"
+                      disabled={disabled}
+                    >
+                      <option value="url">Link</option>
+                      <option value="callback">Callback</option>
+                    </select>
+                  </div>
+
+                  {callback ? (
+                    <>
+                      <input
+                        type="text"
+                        value={btn.answer || ''}
+                        onChange={(e) => updateButton(rowIndex, idx, { answer: e.target.value })}
+                        className="input"
+                        placeholder="Reply shown on tap (default: Thanks for your interest!)"
+                        maxLength={CALLBACK_ANSWER_LIMIT}
+                        disabled={disabled}
+                      />
+                      <label className="flex items-center gap-2 text-xs text-dark-400">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(btn.show_alert)}
+                          onChange={(e) => updateButton(rowIndex, idx, { show_alert: e.target.checked })}
+                          disabled={disabled}
+                        />
+                        Show as an alert instead of a toast
+                      </label>
+                    </>
+                  ) : (
+                    <input
+                      type="url"
+                      value={btn.url || ''}
+                      onChange={(e) => updateButton(rowIndex, idx, { url: e.target.value })}
+                      className="input"
+                      placeholder="https://..."
+                      disabled={disabled}
+                    />
+                  )}
+
+                  {!disabled && (
+                    <div className="flex items-center justify-end gap-1">
+                      <button
+                        onClick={() => updateRow(rowIndex, move(row, idx, -1))}
+                        disabled={idx === 0}
+                        className="p-1 text-dark-400 hover:bg-dark-700 rounded disabled:opacity-30"
+                        title="Move left"
+                      >
+                        <ChevronLeft className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => updateRow(rowIndex, move(row, idx, 1))}
+                        disabled={idx === row.length - 1}
+                        className="p-1 text-dark-400 hover:bg-dark-700 rounded disabled:opacity-30"
+                        title="Move right"
+                      >
+                        <ChevronRight className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => updateRow(rowIndex, row.filter((_, i) => i !== idx))}
+                        className="p-1 text-red-400 hover:bg-red-500/10 rounded"
+                        title="Remove button"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      {canAdd && (
+        <button
+          onClick={() => onChange([...rows, [emptyButton()]])}
+          className="text-sm text-brand-400 hover:text-brand-300"
+        >
+          <Plus className="w-4 h-4 inline" /> Add Row
+        </button>
+      )}
+    </div>
+  );
+}
@@ -26,12 +26,16 @@ import {
   UserCircle,
   Ticket,
   ScrollText,
-  Volume2
+  Volume2,
+  Image,
+  LayoutTemplate
 } from 'lucide-react';
 
 // Marketing menu items (with feature keys for permission filtering)
 const marketingNavigation = [
   { name: 'Announcements', href: '/announcements', icon: Megaphone, feature: 'announcements' },
+  { name: 'Media Library', href: '/media', icon: Image, feature: 'announcements' },
+  { name: 'Templates', href: '/templates', icon: LayoutTemplate, feature: 'announcements' },
   { name: 'Channels', href: '/channels', icon: Radio, feature: 'channels' },
   { name: 'Campaigns', href: '/campaigns', icon: FolderKanban, feature: 'campaigns' },
   { name: 'Analytics', href: '/analytics', icon: BarChart3, feature: 'analytics' },
@@ -0,0 +1,282 @@
+import { useRef, useState } from 'react';
+import { Image, Film, FileText, Upload, Plus, Trash2, ChevronUp, ChevronDown, RefreshCw, FolderOpen, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { uploadMedia, getMediaLibrary } from '../utils/api';
+
+const MAX_ALBUM_SIZE = 10;
+
+const MEDIA_TYPES = [
+  { value: 'photo', label: 'Photo', icon: Image },
+  { value: 'video', label: 'Video', icon: Film },
+  { value: 'animation', label: 'GIF', icon: Film },
+  { value: 'document', label: 'Document', icon: FileText },
+];
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const toAttachment = (asset) => ({
+  asset_id: asset.asset_id,
+  type: asset.type,
+  url: asset.url,
+  thumbnail_url: asset.thumbnail_url,
+  file_name: asset.file_name,
+  mime_type: asset.mime_type,
+  file_size: asset.file_size,
+});
+
+// Attachments of an announcement: library files or URLs, sent as an album when there are several.
+// replaceOnly is for live messages, where a single attachment can only be swapped.
+export default function MediaAttachments({ media, onChange, disabled = false, replaceOnly = false }) {
+  const fileInput = useRef(null);
+  const replaceIndex = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [url, setUrl] = useState('');
+  const [library, setLibrary] = useState(null);
+
+  const canAdd = !disabled && !replaceOnly && media.length < MAX_ALBUM_SIZE;
+
+  const uploadFiles = async (files) => {
+    setUploading(true);
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        const { data } = await uploadMedia(file);
+        if (data.duplicate) {
+          toast(`${file.name} is already in the library, reusing it`);
+        }
+        uploaded.push(toAttachment(data.media));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+    return uploaded;
+  };
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    if (replaceIndex.current !== null) {
+      const index = replaceIndex.current;
+      replaceIndex.current = null;
+      const [item] = await uploadFiles(files.slice(0, 1));
+      if (item) {
+        onChange(media.map((m, i) => (i === index ? item : m)));
+      }
+      return;
+    }
+
+    const room = MAX_ALBUM_SIZE - media.length;
+    if (files.length > room) {
+      toast.error(`An album can have at most ${MAX_ALBUM_SIZE} attachments`);
+    }
+    const uploaded = await uploadFiles(files.slice(0, room));
+    if (uploaded.length > 0) {
+      onChange([...media, ...uploaded]);
+    }
+  };
+
+  const addUrl = () => {
+    if (!/^https?:\/\//.test(url)) {
+      toast.error('Enter an http(s) URL');
+      return;
+    }
+    const type = /\.gif$/i.test(url) ? 'animation'
+      : /\.(mp4|mov|webm)$/i.test(url) ? 'video'
+      : /\.(pdf|zip|docx?|xlsx?|csv|txt)$/i.test(url) ? 'document'
+      : 'photo';
+    onChange([...media, { type, url, file_name: null }]);
+    setUrl('');
+  };
+
+  const updateItem = (index, field, value) => {
+    onChange(media.map((m, i) => (i === index ? { ...m, [field]: value } : m)));
+  };
+
+  const moveItem = (index, offset) => {
+    const next = [...media];
+    const [item] = next.splice(index, 1);
+    next.splice(index + offset, 0, item);
+    onChange(next);
+  };
+
+  const removeItem = (index) => {
+    onChange(media.filter((_, i) => i !== index));
+  };
+
+  const pickReplacement = (index) => {
+    replaceIndex.current = index;
+    fileInput.current?.click();
+  };
+
+  const openLibrary = async () => {
+    try {
+      const { data } = await getMediaLibrary();
+      setLibrary(data.assets);
+    } catch (error) {
+      toast.error('Failed to load media library');
+    }
+  };
+
+  const addFromLibrary = (asset) => {
+    onChange([...media, toAttachment(asset)]);
+    setLibrary(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <input
+        ref={fileInput}
+        type="file"
+        multiple={!replaceOnly}
+        accept="image/jpeg,image/png,image/webp,image/gif,video/mp4,video/quicktime,application/pdf"
+        onChange={handleFiles}
+        className="hidden"
+      />
+
+      {media.map((item, idx) => {
+        const TypeIcon = MEDIA_TYPES.find(t => t.value === item.type)?.icon || Image;
+        return (
+          <div key={`${item.url}-${idx}`} className="flex items-center gap-2 p-2 bg-dark-800/50 rounded-lg">
+            {item.thumbnail_url || item.type === 'photo' ? (
+              <img src={item.thumbnail_url || item.url} alt="" className="w-12 h-12 object-cover rounded" />
+            ) : (
+              <div className="w-12 h-12 flex items-center justify-center bg-dark-700 rounded">
+                <TypeIcon className="w-5 h-5 text-dark-400" />
+              </div>
+            )}
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-dark-200 truncate">{item.file_name || item.url}</p>
+              {item.file_size && <p className="text-xs text-dark-500">{formatSize(item.file_size)}</p>}
+            </div>
+            <select
+              value={item.type}
+              onChange={(e) => updateItem(idx, 'type', e.target.value)}
+              className="input w-32"
+              disabled={disabled}
+            >
+              {MEDIA_TYPES.map(t => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </select>
+            {replaceOnly && !disabled && (
+              <button
+                onClick={() => pickReplacement(idx)}
+                disabled={uploading}
+                className="p-2 text-dark-400 hover:bg-dark-700 rounded-lg"
+                title="Replace"
+              >
+                <RefreshCw className="w-4 h-4" />
+              </button>
+            )}
+            {!replaceOnly && !disabled && (
+              <>
+                <button
+                  onClick={() => moveItem(idx, -1)}
+                  disabled={idx === 0}
+                  className="p-1 text-dark-400 hover:bg-dark-700 rounded disabled:opacity-30"
+                  title="Move up"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => moveItem(idx, 1)}
+                  disabled={idx === media.length - 1}
+                  className="p-1 text-dark-400 hover:bg-dark-700 rounded disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => removeItem(idx)}
+                  className="p-2 text-red-400 hover:bg-red-500/10 rounded-lg"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </>
+            )}
+          </div>
+        );
+      })}
+
+      {canAdd && (
+        <div className="flex gap-2">
+          <button
+            onClick={() => fileInput.current?.click()}
+            disabled={uploading}
+            className="btn btn-secondary"
+          >
+            <Upload className="w-4 h-4" />
+            {uploading ? 'Uploading...' : 'Upload'}
+          </button>
+          <button onClick={openLibrary} className="btn btn-secondary">
+            <FolderOpen className="w-4 h-4" />
+            Library
+          </button>
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addUrl()}
+            className="input flex-1"
+            placeholder="or add by URL: https://example.com/image.jpg"
+          />
+          <button onClick={addUrl} disabled={!url} className="btn btn-secondary">
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {library && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="card p-6 w-full max-w-2xl animate-slide-up">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-slate-800 dark:text-white">Media Library</h2>
+              <button onClick={() => setLibrary(null)} className="p-1 text-dark-400 hover:text-dark-100">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            {library.length === 0 ? (
+              <p className="text-sm text-dark-500">The library is empty, upload a file first</p>
+            ) : (
+              <div className="grid grid-cols-3 md:grid-cols-4 gap-3 max-h-[60vh] overflow-y-auto">
+                {library.map((asset) => {
+                  const TypeIcon = MEDIA_TYPES.find(t => t.value === asset.type)?.icon || FileText;
+                  return (
+                    <button
+                      key={asset.id}
+                      onClick={() => addFromLibrary(asset)}
+                      className="p-2 rounded-lg text-left hover:bg-dark-800"
+                    >
+                      {asset.thumbnail_url ? (
+                        <img src={asset.thumbnail_url} alt="" className="w-full h-24 object-cover rounded" />
+                      ) : (
+                        <div className="w-full h-24 flex items-center justify-center bg-dark-800 rounded">
+                          <TypeIcon className="w-6 h-6 text-dark-500" />
+                        </div>
+                      )}
+                      <p className="text-xs text-dark-300 truncate mt-1">{asset.file_name}</p>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {media.length > 1 && (
+        <p className="text-xs text-dark-500">
+          Sent as an album of {media.length}. The message becomes the caption of the first item; buttons aren't allowed on albums.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Bell, Check, CheckCheck, Trash2, AlertTriangle, Ticket, UserPlus, Info } from 'lucide-react';
+import { Bell, Check, CheckCheck, Trash2, AlertTriangle, Ticket, UserPlus, Info, ClipboardCheck } from 'lucide-react';
 import { getNotifications, getNotificationCount, markNotificationRead, markAllNotificationsRead, clearAllNotifications } from '../utils/api';
 import { formatDistanceToNow } from 'date-fns';
 
@@ -30,6 +30,11 @@ const NOTIFICATION_TYPES = {
     icon: Info,
     color: 'text-slate-400',
     bgColor: 'bg-slate-500/20'
+  },
+  announcement_review: {
+    icon: ClipboardCheck,
+    color: 'text-purple-400',
+    bgColor: 'bg-purple-500/20'
   }
 };
 
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { CheckCircle, MessageSquare, RotateCcw, Send, ShieldCheck } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import { reviewAnnouncement } from '../utils/api';
+
+const REVIEW_LABELS = {
+  submitted: { label: 'submitted for review', icon: Send, color: 'text-blue-400' },
+  comment: { label: 'commented', icon: MessageSquare, color: 'text-dark-400' },
+  approved: { label: 'approved', icon: CheckCircle, color: 'text-green-400' },
+  changes_requested: { label: 'requested changes', icon: RotateCcw, color: 'text-yellow-400' },
+};
+
+// Approval state, review history and reviewer actions for an announcement
+export default function ReviewPanel({ announcement, reviews, onChange }) {
+  const { user } = useAuth();
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isApprover = user?.role === 'admin' || Number(user?.is_approver) === 1;
+  const inReview = announcement.status === 'in_review';
+  const ownAnnouncement = announcement.created_by === user?.id;
+
+  const handleReview = async (action) => {
+    if (action !== 'approve' && !comment.trim()) {
+      toast.error(action === 'request_changes' ? 'Say what needs to change' : 'Write a comment first');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { data } = await reviewAnnouncement(announcement.id, { action, comment });
+      toast.success(data.message);
+      setComment('');
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to submit review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {announcement.approved_at ? (
+        <p className="flex items-center gap-2 text-sm text-green-400">
+          <ShieldCheck className="w-4 h-4" />
+          Approved by {announcement.approved_by_name || 'an admin'} on{' '}
+          {format(new Date(announcement.approved_at), 'MMM d, h:mm a')}
+        </p>
+      ) : (
+        <p className="text-sm text-dark-400">
+          {inReview
+            ? 'Waiting for an approver. Editing the message sends it back to draft.'
+            : 'Submit this announcement for review before it can be sent or scheduled.'}
+        </p>
+      )}
+
+      {reviews.length > 0 && (
+        <div className="space-y-3 max-h-64 overflow-y-auto">
+          {reviews.map((review) => {
+            const config = REVIEW_LABELS[review.action] || REVIEW_LABELS.comment;
+            const Icon = config.icon;
+            return (
+              <div key={review.id} className="flex gap-2">
+                <Icon className={`w-4 h-4 mt-0.5 shrink-0 ${config.color}`} />
+                <div className="min-w-0">
+                  <p className="text-sm text-dark-200">
+                    <span className="font-medium">{review.user_name || 'Deleted user'}</span> {config.label}
+                  </p>
+                  {review.comment && (
+                    <p className="text-sm text-dark-400 whitespace-pre-wrap break-words">{review.comment}</p>
+                  )}
+                  <p className="text-xs text-dark-500">
+                    {format(new Date(review.created_at), 'MMM d, h:mm a')}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Add a review comment..."
+        className="input min-h-[80px] resize-none"
+      />
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => handleReview('comment')}
+          disabled={submitting}
+          className="btn btn-secondary text-sm"
+        >
+          <MessageSquare className="w-4 h-4" />
+          Comment
+        </button>
+        {isApprover && inReview && (
+          <>
+            <button
+              onClick={() => handleReview('request_changes')}
+              disabled={submitting}
+              className="btn btn-secondary text-sm text-yellow-400"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Request Changes
+            </button>
+            {(user?.role === 'admin' || !ownAnnouncement) && (
+              <button
+                onClick={() => handleReview('approve')}
+                disabled={submitting}
+                className="btn btn-primary text-sm"
+              >
+                <CheckCircle className="w-4 h-4" />
+                Approve
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
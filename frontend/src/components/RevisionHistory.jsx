@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { History, RotateCcw } from 'lucide-react';
+import { format } from 'date-fns';
+import { diffWords, hasChanges } from '../utils/diff';
+
+const ACTION_LABELS = {
+  created: 'Created',
+  saved: 'Saved',
+  published: 'Published',
+  edited: 'Edited live',
+  unsent: 'Unsent',
+};
+
+const FIELD_LABELS = {
+  title: 'title',
+  content: 'message',
+  media: 'attachments',
+  buttons: 'buttons',
+  translations: 'translations',
+  variables: 'variables',
+  channels: 'channels',
+  ab_test: 'A/B test',
+  campaign: 'campaign',
+  link_preview: 'link preview',
+  protect_content: 'content protection',
+  silent: 'silent send',
+  pin: 'pinning',
+  expiry: 'expiry',
+  recurrence: 'recurrence',
+};
+
+const PART_STYLES = {
+  same: 'text-dark-400',
+  added: 'bg-green-500/20 text-green-300',
+  removed: 'bg-red-500/20 text-red-300 line-through',
+};
+
+const parseButtons = (buttons) => {
+  try {
+    return buttons ? JSON.parse(buttons) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// One line per button row
+const buttonsText = (buttons) => parseButtons(buttons)
+  .map(row => (Array.isArray(row) ? row : [row])
+    .map(btn => (btn.url ? `${btn.text} (${btn.url})` : btn.text))
+    .join(' | '))
+  .join('\n');
+
+const mediaText = (revision) => (revision.media
+  ? revision.media.map(item => `${item.type}: ${item.file_name || item.url}`).join('\n')
+  : revision.image_url ? `photo: ${revision.image_url}` : '');
+
+const variablesText = (revision) => Object.entries(revision.template_variables || {})
+  .map(([name, value]) => `{{${name}}} = ${value}`)
+  .join('\n');
+
+const translationText = (translation) => (translation
+  ? [translation.content, buttonsText(translation.buttons), translation.image_url].filter(Boolean).join('\n')
+  : '');
+
+// The parts of a revision worth comparing, as { label: text }
+const revisionTexts = (revision) => {
+  const texts = {
+    Title: revision.title || '',
+    Message: revision.content || '',
+    Attachments: mediaText(revision),
+    Buttons: buttonsText(revision.buttons),
+    Variables: variablesText(revision),
+  };
+  for (const translation of revision.translations || []) {
+    texts[`Translation (${translation.locale})`] = translationText(translation);
+  }
+  return texts;
+};
+
+// What changed from the previous revision, or the whole revision when it's the first
+const getDiffs = (revision, previous) => {
+  const after = revisionTexts(revision);
+  const before = previous ? revisionTexts(previous) : after;
+  const labels = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+
+  return labels
+    .map(label => ({ label, parts: diffWords(before[label] || '', after[label] || '') }))
+    .filter(({ parts }) => (previous ? hasChanges(parts) : parts.length > 0));
+};
+
+function Diff({ parts }) {
+  return (
+    <p className="text-xs whitespace-pre-wrap break-words">
+      {parts.map((part, i) => (
+        <span key={i} className={PART_STYLES[part.type]}>{part.text}</span>
+      ))}
+    </p>
+  );
+}
+
+// Every save, publish and live edit of the announcement, with what changed since
+// the one before and a way to restore it in the editor
+export default function RevisionHistory({ revisions, onRestore, canRestore = false }) {
+  const [expanded, setExpanded] = useState(null);
+
+  const findRevision = (revisionId) => revisions.find(r => r.id === revisionId);
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-sm font-medium text-dark-300 mb-3">
+        <History className="w-4 h-4 inline mr-1" />
+        Revision History
+      </h3>
+      <div className="space-y-2">
+        {revisions.map((revision, index) => {
+          const previous = revisions[index + 1] || null;
+          const channelResults = revision.details?.channels || [];
+          const failed = channelResults.filter(r => !r.success);
+          const changed = revision.details?.changed;
+          const restoredFrom = revision.details?.restored_from && findRevision(revision.details.restored_from);
+          const isExpanded = expanded === revision.id;
+          const diffs = isExpanded ? getDiffs(revision, previous) : [];
+
+          return (
+            <div key={revision.id} className="p-2 bg-dark-800/50 rounded">
+              <button
+                onClick={() => setExpanded(isExpanded ? null : revision.id)}
+                className="w-full flex items-center justify-between gap-2 text-left"
+              >
+                <span className={`text-sm ${revision.action === 'unsent' ? 'text-red-400' : 'text-dark-200'}`}>
+                  {ACTION_LABELS[revision.action] || revision.action}
+                </span>
+                <span className="text-xs text-dark-500 shrink-0">
+                  {format(new Date(revision.created_at), 'MMM d, h:mm a')}
+                </span>
+              </button>
+              {revision.created_by_name && (
+                <p className="text-xs text-dark-500">by {revision.created_by_name}</p>
+              )}
+              {changed && (
+                <p className="text-xs text-dark-500">
+                  {changed.length > 0
+                    ? `Changed ${changed.map(field => FIELD_LABELS[field] || field).join(', ')}`
+                    : 'No changes to the message'}
+                </p>
+              )}
+              {restoredFrom && (
+                <p className="text-xs text-brand-400">
+                  Restored the version from {format(new Date(restoredFrom.created_at), 'MMM d, h:mm a')}
+                </p>
+              )}
+              {failed.length > 0 && (
+                <p className="text-xs text-yellow-400">
+                  Failed in {failed.map(r => r.channel_title).join(', ')}
+                </p>
+              )}
+              {isExpanded && (
+                <div className="mt-2 space-y-2 border-t border-dark-700 pt-2">
+                  {diffs.length === 0 ? (
+                    <p className="text-xs text-dark-500">Same message as the revision before</p>
+                  ) : diffs.map(({ label, parts }) => (
+                    <div key={label}>
+                      <p className="text-xs text-dark-300 font-medium">{label}</p>
+                      <Diff parts={parts} />
+                    </div>
+                  ))}
+                  {failed.map((r) => (
+                    <p key={r.channel_id} className="text-xs text-red-400 break-words">
+                      {r.channel_title}: {r.error}
+                    </p>
+                  ))}
+                  {canRestore && index > 0 && (
+                    <button onClick={() => onRestore(revision)} className="btn btn-secondary w-full text-xs">
+                      <RotateCcw className="w-3 h-3" />
+                      Restore This Version
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
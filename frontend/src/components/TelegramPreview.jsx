@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { Film, FileText, ExternalLink, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { previewAnnouncement } from '../utils/api';
+
+// How long to wait after the last edit before asking for a new preview
+const PREVIEW_DELAY = 500;
+
+const DEFAULT_CALLBACK_ANSWER = 'Thanks for your interest!';
+
+// Telegram-only tags rendered the way the app shows them
+const MESSAGE_STYLES = [
+  'whitespace-pre-wrap break-words text-sm text-slate-800 dark:text-slate-100',
+  '[&_a]:text-sky-500 [&_a]:underline',
+  '[&_blockquote]:border-l-2 [&_blockquote]:border-sky-500 [&_blockquote]:pl-2 [&_blockquote]:my-1',
+  '[&_code]:font-mono [&_code]:text-xs [&_pre]:font-mono [&_pre]:text-xs',
+  '[&_pre]:bg-black/10 [&_pre]:rounded [&_pre]:p-2 [&_pre]:my-1 [&_pre]:whitespace-pre',
+  '[&_pre]:overflow-x-auto [&_tg-spoiler]:bg-slate-400 [&_tg-spoiler]:text-transparent',
+  '[&_tg-spoiler:hover]:bg-transparent [&_tg-spoiler:hover]:text-inherit',
+].join(' ');
+
+function PreviewMedia({ item, className }) {
+  if (item.type === 'document') {
+    return (
+      <div className="flex items-center gap-2 p-2">
+        <div className="w-10 h-10 rounded-full bg-sky-500 flex items-center justify-center">
+          <FileText className="w-5 h-5 text-white" />
+        </div>
+        <span className="text-sm text-slate-800 dark:text-slate-100 truncate">
+          {item.file_name || item.url.split('/').pop()}
+        </span>
+      </div>
+    );
+  }
+
+  if (item.type === 'photo' || item.thumbnail_url) {
+    return <img src={item.thumbnail_url || item.url} alt="" className={`${className} object-cover`} />;
+  }
+
+  return (
+    <div className={`${className} flex items-center justify-center bg-slate-700`}>
+      <Film className="w-8 h-8 text-slate-400" />
+    </div>
+  );
+}
+
+// The announcement as a Telegram message bubble, rendered by the same
+// pipeline the bot sends with
+export default function TelegramPreview({ announcement }) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Variables and UTM values are filled in as channel_id (the first picked channel) would get them
+  const { id, title, content, buttons, media, template_variables, campaign_id, channel_id } = announcement;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await previewAnnouncement({ id, title, content, buttons, media, template_variables, campaign_id, channel_id });
+        if (!cancelled) {
+          setPreview(data);
+          setError(null);
+        }
+      } catch (e) {
+        if (!cancelled) {
+          setError(e.response?.data?.error || 'Preview unavailable');
+        }
+      }
+    }, PREVIEW_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [id, title, content, JSON.stringify(buttons), JSON.stringify(media), JSON.stringify(template_variables), campaign_id, channel_id]);
+
+  if (error) {
+    return <p className="text-sm text-dark-500">{error}</p>;
+  }
+  if (!preview) {
+    return <div className="h-24 skeleton rounded-xl" />;
+  }
+
+  const album = preview.media.length > 1;
+
+  // Callback data ends with the button's row and column
+  const showCallbackAnswer = (btn) => {
+    const [row, column] = btn.callback_data.split('_').slice(-2).map(Number);
+    const source = buttons[row]?.[column];
+    const answer = source?.answer?.trim() || DEFAULT_CALLBACK_ANSWER;
+    if (source?.show_alert) {
+      alert(answer);
+    } else {
+      toast(answer);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="rounded-xl bg-[#8eb99a]/30 dark:bg-[#0e1621] p-3">
+        <div className="max-w-[320px]">
+          <div className="rounded-2xl rounded-bl-sm bg-white dark:bg-[#182533] overflow-hidden shadow-sm">
+            {preview.media.length > 0 && (
+              <div className={album ? 'grid grid-cols-2 gap-0.5' : ''}>
+                {preview.media.map((item, idx) => (
+                  <PreviewMedia
+                    key={`${item.url}-${idx}`}
+                    item={item}
+                    className={album ? 'w-full h-24' : 'w-full max-h-64'}
+                  />
+                ))}
+              </div>
+            )}
+            {preview.html && (
+              <div className="px-3 py-2">
+                <div className={MESSAGE_STYLES} dangerouslySetInnerHTML={{ __html: preview.html }} />
+              </div>
+            )}
+          </div>
+
+          {preview.buttons.length > 0 && (
+            <div className="mt-1 space-y-1">
+              {preview.buttons.map((row, rowIdx) => (
+                <div key={rowIdx} className="flex gap-1">
+                  {row.map((btn, idx) => (btn.callback_data ? (
+                    <button
+                      key={idx}
+                      onClick={() => showCallbackAnswer(btn)}
+                      className="flex-1 py-2 px-3 rounded-lg bg-black/20 dark:bg-white/10 text-white text-sm text-center truncate"
+                    >
+                      {btn.text}
+                    </button>
+                  ) : (
+                    <a
+                      key={idx}
+                      href={btn.url}
+                      target="_blank"
+                      rel="noreferrer"
+                      title={btn.url}
+                      className="relative flex-1 py-2 px-3 rounded-lg bg-black/20 dark:bg-white/10 text-white text-sm text-center truncate"
+                    >
+                      {btn.text}
+                      <ExternalLink className="w-3 h-3 absolute top-1 right-1" />
+                    </a>
+                  )))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <p className={`text-xs ${preview.length > preview.limit ? 'text-red-400' : 'text-dark-500'}`}>
+        {preview.length} / {preview.limit} characters with tracked links
+      </p>
+
+      {preview.links.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-xs font-medium text-dark-400">Links open</p>
+          {preview.links.map((link, idx) => (
+            <p key={idx} className="text-xs text-dark-500 break-all" title={link.original_url}>
+              {link.final_url}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {preview.warnings.length > 0 && (
+        <div className="space-y-1">
+          {preview.warnings.map((warning, idx) => (
+            <p key={idx} className="flex items-start gap-2 text-xs text-yellow-400">
+              <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+              {warning}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import { Braces } from 'lucide-react';
+
+// Filled in by the server for each channel as it's sent to
+export const CHANNEL_VARIABLES = ['channel_title', 'member_count'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+const findPlaceholders = (text) => [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+// Variables that need a value, from messages ({ content, buttons } with button rows each)
+export const findVariables = (messages) => [...new Set(
+  messages.flatMap(message => [
+    ...findPlaceholders(message.content),
+    ...(message.buttons || []).flat().flatMap(btn => [btn.text, btn.url, btn.answer].flatMap(findPlaceholders)),
+  ])
+)].filter(name => !CHANNEL_VARIABLES.includes(name));
+
+// Only the values of the variables in use, for saving
+export const pickVariables = (values, names) => Object.fromEntries(names.map(name => [name, values[name] || '']));
+
+// Values for the {{variables}} in the message, its buttons and translations
+export default function TemplateVariables({ names, values, onChange, disabled = false }) {
+  return (
+    <div className="space-y-3">
+      {names.map((name) => (
+        <div key={name}>
+          <label className="block text-xs text-dark-400 mb-1">
+            <Braces className="w-3 h-3 inline mr-1" />
+            {name}
+          </label>
+          <input
+            type="text"
+            value={values[name] || ''}
+            onChange={(e) => onChange({ ...values, [name]: e.target.value })}
+            className="input"
+            placeholder={`Value for {{${name}}}`}
+            disabled={disabled}
+          />
+        </div>
+      ))}
+      <p className="text-xs text-dark-500">
+        {CHANNEL_VARIABLES.map(name => `{{${name}}}`).join(' and ')} are filled in for each channel when it's sent.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { Plus, Trash2, Languages, Smartphone } from 'lucide-react';
+import ButtonBuilder, { toButtonRows } from './ButtonBuilder';
+
+export const emptyTranslation = () => ({ locale: '', content: '', buttons: [], image_url: '' });
+
+// Editor state from the announcement's stored translations
+export const toTranslationsForm = (translations = []) => translations.map(t => ({
+  locale: t.locale,
+  content: t.content,
+  buttons: toButtonRows(t.buttons ? JSON.parse(t.buttons) : []),
+  image_url: t.image_url || '',
+}));
+
+const formatCtr = (ctr) => `${(ctr * 100).toFixed(1)}%`;
+
+// How each locale the announcement went out in performed
+export function LocaleResults({ results, defaultLocale }) {
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-dark-500">
+          <th className="py-1">Locale</th>
+          <th className="py-1">Channels</th>
+          <th className="py-1">Views</th>
+          <th className="py-1">Telegram Views</th>
+          <th className="py-1">Clicks</th>
+          <th className="py-1">CTR</th>
+        </tr>
+      </thead>
+      <tbody>
+        {results.map((result) => (
+          <tr key={result.locale || 'default'} className="border-t border-dark-800 text-dark-200">
+            <td className="py-2">
+              {result.locale || defaultLocale || 'Default'}
+              {!result.locale && defaultLocale && <span className="text-xs text-dark-500 ml-1">(default)</span>}
+            </td>
+            <td className="py-2">{result.delivered} of {result.channels}</td>
+            <td className="py-2">{result.views}</td>
+            <td className="py-2">{result.telegram_views ?? '—'}</td>
+            <td className="py-2">{result.clicks}</td>
+            <td className="py-2">{formatCtr(result.ctr)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Language versions of the announcement. The message above is in the default locale
+// and goes to channels without a matching translation.
+export default function TranslationsPanel({ defaultLocale, translations, onChange, onTest, testing = false, disabled = false }) {
+  const update = (changes) => onChange({ default_locale: defaultLocale, translations, ...changes });
+  const updateTranslation = (index, changes) => update({
+    translations: translations.map((t, i) => (i === index ? { ...t, ...changes } : t)),
+  });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-dark-300 mb-2">Language of the message above</label>
+        <input
+          type="text"
+          value={defaultLocale}
+          onChange={(e) => update({ default_locale: e.target.value })}
+          className="input"
+          placeholder="en"
+          disabled={disabled}
+        />
+        <p className="text-xs text-dark-500 mt-1">
+          Channels get the translation for their language (set on the Channels page), or the message above when there is none.
+        </p>
+      </div>
+
+      {translations.map((translation, index) => (
+        <div key={index} className="p-3 bg-dark-800/30 rounded-lg border border-dark-800 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <Languages className="w-4 h-4 text-dark-400" />
+              <input
+                type="text"
+                value={translation.locale}
+                onChange={(e) => updateTranslation(index, { locale: e.target.value })}
+                className="input w-32"
+                placeholder="es, pt-BR"
+                disabled={disabled}
+              />
+            </div>
+            <div className="flex items-center gap-1">
+              {onTest && translation.locale && (
+                <button
+                  onClick={() => onTest(translation.locale)}
+                  disabled={testing}
+                  className="p-1 text-dark-400 hover:bg-dark-700 rounded"
+                  title="Send a test copy of this translation"
+                >
+                  <Smartphone className="w-4 h-4" />
+                </button>
+              )}
+              {!disabled && (
+                <button
+                  onClick={() => update({ translations: translations.filter((_, i) => i !== index) })}
+                  className="p-1 text-red-400 hover:bg-red-500/10 rounded"
+                  title="Remove translation"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+          <textarea
+            value={translation.content}
+            onChange={(e) => updateTranslation(index, { content: e.target.value })}
+            className="input min-h-[120px]"
+            placeholder={`Message in ${translation.locale || 'this language'}...`}
+            disabled={disabled}
+          />
+          <div>
+            <label className="block text-xs text-dark-400 mb-1">Image (optional, replaces the attachments)</label>
+            <input
+              type="text"
+              value={translation.image_url}
+              onChange={(e) => updateTranslation(index, { image_url: e.target.value })}
+              className="input"
+              placeholder="https://..."
+              disabled={disabled}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-dark-400 mb-1">Buttons (optional, the message's own buttons otherwise)</label>
+            <ButtonBuilder
+              rows={translation.buttons}
+              onChange={(buttons) => updateTranslation(index, { buttons })}
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      ))}
+
+      {!disabled && (
+        <button
+          onClick={() => update({ translations: [...translations, emptyTranslation()] })}
+          className="text-sm text-brand-400 hover:text-brand-300"
+        >
+          <Plus className="w-4 h-4 inline" /> Add Translation
+        </button>
+      )}
+    </div>
+  );
+}
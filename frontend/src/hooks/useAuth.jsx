@@ -79,6 +79,7 @@ export function AuthProvider({ children }) {
     const routeToFeature = {
       '/': 'dashboard',
       '/announcements': 'announcements',
+      '/media': 'announcements',
       '/campaigns': 'campaigns',
       '/channels': 'channels',
       '/analytics': 'analytics',
@@ -106,6 +107,7 @@ export function AuthProvider({ children }) {
       user,
       login,
       logout,
+      refreshUser: checkAuth,
       loading,
       isAdmin: user?.role === 'admin',
       isMarketing: user?.role === 'marketing',
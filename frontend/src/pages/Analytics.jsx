@@ -2,21 +2,22 @@ import { useState, useEffect } from 'react';
 import { getDetailedAnalytics, getCampaigns } from '../utils/api';
 import {
   BarChart3, Eye, MousePointerClick, TrendingUp,
-  Calendar, Filter, Download
+  Calendar, Filter, Download, Send
 } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { format, subDays, startOfYear } from 'date-fns';
 import toast from 'react-hot-toast';
 
 export default function Analytics() {
-  const [data, setData] = useState({ announcements: [], channels: [] });
+  const [data, setData] = useState({ announcements: [], channels: [], locales: [] });
   const [campaigns, setCampaigns] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeQuickFilter, setActiveQuickFilter] = useState('last30');
   const [filters, setFilters] = useState({
     start_date: format(subDays(new Date(), 29), 'yyyy-MM-dd'),
     end_date: format(new Date(), 'yyyy-MM-dd'),
-    campaign_id: ''
+    campaign_id: '',
+    include_suspicious: false
   });
 
   const quickFilters = [
@@ -75,6 +76,9 @@ export default function Analytics() {
 
   const totalViews = data.announcements.reduce((sum, a) => sum + (a.views || 0), 0);
   const totalClicks = data.announcements.reduce((sum, a) => sum + (a.clicks || 0), 0);
+  // Views counted by Telegram itself, for channel posts whose counters have been read
+  const totalTelegramViews = data.announcements.reduce((sum, a) => sum + (a.telegram_views || 0), 0);
+  const totalForwards = data.announcements.reduce((sum, a) => sum + (a.forwards || 0), 0);
   const avgCTR = totalViews > 0 ? ((totalClicks / totalViews) * 100).toFixed(2) : 0;
 
   const COLORS = ['#3b82f6', '#3b82f6', '#a855f7', '#f59e0b', '#ef4444', '#06b6d4'];
@@ -144,11 +148,19 @@ export default function Analytics() {
               <option key={c.id} value={c.id}>{c.name}</option>
             ))}
           </select>
+          <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={filters.include_suspicious}
+              onChange={(e) => setFilters(prev => ({ ...prev, include_suspicious: e.target.checked }))}
+            />
+            Include bots and link-preview crawlers
+          </label>
         </div>
       </div>
 
       {/* Stats */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="stat-card">
           <div className="flex items-center gap-3">
             <div className="p-2 rounded-lg bg-blue-500/10">
@@ -160,6 +172,19 @@ export default function Analytics() {
             </div>
           </div>
         </div>
+        <div className="stat-card">
+          <div className="flex items-center gap-3">
+            <div className="p-2 rounded-lg bg-green-500/10">
+              <Send className="w-5 h-5 text-green-400" />
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-slate-800 dark:text-white">{totalTelegramViews.toLocaleString()}</p>
+              <p className="text-sm text-slate-500 dark:text-slate-400">
+                Telegram Views{totalForwards > 0 && ` · ${totalForwards.toLocaleString()} forwards`}
+              </p>
+            </div>
+          </div>
+        </div>
         <div className="stat-card">
           <div className="flex items-center gap-3">
             <div className="p-2 rounded-lg bg-blue-500/10">
@@ -267,6 +292,41 @@ export default function Analytics() {
         </div>
       </div>
 
+      {/* Performance by language, for translated announcements */}
+      {data.locales?.some(l => l.locale !== 'default') && (
+        <div className="card overflow-hidden">
+          <div className="p-4 border-b border-dark-800">
+            <h3 className="text-lg font-medium text-slate-800 dark:text-white">By Language</h3>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Locale</th>
+                  <th className="text-right">Channels</th>
+                  <th className="text-right">Views</th>
+                  <th className="text-right">Telegram Views</th>
+                  <th className="text-right">Clicks</th>
+                  <th className="text-right">CTR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.locales.map((item) => (
+                  <tr key={item.locale}>
+                    <td className="text-dark-100 font-medium">{item.locale === 'default' ? 'Not set' : item.locale}</td>
+                    <td className="text-right text-dark-400">{item.channels}</td>
+                    <td className="text-right text-dark-100">{item.views}</td>
+                    <td className="text-right text-dark-100">{item.telegram_views}</td>
+                    <td className="text-right text-dark-100">{item.clicks}</td>
+                    <td className="text-right text-dark-100">{item.ctr}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Detailed Table */}
       <div className="card overflow-hidden">
         <div className="p-4 border-b border-dark-800">
@@ -285,6 +345,8 @@ export default function Analytics() {
                   <th>Campaign</th>
                   <th>Sent</th>
                   <th className="text-right">Views</th>
+                  <th className="text-right">Telegram Views</th>
+                  <th className="text-right">Forwards</th>
                   <th className="text-right">Clicks</th>
                   <th className="text-right">Unique</th>
                   <th className="text-right">CTR</th>
@@ -307,6 +369,8 @@ export default function Analytics() {
                       {item.sent_at ? format(new Date(item.sent_at), 'MMM d, h:mm a') : '—'}
                     </td>
                     <td className="text-right text-dark-100">{item.views || 0}</td>
+                    <td className="text-right text-dark-100">{item.telegram_views ?? '—'}</td>
+                    <td className="text-right text-dark-400">{item.forwards ?? '—'}</td>
                     <td className="text-right text-dark-100">{item.clicks || 0}</td>
                     <td className="text-right text-dark-400">{item.unique_clicks || 0}</td>
                     <td className="text-right">
@@ -1,70 +1,183 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { 
   getAnnouncement, createAnnouncement, updateAnnouncement, 
-  sendAnnouncement, getChannels, getCampaigns 
+  sendAnnouncement, unsendAnnouncement, getChannels, getCampaigns, getChannelGroups, getChannelSegments,
+  pauseRecurrence, resumeRecurrence, sendTestAnnouncement, submitAnnouncement, refreshAnnouncementViews,
+  getTemplates, createTemplate
 } from '../utils/api';
 import { 
-  ArrowLeft, Send, Save, Plus, Trash2, Link as LinkIcon,
-  Image, Eye, MousePointerClick, Clock
+  ArrowLeft, Send, Save, Link as LinkIcon,
+  Image, Eye, EyeOff, MousePointerClick, Clock, Repeat, Pause, Play, Smartphone, ClipboardCheck, Pin, SlidersHorizontal, Forward, RefreshCw, LayoutTemplate
 } from 'lucide-react';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { browserTimezone, timezones, zonedTimeToUtc, formatInTimezone } from '../utils/timezone';
+import MediaAttachments from '../components/MediaAttachments';
+import TelegramPreview from '../components/TelegramPreview';
+import ButtonBuilder, { toButtonRows } from '../components/ButtonBuilder';
+import ReviewPanel from '../components/ReviewPanel';
+import { useAuth } from '../hooks/useAuth';
+import AbTestPanel, { emptyAbTest, toAbTestForm } from '../components/AbTestPanel';
+import AudiencePicker from '../components/AudiencePicker';
+import TranslationsPanel, { LocaleResults, toTranslationsForm } from '../components/TranslationsPanel';
+import TemplateVariables, { findVariables, pickVariables } from '../components/TemplateVariables';
+import RevisionHistory from '../components/RevisionHistory';
+
+// Telegram's limits for a message and for the caption of a media message
+const MESSAGE_TEXT_LIMIT = 4096;
+const CAPTION_LIMIT = 1024;
+
+// Announcements from before attachments existed have a single image_url
+const getAttachments = (announcement) => {
+  if (announcement.media?.length > 0) return announcement.media;
+  if (announcement.image_url) return [{ type: 'photo', url: announcement.image_url, file_name: null }];
+  return [];
+};
+
+const RECURRENCE_PRESETS = {
+  cron: [
+    { label: 'Every day 09:00', rule: '0 9 * * *' },
+    { label: 'Weekdays 09:00', rule: '0 9 * * 1-5' },
+    { label: 'Every Monday 09:00', rule: '0 9 * * 1' },
+    { label: '1st of the month 09:00', rule: '0 9 1 * *' },
+  ],
+  rrule: [
+    { label: 'Every day 09:00', rule: 'FREQ=DAILY;BYHOUR=9;BYMINUTE=0' },
+    { label: 'Every Monday 09:00', rule: 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0' },
+    { label: 'Every other Friday 17:00', rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;BYHOUR=17;BYMINUTE=0' },
+    { label: 'Last day of the month 12:00', rule: 'FREQ=MONTHLY;BYMONTHDAY=-1;BYHOUR=12;BYMINUTE=0' },
+  ],
+};
+
+const emptyRecurrence = () => ({
+  rule_type: 'cron',
+  rule: '0 9 * * 1',
+  timezone: browserTimezone,
+  starts_at: '',
+  ends_at: '',
+  max_occurrences: '',
+});
 
 export default function AnnouncementEditor() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
   const isNew = id === 'new';
+  // Live edits go out without a new review, so only approvers can make them
+  const isApprover = user?.role === 'admin' || Number(user?.is_approver) === 1;
 
   const [loading, setLoading] = useState(!isNew);
   const [saving, setSaving] = useState(false);
   const [sending, setSending] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [refreshingViews, setRefreshingViews] = useState(false);
   const [channels, setChannels] = useState([]);
   const [campaigns, setCampaigns] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [templates, setTemplates] = useState([]);
   const [stats, setStats] = useState(null);
+  const [expandedTarget, setExpandedTarget] = useState(null);
 
   const [form, setForm] = useState({
     title: '',
     content: '',
-    image_url: '',
+    media: [],
     buttons: [],
     campaign_id: '',
     channel_ids: [],
+    group_ids: [],
+    segment_ids: [],
     scheduled_at: '',
+    local_time: false,
+    recurring: false,
+    recurrence: emptyRecurrence(),
+    ab_test: emptyAbTest(),
+    pin_message: false,
+    pin_notify: false,
+    expires_at: '',
+    expire_action: 'delete',
+    disable_notification: false,
+    protect_content: false,
+    disable_link_preview: false,
+    link_preview_url: '',
+    default_locale: '',
+    translations: [],
+    template_id: '',
+    template_variables: {},
+    restored_from: null,
   });
 
+  // {{variables}} in the message, its translations and A/B variants that need a value
+  const variableNames = findVariables([
+    { content: form.content, buttons: form.buttons },
+    ...form.translations,
+    ...(form.ab_test.enabled ? form.ab_test.variants : []),
+  ]);
+
   useEffect(() => {
     loadData();
   }, [id]);
 
   const loadData = async () => {
     try {
-      const [channelsRes, campaignsRes] = await Promise.all([
+      const [channelsRes, campaignsRes, groupsRes, segmentsRes, templatesRes] = await Promise.all([
         getChannels(),
-        getCampaigns()
+        getCampaigns(),
+        getChannelGroups(),
+        getChannelSegments(),
+        getTemplates()
       ]);
       setChannels(channelsRes.data.channels);
       setCampaigns(campaignsRes.data.campaigns);
+      setGroups(groupsRes.data.groups);
+      setSegments(segmentsRes.data.segments);
+      setTemplates(templatesRes.data.templates);
 
       if (!isNew) {
         const { data } = await getAnnouncement(id);
         setForm({
           title: data.announcement.title,
           content: data.announcement.content,
-          image_url: data.announcement.image_url || '',
-          buttons: data.announcement.buttons ? JSON.parse(data.announcement.buttons) : [],
+          media: getAttachments(data.announcement),
+          buttons: toButtonRows(data.announcement.buttons ? JSON.parse(data.announcement.buttons) : []),
           campaign_id: data.announcement.campaign_id || '',
-          channel_ids: data.targets.map(t => t.channel_id),
-          scheduled_at: data.announcement.scheduled_at || '',
-        });
-        setStats({
-          targets: data.targets,
-          linkStats: data.linkStats,
-          clickTimeline: data.clickTimeline,
-          status: data.announcement.status,
-          sent_at: data.announcement.sent_at,
+          // Targets from groups and segments follow them, only the picked channels are listed
+          channel_ids: data.targets.filter(t => !t.group_id && !t.segment_id).map(t => t.channel_id),
+          group_ids: data.audiences.group_ids,
+          segment_ids: data.audiences.segment_ids,
+          // Local time schedules edit the wall-clock time, others the browser's local time
+          scheduled_at: data.announcement.local_scheduled_at
+            || (data.announcement.scheduled_at ? format(new Date(data.announcement.scheduled_at), "yyyy-MM-dd'T'HH:mm") : ''),
+          local_time: Boolean(data.announcement.local_scheduled_at),
+          recurring: Boolean(data.schedule),
+          recurrence: data.schedule ? {
+            rule_type: data.schedule.rule_type,
+            rule: data.schedule.rule,
+            timezone: data.schedule.timezone,
+            starts_at: data.schedule.starts_at_local || '',
+            ends_at: data.schedule.ends_at_local || '',
+            max_occurrences: data.schedule.max_occurrences || '',
+          } : emptyRecurrence(),
+          ab_test: toAbTestForm(data.abTest),
+          pin_message: Boolean(data.announcement.pin_message),
+          pin_notify: Boolean(data.announcement.pin_notify),
+          expires_at: data.announcement.expires_at
+            ? format(new Date(data.announcement.expires_at), "yyyy-MM-dd'T'HH:mm") : '',
+          expire_action: data.announcement.expire_action || 'delete',
+          disable_notification: Boolean(data.announcement.disable_notification),
+          protect_content: Boolean(data.announcement.protect_content),
+          disable_link_preview: Boolean(data.announcement.disable_link_preview),
+          link_preview_url: data.announcement.link_preview_url || '',
+          default_locale: data.announcement.default_locale || '',
+          translations: toTranslationsForm(data.translations),
+          template_id: data.announcement.template_id || '',
+          template_variables: data.announcement.template_variables ? JSON.parse(data.announcement.template_variables) : {},
+          restored_from: null,
         });
+        setStats(buildStats(data));
       }
     } catch (error) {
       toast.error('Failed to load data');
@@ -73,13 +186,53 @@ export default function AnnouncementEditor() {
     }
   };
 
-  const handleSave = async (sendNow = false) => {
+  const buildStats = (data) => ({
+    targets: data.targets,
+    linkStats: data.linkStats,
+    clickTimeline: data.clickTimeline,
+    viewTimeline: data.viewTimeline || [],
+    deliveries: data.deliveries || [],
+    revisions: data.revisions || [],
+    status: data.announcement.status,
+    created_by: data.announcement.created_by,
+    approved_at: data.announcement.approved_at,
+    approved_by_name: data.announcement.approved_by_name,
+    reviews: data.reviews || [],
+    abTest: data.abTest,
+    localeResults: data.localeResults || [],
+    default_locale: data.announcement.default_locale,
+    media: getAttachments(data.announcement),
+    parent_id: data.announcement.parent_id,
+    parent_title: data.announcement.parent_title,
+    schedule: data.schedule,
+    occurrences: data.occurrences || [],
+    sent_at: data.announcement.sent_at,
+  });
+
+  // Poll delivery progress while the send queue is working through the targets
+  useEffect(() => {
+    if (stats?.status !== 'sending') return;
+
+    const timer = setInterval(async () => {
+      try {
+        const { data } = await getAnnouncement(id);
+        setStats(buildStats(data));
+      } catch (error) {
+        // Keep the last known stats
+      }
+    }, 5000);
+
+    return () => clearInterval(timer);
+  }, [id, stats?.status]);
+
+  // Save, then optionally send it ('send') or hand it to the approvers ('submit')
+  const handleSave = async (next = null) => {
     if (!form.title || !form.content) {
       toast.error('Title and content are required');
       return;
     }
-    if (form.channel_ids.length === 0) {
-      toast.error('Select at least one channel');
+    if (form.channel_ids.length === 0 && form.group_ids.length === 0 && form.segment_ids.length === 0) {
+      toast.error('Select at least one channel, group or segment');
       return;
     }
 
@@ -87,10 +240,30 @@ export default function AnnouncementEditor() {
     try {
       let announcementId = id;
       
+      const { recurring, recurrence, local_time, ab_test, ...fields } = form;
+      const scheduled = !recurring && form.scheduled_at;
+      // A test that has started can't change, so it's left out
+      const abTestStarted = stats?.abTest && stats.abTest.status !== 'draft';
       const payload = {
-        ...form,
+        ...fields,
+        image_url: null,
         campaign_id: form.campaign_id || null,
-        scheduled_at: form.scheduled_at || null,
+        template_id: form.template_id || null,
+        template_variables: pickVariables(form.template_variables, variableNames),
+        scheduled_at: scheduled && !local_time ? new Date(form.scheduled_at).toISOString() : null,
+        local_scheduled_at: scheduled && local_time ? form.scheduled_at : null,
+        expires_at: !recurring && form.expires_at ? new Date(form.expires_at).toISOString() : null,
+        recurrence: recurring ? {
+          ...recurrence,
+          starts_at: recurrence.starts_at || null,
+          ends_at: recurrence.ends_at || null,
+          max_occurrences: recurrence.max_occurrences || null,
+        } : null,
+        ab_test: abTestStarted ? undefined : ab_test.enabled ? {
+          test_share: ab_test.test_share,
+          window_hours: ab_test.window_hours,
+          variants: ab_test.variants,
+        } : null,
       };
 
       if (isNew) {
@@ -102,10 +275,21 @@ export default function AnnouncementEditor() {
         toast.success('Announcement updated');
       }
 
-      if (sendNow) {
+      if (next === 'submit') {
+        const { data } = await submitAnnouncement(announcementId);
+        toast.success(data.message);
+      }
+
+      if (next === 'send') {
         setSending(true);
-        await sendAnnouncement(announcementId);
-        toast.success('Announcement sent!');
+        const { data } = await sendAnnouncement(announcementId);
+        if (data.status === 'failed') {
+          toast.error(data.message);
+        } else if (data.status === 'partial') {
+          toast(data.message, { icon: '⚠️' });
+        } else {
+          toast.success(data.message);
+        }
       }
 
       navigate('/announcements');
@@ -117,29 +301,208 @@ export default function AnnouncementEditor() {
     }
   };
 
-  const addButton = () => {
+  // Push the edited content to every channel the announcement is live in
+  const handleUpdateLive = async () => {
+    if (!form.title || !form.content) {
+      toast.error('Title and content are required');
+      return;
+    }
+    if (!confirm('Update this announcement in every channel it was sent to?')) return;
+
+    setSaving(true);
+    try {
+      const { data } = await updateAnnouncement(id, {
+        title: form.title,
+        content: form.content,
+        image_url: null,
+        media: form.media,
+        buttons: form.buttons,
+        expires_at: form.expires_at ? new Date(form.expires_at).toISOString() : null,
+        expire_action: form.expire_action,
+        disable_link_preview: form.disable_link_preview,
+        link_preview_url: form.link_preview_url,
+        translations: form.translations,
+        template_variables: pickVariables(form.template_variables, variableNames),
+        restored_from: form.restored_from,
+      });
+      if (data.results.some(r => !r.success)) {
+        toast(data.message, { icon: '⚠️' });
+      } else {
+        toast.success(data.message);
+      }
+      await loadData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Load an earlier revision's message into the editor. It's kept once saved
+  // (or updated live), and the new revision notes where it came from.
+  const handleRestoreRevision = (revision) => {
+    if (!confirm('Replace the message in the editor with this version?')) return;
+
     setForm(prev => ({
       ...prev,
-      buttons: [...prev.buttons, { text: '', url: '' }]
+      title: revision.title,
+      content: revision.content,
+      media: getAttachments(revision),
+      buttons: toButtonRows(revision.buttons ? JSON.parse(revision.buttons) : []),
+      translations: toTranslationsForm(revision.translations),
+      template_variables: revision.template_variables || {},
+      restored_from: revision.id,
     }));
+    toast.success(['sent', 'partial'].includes(stats?.status) ? 'Version restored. Update live to publish it.' : 'Version restored. Save to keep it.');
+  };
+
+  // Send what's in the editor to the user's own Telegram, without saving it.
+  // With locale, its translation is sent instead.
+  const handleSendTest = async (locale = null) => {
+    if (!form.content) {
+      toast.error('Content is required');
+      return;
+    }
+
+    setTesting(true);
+    try {
+      const { data } = await sendTestAnnouncement(id, {
+        content: form.content,
+        buttons: form.buttons,
+        media: form.media,
+        disable_notification: form.disable_notification,
+        protect_content: form.protect_content,
+        disable_link_preview: form.disable_link_preview,
+        link_preview_url: form.link_preview_url,
+        template_variables: pickVariables(form.template_variables, variableNames),
+        ...(locale ? { locale, translations: form.translations } : {}),
+      });
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send test');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleUnsend = async () => {
+    if (!confirm('Delete this announcement from every channel it was sent to?')) return;
+
+    setSaving(true);
+    try {
+      const { data } = await unsendAnnouncement(id);
+      if (data.results.some(r => !r.success)) {
+        toast(data.message, { icon: '⚠️' });
+      } else {
+        toast.success(data.message);
+      }
+      await loadData();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to unsend');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Read the latest view and forward counts from Telegram
+  const handleRefreshViews = async () => {
+    setRefreshingViews(true);
+    try {
+      const { data } = await refreshAnnouncementViews(id);
+      toast.success(data.message);
+      const { data: updated } = await getAnnouncement(id);
+      setStats(buildStats(updated));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to refresh views');
+    } finally {
+      setRefreshingViews(false);
+    }
+  };
+
+  const handleToggleRecurrence = async () => {
+    try {
+      const { data } = stats.schedule.is_paused
+        ? await resumeRecurrence(id)
+        : await pauseRecurrence(id);
+      toast.success(data.message);
+      setStats(prev => ({ ...prev, schedule: data.schedule }));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update schedule');
+    }
   };
 
-  const updateButton = (index, field, value) => {
+  // Selected channels plus the ones the selected groups and segments currently resolve to
+  const getReachedChannelIds = () => new Set([
+    ...form.channel_ids,
+    ...groups.filter(g => form.group_ids.includes(g.id)).flatMap(g => g.channel_ids),
+    ...segments.filter(s => form.segment_ids.includes(s.id)).flatMap(s => s.channel_ids),
+  ]);
+
+  // When each selected channel will receive a scheduled post
+  const getDispatchPreview = () => {
+    if (!form.scheduled_at) return [];
+    const reached = getReachedChannelIds();
+    return channels
+      .filter(c => c.is_active && reached.has(c.id))
+      .map((channel) => {
+        const timezone = channel.timezone || 'UTC';
+        const sendAt = form.local_time
+          ? zonedTimeToUtc(form.scheduled_at, timezone)
+          : new Date(form.scheduled_at);
+        return { channel, timezone, sendAt };
+      })
+      .filter(p => p.sendAt && !isNaN(p.sendAt))
+      .sort((a, b) => a.sendAt - b.sendAt);
+  };
+
+  const updateRecurrence = (field, value) => {
     setForm(prev => ({
       ...prev,
-      buttons: prev.buttons.map((btn, i) => 
-        i === index ? { ...btn, [field]: value } : btn
-      )
+      recurrence: { ...prev.recurrence, [field]: value }
     }));
   };
 
-  const removeButton = (index) => {
+  // Start the message from a template: its content, buttons and campaign
+  const applyTemplate = (templateId) => {
+    const template = templates.find(t => String(t.id) === String(templateId));
+    if (!template) {
+      setForm(prev => ({ ...prev, template_id: '' }));
+      return;
+    }
+    if (form.content && !confirm(`Replace the message and buttons with the "${template.name}" template?`)) return;
+
     setForm(prev => ({
       ...prev,
-      buttons: prev.buttons.filter((_, i) => i !== index)
+      template_id: template.id,
+      content: template.content,
+      buttons: toButtonRows(template.buttons ? JSON.parse(template.buttons) : []),
+      campaign_id: template.campaign_id || prev.campaign_id,
     }));
   };
 
+  const handleSaveAsTemplate = async () => {
+    if (!form.content) {
+      toast.error('Content is required');
+      return;
+    }
+    const name = prompt('Template name');
+    if (!name) return;
+
+    try {
+      const { data } = await createTemplate({
+        name,
+        content: form.content,
+        buttons: form.buttons,
+        campaign_id: form.campaign_id || null,
+      });
+      setTemplates(prev => [...prev, data.template].sort((a, b) => a.name.localeCompare(b.name)));
+      setForm(prev => ({ ...prev, template_id: data.template.id }));
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save template');
+    }
+  };
+
   const toggleChannel = (channelId) => {
     setForm(prev => ({
       ...prev,
@@ -158,7 +521,17 @@ export default function AnnouncementEditor() {
     );
   }
 
-  const isSent = stats?.status === 'sent';
+  const isSent = ['sent', 'partial', 'sending', 'unsent'].includes(stats?.status);
+  // Sent messages can still be edited in place; channels and schedule stay locked
+  const isLive = ['sent', 'partial'].includes(stats?.status);
+  const contentLocked = isSent && !isLive;
+  // Latest counts read from Telegram, and link clicks against them
+  const telegramReach = stats?.viewTimeline?.[stats.viewTimeline.length - 1];
+  const linkClicks = (stats?.linkStats || []).reduce((sum, link) => sum + (parseInt(link.click_count) || 0), 0);
+  // Clicks in a channel, against Telegram's view count where it has one
+  const targetClicks = (target) => (parseInt(target.link_clicks) || 0) + (parseInt(target.button_clicks) || 0);
+  const targetViews = (target) => parseInt(target.telegram_views ?? target.views) || 0;
+  const textLimit = form.media.length > 0 ? CAPTION_LIMIT : MESSAGE_TEXT_LIMIT;
 
   return (
     <div className="space-y-6 animate-fade-in">
@@ -180,26 +553,79 @@ export default function AnnouncementEditor() {
                 Sent {format(new Date(stats.sent_at), 'MMM d, yyyy h:mm a')}
               </p>
             )}
+            {stats?.parent_id && (
+              <p className="text-dark-400 text-sm mt-1">
+                <Repeat className="w-3 h-3 inline mr-1" />
+                Occurrence of{' '}
+                <Link to={`/announcements/${stats.parent_id}`} className="text-brand-400 hover:text-brand-300">
+                  {stats.parent_title}
+                </Link>
+              </p>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-2">
+          {!isNew && (
+            <button
+              onClick={() => handleSendTest()}
+              disabled={testing}
+              className="btn btn-secondary"
+              title="Send a copy to your linked Telegram account or the test chat"
+            >
+              <Smartphone className="w-4 h-4" />
+              {testing ? 'Sending...' : 'Send Test'}
+            </button>
+          )}
           {!isSent && (
             <>
               <button
-                onClick={() => handleSave(false)}
+                onClick={() => handleSave()}
                 disabled={saving}
                 className="btn btn-secondary"
               >
                 <Save className="w-4 h-4" />
-                Save Draft
+                {form.recurring ? 'Save Schedule' : 'Save Draft'}
+              </button>
+              {(isNew || stats?.status === 'draft') && (
+                <button
+                  onClick={() => handleSave('submit')}
+                  disabled={saving}
+                  className="btn btn-primary"
+                >
+                  <ClipboardCheck className="w-4 h-4" />
+                  Submit for Review
+                </button>
+              )}
+              {stats?.approved_at && !form.recurring && (
+                <button
+                  onClick={() => handleSave('send')}
+                  disabled={saving || sending}
+                  className="btn btn-primary"
+                >
+                  <Send className="w-4 h-4" />
+                  {sending ? 'Sending...' : stats?.abTest?.status === 'running' ? 'Send Winner Now' : 'Send Now'}
+                </button>
+              )}
+            </>
+          )}
+          {isLive && (
+            <>
+              <button
+                onClick={handleUnsend}
+                disabled={saving}
+                className="btn btn-secondary text-red-400"
+              >
+                <EyeOff className="w-4 h-4" />
+                Unsend
               </button>
               <button
-                onClick={() => handleSave(true)}
-                disabled={saving || sending}
+                onClick={handleUpdateLive}
+                disabled={saving || !isApprover}
+                title={isApprover ? undefined : 'Only approvers can edit a sent announcement'}
                 className="btn btn-primary"
               >
-                <Send className="w-4 h-4" />
-                {sending ? 'Sending...' : 'Send Now'}
+                <Save className="w-4 h-4" />
+                {saving ? 'Updating...' : 'Update Live Message'}
               </button>
             </>
           )}
@@ -209,6 +635,33 @@ export default function AnnouncementEditor() {
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Editor */}
         <div className="lg:col-span-2 space-y-6">
+          {/* Template */}
+          {!isSent && (
+            <div className="card p-6">
+              <label className="block text-sm font-medium text-dark-300 mb-2">
+                <LayoutTemplate className="w-4 h-4 inline mr-1" />
+                Template (optional)
+              </label>
+              <div className="flex gap-2">
+                <select
+                  value={form.template_id}
+                  onChange={(e) => applyTemplate(e.target.value)}
+                  className="input flex-1"
+                >
+                  <option value="">No template</option>
+                  {templates.map((template) => (
+                    <option key={template.id} value={template.id}>
+                      {template.name}
+                    </option>
+                  ))}
+                </select>
+                <button onClick={handleSaveAsTemplate} className="btn btn-secondary">
+                  Save as Template
+                </button>
+              </div>
+            </div>
+          )}
+
           <div className="card p-6 space-y-4">
             <div>
               <label className="block text-sm font-medium text-dark-300 mb-2">Title</label>
@@ -218,7 +671,7 @@ export default function AnnouncementEditor() {
                 onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
                 className="input"
                 placeholder="Announcement title (internal)"
-                disabled={isSent}
+                disabled={contentLocked}
               />
             </div>
 
@@ -229,74 +682,142 @@ export default function AnnouncementEditor() {
                 onChange={(e) => setForm(prev => ({ ...prev, content: e.target.value }))}
                 className="input min-h-[200px]"
                 placeholder="Write your announcement message..."
-                disabled={isSent}
+                disabled={contentLocked}
               />
-              <p className="text-xs text-dark-500 mt-1">
-                Supports HTML: &lt;b&gt;bold&lt;/b&gt;, &lt;i&gt;italic&lt;/i&gt;, &lt;a href=""&gt;link&lt;/a&gt;
-              </p>
+              <div className="flex items-center justify-between mt-1">
+                <p className="text-xs text-dark-500">
+                  **bold**, _italic_, __underline__, ~~strike~~, ||spoiler||, `code`, ```pre```, [link](https://…), &gt; quote
+                </p>
+                <p className={`text-xs ${form.content.length > textLimit ? 'text-red-400' : 'text-dark-500'}`}>
+                  {form.content.length} / {textLimit}{form.media.length > 0 ? ' (caption)' : ''}
+                </p>
+              </div>
             </div>
 
             <div>
               <label className="block text-sm font-medium text-dark-300 mb-2">
                 <Image className="w-4 h-4 inline mr-1" />
-                Image URL (optional)
+                Attachments (optional)
               </label>
-              <input
-                type="url"
-                value={form.image_url}
-                onChange={(e) => setForm(prev => ({ ...prev, image_url: e.target.value }))}
-                className="input"
-                placeholder="https://example.com/image.jpg"
-                disabled={isSent}
+              <MediaAttachments
+                media={form.media}
+                onChange={(media) => setForm(prev => ({ ...prev, media }))}
+                disabled={contentLocked || (isLive && stats.media.length !== 1)}
+                replaceOnly={isLive}
               />
+              {isLive && (
+                <p className="text-xs text-dark-500 mt-1">
+                  {stats.media.length === 0
+                    ? 'Attachments can\'t be added to a sent text message'
+                    : stats.media.length === 1
+                      ? 'The attachment can be replaced but not removed from a sent message'
+                      : 'Album attachments can\'t be changed after sending, only the caption'}
+                </p>
+              )}
             </div>
 
             {/* Buttons */}
             <div>
-              <div className="flex items-center justify-between mb-2">
-                <label className="text-sm font-medium text-dark-300">
-                  <LinkIcon className="w-4 h-4 inline mr-1" />
-                  Buttons (optional)
-                </label>
-                {!isSent && form.buttons.length < 3 && (
-                  <button onClick={addButton} className="text-sm text-brand-400 hover:text-brand-300">
-                    <Plus className="w-4 h-4 inline" /> Add Button
-                  </button>
-                )}
-              </div>
-              <div className="space-y-2">
-                {form.buttons.map((btn, idx) => (
-                  <div key={idx} className="flex gap-2">
-                    <input
-                      type="text"
-                      value={btn.text}
-                      onChange={(e) => updateButton(idx, 'text', e.target.value)}
-                      className="input flex-1"
-                      placeholder="Button text"
-                      disabled={isSent}
-                    />
-                    <input
-                      type="url"
-                      value={btn.url}
-                      onChange={(e) => updateButton(idx, 'url', e.target.value)}
-                      className="input flex-1"
-                      placeholder="https://..."
-                      disabled={isSent}
-                    />
-                    {!isSent && (
-                      <button
-                        onClick={() => removeButton(idx)}
-                        className="p-2 text-red-400 hover:bg-red-500/10 rounded-lg"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
-                    )}
-                  </div>
-                ))}
-              </div>
+              <label className="block text-sm font-medium text-dark-300 mb-2">
+                <LinkIcon className="w-4 h-4 inline mr-1" />
+                Buttons (optional)
+              </label>
+              <ButtonBuilder
+                rows={form.buttons}
+                onChange={(buttons) => setForm(prev => ({ ...prev, buttons }))}
+                disabled={contentLocked}
+              />
             </div>
           </div>
 
+          {/* Template variables */}
+          {variableNames.length > 0 && (
+            <div className="card p-6">
+              <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-4">Variables</h3>
+              <TemplateVariables
+                names={variableNames}
+                values={form.template_variables}
+                onChange={(template_variables) => setForm(prev => ({ ...prev, template_variables }))}
+                disabled={contentLocked}
+              />
+            </div>
+          )}
+
+          {/* Language versions */}
+          {!form.ab_test.enabled && !stats?.abTest && (
+            <div className="card p-6">
+              <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-4">Translations</h3>
+              <TranslationsPanel
+                defaultLocale={form.default_locale}
+                translations={form.translations}
+                onChange={(changes) => setForm(prev => ({ ...prev, ...changes }))}
+                onTest={!isNew ? handleSendTest : null}
+                testing={testing}
+                disabled={contentLocked}
+              />
+            </div>
+          )}
+
+          {/* A/B test */}
+          {(!form.recurring || stats?.abTest) && form.translations.length === 0 && (
+            <div className="card p-6">
+              <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-4">A/B Test</h3>
+              <AbTestPanel
+                value={form.ab_test}
+                onChange={(ab_test) => setForm(prev => ({ ...prev, ab_test }))}
+                test={stats?.abTest}
+                disabled={isSent}
+              />
+            </div>
+          )}
+
+          {/* Occurrences of a recurring announcement, each with its own stats */}
+          {stats?.schedule && (
+            <div className="card p-6">
+              <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-4">Occurrences</h3>
+              {stats.occurrences.length === 0 ? (
+                <p className="text-sm text-dark-500">No occurrences sent yet</p>
+              ) : (
+                <div className="space-y-2">
+                  {stats.occurrences.map((occurrence) => (
+                    <Link
+                      key={occurrence.id}
+                      to={`/announcements/${occurrence.id}`}
+                      className="flex items-center justify-between p-3 bg-dark-800/50 rounded-lg hover:bg-dark-800"
+                    >
+                      <div>
+                        <p className="text-sm text-dark-200">
+                          {format(new Date(occurrence.occurrence_at), 'MMM d, yyyy h:mm a')}
+                        </p>
+                        <p className="text-xs text-dark-500">
+                          {occurrence.status} · {occurrence.target_count} channel{occurrence.target_count != 1 ? 's' : ''}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-4 text-sm text-dark-400">
+                        <span className="flex items-center gap-1">
+                          <Eye className="w-4 h-4" />
+                          {occurrence.total_views || 0}
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <MousePointerClick className="w-4 h-4" />
+                          {occurrence.total_clicks || 0}
+                        </span>
+                      </div>
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Stats per locale (only for sent translated announcements) */}
+          {isSent && stats.localeResults.some(r => r.locale) && (
+            <div className="card p-6">
+              <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-4">By Language</h3>
+              <LocaleResults results={stats.localeResults} defaultLocale={stats.default_locale} />
+            </div>
+          )}
+
           {/* Stats (only for sent) */}
           {stats?.linkStats?.length > 0 && (
             <div className="card p-6">
@@ -306,11 +827,18 @@ export default function AnnouncementEditor() {
                   <div key={link.id} className="flex items-center justify-between p-3 bg-dark-800/50 rounded-lg">
                     <div className="flex-1 min-w-0">
                       <p className="text-sm text-dark-200 truncate">{link.original_url}</p>
-                      <p className="text-xs text-dark-500">/{link.short_code}</p>
+                      <p className="text-xs text-dark-500">
+                        /{link.short_code}{link.channel_title ? ` · ${link.channel_title}` : ''}{link.variant ? ` · variant ${link.variant}` : ''}{link.locale ? ` · ${link.locale}` : ''}
+                      </p>
                     </div>
                     <div className="text-right">
                       <p className="text-lg font-semibold text-slate-800 dark:text-white">{link.click_count}</p>
                       <p className="text-xs text-dark-500">{link.unique_clicks} unique</p>
+                      {parseInt(link.suspicious_clicks) > 0 && (
+                        <p className="text-xs text-yellow-500" title="Link-preview crawlers, bots and repeated clicks, not counted">
+                          {link.suspicious_clicks} flagged
+                        </p>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -318,6 +846,68 @@ export default function AnnouncementEditor() {
             </div>
           )}
 
+          {/* Reach counted by Telegram (only for sent) */}
+          {isSent && stats?.targets?.some(t => t.telegram_message_id) && (
+            <div className="card p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-slate-800 dark:text-white">Telegram Views</h3>
+                <button
+                  onClick={handleRefreshViews}
+                  disabled={refreshingViews}
+                  className="text-sm text-brand-400 hover:text-brand-300 flex items-center gap-1"
+                >
+                  <RefreshCw className={`w-4 h-4 ${refreshingViews ? 'animate-spin' : ''}`} />
+                  Refresh
+                </button>
+              </div>
+              {!telegramReach ? (
+                <p className="text-sm text-dark-500">
+                  No view counts read from Telegram yet. They're collected every 15 minutes for channel posts.
+                </p>
+              ) : (
+                <>
+                  <div className="grid grid-cols-3 gap-4 mb-4">
+                    <div>
+                      <p className="text-2xl font-semibold text-slate-800 dark:text-white">{telegramReach.views}</p>
+                      <p className="text-xs text-dark-500">views</p>
+                    </div>
+                    <div>
+                      <p className="text-2xl font-semibold text-slate-800 dark:text-white">{telegramReach.forwards}</p>
+                      <p className="text-xs text-dark-500">forwards</p>
+                    </div>
+                    <div>
+                      <p className="text-2xl font-semibold text-slate-800 dark:text-white">
+                        {telegramReach.views > 0 ? `${((linkClicks / telegramReach.views) * 100).toFixed(1)}%` : '–'}
+                      </p>
+                      <p className="text-xs text-dark-500">link CTR</p>
+                    </div>
+                  </div>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <LineChart data={stats.viewTimeline}>
+                      <XAxis
+                        dataKey="collected_at"
+                        stroke="#64748b"
+                        fontSize={12}
+                        tickFormatter={(val) => format(new Date(val), 'MMM d HH:mm')}
+                      />
+                      <YAxis stroke="#64748b" fontSize={12} />
+                      <Tooltip
+                        labelFormatter={(val) => format(new Date(val), 'MMM d, HH:mm')}
+                        contentStyle={{
+                          backgroundColor: '#1e293b',
+                          border: '1px solid #334155',
+                          borderRadius: '8px'
+                        }}
+                      />
+                      <Line type="monotone" dataKey="views" stroke="#22c55e" strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="forwards" stroke="#a855f7" strokeWidth={2} dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </>
+              )}
+            </div>
+          )}
+
           {stats?.clickTimeline?.length > 0 && (
             <div className="card p-6">
               <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-4">Clicks Over Time</h3>
@@ -352,9 +942,52 @@ export default function AnnouncementEditor() {
 
         {/* Sidebar */}
         <div className="space-y-6">
+          {/* Preview */}
+          <div className="card p-6">
+            <h3 className="text-sm font-medium text-dark-300 mb-3">Preview</h3>
+            <TelegramPreview
+              announcement={{
+                id: isNew ? null : id,
+                title: form.title,
+                content: form.content,
+                buttons: form.buttons,
+                media: form.media,
+                template_variables: pickVariables(form.template_variables, variableNames),
+                campaign_id: form.campaign_id || null,
+                channel_id: form.channel_ids[0] || null,
+              }}
+            />
+          </div>
+
+          {/* Approval */}
+          {!isNew && (
+            <div className="card p-6">
+              <h3 className="text-sm font-medium text-dark-300 mb-3">Review</h3>
+              <ReviewPanel
+                announcement={{
+                  id,
+                  status: stats.status,
+                  created_by: stats.created_by,
+                  approved_at: stats.approved_at,
+                  approved_by_name: stats.approved_by_name,
+                }}
+                reviews={stats.reviews}
+                onChange={loadData}
+              />
+            </div>
+          )}
+
           {/* Channels */}
           <div className="card p-6">
             <h3 className="text-sm font-medium text-dark-300 mb-3">Send to Channels</h3>
+            <AudiencePicker
+              groups={groups}
+              segments={segments}
+              groupIds={form.group_ids}
+              segmentIds={form.segment_ids}
+              onChange={(audiences) => setForm(prev => ({ ...prev, ...audiences }))}
+              disabled={isSent}
+            />
             {channels.length === 0 ? (
               <p className="text-sm text-dark-500">No channels registered yet</p>
             ) : (
@@ -421,14 +1054,286 @@ export default function AnnouncementEditor() {
                 <Clock className="w-4 h-4 inline mr-1" />
                 Schedule (optional)
               </h3>
-              <input
-                type="datetime-local"
-                value={form.scheduled_at}
-                onChange={(e) => setForm(prev => ({ ...prev, scheduled_at: e.target.value }))}
-                className="input"
-              />
-              <p className="text-xs text-dark-500 mt-2">
-                Leave empty to save as draft
+              <div className="flex gap-2 mb-3">
+                <button
+                  onClick={() => setForm(prev => ({ ...prev, recurring: false }))}
+                  className={`btn flex-1 ${!form.recurring ? 'btn-primary' : 'btn-secondary'}`}
+                >
+                  One-time
+                </button>
+                <button
+                  onClick={() => setForm(prev => ({ ...prev, recurring: true }))}
+                  className={`btn flex-1 ${form.recurring ? 'btn-primary' : 'btn-secondary'}`}
+                >
+                  <Repeat className="w-4 h-4" />
+                  Recurring
+                </button>
+              </div>
+
+              {!form.recurring ? (
+                <>
+                  <input
+                    type="datetime-local"
+                    value={form.scheduled_at}
+                    onChange={(e) => setForm(prev => ({ ...prev, scheduled_at: e.target.value }))}
+                    className="input"
+                  />
+                  <label className="flex items-center gap-2 mt-3 text-sm text-dark-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={form.local_time}
+                      onChange={(e) => setForm(prev => ({ ...prev, local_time: e.target.checked }))}
+                    />
+                    Send at this time in each channel's timezone
+                  </label>
+                  <p className="text-xs text-dark-500 mt-2">
+                    {form.local_time
+                      ? 'Each channel receives the post at this local time'
+                      : `Time in your timezone (${browserTimezone}). Leave empty to save as draft`}
+                  </p>
+
+                  {getDispatchPreview().length > 0 && (
+                    <div className="mt-4 pt-4 border-t border-dark-700 space-y-1">
+                      <p className="text-xs text-dark-500 mb-1">Delivery preview</p>
+                      {getDispatchPreview().map(({ channel, timezone, sendAt }) => (
+                        <div key={channel.id} className="flex items-start justify-between gap-2 text-xs">
+                          <span className="text-dark-300 truncate">{channel.title}</span>
+                          <span className="text-right shrink-0">
+                            <span className="text-dark-200">{formatInTimezone(sendAt, timezone)}</span>
+                            <span className="text-dark-500"> {timezone}</span>
+                            <br />
+                            <span className="text-dark-500">{format(sendAt, 'MMM d, HH:mm')} your time</span>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="space-y-3">
+                  <select
+                    value={form.recurrence.rule_type}
+                    onChange={(e) => setForm(prev => ({
+                      ...prev,
+                      recurrence: {
+                        ...prev.recurrence,
+                        rule_type: e.target.value,
+                        rule: RECURRENCE_PRESETS[e.target.value][0].rule,
+                      }
+                    }))}
+                    className="input"
+                  >
+                    <option value="cron">Cron expression</option>
+                    <option value="rrule">RRULE</option>
+                  </select>
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && updateRecurrence('rule', e.target.value)}
+                    className="input"
+                  >
+                    <option value="">Presets...</option>
+                    {RECURRENCE_PRESETS[form.recurrence.rule_type].map((preset) => (
+                      <option key={preset.rule} value={preset.rule}>{preset.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={form.recurrence.rule}
+                    onChange={(e) => updateRecurrence('rule', e.target.value)}
+                    className="input font-mono text-sm"
+                    placeholder={form.recurrence.rule_type === 'cron' ? '0 9 * * 1' : 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9'}
+                  />
+                  <div>
+                    <label className="block text-xs text-dark-500 mb-1">Timezone</label>
+                    <select
+                      value={form.recurrence.timezone}
+                      onChange={(e) => updateRecurrence('timezone', e.target.value)}
+                      className="input"
+                    >
+                      {timezones.map((tz) => (
+                        <option key={tz} value={tz}>{tz}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-dark-500 mb-1">Starts (optional)</label>
+                    <input
+                      type="datetime-local"
+                      value={form.recurrence.starts_at}
+                      onChange={(e) => updateRecurrence('starts_at', e.target.value)}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-dark-500 mb-1">Ends (optional)</label>
+                    <input
+                      type="datetime-local"
+                      value={form.recurrence.ends_at}
+                      onChange={(e) => updateRecurrence('ends_at', e.target.value)}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-dark-500 mb-1">Max occurrences (optional)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={form.recurrence.max_occurrences}
+                      onChange={(e) => updateRecurrence('max_occurrences', e.target.value)}
+                      className="input"
+                    />
+                  </div>
+                  <p className="text-xs text-dark-500">
+                    Times are in the selected timezone. Each occurrence is sent as its own announcement.
+                  </p>
+                </div>
+              )}
+
+              {stats?.schedule && form.recurring && (
+                <div className="mt-4 pt-4 border-t border-dark-700">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-xs text-dark-400">
+                      {stats.schedule.occurrence_count || 0}
+                      {stats.schedule.max_occurrences ? ` of ${stats.schedule.max_occurrences}` : ''} sent
+                      {stats.schedule.is_paused ? ' · paused' : !stats.schedule.next_run_at ? ' · ended' : ''}
+                    </span>
+                    {stats.schedule.next_run_at || stats.schedule.is_paused ? (
+                      <button
+                        onClick={handleToggleRecurrence}
+                        className="text-xs text-brand-400 hover:text-brand-300 flex items-center gap-1"
+                      >
+                        {stats.schedule.is_paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+                        {stats.schedule.is_paused ? 'Resume' : 'Pause'}
+                      </button>
+                    ) : null}
+                  </div>
+                  {stats.schedule.upcoming?.length > 0 && (
+                    <div className="space-y-1">
+                      <p className="text-xs text-dark-500">Upcoming</p>
+                      {stats.schedule.upcoming.map((date) => (
+                        <p key={date} className="text-xs text-dark-300">
+                          {format(new Date(date), 'EEE, MMM d, yyyy h:mm a')}
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Delivery options */}
+          {(!isSent || isLive) && (
+            <div className="card p-6 space-y-3">
+              <h3 className="text-sm font-medium text-dark-300">
+                <SlidersHorizontal className="w-4 h-4 inline mr-1" />
+                Delivery Options
+              </h3>
+              <label className="flex items-center gap-2 text-sm text-dark-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.disable_notification}
+                  onChange={(e) => setForm(prev => ({ ...prev, disable_notification: e.target.checked }))}
+                  disabled={isSent}
+                />
+                Send silently, without a notification sound
+              </label>
+              <label className="flex items-center gap-2 text-sm text-dark-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.protect_content}
+                  onChange={(e) => setForm(prev => ({ ...prev, protect_content: e.target.checked }))}
+                  disabled={isSent}
+                />
+                Protect content from forwarding and saving
+              </label>
+              {form.media.length === 0 && (
+                <div>
+                  <label className="block text-xs text-dark-500 mb-1">Link preview</label>
+                  <select
+                    value={form.disable_link_preview ? 'off' : form.link_preview_url ? 'url' : 'auto'}
+                    onChange={(e) => setForm(prev => ({
+                      ...prev,
+                      disable_link_preview: e.target.value === 'off',
+                      link_preview_url: e.target.value === 'url' ? prev.link_preview_url || 'https://' : '',
+                    }))}
+                    className="input"
+                  >
+                    <option value="auto">Preview the first link</option>
+                    <option value="url">Preview a specific URL</option>
+                    <option value="off">No link preview</option>
+                  </select>
+                  {!form.disable_link_preview && form.link_preview_url !== '' && (
+                    <input
+                      type="url"
+                      value={form.link_preview_url}
+                      onChange={(e) => setForm(prev => ({ ...prev, link_preview_url: e.target.value }))}
+                      className="input mt-2"
+                      placeholder="https://xbo.com/promo"
+                    />
+                  )}
+                </div>
+              )}
+              {isLive && (
+                <p className="text-xs text-dark-500">Only the link preview can change once it's sent.</p>
+              )}
+            </div>
+          )}
+
+          {/* Pinning and expiry */}
+          {!form.recurring && (!isSent || isLive) && (
+            <div className="card p-6 space-y-3">
+              <h3 className="text-sm font-medium text-dark-300">
+                <Pin className="w-4 h-4 inline mr-1" />
+                Pin &amp; Expiry
+              </h3>
+              <label className="flex items-center gap-2 text-sm text-dark-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.pin_message}
+                  onChange={(e) => setForm(prev => ({
+                    ...prev,
+                    pin_message: e.target.checked,
+                    expire_action: e.target.checked ? prev.expire_action : 'delete',
+                  }))}
+                  disabled={isSent}
+                />
+                Pin in each channel after sending
+              </label>
+              {form.pin_message && (
+                <label className="flex items-center gap-2 text-sm text-dark-300 cursor-pointer ml-6">
+                  <input
+                    type="checkbox"
+                    checked={form.pin_notify}
+                    onChange={(e) => setForm(prev => ({ ...prev, pin_notify: e.target.checked }))}
+                    disabled={isSent}
+                  />
+                  Notify members about the pin
+                </label>
+              )}
+              <div>
+                <label className="block text-xs text-dark-500 mb-1">Expires (optional)</label>
+                <input
+                  type="datetime-local"
+                  value={form.expires_at}
+                  onChange={(e) => setForm(prev => ({ ...prev, expires_at: e.target.value }))}
+                  className="input"
+                />
+              </div>
+              {form.expires_at && (
+                <select
+                  value={form.expire_action}
+                  onChange={(e) => setForm(prev => ({ ...prev, expire_action: e.target.value }))}
+                  className="input"
+                >
+                  <option value="delete">Delete the message when it expires</option>
+                  {form.pin_message && <option value="unpin">Unpin the message when it expires</option>}
+                </select>
+              )}
+              <p className="text-xs text-dark-500">
+                {isLive
+                  ? 'Use Update Live Message to change the expiry.'
+                  : 'Channels that haven\'t received it by the expiry time are skipped.'}
               </p>
             </div>
           )}
@@ -438,20 +1343,118 @@ export default function AnnouncementEditor() {
             <div className="card p-6">
               <h3 className="text-sm font-medium text-dark-300 mb-3">Delivery Stats</h3>
               <div className="space-y-2">
-                {stats.targets.map((target) => (
-                  <div key={target.id} className="flex items-center justify-between p-2 bg-dark-800/50 rounded">
-                    <span className="text-sm text-dark-200 truncate">{target.channel_title}</span>
-                    <div className="flex items-center gap-2 text-sm">
-                      <span className="flex items-center gap-1 text-dark-400">
-                        <Eye className="w-3 h-3" />
-                        {target.views || 0}
-                      </span>
+                {stats.targets.map((target) => {
+                  const jobs = stats.deliveries.filter(d => d.target_id === target.id);
+                  const job = jobs[jobs.length - 1];
+                  const history = jobs.flatMap(j => j.history);
+                  const expanded = expandedTarget === target.id;
+
+                  return (
+                    <div key={target.id} className="p-2 bg-dark-800/50 rounded">
+                      <div className="flex items-center justify-between">
+                        <div className="min-w-0">
+                          <p className="text-sm text-dark-200 truncate">{target.channel_title}</p>
+                          {(target.group_name || target.segment_name) && (
+                            <p className="text-xs text-dark-500 truncate">
+                              via {target.group_name ? `group ${target.group_name}` : `segment ${target.segment_name}`}
+                            </p>
+                          )}
+                          {target.scheduled_at && !target.telegram_message_id && (
+                            <p className="text-xs text-dark-500">
+                              Sends {formatInTimezone(new Date(target.scheduled_at), target.channel_timezone || 'UTC')} {target.channel_timezone || 'UTC'}
+                            </p>
+                          )}
+                          {(target.pinned_at || target.expired_at) && (
+                            <p className="text-xs text-dark-500">
+                              {[target.pinned_at && 'Pinned', target.expired_at && 'Expired'].filter(Boolean).join(' · ')}
+                            </p>
+                          )}
+                          {target.error && !target.telegram_message_id && (
+                            <p className="text-xs text-red-400 truncate" title={target.error}>{target.error}</p>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-2 text-sm">
+                          {job && (
+                            <button
+                              onClick={() => setExpandedTarget(expanded ? null : target.id)}
+                              className="text-xs text-dark-400 hover:text-dark-200"
+                              title="Show attempt history"
+                            >
+                              {job.status} · {history.length} attempt{history.length !== 1 ? 's' : ''}
+                            </button>
+                          )}
+                          {target.telegram_views !== null && target.telegram_views !== undefined ? (
+                            <>
+                              <span className="flex items-center gap-1 text-dark-400" title="Views counted by Telegram">
+                                <Eye className="w-3 h-3" />
+                                {target.telegram_views}
+                              </span>
+                              <span className="flex items-center gap-1 text-dark-400" title="Forwards">
+                                <Forward className="w-3 h-3" />
+                                {target.telegram_forwards || 0}
+                              </span>
+                            </>
+                          ) : (
+                            <span className="flex items-center gap-1 text-dark-400" title="Tracked views">
+                              <Eye className="w-3 h-3" />
+                              {target.views || 0}
+                            </span>
+                          )}
+                          {target.telegram_message_id && (
+                            <span
+                              className="flex items-center gap-1 text-dark-400"
+                              title={`Link and button clicks in this channel${targetViews(target) > 0
+                                ? `, ${((targetClicks(target) / targetViews(target)) * 100).toFixed(1)}% CTR` : ''}`}
+                            >
+                              <MousePointerClick className="w-3 h-3" />
+                              {targetClicks(target)}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      {expanded && (
+                        <div className="mt-2 space-y-1 border-t border-dark-700 pt-2">
+                          {history.length === 0 ? (
+                            <p className="text-xs text-dark-500">Waiting for first attempt</p>
+                          ) : history.map((attempt) => (
+                            <div key={attempt.id} className="flex items-start justify-between gap-2 text-xs">
+                              <span className={
+                                attempt.outcome === 'sent' ? 'text-green-400'
+                                  : attempt.outcome === 'retry' ? 'text-yellow-400' : 'text-red-400'
+                              }>
+                                #{attempt.attempt} {attempt.outcome}
+                                {attempt.retry_after ? ` (wait ${attempt.retry_after}s)` : ''}
+                              </span>
+                              <span className="text-dark-500 shrink-0">
+                                {format(new Date(attempt.created_at), 'MMM d, h:mm:ss a')}
+                              </span>
+                            </div>
+                          ))}
+                          {history.filter(a => a.error).slice(-1).map((attempt) => (
+                            <p key={attempt.id} className="text-xs text-dark-500 break-words">{attempt.error}</p>
+                          ))}
+                          {job?.status === 'pending' && job.next_attempt_at && history.length > 0 && (
+                            <p className="text-xs text-dark-500">
+                              Next attempt {format(new Date(job.next_attempt_at), 'MMM d, h:mm:ss a')}
+                            </p>
+                          )}
+                        </div>
+                      )}
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             </div>
           )}
+
+          {/* Revision history (every save, publish and live edit) */}
+          {stats?.revisions?.length > 0 && (
+            <RevisionHistory
+              revisions={stats.revisions}
+              onRestore={handleRestoreRevision}
+              canRestore={!contentLocked}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -1,9 +1,13 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { getAnnouncements, deleteAnnouncement, sendAnnouncement, duplicateAnnouncement } from '../utils/api';
+import {
+  getAnnouncements, deleteAnnouncement, sendAnnouncement, unsendAnnouncement, duplicateAnnouncement,
+  pauseRecurrence, resumeRecurrence
+} from '../utils/api';
 import { 
   Plus, Search, Filter, MoreVertical, Send, Copy, Trash2, 
-  Edit, Clock, CheckCircle, AlertCircle, Eye, MousePointerClick
+  Edit, Clock, CheckCircle, AlertCircle, Eye, EyeOff, MousePointerClick,
+  Repeat, Pause, Play, ClipboardCheck, ShieldCheck
 } from 'lucide-react';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
@@ -48,8 +52,14 @@ export default function Announcements() {
   const handleSend = async (id) => {
     if (!confirm('Send this announcement now?')) return;
     try {
-      await sendAnnouncement(id);
-      toast.success('Announcement sent!');
+      const { data } = await sendAnnouncement(id);
+      if (data.status === 'failed') {
+        toast.error(data.message);
+      } else if (data.status === 'partial') {
+        toast(data.message, { icon: '⚠️' });
+      } else {
+        toast.success(data.message);
+      }
       loadAnnouncements();
     } catch (error) {
       toast.error(error.response?.data?.error || 'Failed to send');
@@ -57,6 +67,35 @@ export default function Announcements() {
     setActiveMenu(null);
   };
 
+  const handleUnsend = async (id) => {
+    if (!confirm('Delete this announcement from every channel it was sent to?')) return;
+    try {
+      const { data } = await unsendAnnouncement(id);
+      if (data.results.some(r => !r.success)) {
+        toast(data.message, { icon: '⚠️' });
+      } else {
+        toast.success(data.message);
+      }
+      loadAnnouncements();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to unsend');
+    }
+    setActiveMenu(null);
+  };
+
+  const handleToggleRecurrence = async (announcement) => {
+    try {
+      const { data } = announcement.recurrence_paused
+        ? await resumeRecurrence(announcement.id)
+        : await pauseRecurrence(announcement.id);
+      toast.success(data.message);
+      loadAnnouncements();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update schedule');
+    }
+    setActiveMenu(null);
+  };
+
   const handleDuplicate = async (id) => {
     try {
       const { data } = await duplicateAnnouncement(id);
@@ -71,18 +110,24 @@ export default function Announcements() {
   const getStatusBadge = (status, errorMessage = null) => {
     const badges = {
       draft: { class: 'badge bg-dark-700 text-dark-300', icon: Edit },
+      in_review: { class: 'badge-warning', icon: ClipboardCheck },
+      approved: { class: 'badge-success', icon: ShieldCheck },
       scheduled: { class: 'badge-info', icon: Clock },
+      recurring: { class: 'badge-info', icon: Repeat },
+      sending: { class: 'badge-info', icon: Send },
       sent: { class: 'badge-success', icon: CheckCircle },
+      partial: { class: 'badge-warning', icon: AlertCircle },
       failed: { class: 'badge-error', icon: AlertCircle },
+      unsent: { class: 'badge bg-dark-700 text-dark-300', icon: EyeOff },
     };
     const badge = badges[status] || badges.draft;
     const Icon = badge.icon;
 
-    if (status === 'failed' && errorMessage) {
+    if ((status === 'failed' || status === 'partial') && errorMessage) {
       return (
         <span className={`badge ${badge.class} relative group cursor-help`}>
           <Icon className="w-3 h-3 mr-1" />
-          {status}
+          {status.replace('_', ' ')}
           <div className="absolute bottom-full left-0 mb-2 hidden group-hover:block z-50">
             <div className="bg-slate-900 text-white text-xs rounded-lg py-2 px-3 max-w-xs shadow-lg">
               <p className="font-medium mb-1">Error Details:</p>
@@ -96,11 +141,24 @@ export default function Announcements() {
     return (
       <span className={`badge ${badge.class}`}>
         <Icon className="w-3 h-3 mr-1" />
-        {status}
+        {status.replace('_', ' ')}
       </span>
     );
   };
 
+  // Summary line for a recurring announcement's schedule
+  const getRecurrenceSummary = (announcement) => {
+    const sent = announcement.recurrence_occurrence_count || 0;
+    const total = announcement.recurrence_max_occurrences ? ` of ${announcement.recurrence_max_occurrences}` : '';
+    let next = 'ended';
+    if (announcement.recurrence_paused) {
+      next = 'paused';
+    } else if (announcement.recurrence_next_run_at) {
+      next = `next ${format(new Date(announcement.recurrence_next_run_at), 'MMM d, h:mm a')}`;
+    }
+    return `${announcement.recurrence_rule} (${announcement.recurrence_timezone}) · ${sent}${total} sent · ${next}`;
+  };
+
   const filtered = announcements.filter(a => 
     a.title.toLowerCase().includes(search.toLowerCase())
   );
@@ -137,9 +195,14 @@ export default function Announcements() {
         >
           <option value="">All Status</option>
           <option value="draft">Draft</option>
+          <option value="in_review">In Review</option>
+          <option value="approved">Approved</option>
           <option value="scheduled">Scheduled</option>
+          <option value="recurring">Recurring</option>
           <option value="sent">Sent</option>
+          <option value="partial">Partially Sent</option>
           <option value="failed">Failed</option>
+          <option value="unsent">Unsent</option>
         </select>
       </div>
 
@@ -177,13 +240,23 @@ export default function Announcements() {
                     </Link>
                     {getStatusBadge(announcement.status, announcement.last_error)}
                   </div>
+                  {announcement.recurrence_rule && (
+                    <p className={`flex items-center gap-1 text-xs mb-2 ${
+                      announcement.recurrence_paused ? 'text-yellow-400' : 'text-brand-400'
+                    }`}>
+                      <Repeat className="w-3 h-3" />
+                      {getRecurrenceSummary(announcement)}
+                    </p>
+                  )}
                   <p className="text-sm text-dark-400 line-clamp-1 mb-3">
                     {announcement.content?.replace(/<[^>]*>/g, '').substring(0, 100)}...
                   </p>
                   <div className="flex items-center gap-4 text-sm text-dark-500">
                     <span className="flex items-center gap-1">
                       <Eye className="w-4 h-4" />
-                      {announcement.total_views || 0} views
+                      {announcement.total_telegram_views !== null && announcement.total_telegram_views !== undefined
+                        ? `${announcement.total_telegram_views} Telegram views`
+                        : `${announcement.total_views || 0} views`}
                     </span>
                     <span className="flex items-center gap-1">
                       <MousePointerClick className="w-4 h-4" />
@@ -191,6 +264,9 @@ export default function Announcements() {
                     </span>
                     <span>
                       {announcement.target_count} channel{announcement.target_count !== 1 ? 's' : ''}
+                      {announcement.audience_count > 0 && !announcement.audiences_resolved_at && (
+                        <> + {announcement.audience_count} group{announcement.audience_count !== 1 ? 's' : ''}/segment{announcement.audience_count !== 1 ? 's' : ''}</>
+                      )}
                     </span>
                     {announcement.campaign_name && (
                       <span className="text-brand-400">{announcement.campaign_name}</span>
@@ -222,13 +298,31 @@ export default function Announcements() {
                           <Edit className="w-4 h-4" />
                           Edit
                         </Link>
-                        {announcement.status !== 'sent' && (
+                        {announcement.recurrence_rule && (
+                          <button
+                            onClick={() => handleToggleRecurrence(announcement)}
+                            className="flex items-center gap-2 w-full px-4 py-2 text-sm text-dark-200 hover:bg-dark-700"
+                          >
+                            {announcement.recurrence_paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                            {announcement.recurrence_paused ? 'Resume Schedule' : 'Pause Schedule'}
+                          </button>
+                        )}
+                        {announcement.approved_at && !['sent', 'sending', 'unsent', 'recurring'].includes(announcement.status) && (
                           <button
                             onClick={() => handleSend(announcement.id)}
                             className="flex items-center gap-2 w-full px-4 py-2 text-sm text-dark-200 hover:bg-dark-700"
                           >
                             <Send className="w-4 h-4" />
-                            Send Now
+                            {announcement.status === 'partial' ? 'Retry Failed' : 'Send Now'}
+                          </button>
+                        )}
+                        {['sent', 'partial'].includes(announcement.status) && (
+                          <button
+                            onClick={() => handleUnsend(announcement.id)}
+                            className="flex items-center gap-2 w-full px-4 py-2 text-sm text-dark-200 hover:bg-dark-700"
+                          >
+                            <EyeOff className="w-4 h-4" />
+                            Unsend
                           </button>
                         )}
                         <button
@@ -1,14 +1,106 @@
 import { useState, useEffect } from 'react';
 import { getCampaigns, createCampaign, updateCampaign, deleteCampaign } from '../utils/api';
-import { Plus, FolderKanban, Megaphone, MoreVertical, Trash2, Edit2 } from 'lucide-react';
+import { Plus, FolderKanban, Megaphone, MoreVertical, Trash2, Edit2, Tag, X } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const UTM_FIELDS = [
+  { name: 'utm_source', placeholder: 'telegram' },
+  { name: 'utm_medium', placeholder: 'announcement' },
+  { name: 'utm_campaign', placeholder: '{campaign_name}' },
+  { name: 'utm_term', placeholder: '{channel_slug}' },
+  { name: 'utm_content', placeholder: '{button_text}' },
+];
+
+const UTM_VARIABLES = [
+  'announcement_id', 'announcement_title', 'announcement_slug',
+  'campaign_id', 'campaign_name', 'campaign_slug',
+  'channel_id', 'channel_title', 'channel_slug',
+  'button_text', 'variant', 'locale', 'date',
+];
+
+const emptyUtm = () => ({ utm_source: '', utm_medium: '', utm_campaign: '', utm_term: '', utm_content: '', params: [] });
+
+const emptyForm = () => ({ name: '', description: '', utm: emptyUtm() });
+
+// UTM fields and extra query parameters for the links of the campaign's announcements
+function UtmTemplateFields({ utm, onChange }) {
+  const setParam = (index, key, value) => onChange({
+    ...utm,
+    params: utm.params.map((param, i) => (i === index ? { ...param, [key]: value } : param)),
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2">
+        {UTM_FIELDS.map(({ name, placeholder }) => (
+          <div key={name}>
+            <label className="block text-xs text-dark-400 mb-1">{name}</label>
+            <input
+              type="text"
+              value={utm[name]}
+              onChange={(e) => onChange({ ...utm, [name]: e.target.value })}
+              className="input"
+              placeholder={placeholder}
+            />
+          </div>
+        ))}
+      </div>
+
+      {utm.params.map((param, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={param.name}
+            onChange={(e) => setParam(index, 'name', e.target.value)}
+            className="input"
+            placeholder="ref"
+          />
+          <input
+            type="text"
+            value={param.value}
+            onChange={(e) => setParam(index, 'value', e.target.value)}
+            className="input"
+            placeholder="{channel_id}"
+          />
+          <button
+            type="button"
+            onClick={() => onChange({ ...utm, params: utm.params.filter((_, i) => i !== index) })}
+            className="p-2 text-dark-400 hover:text-red-400"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange({ ...utm, params: [...utm.params, { name: '', value: '' }] })}
+        className="text-sm text-brand-400 hover:text-brand-300 flex items-center gap-1"
+      >
+        <Plus className="w-4 h-4" />
+        Add parameter
+      </button>
+
+      <p className="text-xs text-dark-500">
+        Empty fields use the defaults shown. Variables: {UTM_VARIABLES.map(name => `{${name}}`).join(' ')}.
+        Parameters already in a link's URL are kept.
+      </p>
+    </div>
+  );
+}
+
+// Form state from a campaign's stored UTM template
+const toUtmForm = (template) => ({
+  ...emptyUtm(),
+  ...(template || {}),
+  params: template?.params || [],
+});
+
 export default function Campaigns() {
   const [campaigns, setCampaigns] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingCampaign, setEditingCampaign] = useState(null);
-  const [form, setForm] = useState({ name: '', description: '' });
+  const [form, setForm] = useState(emptyForm());
   const [activeMenu, setActiveMenu] = useState(null);
 
   useEffect(() => {
@@ -26,19 +118,25 @@ export default function Campaigns() {
     }
   };
 
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCampaign(null);
+    setForm(emptyForm());
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
+      const { utm, ...fields } = form;
+      const payload = { ...fields, utm_template: utm };
       if (editingCampaign) {
-        await updateCampaign(editingCampaign.id, form);
+        await updateCampaign(editingCampaign.id, payload);
         toast.success('Campaign updated');
       } else {
-        await createCampaign(form);
+        await createCampaign(payload);
         toast.success('Campaign created');
       }
-      setShowModal(false);
-      setEditingCampaign(null);
-      setForm({ name: '', description: '' });
+      closeModal();
       loadCampaigns();
     } catch (error) {
       toast.error(error.response?.data?.error || 'Failed to save campaign');
@@ -59,7 +157,7 @@ export default function Campaigns() {
 
   const openEdit = (campaign) => {
     setEditingCampaign(campaign);
-    setForm({ name: campaign.name, description: campaign.description || '' });
+    setForm({ name: campaign.name, description: campaign.description || '', utm: toUtmForm(campaign.utm_template) });
     setShowModal(true);
     setActiveMenu(null);
   };
@@ -152,6 +250,12 @@ export default function Campaigns() {
                 <div className="text-dark-500">
                   {campaign.sent_count || 0} sent
                 </div>
+                {campaign.utm_template && (
+                  <div className="flex items-center gap-1.5 text-dark-500" title="Links use the campaign's UTM template">
+                    <Tag className="w-4 h-4" />
+                    <span>UTM</span>
+                  </div>
+                )}
               </div>
             </div>
           ))}
@@ -161,7 +265,7 @@ export default function Campaigns() {
       {/* Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
-          <div className="card p-6 w-full max-w-md animate-slide-up">
+          <div className="card p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto animate-slide-up">
             <h2 className="text-xl font-semibold text-slate-800 dark:text-white mb-4">
               {editingCampaign ? 'Edit Campaign' : 'New Campaign'}
             </h2>
@@ -191,14 +295,19 @@ export default function Campaigns() {
                   rows={3}
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  UTM Template
+                </label>
+                <UtmTemplateFields
+                  utm={form.utm}
+                  onChange={(utm) => setForm(prev => ({ ...prev, utm }))}
+                />
+              </div>
               <div className="flex gap-3 pt-2">
                 <button
                   type="button"
-                  onClick={() => {
-                    setShowModal(false);
-                    setEditingCampaign(null);
-                    setForm({ name: '', description: '' });
-                  }}
+                  onClick={closeModal}
                   className="btn btn-secondary flex-1"
                 >
                   Cancel
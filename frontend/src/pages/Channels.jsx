@@ -2,16 +2,22 @@ import { useState, useEffect } from 'react';
 import { getChannels, createChannel, updateChannel, deleteChannel, refreshChannel } from '../utils/api';
 import { 
   Plus, Radio, Users, Eye, Megaphone, MoreVertical, 
-  Trash2, Edit2, RefreshCw, Check, X
+  Trash2, Edit2, RefreshCw, Check, X, Clock, Tag, Languages
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { timezones } from '../utils/timezone';
+import AudienceManager from '../components/AudienceManager';
+
+const emptyForm = { telegram_id: '', title: '', type: 'channel', timezone: 'UTC', tags: '', locale: '' };
+
+const parseTags = (tags) => (tags ? JSON.parse(tags) : []);
 
 export default function Channels() {
   const [channels, setChannels] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingChannel, setEditingChannel] = useState(null);
-  const [form, setForm] = useState({ telegram_id: '', title: '', type: 'channel' });
+  const [form, setForm] = useState(emptyForm);
   const [activeMenu, setActiveMenu] = useState(null);
 
   useEffect(() => {
@@ -31,17 +37,18 @@ export default function Channels() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const data = { ...form, tags: form.tags.split(',').map(t => t.trim()).filter(Boolean) };
     try {
       if (editingChannel) {
-        await updateChannel(editingChannel.id, form);
+        await updateChannel(editingChannel.id, data);
         toast.success('Channel updated');
       } else {
-        await createChannel(form);
+        await createChannel(data);
         toast.success('Channel added');
       }
       setShowModal(false);
       setEditingChannel(null);
-      setForm({ telegram_id: '', title: '', type: 'channel' });
+      setForm(emptyForm);
       loadChannels();
     } catch (error) {
       toast.error(error.response?.data?.error || 'Failed to save channel');
@@ -87,7 +94,10 @@ export default function Channels() {
     setForm({ 
       telegram_id: channel.telegram_id, 
       title: channel.title, 
-      type: channel.type 
+      type: channel.type,
+      timezone: channel.timezone || 'UTC',
+      tags: parseTags(channel.tags).join(', '),
+      locale: channel.locale || ''
     });
     setShowModal(true);
     setActiveMenu(null);
@@ -114,6 +124,8 @@ export default function Channels() {
         </p>
       </div>
 
+      <AudienceManager channels={channels} />
+
       {/* Channels Grid */}
       {loading ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
@@ -224,9 +236,32 @@ export default function Channels() {
                 </div>
               </div>
 
-              <p className="text-xs text-dark-600 mt-3 truncate">
-                ID: {channel.telegram_id}
-              </p>
+              {parseTags(channel.tags).length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-3">
+                  {parseTags(channel.tags).map((tag) => (
+                    <span key={tag} className="flex items-center gap-1 px-2 py-0.5 text-xs bg-dark-800 text-dark-300 rounded">
+                      <Tag className="w-3 h-3" />
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex items-center justify-between gap-2 mt-3 text-xs text-dark-600">
+                <p className="truncate">ID: {channel.telegram_id}</p>
+                <div className="flex items-center gap-3 shrink-0">
+                  {channel.locale && (
+                    <p className="flex items-center gap-1">
+                      <Languages className="w-3 h-3" />
+                      {channel.locale}
+                    </p>
+                  )}
+                  <p className="flex items-center gap-1">
+                    <Clock className="w-3 h-3" />
+                    {channel.timezone || 'UTC'}
+                  </p>
+                </div>
+              </div>
             </div>
           ))}
         </div>
@@ -285,13 +320,60 @@ export default function Channels() {
                   <option value="supergroup">Supergroup</option>
                 </select>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Timezone
+                </label>
+                <select
+                  value={form.timezone}
+                  onChange={(e) => setForm(prev => ({ ...prev, timezone: e.target.value }))}
+                  className="input"
+                >
+                  {timezones.map((tz) => (
+                    <option key={tz} value={tz}>{tz}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-dark-500 mt-1">
+                  Used when announcements are scheduled for local time
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Tags
+                </label>
+                <input
+                  type="text"
+                  value={form.tags}
+                  onChange={(e) => setForm(prev => ({ ...prev, tags: e.target.value }))}
+                  className="input"
+                  placeholder="vip, eu"
+                />
+                <p className="text-xs text-dark-500 mt-1">
+                  Comma separated; segments can pick channels by tag
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Language
+                </label>
+                <input
+                  type="text"
+                  value={form.locale}
+                  onChange={(e) => setForm(prev => ({ ...prev, locale: e.target.value }))}
+                  className="input"
+                  placeholder="en, es, pt-BR"
+                />
+                <p className="text-xs text-dark-500 mt-1">
+                  Announcements with a translation for this locale are sent in it
+                </p>
+              </div>
               <div className="flex gap-3 pt-2">
                 <button
                   type="button"
                   onClick={() => {
                     setShowModal(false);
                     setEditingChannel(null);
-                    setForm({ telegram_id: '', title: '', type: 'channel' });
+                    setForm(emptyForm);
                   }}
                   className="btn btn-secondary flex-1"
                 >
@@ -11,6 +11,27 @@ import toast from 'react-hot-toast';
 
 const COLORS = ['#3b82f6', '#8b5cf6', '#f59e0b', '#10b981', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
 
+// What the address column holds in each privacy mode
+const IP_COLUMN_LABELS = {
+  off: 'IP Address',
+  truncate: 'IP Network',
+  hash: 'Visitor ID',
+};
+
+const privacyNotice = (privacy) => {
+  if (!privacy) return null;
+  const parts = [];
+  if (privacy.mode === 'truncate') {
+    parts.push('Addresses are stored with their last part removed.');
+  } else if (privacy.mode === 'hash') {
+    parts.push(`Addresses are stored as hashes that change every ${privacy.salt_rotation_hours} hours.`);
+  }
+  if (privacy.retention_days) {
+    parts.push(`Addresses, user agents and referrers older than ${privacy.retention_days} days are anonymized.`);
+  }
+  return parts.length > 0 ? parts.join(' ') : null;
+};
+
 const DeviceIcon = ({ type }) => {
   switch (type?.toLowerCase()) {
     case 'mobile': return <Smartphone className="w-4 h-4" />;
@@ -28,10 +49,12 @@ export default function ClickDetails() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState({ total: 0, limit: 50, offset: 0 });
+  const [privacy, setPrivacy] = useState(null);
   const [filters, setFilters] = useState({
     start_date: format(subDays(new Date(), 29), 'yyyy-MM-dd'),
     end_date: format(new Date(), 'yyyy-MM-dd'),
-    announcement_id: ''
+    announcement_id: '',
+    include_suspicious: false
   });
   const [selectedUser, setSelectedUser] = useState(null);
   const [userDetails, setUserDetails] = useState(null);
@@ -69,10 +92,12 @@ export default function ClickDetails() {
         const { data } = await getClickDetails(params);
         setData(prev => ({ ...prev, clicks: data.clicks || [] }));
         setPagination(prev => ({ ...prev, total: data.total || 0 }));
+        setPrivacy(data.privacy || null);
       } else if (activeTab === 'views') {
         const { data } = await getViewDetails(params);
         setData(prev => ({ ...prev, views: data.views || [] }));
         setPagination(prev => ({ ...prev, total: data.total || 0 }));
+        setPrivacy(data.privacy || null);
       } else if (activeTab === 'users') {
         const { data } = await getButtonClicks(params);
         const buttonClicks = data.buttonClicks || [];
@@ -263,6 +288,14 @@ export default function ClickDetails() {
               <option key={a.id} value={a.id}>{a.title}</option>
             ))}
           </select>
+          <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={filters.include_suspicious}
+              onChange={(e) => setFilters(prev => ({ ...prev, include_suspicious: e.target.checked }))}
+            />
+            Include bots and link-preview crawlers
+          </label>
         </div>
       </div>
 
@@ -491,13 +524,20 @@ export default function ClickDetails() {
               </div>
             )}
 
+            {/* Privacy mode */}
+            {(activeTab === 'clicks' || activeTab === 'views') && privacyNotice(privacy) && (
+              <p className="px-4 py-2 text-xs text-slate-500 border-b border-slate-200 dark:border-slate-700">
+                {privacyNotice(privacy)}
+              </p>
+            )}
+
             {/* Link Clicks Table */}
             {activeTab === 'clicks' && (
               <div className="overflow-x-auto">
                 <table className="table">
                   <thead>
                     <tr>
-                      <th>IP Address</th>
+                      <th>{IP_COLUMN_LABELS[privacy?.mode] || 'IP Address'}</th>
                       <th>Location</th>
                       <th>Device</th>
                       <th>Browser</th>
@@ -517,15 +557,24 @@ export default function ClickDetails() {
                             <span className="font-mono text-xs text-slate-600 dark:text-slate-400">
                               {click.ip_address || 'Unknown'}
                             </span>
+                            {click.suspicious_label && (
+                              <p className="text-xs text-yellow-500">Flagged: {click.suspicious_label}</p>
+                            )}
                           </td>
                           <td>
                             <div className="flex items-center gap-1">
                               <Globe className="w-3 h-3 text-slate-400" />
                               <span className="text-slate-700 dark:text-slate-300">{click.country || 'Unknown'}</span>
+                              {click.region && (
+                                <span className="text-slate-500">, {click.region}</span>
+                              )}
                               {click.city && click.city !== 'Unknown' && (
                                 <span className="text-slate-500">, {click.city}</span>
                               )}
                             </div>
+                            {click.isp && (
+                              <p className="text-xs text-slate-500" title={click.asn ? `AS${click.asn}` : undefined}>{click.isp}</p>
+                            )}
                           </td>
                           <td>
                             <div className="flex items-center gap-1.5">
@@ -564,7 +613,7 @@ export default function ClickDetails() {
                 <table className="table">
                   <thead>
                     <tr>
-                      <th>IP Address</th>
+                      <th>{IP_COLUMN_LABELS[privacy?.mode] || 'IP Address'}</th>
                       <th>Location</th>
                       <th>Device</th>
                       <th>Browser</th>
@@ -584,15 +633,24 @@ export default function ClickDetails() {
                             <span className="font-mono text-xs text-slate-600 dark:text-slate-400">
                               {view.ip_address || 'Unknown'}
                             </span>
+                            {view.suspicious_label && (
+                              <p className="text-xs text-yellow-500">Flagged: {view.suspicious_label}</p>
+                            )}
                           </td>
                           <td>
                             <div className="flex items-center gap-1">
                               <Globe className="w-3 h-3 text-slate-400" />
                               <span className="text-slate-700 dark:text-slate-300">{view.country || 'Unknown'}</span>
+                              {view.region && (
+                                <span className="text-slate-500">, {view.region}</span>
+                              )}
                               {view.city && view.city !== 'Unknown' && (
                                 <span className="text-slate-500">, {view.city}</span>
                               )}
                             </div>
+                            {view.isp && (
+                              <p className="text-xs text-slate-500" title={view.asn ? `AS${view.asn}` : undefined}>{view.isp}</p>
+                            )}
                           </td>
                           <td>
                             <div className="flex items-center gap-1.5">
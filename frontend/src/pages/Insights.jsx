@@ -266,7 +266,7 @@ export default function Insights() {
                   <div className="flex-1 min-w-0">
                     <p className="font-medium text-slate-800 dark:text-white truncate">{ch.title}</p>
                     <p className="text-xs text-slate-500">
-                      {ch.member_count.toLocaleString()} members
+                      {ch.member_count.toLocaleString()} members · {ch.total_clicks.toLocaleString()} clicks · {ch.ctr}% CTR
                     </p>
                   </div>
                   <div className="text-right">
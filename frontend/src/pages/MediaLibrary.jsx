@@ -0,0 +1,257 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { getMediaLibrary, getMediaAsset, deleteMediaAsset, uploadMedia } from '../utils/api';
+import { Upload, Image, Film, FileText, Search, Trash2, X, Megaphone } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+const TYPE_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'photo', label: 'Photos' },
+  { value: 'video', label: 'Videos' },
+  { value: 'animation', label: 'GIFs' },
+  { value: 'document', label: 'Documents' },
+];
+
+const TYPE_ICONS = { photo: Image, video: Film, animation: Film, document: FileText };
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+function AssetPreview({ asset, className = 'w-full h-32' }) {
+  const TypeIcon = TYPE_ICONS[asset.type] || FileText;
+
+  if (asset.thumbnail_url) {
+    return <img src={asset.thumbnail_url} alt="" className={`${className} object-cover rounded`} />;
+  }
+  return (
+    <div className={`${className} flex items-center justify-center bg-dark-800 rounded`}>
+      <TypeIcon className="w-8 h-8 text-dark-500" />
+    </div>
+  );
+}
+
+export default function MediaLibrary() {
+  const fileInput = useRef(null);
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [type, setType] = useState('');
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    loadAssets();
+  }, [type, search]);
+
+  const loadAssets = async () => {
+    try {
+      const { data } = await getMediaLibrary({ type: type || undefined, search: search || undefined });
+      setAssets(data.assets);
+    } catch (error) {
+      toast.error('Failed to load media');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    let duplicates = 0;
+    try {
+      for (const file of files) {
+        const { data } = await uploadMedia(file);
+        if (data.duplicate) duplicates++;
+      }
+      toast.success(duplicates
+        ? `Uploaded, ${duplicates} already in the library`
+        : 'Uploaded');
+      loadAssets();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const openAsset = async (asset) => {
+    try {
+      const { data } = await getMediaAsset(asset.id);
+      setSelected(data);
+    } catch (error) {
+      toast.error('Failed to load media');
+    }
+  };
+
+  const handleDelete = async (asset) => {
+    if (!confirm(`Delete ${asset.file_name || 'this file'} from the library?`)) return;
+    try {
+      await deleteMediaAsset(asset.id);
+      toast.success('Media deleted');
+      setSelected(null);
+      loadAssets();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete');
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-800 dark:text-white">Media Library</h1>
+          <p className="text-slate-500 dark:text-slate-400 mt-1">Images, videos and files for your announcements</p>
+        </div>
+        <input
+          ref={fileInput}
+          type="file"
+          multiple
+          accept="image/jpeg,image/png,image/webp,image/gif,video/mp4,video/quicktime,application/pdf"
+          onChange={handleUpload}
+          className="hidden"
+        />
+        <button onClick={() => fileInput.current?.click()} disabled={uploading} className="btn btn-primary">
+          <Upload className="w-4 h-4" />
+          {uploading ? 'Uploading...' : 'Upload'}
+        </button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-dark-500" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input pl-9"
+            placeholder="Search by file name..."
+          />
+        </div>
+        <div className="flex gap-1">
+          {TYPE_FILTERS.map(filter => (
+            <button
+              key={filter.value}
+              onClick={() => setType(filter.value)}
+              className={`px-3 py-2 rounded-lg text-sm ${type === filter.value ? 'bg-brand-500/20 text-brand-400' : 'text-dark-400 hover:bg-dark-800'}`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+          {[...Array(12)].map((_, i) => (
+            <div key={i} className="h-44 skeleton rounded-xl" />
+          ))}
+        </div>
+      ) : assets.length === 0 ? (
+        <div className="card p-12 text-center">
+          <div className="w-16 h-16 rounded-full bg-dark-800 flex items-center justify-center mx-auto mb-4">
+            <Image className="w-8 h-8 text-dark-600" />
+          </div>
+          <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-2">No media yet</h3>
+          <p className="text-slate-500 dark:text-slate-400">Upload files here or from the announcement editor</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+          {assets.map((asset) => (
+            <button
+              key={asset.id}
+              onClick={() => openAsset(asset)}
+              className="card p-2 text-left hover:border-dark-700 transition-colors"
+            >
+              <AssetPreview asset={asset} />
+              <p className="text-sm text-dark-200 truncate mt-2">{asset.file_name}</p>
+              <p className="text-xs text-dark-500">
+                {formatSize(asset.file_size)} · {parseInt(asset.usage_count) > 0
+                  ? `used in ${asset.usage_count}`
+                  : 'unused'}
+              </p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Asset details */}
+      {selected && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="card p-6 w-full max-w-lg animate-slide-up">
+            <div className="flex items-start justify-between mb-4">
+              <h2 className="text-xl font-semibold text-slate-800 dark:text-white truncate">
+                {selected.asset.file_name}
+              </h2>
+              <button onClick={() => setSelected(null)} className="p-1 text-dark-400 hover:text-dark-100">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <a href={selected.asset.url} target="_blank" rel="noreferrer">
+              <AssetPreview asset={selected.asset} className="w-full h-56" />
+            </a>
+
+            <div className="grid grid-cols-2 gap-2 text-sm mt-4">
+              <span className="text-dark-500">Type</span>
+              <span className="text-dark-200">{selected.asset.mime_type}</span>
+              <span className="text-dark-500">Size</span>
+              <span className="text-dark-200">
+                {formatSize(selected.asset.file_size)}
+                {selected.asset.width ? ` · ${selected.asset.width}×${selected.asset.height}` : ''}
+              </span>
+              <span className="text-dark-500">Uploaded</span>
+              <span className="text-dark-200">
+                {format(new Date(selected.asset.created_at), 'MMM d, yyyy')}
+                {selected.asset.uploaded_by_name ? ` by ${selected.asset.uploaded_by_name}` : ''}
+              </span>
+              <span className="text-dark-500">Telegram</span>
+              <span className="text-dark-200">
+                {selected.asset.telegram_file_id ? 'Cached, sent without re-uploading' : 'Uploaded on first send'}
+              </span>
+            </div>
+
+            <h3 className="text-sm font-medium text-dark-300 mt-4 mb-2">Used in</h3>
+            {selected.usage.length === 0 ? (
+              <p className="text-sm text-dark-500">Not used in any announcement</p>
+            ) : (
+              <div className="space-y-1 max-h-40 overflow-y-auto">
+                {selected.usage.map((announcement) => (
+                  <Link
+                    key={announcement.id}
+                    to={`/announcements/${announcement.id}`}
+                    className="flex items-center justify-between p-2 bg-dark-800/50 rounded-lg hover:bg-dark-800"
+                  >
+                    <span className="flex items-center gap-2 text-sm text-dark-200 truncate">
+                      <Megaphone className="w-4 h-4 text-dark-500" />
+                      {announcement.title}
+                    </span>
+                    <span className="text-xs text-dark-500">{announcement.status}</span>
+                  </Link>
+                ))}
+              </div>
+            )}
+
+            <div className="flex gap-3 pt-4">
+              <button
+                onClick={() => handleDelete(selected.asset)}
+                disabled={selected.usage.length > 0}
+                className="btn btn-secondary text-red-400 disabled:opacity-50"
+                title={selected.usage.length > 0 ? 'Remove it from every announcement first' : undefined}
+              >
+                <Trash2 className="w-4 h-4" />
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
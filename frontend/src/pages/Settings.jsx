@@ -1,12 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useTheme } from '../hooks/useTheme';
-import { changePassword, healthCheck, getNotificationSettings, updateNotificationSettings } from '../utils/api';
-import { Settings as SettingsIcon, Key, Server, CheckCircle, XCircle, Moon, Sun, Bell } from 'lucide-react';
+import { changePassword, healthCheck, getNotificationSettings, updateNotificationSettings, linkTelegramAccount } from '../utils/api';
+import { Settings as SettingsIcon, Key, Server, CheckCircle, XCircle, Moon, Sun, Bell, Send } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 export default function Settings() {
-  const { user } = useAuth();
+  const { user, refreshUser } = useAuth();
   const { darkMode, toggleDarkMode } = useTheme();
   const [health, setHealth] = useState(null);
   const [passwords, setPasswords] = useState({
@@ -17,12 +17,18 @@ export default function Settings() {
   const [saving, setSaving] = useState(false);
   const [notifyEmail, setNotifyEmail] = useState(true);
   const [savingNotifications, setSavingNotifications] = useState(false);
+  const [telegramChatId, setTelegramChatId] = useState('');
+  const [savingTelegram, setSavingTelegram] = useState(false);
 
   useEffect(() => {
     checkHealth();
     loadNotificationSettings();
   }, []);
 
+  useEffect(() => {
+    setTelegramChatId(user?.telegram_chat_id || '');
+  }, [user?.telegram_chat_id]);
+
   const loadNotificationSettings = async () => {
     try {
       const { data } = await getNotificationSettings();
@@ -45,6 +51,19 @@ export default function Settings() {
     }
   };
 
+  const handleTelegramSave = async (chatId) => {
+    setSavingTelegram(true);
+    try {
+      const { data } = await linkTelegramAccount({ telegram_chat_id: chatId || null });
+      toast.success(data.message);
+      await refreshUser();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update Telegram account');
+    } finally {
+      setSavingTelegram(false);
+    }
+  };
+
   const checkHealth = async () => {
     try {
       const { data } = await healthCheck();
@@ -159,6 +178,43 @@ export default function Settings() {
         </div>
       </div>
 
+      {/* Test Messages */}
+      <div className="card p-6">
+        <div className="flex items-center gap-3 mb-4">
+          <Send className="w-5 h-5 text-slate-400" />
+          <h2 className="text-lg font-medium text-slate-800 dark:text-white">Test Messages</h2>
+        </div>
+        <p className="text-sm text-slate-500 dark:text-slate-400 mb-3">
+          Link your Telegram account to receive test copies of announcements. Send /start to the bot
+          in a private chat and paste the Chat ID it replies with.
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={telegramChatId}
+            onChange={(e) => setTelegramChatId(e.target.value)}
+            className="input flex-1"
+            placeholder="Chat ID, e.g. 123456789"
+          />
+          <button
+            onClick={() => handleTelegramSave(telegramChatId.trim())}
+            disabled={savingTelegram || telegramChatId.trim() === (user?.telegram_chat_id || '')}
+            className="btn btn-primary"
+          >
+            {savingTelegram ? 'Saving...' : 'Save'}
+          </button>
+          {user?.telegram_chat_id && (
+            <button
+              onClick={() => handleTelegramSave(null)}
+              disabled={savingTelegram}
+              className="btn btn-secondary"
+            >
+              Unlink
+            </button>
+          )}
+        </div>
+      </div>
+
       {/* System Status */}
       <div className="card p-6">
         <div className="flex items-center gap-3 mb-4">
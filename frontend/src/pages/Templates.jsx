@@ -0,0 +1,280 @@
+import { useState, useEffect } from 'react';
+import { getTemplates, createTemplate, updateTemplate, deleteTemplate, getCampaigns } from '../utils/api';
+import { Plus, LayoutTemplate, Megaphone, MoreVertical, Trash2, Edit2, FolderKanban } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ButtonBuilder, { toButtonRows } from '../components/ButtonBuilder';
+import { CHANNEL_VARIABLES } from '../components/TemplateVariables';
+
+const emptyForm = () => ({ name: '', description: '', content: '', buttons: [], campaign_id: '' });
+
+export default function Templates() {
+  const [templates, setTemplates] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [form, setForm] = useState(emptyForm());
+  const [activeMenu, setActiveMenu] = useState(null);
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      const [templatesRes, campaignsRes] = await Promise.all([getTemplates(), getCampaigns()]);
+      setTemplates(templatesRes.data.templates);
+      setCampaigns(campaignsRes.data.campaigns);
+    } catch (error) {
+      toast.error('Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingTemplate(null);
+    setForm(emptyForm());
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const payload = { ...form, campaign_id: form.campaign_id || null };
+      if (editingTemplate) {
+        await updateTemplate(editingTemplate.id, payload);
+        toast.success('Template updated');
+      } else {
+        await createTemplate(payload);
+        toast.success('Template created');
+      }
+      closeModal();
+      loadTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save template');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm('Delete this template? Announcements made from it are kept.')) return;
+    try {
+      await deleteTemplate(id);
+      toast.success('Template deleted');
+      loadTemplates();
+    } catch (error) {
+      toast.error('Failed to delete');
+    }
+    setActiveMenu(null);
+  };
+
+  const openEdit = (template) => {
+    setEditingTemplate(template);
+    setForm({
+      name: template.name,
+      description: template.description || '',
+      content: template.content,
+      buttons: toButtonRows(template.buttons ? JSON.parse(template.buttons) : []),
+      campaign_id: template.campaign_id || '',
+    });
+    setShowModal(true);
+    setActiveMenu(null);
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-800 dark:text-white">Templates</h1>
+          <p className="text-slate-500 dark:text-slate-400 mt-1">Reusable announcements with {'{{variables}}'} to fill in</p>
+        </div>
+        <button onClick={() => setShowModal(true)} className="btn btn-primary">
+          <Plus className="w-4 h-4" />
+          New Template
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {[...Array(6)].map((_, i) => (
+            <div key={i} className="h-32 skeleton rounded-xl" />
+          ))}
+        </div>
+      ) : templates.length === 0 ? (
+        <div className="card p-12 text-center">
+          <div className="w-16 h-16 rounded-full bg-dark-800 flex items-center justify-center mx-auto mb-4">
+            <LayoutTemplate className="w-8 h-8 text-dark-600" />
+          </div>
+          <h3 className="text-lg font-medium text-slate-800 dark:text-white mb-2">No templates yet</h3>
+          <p className="text-slate-500 dark:text-slate-400 mb-4">Save the announcements you write again and again, like listings or maintenance notices</p>
+          <button onClick={() => setShowModal(true)} className="btn btn-primary">
+            <Plus className="w-4 h-4" />
+            Create Template
+          </button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {templates.map((template) => (
+            <div key={template.id} className="card p-5 hover:border-dark-700 transition-colors">
+              <div className="flex items-start justify-between mb-3">
+                <div className="flex items-center gap-3 min-w-0">
+                  <div className="p-2 rounded-lg bg-brand-500/10">
+                    <LayoutTemplate className="w-5 h-5 text-brand-400" />
+                  </div>
+                  <div className="min-w-0">
+                    <h3 className="font-medium text-slate-800 dark:text-white truncate">{template.name}</h3>
+                    {template.description && (
+                      <p className="text-xs text-dark-500 line-clamp-1">{template.description}</p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="relative">
+                  <button
+                    onClick={() => setActiveMenu(activeMenu === template.id ? null : template.id)}
+                    className="p-1.5 hover:bg-dark-800 rounded text-dark-400 hover:text-dark-100"
+                  >
+                    <MoreVertical className="w-4 h-4" />
+                  </button>
+
+                  {activeMenu === template.id && (
+                    <>
+                      <div className="fixed inset-0 z-10" onClick={() => setActiveMenu(null)} />
+                      <div className="absolute right-0 top-full mt-1 w-36 py-1 bg-dark-800 border border-dark-700 rounded-lg shadow-xl z-20">
+                        <button
+                          onClick={() => openEdit(template)}
+                          className="flex items-center gap-2 w-full px-3 py-2 text-sm text-dark-200 hover:bg-dark-700"
+                        >
+                          <Edit2 className="w-4 h-4" />
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(template.id)}
+                          className="flex items-center gap-2 w-full px-3 py-2 text-sm text-red-400 hover:bg-dark-700"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                          Delete
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              <p className="text-sm text-dark-300 line-clamp-3 whitespace-pre-line mb-3">{template.content}</p>
+
+              {template.variables.length > 0 && (
+                <div className="flex flex-wrap gap-1 mb-3">
+                  {template.variables.map((name) => (
+                    <span key={name} className="px-2 py-0.5 rounded bg-dark-800 text-xs text-dark-300">{`{{${name}}}`}</span>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex items-center gap-4 text-sm">
+                <div className="flex items-center gap-1.5 text-dark-400">
+                  <Megaphone className="w-4 h-4" />
+                  <span>{template.announcement_count} used</span>
+                </div>
+                {template.campaign_name && (
+                  <div className="flex items-center gap-1.5 text-dark-500 truncate">
+                    <FolderKanban className="w-4 h-4" />
+                    <span className="truncate">{template.campaign_name}</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="card p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto animate-slide-up">
+            <h2 className="text-xl font-semibold text-slate-800 dark:text-white mb-4">
+              {editingTemplate ? 'Edit Template' : 'New Template'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Template Name
+                </label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  className="input"
+                  placeholder="New listing"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Description (optional)
+                </label>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                  className="input"
+                  placeholder="When to use this template..."
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Message
+                </label>
+                <textarea
+                  value={form.content}
+                  onChange={(e) => setForm(prev => ({ ...prev, content: e.target.value }))}
+                  className="input min-h-[160px]"
+                  placeholder="**{{coin}}** is now listed! Trading starts {{date}}."
+                  required
+                />
+                <p className="text-xs text-dark-500 mt-1">
+                  Use {'{{name}}'} for values filled in per announcement, and{' '}
+                  {CHANNEL_VARIABLES.map(name => `{{${name}}}`).join(' or ')} for each channel's own.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Default Buttons (optional)
+                </label>
+                <ButtonBuilder
+                  rows={form.buttons}
+                  onChange={(buttons) => setForm(prev => ({ ...prev, buttons }))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-dark-300 mb-2">
+                  Default Campaign (optional)
+                </label>
+                <select
+                  value={form.campaign_id}
+                  onChange={(e) => setForm(prev => ({ ...prev, campaign_id: e.target.value }))}
+                  className="input"
+                >
+                  <option value="">No campaign</option>
+                  {campaigns.map((campaign) => (
+                    <option key={campaign.id} value={campaign.id}>
+                      {campaign.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex gap-3 pt-2">
+                <button type="button" onClick={closeModal} className="btn btn-secondary flex-1">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary flex-1">
+                  {editingTemplate ? 'Save' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { getUsers, createUser, updateUser, deleteUser } from '../utils/api';
 import { useAuth } from '../hooks/useAuth';
-import { Plus, Users as UsersIcon, MoreVertical, Trash2, Edit2, Shield, Megaphone, Headphones } from 'lucide-react';
+import { Plus, Users as UsersIcon, MoreVertical, Trash2, Edit2, Shield, ShieldCheck, Megaphone, Headphones } from 'lucide-react';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 
@@ -33,7 +33,7 @@ export default function Users() {
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
-  const [form, setForm] = useState({ email: '', password: '', name: '', role: 'admin' });
+  const [form, setForm] = useState({ email: '', password: '', name: '', role: 'admin', is_approver: false });
   const [activeMenu, setActiveMenu] = useState(null);
 
   useEffect(() => {
@@ -55,7 +55,7 @@ export default function Users() {
     e.preventDefault();
     try {
       if (editingUser) {
-        const payload = { name: form.name, role: form.role };
+        const payload = { name: form.name, role: form.role, is_approver: form.is_approver };
         if (form.password) payload.password = form.password;
         await updateUser(editingUser.id, payload);
         toast.success('User updated');
@@ -65,7 +65,7 @@ export default function Users() {
       }
       setShowModal(false);
       setEditingUser(null);
-      setForm({ email: '', password: '', name: '', role: 'admin' });
+      setForm({ email: '', password: '', name: '', role: 'admin', is_approver: false });
       loadUsers();
     } catch (error) {
       toast.error(error.response?.data?.error || 'Failed to save user');
@@ -86,7 +86,13 @@ export default function Users() {
 
   const openEdit = (user) => {
     setEditingUser(user);
-    setForm({ email: user.email, password: '', name: user.name, role: user.role });
+    setForm({
+      email: user.email,
+      password: '',
+      name: user.name,
+      role: user.role,
+      is_approver: Number(user.is_approver) === 1
+    });
     setShowModal(true);
     setActiveMenu(null);
   };
@@ -143,10 +149,21 @@ export default function Users() {
                       const roleConfig = ROLE_CONFIG[user.role] || ROLE_CONFIG.admin;
                       const IconComponent = roleConfig.icon;
                       return (
-                        <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-medium ${roleConfig.badgeClass}`}>
-                          <IconComponent className="w-3.5 h-3.5" />
-                          {roleConfig.label}
-                        </span>
+                        <div className="flex items-center gap-2">
+                          <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs font-medium ${roleConfig.badgeClass}`}>
+                            <IconComponent className="w-3.5 h-3.5" />
+                            {roleConfig.label}
+                          </span>
+                          {Number(user.is_approver) === 1 && user.role !== 'admin' && (
+                            <span
+                              className="inline-flex items-center gap-1 text-xs text-green-400"
+                              title="Can approve announcements"
+                            >
+                              <ShieldCheck className="w-3.5 h-3.5" />
+                              Approver
+                            </span>
+                          )}
+                        </div>
                       );
                     })()}
                   </td>
@@ -256,13 +273,23 @@ export default function Users() {
                   ))}
                 </select>
               </div>
+              {editingUser && form.role !== 'admin' && (
+                <label className="flex items-center gap-2 text-sm text-dark-300">
+                  <input
+                    type="checkbox"
+                    checked={form.is_approver}
+                    onChange={(e) => setForm(prev => ({ ...prev, is_approver: e.target.checked }))}
+                  />
+                  Can approve announcements (admins always can)
+                </label>
+              )}
               <div className="flex gap-3 pt-2">
                 <button
                   type="button"
                   onClick={() => {
                     setShowModal(false);
                     setEditingUser(null);
-                    setForm({ email: '', password: '', name: '', role: 'admin' });
+                    setForm({ email: '', password: '', name: '', role: 'admin', is_approver: false });
                   }}
                   className="btn btn-secondary flex-1"
                 >
@@ -39,6 +39,7 @@ export const createUser = (data) => api.post('/auth/register', data);
 export const updateUser = (id, data) => api.put(`/auth/users/${id}`, data);
 export const deleteUser = (id) => api.delete(`/auth/users/${id}`);
 export const changePassword = (data) => api.put('/auth/password', data);
+export const linkTelegramAccount = (data) => api.put('/auth/telegram', data);
 
 // Channels
 export const getChannels = () => api.get('/channels');
@@ -47,6 +48,14 @@ export const createChannel = (data) => api.post('/channels', data);
 export const updateChannel = (id, data) => api.put(`/channels/${id}`, data);
 export const deleteChannel = (id) => api.delete(`/channels/${id}`);
 export const refreshChannel = (id) => api.post(`/channels/${id}/refresh`);
+export const getChannelGroups = () => api.get('/channels/groups');
+export const createChannelGroup = (data) => api.post('/channels/groups', data);
+export const updateChannelGroup = (id, data) => api.put(`/channels/groups/${id}`, data);
+export const deleteChannelGroup = (id) => api.delete(`/channels/groups/${id}`);
+export const getChannelSegments = () => api.get('/channels/segments');
+export const createChannelSegment = (data) => api.post('/channels/segments', data);
+export const updateChannelSegment = (id, data) => api.put(`/channels/segments/${id}`, data);
+export const deleteChannelSegment = (id) => api.delete(`/channels/segments/${id}`);
 
 // Announcements
 export const getAnnouncements = (params) => api.get('/announcements', { params });
@@ -55,7 +64,32 @@ export const createAnnouncement = (data) => api.post('/announcements', data);
 export const updateAnnouncement = (id, data) => api.put(`/announcements/${id}`, data);
 export const deleteAnnouncement = (id) => api.delete(`/announcements/${id}`);
 export const sendAnnouncement = (id) => api.post(`/announcements/${id}/send`);
+export const unsendAnnouncement = (id) => api.post(`/announcements/${id}/unsend`);
+export const refreshAnnouncementViews = (id) => api.post(`/announcements/${id}/views/refresh`);
+export const pauseRecurrence = (id) => api.post(`/announcements/${id}/recurrence/pause`);
+export const resumeRecurrence = (id) => api.post(`/announcements/${id}/recurrence/resume`);
 export const duplicateAnnouncement = (id) => api.post(`/announcements/${id}/duplicate`);
+export const previewAnnouncement = (data) => api.post('/announcements/preview', data);
+export const sendTestAnnouncement = (id, data) => api.post(`/announcements/${id}/test`, data);
+export const submitAnnouncement = (id, data) => api.post(`/announcements/${id}/submit`, data);
+export const getAnnouncementReviews = (id) => api.get(`/announcements/${id}/reviews`);
+export const reviewAnnouncement = (id, data) => api.post(`/announcements/${id}/reviews`, data);
+
+// Media
+export const getMediaLibrary = (params) => api.get('/media', { params });
+export const getMediaAsset = (id) => api.get(`/media/${id}`);
+export const deleteMediaAsset = (id) => api.delete(`/media/${id}`);
+export const uploadMedia = (file) => {
+  const data = new FormData();
+  data.append('file', file);
+  return api.post('/media/upload', data, { headers: { 'Content-Type': 'multipart/form-data' } });
+};
+
+// Templates
+export const getTemplates = () => api.get('/templates');
+export const createTemplate = (data) => api.post('/templates', data);
+export const updateTemplate = (id, data) => api.put(`/templates/${id}`, data);
+export const deleteTemplate = (id) => api.delete(`/templates/${id}`);
 
 // Campaigns
 export const getCampaigns = () => api.get('/campaigns');
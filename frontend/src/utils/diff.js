@@ -0,0 +1,62 @@
+// Word-level diff of two texts, for comparing revisions.
+// Returns parts in order, each { type: 'same' | 'added' | 'removed', text }.
+
+// Past this many word pairs the texts are shown as replaced rather than diffed
+const MAX_DIFF_CELLS = 250000;
+
+const tokenize = (text) => String(text || '').split(/(\s+)/).filter(Boolean);
+
+// Join neighbouring parts of the same type
+const merge = (parts) => parts.reduce((merged, part) => {
+  const last = merged[merged.length - 1];
+  if (last && last.type === part.type) {
+    last.text += part.text;
+  } else {
+    merged.push({ ...part });
+  }
+  return merged;
+}, []);
+
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return merge([
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text })),
+    ]);
+  }
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      parts.push({ type: 'removed', text: a[i++] });
+    } else {
+      parts.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) parts.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) parts.push({ type: 'added', text: b[j++] });
+
+  return merge(parts);
+};
+
+// Whether a diff has any changes
+export const hasChanges = (parts) => parts.some(part => part.type !== 'same');
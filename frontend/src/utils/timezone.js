@@ -0,0 +1,53 @@
+// Timezone helpers shared by the scheduling UI (mirrors backend/utils/timezone.js)
+
+export const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Some browsers leave UTC out of the supported list
+export const timezones = [
+  'UTC',
+  ...(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [browserTimezone]).filter(tz => tz !== 'UTC'),
+];
+
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date).forEach((part) => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+  });
+  return parts;
+};
+
+const getOffset = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which a 'YYYY-MM-DDTHH:mm' wall-clock time happens in the timezone
+export const zonedTimeToUtc = (value, timezone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = asUtc - getOffset(new Date(asUtc), timezone);
+  return new Date(asUtc - getOffset(new Date(firstGuess), timezone));
+};
+
+// e.g. "Mon, Oct 19, 10:00" in the given timezone
+export const formatInTimezone = (date, timezone) => new Intl.DateTimeFormat('en-US', {
+  timeZone: timezone,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+}).format(date);
@@ -13,6 +13,10 @@ export default defineConfig({
       '/t': {
         target: 'http://localhost:3001',
         changeOrigin: true
+      },
+      '/uploads': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
       }
     }
   }